@@ -1,8 +1,28 @@
 /**
  * background.js — Service Worker
- * Handles installation defaults and message routing.
+ * Handles installation defaults, schema migrations, storage sync, scheduled backups, trash
+ * retention and message routing.
  */
 
+importScripts('storage.js', 'sync.js', 'backup.js');
+
+GPMSync.start();
+GPMBackup.start();
+
+// Trash retention is enforced here as well as when a tab loads, so expired items also go
+// while a Gemini tab stays open for days. An existing alarm is kept, not pushed back.
+const TRASH_PURGE_ALARM = 'gpm-trash-purge';
+chrome.alarms.get(TRASH_PURGE_ALARM).then((alarm) => {
+  if (!alarm) chrome.alarms.create(TRASH_PURGE_ALARM, { delayInMinutes: 1, periodInMinutes: 60 });
+});
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name !== TRASH_PURGE_ALARM) return;
+  try {
+    const purged = await GPMStorage.purgeExpiredTrash();
+    if (purged) console.log('[GPM] Purged', purged, 'expired trash item(s)');
+  } catch (e) { console.warn('[GPM] Trash purge failed:', e); }
+});
+
 chrome.runtime.onInstalled.addListener(async (details) => {
   if (details.reason === 'install') {
     await chrome.storage.local.set({
@@ -10,9 +30,12 @@ chrome.runtime.onInstalled.addListener(async (details) => {
       gpm_chatMap: {},
       gpm_quickPrompts: [],
       gpm_settings: { lang: 'en', theme: 'auto' },
-      gpm_pinnedChats: {}
+      gpm_schema_version: GPMStorage.SCHEMA_VERSION
     });
     console.log('[GPM] Initialized default storage.');
+  } else if (details.reason === 'update') {
+    // Content scripts also migrate on boot; steps are idempotent so either may run first
+    await GPMStorage.runMigrations();
   }
 });
 
@@ -28,6 +51,25 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       });
     });
     sendResponse({ ok: true });
+  } else if (message.type === 'GPM_SYNC_NOW') {
+    GPMSync.syncNow().then(() => sendResponse({ ok: true }));
+  } else if (message.type === 'GPM_BACKUP_NOW') {
+    GPMBackup.backupNow().then((ok) => sendResponse({ ok }));
+  } else if (message.type === 'GPM_GET_COMMANDS') {
+    chrome.commands.getAll().then((commands) => sendResponse({ commands }));
+  } else if (message.type === 'GPM_OPEN_SHORTCUTS') {
+    // Content scripts can't open chrome:// pages themselves
+    chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+    sendResponse({ ok: true });
   }
   return true;
 });
+
+// Extension shortcuts bound in Chrome (see manifest.json "commands") — run them in the
+// Gemini tab in front; the action names are worked out there (see shortcuts.js)
+chrome.commands.onCommand.addListener((command) => {
+  chrome.tabs.query({ active: true, lastFocusedWindow: true }, (tabs) => {
+    // Tabs without our content script (not Gemini) just reject the message
+    if (tabs[0]) chrome.tabs.sendMessage(tabs[0].id, { type: 'GPM_COMMAND', command }).catch(() => { });
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * backup.js — Scheduled backup files
+ * Writes a full export to the Downloads folder on a chrome.alarms schedule, so the
+ * workspace survives clearing extension data or reinstalling. Opt-in through
+ * gpm_settings.autoBackup; the service worker drives it (see background.js), content
+ * scripts only read the status.
+ *
+ * Local bookkeeping (chrome.storage.local):
+ *   gpm_auto_backup: { files: [{ downloadId, filename, ts }], lastBackup, lastAttempt, error }
+ *     — files is newest last; only files this module wrote are ever rotated out
+ */
+
+const GPMBackup = (() => {
+  const ALARM = 'gpm_auto_backup';
+  const FOLDER = 'Gemini Project Manager';
+  const KEEP_FILES = 7;
+  const PERIODS = { daily: 24 * 60, weekly: 7 * 24 * 60 };
+
+  async function getStatus() {
+    const { gpm_auto_backup: status } = await chrome.storage.local.get('gpm_auto_backup');
+    return { files: [], lastBackup: null, ...status };
+  }
+
+  async function _setStatus(status) {
+    await chrome.storage.local.set({ gpm_auto_backup: status });
+  }
+
+  function _filename(ts) {
+    const stamp = new Date(ts).toISOString().slice(0, 19).replace(/:/g, '-');
+    return `${FOLDER}/gpm-auto-backup-${stamp}.json`;
+  }
+
+  // The service worker has no URL.createObjectURL — hand the export over as a data URL
+  function _dataUrl(json) {
+    const bytes = new TextEncoder().encode(json);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return `data:application/json;base64,${btoa(binary)}`;
+  }
+
+  // Deletes the file from disk and its entry from the downloads list. A file the user
+  // already moved or deleted is simply forgotten.
+  async function _removeFile(downloadId) {
+    try { await chrome.downloads.removeFile(downloadId); } catch (_) { }
+    try { await chrome.downloads.erase({ id: downloadId }); } catch (_) { }
+  }
+
+  async function backupNow() {
+    const status = await getStatus();
+    const ts = Date.now();
+    try {
+      const filename = _filename(ts);
+      const downloadId = await chrome.downloads.download({
+        url: _dataUrl(await GPMStorage.exportAll()),
+        filename,
+        conflictAction: 'uniquify',
+        saveAs: false
+      });
+
+      const files = [...status.files, { downloadId, filename, ts }];
+      const expired = files.splice(0, Math.max(0, files.length - KEEP_FILES));
+      for (const file of expired) await _removeFile(file.downloadId);
+
+      await _setStatus({ files, lastBackup: ts, lastAttempt: ts, error: null });
+      return true;
+    } catch (e) {
+      console.warn('[GPM] Automatic backup failed:', e);
+      await _setStatus({ ...status, lastAttempt: ts, error: e.message });
+      return false;
+    }
+  }
+
+  // Keep the alarm in step with the setting. An unchanged period leaves the running
+  // alarm alone so its next due time is not pushed back on every settings save.
+  async function _schedule() {
+    const { autoBackup = 'off' } = await GPMStorage.getSettings();
+    const period = PERIODS[autoBackup];
+    const alarm = await chrome.alarms.get(ALARM);
+    if (!period) {
+      if (alarm) await chrome.alarms.clear(ALARM);
+      return;
+    }
+    if (alarm?.periodInMinutes === period) return;
+
+    // First run: one period after the last backup, or right away if that has passed
+    const { lastBackup } = await getStatus();
+    const due = lastBackup ? lastBackup + period * 60000 : Date.now();
+    await chrome.alarms.create(ALARM, { when: Math.max(due, Date.now() + 60000), periodInMinutes: period });
+  }
+
+  // Service worker only
+  function start() {
+    chrome.alarms.onAlarm.addListener((alarm) => {
+      if (alarm.name === ALARM) backupNow();
+    });
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'local' && changes.gpm_settings) _schedule();
+    });
+    _schedule();
+  }
+
+  return { start, backupNow, getStatus, KEEP_FILES };
+})();
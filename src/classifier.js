@@ -0,0 +1,95 @@
+/**
+ * classifier.js — Project suggestions for unfiled chats
+ * A multinomial naive Bayes classifier trained on the aliases and titles of the chats
+ * already filed in each project. Runs entirely on this device: no network, no DOM, so it
+ * works the same in content scripts and the service worker. Training is cheap enough to
+ * redo whenever suggestions are needed, so no model is stored.
+ *
+ * Model: { classes: { [projectId]: { docs, total, counts: Map<token, n> } }, docs, vocabularySize }
+ */
+
+const GPMClassifier = (() => {
+  const MIN_EXAMPLES = 2;        // filed chats a project needs before it is suggested
+  const MIN_CONFIDENCE = 0.5;    // posterior probability the best project needs
+  // Scripts written without spaces — split into character pairs instead of words
+  const CJK = /[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]/;
+  const STOPWORDS = new Set([
+    'the', 'and', 'for', 'with', 'from', 'into', 'about', 'how', 'what', 'why', 'can', 'you', 'are', 'was',
+    'this', 'that', 'new', 'chat', 'of', 'to', 'in', 'on', 'at', 'by', 'is', 'an', 'or', 'my', 'me', 'it'
+  ]);
+
+  function tokenize(text) {
+    const tokens = [];
+    for (const word of (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []) {
+      if (CJK.test(word)) {
+        if (word.length === 1) tokens.push(word);
+        for (let i = 0; i < word.length - 1; i++) tokens.push(word.slice(i, i + 2));
+      } else if (word.length > 1 && !STOPWORDS.has(word)) {
+        tokens.push(word);
+      }
+    }
+    return tokens;
+  }
+
+  // One class per project that can hold chats and isn't archived; a chat's text is its
+  // alias plus the title Gemini shows for it, when that differs
+  function train({ projects, chatMap, chatIndex = {} }) {
+    const holders = new Set(projects.filter(p => !p.query && !GPMStorage.isArchived(projects, p)).map(p => p.id));
+    const classes = {};
+    const vocabulary = new Set();
+    for (const [chatId, mapping] of Object.entries(chatMap)) {
+      if (!holders.has(mapping.projectId)) continue;
+      const title = chatIndex[chatId]?.title;
+      const tokens = tokenize([mapping.alias, title !== mapping.alias && title].filter(Boolean).join(' '));
+      if (tokens.length === 0) continue;
+      const cls = classes[mapping.projectId] ||= { docs: 0, total: 0, counts: new Map() };
+      cls.docs++;
+      for (const token of tokens) {
+        cls.counts.set(token, (cls.counts.get(token) || 0) + 1);
+        cls.total++;
+        vocabulary.add(token);
+      }
+    }
+    for (const [id, cls] of Object.entries(classes)) {
+      if (cls.docs < MIN_EXAMPLES) delete classes[id];
+    }
+    const docs = Object.values(classes).reduce((sum, cls) => sum + cls.docs, 0);
+    return { classes, docs, vocabularySize: vocabulary.size };
+  }
+
+  // Best project for `text` as { projectId, confidence }, or null when the text shares no
+  // word with any filed chat or no project is a clear winner
+  function suggest(model, text) {
+    const ids = Object.keys(model.classes);
+    const tokens = tokenize(text).filter(token => ids.some(id => model.classes[id].counts.has(token)));
+    if (tokens.length === 0) return null;
+
+    // Log-probabilities with add-one smoothing, then normalized into a posterior
+    const scores = ids.map(id => {
+      const cls = model.classes[id];
+      let score = Math.log(cls.docs / model.docs);
+      for (const token of tokens) {
+        score += Math.log(((cls.counts.get(token) || 0) + 1) / (cls.total + model.vocabularySize));
+      }
+      return score;
+    });
+    const best = scores.indexOf(Math.max(...scores));
+    const sum = scores.reduce((acc, score) => acc + Math.exp(score - scores[best]), 0);
+    const confidence = 1 / sum;
+    return confidence >= MIN_CONFIDENCE ? { projectId: ids[best], confidence } : null;
+  }
+
+  // Suggestions for every chat of the chat index that has no project, most confident first.
+  // Returns [{ chatId, title, projectId, confidence }].
+  function suggestUnfiled({ projects, chatMap, chatIndex }) {
+    const model = train({ projects, chatMap, chatIndex });
+    if (model.docs === 0) return [];
+    return Object.entries(chatIndex)
+      .filter(([chatId, entry]) => !chatMap[chatId] && entry.title)
+      .map(([chatId, entry]) => ({ chatId, title: entry.title, ...suggest(model, entry.title) }))
+      .filter(result => result.projectId)
+      .sort((a, b) => b.confidence - a.confidence);
+  }
+
+  return { tokenize, train, suggest, suggestUnfiled };
+})();
@@ -19,6 +19,12 @@ const GPM_SELECTORS = {
   // The "New Chat" button
   newChatButton: 'a[href="/app"][aria-label*="New chat"], a[href="/app"][aria-label*="Yeni sohbet"], a[href="/app"]:not([href*="/app/"])',
 
+  // The user's messages in an open chat — the first one is the chat's first prompt
+  userQuery: 'user-query .query-text, user-query',
+
+  // A Gem in the sidebar's Gems list — {id} is the Gem ID from /gem/<id>
+  gemLink: 'a[href^="/gem/{id}"]',
+
   // The text input / prompt area
   inputArea: '[contenteditable="true"], textarea[aria-label], .ql-editor, [role="textbox"]',
   inputContainer: 'form, [class*="input-area"], [class*="prompt"]',
@@ -34,6 +40,20 @@ let gpmModalRoot = null;       // Shadow root for modals
 let gpmInitialized = false;
 let gpmPendingChatAssignment = null;
 let gpmStyleInjected = false;
+let gpmIntegrityIssues = [];    // Problems found by the startup integrity check
+let gpmUndoStack = [];          // In-session history of { label, patch }, newest last
+let gpmRedoStack = [];
+let gpmTrashExpanded = false;   // Trash section open/closed, per session
+let gpmUnfiledExpanded = false; // Uncategorized section open/closed, per session
+let gpmArchiveExpanded = false; // Archived section open/closed, per session
+let gpmChatIndex = {};          // gpm_chatIndex as of the last render (row tooltips, sorting)
+let gpmChatSort = 'manual';     // settings.chatSort as of the last render
+let gpmShortcuts = GPMShortcuts.resolve(); // settings.shortcuts as of the last render
+let gpmTags = [];               // gpm_tags as of the last render
+let gpmTagFilter = null;        // ID of the tag the tree is filtered by, per session
+let gpmSearchOpen = false;      // Search bar shown, per session
+let gpmSearchQuery = '';        // Text the tree is searched for, per session
+let gpmSectionCollapsed = false; // Projects section folded, per session
 
 // ── Extension context check ──
 function gpmIsContextValid() {
@@ -51,6 +71,19 @@ function gpmIsContextValid() {
 async function gpmInit() {
   if (gpmInitialized) return;
 
+  GPMStorage.onWriteError(gpmShowWriteError);
+
+  try { await GPMStorage.runMigrations(); }
+  catch (e) { console.error('[GPM] Schema migration failed:', e); }
+
+  gpmIntegrityIssues = await GPMStorage.checkIntegrity();
+  if (gpmIntegrityIssues.length) console.warn('[GPM] Integrity check found', gpmIntegrityIssues.length, 'issue(s)');
+
+  try {
+    const purged = await GPMStorage.purgeExpiredTrash();
+    if (purged) console.log('[GPM] Purged', purged, 'expired trash item(s)');
+  } catch (e) { console.warn('[GPM] Trash purge failed:', e); }
+
   const settings = await GPMStorage.getSettings();
   gpmSetLang(settings.lang || 'en');
 
@@ -77,6 +110,9 @@ async function gpmInit() {
   gpmObserveQuickPromptButton(); // Continuously monitor button
   gpmObserveSPANavigation();
   gpmObserveNewChats();
+  gpmBindHistoryKeys();
+  gpmBindShortcutKeys();
+  gpmCheckStorageUsage();
 }
 
 /**
@@ -156,6 +192,10 @@ function gpmInjectStyles() {
       -webkit-font-smoothing: antialiased;
     }
 
+    [data-gpm="root"]:focus {
+      outline: none;
+    }
+
     /* ── Section Header (like "Gems" / "Chats") ── */
     [data-gpm="header"] {
       display: flex;
@@ -307,6 +347,119 @@ function gpmInjectStyles() {
       font-size: 10px;
     }
 
+    /* ── Tags & references ── */
+    [data-gpm="tag-bar"] {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 4px;
+      padding: 4px 16px 6px;
+    }
+
+    [data-gpm="tag-chip"] {
+      display: inline-flex;
+      align-items: center;
+      padding: 1px 8px;
+      border: 1px solid var(--gpm-tag-color);
+      border-radius: 10px;
+      font-size: 11px;
+      cursor: pointer;
+      opacity: 0.75;
+    }
+
+    [data-gpm="tag-chip"]:hover { opacity: 1; }
+
+    [data-gpm="tag-chip"].gpm-active {
+      background: var(--gpm-tag-color);
+      color: #202124;
+      opacity: 1;
+    }
+
+    [data-gpm="chat-tag"] {
+      flex-shrink: 0;
+      max-width: 56px;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+      padding: 0 6px;
+      border: 1px solid var(--gpm-tag-color);
+      border-radius: 8px;
+      font-size: 10px;
+      line-height: 14px;
+    }
+
+    [data-gpm="chat-ref"] {
+      flex-shrink: 0;
+      font-size: 11px;
+      opacity: 0.6;
+    }
+
+    [data-gpm="chat"].gpm-ref [data-gpm="chat-label"] {
+      font-style: italic;
+    }
+
+    /* ── Search ── */
+    [data-gpm="search-bar"] {
+      display: flex;
+      align-items: center;
+      gap: 4px;
+      padding: 4px 16px 6px;
+    }
+
+    [data-gpm="search-input"] {
+      flex: 1;
+      min-width: 0;
+      padding: 5px 10px;
+      border: 1px solid var(--gm-colorsurface-container-high, rgba(255,255,255,0.16));
+      border-radius: 16px;
+      background: transparent;
+      color: inherit;
+      font: inherit;
+      font-size: 13px;
+      outline: none;
+    }
+
+    [data-gpm="search-input"]:focus {
+      border-color: #8ab4f8;
+    }
+
+    [data-gpm="search-tool"] {
+      padding: 2px 4px;
+      font-size: 14px;
+      cursor: pointer;
+      opacity: 0.6;
+    }
+
+    [data-gpm="search-tool"]:hover { opacity: 1; }
+
+    [data-gpm="match"] {
+      background: rgba(138, 180, 248, 0.35);
+      color: inherit;
+      border-radius: 2px;
+    }
+
+    [data-gpm="search-empty"] {
+      padding: 6px 16px 6px 24px;
+      font-size: 13px;
+      opacity: 0.6;
+    }
+
+    [data-gpm="chat"].gpm-cursor,
+    [data-gpm="item"].gpm-cursor {
+      outline: 1px solid #8ab4f8;
+      outline-offset: -1px;
+    }
+
+    /* ── Smart folders ── */
+    [data-gpm="item"].gpm-smart [data-gpm="item-icon"] {
+      opacity: 0.8;
+    }
+
+    [data-gpm="chat-dot"].gpm-unfiled {
+      box-sizing: border-box;
+      border: 1px solid currentColor;
+      opacity: 0.5;
+    }
+
     /* ── Drag over ── */
     [data-gpm="item"].gpm-drag-over {
       outline: 2px solid #8ab4f8;
@@ -467,6 +620,7 @@ function gpmInjectProjectSection(sidebar) {
   gpmContainer = document.createElement('div');
   gpmContainer.setAttribute('data-gpm', 'root');
   gpmContainer.id = 'gpm-project-section';
+  gpmContainer.tabIndex = -1; // focusable on click, so Ctrl+Z can tell the sidebar is active
 
   const { parent, before } = gpmFindInsertionPoint(sidebar);
 
@@ -500,10 +654,17 @@ async function gpmRenderTree() {
 
   const projects = await GPMStorage.getProjects();
   const chatMap = await GPMStorage.getChatMap();
-  const rootProjects = GPMStorage.getRootProjects(projects);
+  const trash = await GPMStorage.getTrash();
+  const rootProjects = GPMStorage.getRootProjects(projects).filter(p => !p.archivedAt);
+  gpmChatIndex = await GPMStorage.getChatIndex();
+  const settings = await GPMStorage.getSettings();
+  gpmChatSort = settings.chatSort || 'manual';
+  gpmShortcuts = GPMShortcuts.resolve(settings.shortcuts);
+  gpmTags = await GPMStorage.getTags();
+  if (gpmTagFilter && !gpmTags.some(tag => tag.id === gpmTagFilter)) gpmTagFilter = null;
 
   // ── Auto-resolve chat aliases from sidebar links ──
-  let aliasUpdated = false;
+  const resolvedAliases = {};
   const sidebarLinks = document.querySelectorAll('a[href^="/app/"]');
   const activeChatIds = new Set();
   for (const link of sidebarLinks) {
@@ -516,7 +677,7 @@ async function gpmRenderTree() {
       const title = (link.textContent || '').trim();
       if (title && title !== cid) {
         chatMap[cid].alias = title;
-        aliasUpdated = true;
+        resolvedAliases[cid] = title;
       }
     }
   }
@@ -525,8 +686,8 @@ async function gpmRenderTree() {
   // so DOM-based cleanup caused false positives and data loss.
   // Users can manually remove chats via right-click → "Remove from Project".
 
-  if (aliasUpdated) {
-    await GPMStorage.saveChatMap(chatMap);
+  if (Object.keys(resolvedAliases).length > 0) {
+    await GPMStorage.fillChatAliases(resolvedAliases).catch(e => console.warn('[GPM] Could not fill chat aliases:', e));
   }
 
   // ── Section Header: "Projects ▾" ──
@@ -535,8 +696,8 @@ async function gpmRenderTree() {
 
   const chevron = document.createElement('span');
   chevron.setAttribute('data-gpm', 'header-chevron');
-  chevron.className = 'gpm-open';
-  chevron.textContent = '▾';
+  chevron.className = gpmSectionCollapsed ? 'gpm-closed' : 'gpm-open';
+  chevron.textContent = gpmSectionCollapsed ? '▸' : '▾';
 
   const title = document.createElement('span');
   title.setAttribute('data-gpm', 'header-title');
@@ -547,10 +708,44 @@ async function gpmRenderTree() {
   gear.textContent = '⚙';
   gear.style.cssText = 'cursor:pointer;font-size:14px;opacity:0;transition:opacity 150ms;padding:2px 4px;';
   gear.addEventListener('click', (e) => { e.stopPropagation(); gpmShowSettingsModal(); });
-  header.addEventListener('mouseenter', () => { gear.style.opacity = '0.6'; });
-  header.addEventListener('mouseleave', () => { gear.style.opacity = '0'; });
 
-  header.append(chevron, title, gear);
+  // Search — opens the search bar above the tree, same hover behaviour
+  const find = document.createElement('span');
+  find.textContent = '🔍';
+  find.title = t('search');
+  find.style.cssText = 'cursor:pointer;font-size:12px;opacity:0;transition:opacity 150ms;padding:2px 4px;';
+  find.addEventListener('click', async (e) => {
+    e.stopPropagation();
+    gpmSearchOpen = !gpmSearchOpen;
+    gpmSearchQuery = '';
+    await gpmRenderTree();
+    gpmFocusSearch();
+  });
+
+  // New smart folder — next to the gear, same hover behaviour
+  const smart = document.createElement('span');
+  smart.textContent = '🔎';
+  smart.title = t('newSmartFolder');
+  smart.style.cssText = 'cursor:pointer;font-size:12px;opacity:0;transition:opacity 150ms;padding:2px 4px;';
+  smart.addEventListener('click', (e) => { e.stopPropagation(); gpmShowSmartFolderModal(); });
+
+  const headerIcons = [find, smart, gear];
+  header.addEventListener('mouseenter', () => headerIcons.forEach(icon => { icon.style.opacity = '0.6'; }));
+  header.addEventListener('mouseleave', () => headerIcons.forEach(icon => { icon.style.opacity = '0'; }));
+
+  header.append(chevron, title);
+
+  // Warning badge — shown while the integrity check has unresolved findings
+  if (gpmIntegrityIssues.length) {
+    const warn = document.createElement('span');
+    warn.textContent = '⚠';
+    warn.title = t('integrityIssuesFound');
+    warn.style.cssText = 'cursor:pointer;font-size:13px;padding:2px 4px;color:#f28b82;';
+    warn.addEventListener('click', (e) => { e.stopPropagation(); gpmShowIntegrityReport(gpmIntegrityIssues); });
+    header.appendChild(warn);
+  }
+
+  header.append(find, smart, gear);
   gpmContainer.appendChild(header);
 
   // ── Items List ──
@@ -558,13 +753,14 @@ async function gpmRenderTree() {
   list.setAttribute('data-gpm', 'list');
 
   // Toggle collapse
-  let collapsed = false;
-  header.addEventListener('click', () => {
-    collapsed = !collapsed;
-    list.classList.toggle('gpm-hidden', collapsed);
-    chevron.className = collapsed ? 'gpm-closed' : 'gpm-open';
-    chevron.textContent = collapsed ? '▸' : '▾';
-  });
+  list.classList.toggle('gpm-hidden', gpmSectionCollapsed);
+  header.addEventListener('click', gpmToggleProjectsSection);
+
+  // ── Search bar ── (opened from the header)
+  if (gpmSearchOpen) list.appendChild(gpmCreateSearchBar());
+
+  // ── Tag filter ── (only once a tag exists)
+  if (gpmTags.length > 0) list.appendChild(gpmCreateTagBar());
 
   // ── "+ New Project" row ──
   const newRow = document.createElement('div');
@@ -583,13 +779,39 @@ async function gpmRenderTree() {
   newRow.addEventListener('click', () => gpmShowCreateProjectModal());
   list.appendChild(newRow);
 
+  // ── Suggestions ── (unfiled chats the classifier can place; hidden while filtering)
+  const suggestions = gpmIsFiltering() ? [] : GPMClassifier.suggestUnfiled({ projects, chatMap, chatIndex: gpmChatIndex });
+  if (suggestions.length > 0) list.appendChild(gpmCreateSuggestionsRow(suggestions, projects));
+
   // ── Project Rows ── (sorted by order field)
-  const sortedRootProjects = [...rootProjects].sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+  const sortedRootProjects = rootProjects
+    .filter(p => gpmProjectMatchesFilter(p, projects, chatMap))
+    .sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
   sortedRootProjects.forEach(project => {
     const row = gpmCreateProjectRow(project, projects, chatMap);
     list.appendChild(row);
   });
 
+  // ── Uncategorized ── (chats from Gemini's list that are in no project; untagged, so hidden while filtering by tag)
+  const unfiled = gpmTagFilter ? [] : gpmUnfiledChatIds(chatMap, gpmChatIndex).filter(chatId => gpmChatMatchesSearch(chatId, chatMap));
+  if (unfiled.length > 0) list.appendChild(gpmCreateUnfiledSection(unfiled, projects));
+
+  // ── Archived ── (each archived project whose parents aren't archived, with its subtree)
+  const archived = gpmIsFiltering() ? [] : projects
+    .filter(p => p.archivedAt && !GPMStorage.isArchived(projects, projects.find(parent => parent.id === p.parentId)))
+    .sort((a, b) => b.archivedAt - a.archivedAt);
+  if (archived.length > 0) list.appendChild(gpmCreateArchiveSection(archived, projects, chatMap));
+
+  if (gpmSearchNeedle() && sortedRootProjects.length === 0 && unfiled.length === 0) {
+    const none = document.createElement('div');
+    none.setAttribute('data-gpm', 'search-empty');
+    none.textContent = t('noMatches');
+    list.appendChild(none);
+  }
+
+  // ── Trash ── (only while something is in it)
+  if (trash.length > 0) list.appendChild(gpmCreateTrashSection(trash, projects));
+
   gpmContainer.appendChild(list);
 
   // ── Divider ──
@@ -598,14 +820,48 @@ async function gpmRenderTree() {
   gpmContainer.appendChild(divider);
 }
 
+function gpmCreateSuggestionsRow(suggestions, projects) {
+  const row = document.createElement('div');
+  row.setAttribute('data-gpm', 'item');
+  row.setAttribute('data-gpm-role', 'suggestions');
+
+  const icon = document.createElement('span');
+  icon.setAttribute('data-gpm', 'item-icon');
+  icon.textContent = '✨';
+
+  const label = document.createElement('span');
+  label.setAttribute('data-gpm', 'item-label');
+  label.textContent = t('suggestedProjects');
+
+  const count = document.createElement('span');
+  count.setAttribute('data-gpm', 'item-count');
+  count.textContent = suggestions.length;
+
+  row.append(icon, label, count);
+  row.addEventListener('click', () => gpmShowSuggestionsModal(suggestions, projects));
+  return row;
+}
+
 // ══════════════════════════════════════
 //  CREATE PROJECT ROW (recursive)
 // ══════════════════════════════════════
 
-function gpmCreateProjectRow(project, allProjects, chatMap) {
+// Folder clicks don't wait for the write; never rejects — a failed write is already
+// reported through onWriteError
+function gpmSaveCollapsed(project) {
+  GPMStorage.setProjectsCollapsed(project.collapsed, [project.id]).catch(e => console.warn('[GPM] Could not save folder state:', e));
+}
+
+// `inArchive`: the row is part of the Archived section, where archived subfolders are shown too
+// `inMatch`: a parent matched the search, so everything below it is shown
+function gpmCreateProjectRow(project, allProjects, chatMap, { inArchive = false, inMatch = false } = {}) {
+  if (GPMStorage.isSmartFolder(project)) return gpmCreateSmartFolderRow(project, allProjects, chatMap, { inMatch });
   const frag = document.createDocumentFragment();
-  const children = allProjects.filter(p => p.parentId === project.id);
-  const chatIds = project.chatIds || [];
+  const ignoreSearch = inMatch || gpmProjectMatchesSearch(project);
+  const children = allProjects.filter(p => p.parentId === project.id && (inArchive || !p.archivedAt) &&
+    gpmProjectMatchesFilter(p, allProjects, chatMap, { ignoreSearch }));
+  const chatIds = (project.chatIds || []).filter(chatId => gpmChatMatchesFilter(chatId, chatMap, { ignoreSearch }));
+  const refIds = gpmRefChatIds(project.id, chatMap).filter(chatId => gpmChatMatchesFilter(chatId, chatMap, { ignoreSearch }));
 
   // ── Main row ──
   const row = document.createElement('div');
@@ -619,7 +875,7 @@ function gpmCreateProjectRow(project, allProjects, chatMap) {
 
   const label = document.createElement('span');
   label.setAttribute('data-gpm', 'item-label');
-  label.textContent = project.name;
+  gpmSetHighlightedText(label, project.name);
 
   const count = document.createElement('span');
   count.setAttribute('data-gpm', 'item-count');
@@ -639,31 +895,36 @@ function gpmCreateProjectRow(project, allProjects, chatMap) {
   row.addEventListener('dragend', () => { row.style.opacity = ''; });
 
   // Click to expand/collapse
-  const hasContent = children.length > 0 || chatIds.length > 0;
+  const hasContent = children.length > 0 || chatIds.length > 0 || refIds.length > 0;
   let subList = null;
 
   if (hasContent) {
     subList = document.createElement('div');
     subList.setAttribute('data-gpm', 'sublist');
-    if (project.collapsed) subList.classList.add('gpm-hidden');
+    // While filtering, show every match instead of leaving them in collapsed folders
+    if (project.collapsed && !gpmIsFiltering()) subList.classList.add('gpm-hidden');
 
     // Child projects FIRST (subfolders above chats)
     children.forEach(child => {
-      const childRow = gpmCreateProjectRow(child, allProjects, chatMap);
+      const childRow = gpmCreateProjectRow(child, allProjects, chatMap, { inArchive, inMatch: ignoreSearch });
       subList.appendChild(childRow);
     });
 
     // Then chats (pinned first)
-    const sorted = [...chatIds].sort((a, b) => (chatMap[b]?.pinned ? 1 : 0) - (chatMap[a]?.pinned ? 1 : 0));
-    sorted.forEach(chatId => {
+    gpmSortChatIds(chatIds, chatMap).forEach(chatId => {
       const chatRow = gpmCreateChatRow(chatId, chatMap[chatId], project, allProjects);
       subList.appendChild(chatRow);
     });
 
+    // Then chats whose home is another project
+    gpmSortChatIds(refIds, chatMap).forEach(chatId => {
+      subList.appendChild(gpmCreateChatRow(chatId, chatMap[chatId], project, allProjects, { isRef: true }));
+    });
+
     row.addEventListener('click', (e) => {
       if (e.target.closest('[data-gpm="chat"]')) return;
       project.collapsed = !project.collapsed;
-      GPMStorage.updateProject(project.id, { collapsed: project.collapsed });
+      gpmSaveCollapsed(project);
       subList.classList.toggle('gpm-hidden');
     });
   }
@@ -698,65 +959,12 @@ function gpmCreateProjectRow(project, allProjects, chatMap) {
     // Check if a PROJECT is being dropped
     const droppedProjectId = e.dataTransfer.getData('text/gpm-project-id');
     if (droppedProjectId && droppedProjectId !== project.id) {
-      const isDescendant = (parentId, childId) => {
-        const p = allProjects.find(pr => pr.id === childId);
-        if (!p) return false;
-        if (p.parentId === parentId) return true;
-        if (p.parentId) return isDescendant(parentId, p.parentId);
-        return false;
-      };
-
-      if (isDescendant(droppedProjectId, project.id)) {
-        console.warn('[GPM] Cannot move project into its own descendant');
-        return;
-      }
-
-      const projects = await GPMStorage.getProjects();
-      const droppedProject = projects.find(p => p.id === droppedProjectId);
-      if (!droppedProject) return;
-
-      if (zone === 'center') {
-        // ── NEST: move droppedProject INTO project ──
-        if (droppedProject.parentId) {
-          const oldParent = projects.find(p => p.id === droppedProject.parentId);
-          if (oldParent) oldParent.children = oldParent.children.filter(c => c !== droppedProjectId);
-        }
-        droppedProject.parentId = project.id;
-        if (!project.children) project.children = [];
-        if (!project.children.includes(droppedProjectId)) project.children.push(droppedProjectId);
-        await GPMStorage.saveProjects(projects);
-      } else {
-        // ── REORDER: move droppedProject before/after project (same level) ──
-        const sameParentId = project.parentId || null;
-
-        // Remove from old parent
-        if (droppedProject.parentId) {
-          const oldParent = projects.find(p => p.id === droppedProject.parentId);
-          if (oldParent) oldParent.children = oldParent.children.filter(c => c !== droppedProjectId);
-        }
-        droppedProject.parentId = sameParentId;
-
-        // Reorder in parent's children array or root
-        if (sameParentId) {
-          const parent = projects.find(p => p.id === sameParentId);
-          if (parent) {
-            parent.children = parent.children.filter(c => c !== droppedProjectId);
-            const targetIdx = parent.children.indexOf(project.id);
-            const insertIdx = zone === 'top' ? targetIdx : targetIdx + 1;
-            parent.children.splice(Math.max(0, insertIdx), 0, droppedProjectId);
-          }
-        } else {
-          // Root level — reorder via order field
-          const rootProjects = projects.filter(p => !p.parentId);
-          const targetIdx = rootProjects.findIndex(p => p.id === project.id);
-          const insertIdx = zone === 'top' ? targetIdx : targetIdx + 1;
-          // Rebuild order by assigning order values
-          rootProjects.splice(rootProjects.findIndex(p => p.id === droppedProjectId), 1);
-          rootProjects.splice(Math.max(0, insertIdx), 0, droppedProject);
-          rootProjects.forEach((p, i) => { p.order = i; });
-        }
-        await GPMStorage.saveProjects(projects);
-      }
+      // center = nest INTO project, top/bottom = reorder before/after it on the same level
+      const position = zone === 'center' ? 'inside' : zone === 'top' ? 'before' : 'after';
+      const dropped = allProjects.find(p => p.id === droppedProjectId);
+      const moved = await gpmRecord(`${t('moveProject')}: ${dropped?.name || ''}`,
+        (storage) => storage.moveProject(droppedProjectId, project.id, position));
+      if (!moved) console.warn('[GPM] Cannot move project into its own descendant');
       gpmRenderTree();
       return;
     }
@@ -791,11 +999,8 @@ function gpmCreateProjectRow(project, allProjects, chatMap) {
     if (chatId && chatId.trim() && !chatId.startsWith('http')) {
       const cleanId = chatId.trim();
       const chatTitle = e.dataTransfer.getData('text/gpm-chat-title');
-      await GPMStorage.assignChat(cleanId, project.id);
-      if (chatTitle) {
-        const cm = await GPMStorage.getChatMap();
-        if (!cm[cleanId]?.alias) await GPMStorage.setChatAlias(cleanId, chatTitle);
-      }
+      await gpmRecord(`${t('moveToProject')}: ${project.name}`,
+        (storage) => storage.assignChat(cleanId, project.id, { alias: chatTitle }));
       gpmRenderTree();
     }
   });
@@ -812,30 +1017,163 @@ function gpmCreateProjectRow(project, allProjects, chatMap) {
   return frag;
 }
 
+// ══════════════════════════════════════
+//  SMART FOLDER ROW
+// ══════════════════════════════════════
+
+// Chats the smart folder's query matches right now
+function gpmSmartFolderChatIds(project, allProjects, chatMap) {
+  return GPMQuery.run(project.query, { projects: allProjects, chatMap, chatIndex: gpmChatIndex });
+}
+
+// Like a project row, but read-only: its chats come from the query, so it takes no chat
+// or subfolder drops — only reordering next to other rows
+function gpmCreateSmartFolderRow(project, allProjects, chatMap, { inMatch = false } = {}) {
+  const frag = document.createDocumentFragment();
+  const ignoreSearch = inMatch || gpmProjectMatchesSearch(project);
+  const chatIds = gpmSmartFolderChatIds(project, allProjects, chatMap).filter(chatId => gpmChatMatchesFilter(chatId, chatMap, { ignoreSearch }));
+
+  const row = document.createElement('div');
+  row.setAttribute('data-gpm', 'item');
+  row.classList.add('gpm-smart');
+  row.dataset.projectId = project.id;
+  row.draggable = true;
+  row.title = t('smartFolder');
+
+  const icon = document.createElement('span');
+  icon.setAttribute('data-gpm', 'item-icon');
+  icon.textContent = project.icon;
+
+  const label = document.createElement('span');
+  label.setAttribute('data-gpm', 'item-label');
+  gpmSetHighlightedText(label, project.name);
+
+  const count = document.createElement('span');
+  count.setAttribute('data-gpm', 'item-count');
+  count.textContent = chatIds.length > 0 ? chatIds.length : '';
+
+  row.append(icon, label, count);
+
+  row.addEventListener('dragstart', (e) => {
+    e.stopPropagation();
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/gpm-project-id', project.id);
+    e.dataTransfer.setData('text/gpm-project-parentid', project.parentId || '');
+    row.style.opacity = '0.5';
+  });
+  row.addEventListener('dragend', () => { row.style.opacity = ''; });
+
+  let subList = null;
+  if (chatIds.length > 0) {
+    subList = document.createElement('div');
+    subList.setAttribute('data-gpm', 'sublist');
+    if (project.collapsed && !gpmIsFiltering()) subList.classList.add('gpm-hidden');
+    gpmSortChatIds(chatIds, chatMap).forEach(chatId => {
+      subList.appendChild(gpmCreateChatRow(chatId, chatMap[chatId], project, allProjects, { isSmart: true }));
+    });
+
+    row.addEventListener('click', () => {
+      project.collapsed = !project.collapsed;
+      gpmSaveCollapsed(project);
+      subList.classList.toggle('gpm-hidden');
+    });
+  }
+
+  // Only other project rows can be dropped here, above or below
+  row.addEventListener('dragover', (e) => {
+    if (!e.dataTransfer.types.includes('text/gpm-project-id')) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    const rect = row.getBoundingClientRect();
+    const zone = (e.clientY - rect.top) < rect.height / 2 ? 'top' : 'bottom';
+    row.dataset.dropZone = zone;
+    row.classList.remove('gpm-drag-top', 'gpm-drag-bottom');
+    row.classList.add(zone === 'top' ? 'gpm-drag-top' : 'gpm-drag-bottom');
+  });
+
+  row.addEventListener('dragleave', () => {
+    row.classList.remove('gpm-drag-top', 'gpm-drag-bottom');
+    delete row.dataset.dropZone;
+  });
+
+  row.addEventListener('drop', async (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const position = row.dataset.dropZone === 'top' ? 'before' : 'after';
+    row.classList.remove('gpm-drag-top', 'gpm-drag-bottom');
+    delete row.dataset.dropZone;
+
+    const droppedProjectId = e.dataTransfer.getData('text/gpm-project-id');
+    if (!droppedProjectId || droppedProjectId === project.id) return;
+    const dropped = allProjects.find(p => p.id === droppedProjectId);
+    await gpmRecord(`${t('moveProject')}: ${dropped?.name || ''}`,
+      (storage) => storage.moveProject(droppedProjectId, project.id, position));
+    gpmRenderTree();
+  });
+
+  row.addEventListener('contextmenu', (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    gpmShowSmartFolderContextMenu(e.clientX, e.clientY, project, allProjects);
+  });
+
+  frag.appendChild(row);
+  if (subList) frag.appendChild(subList);
+  return frag;
+}
+
 // ══════════════════════════════════════
 //  CREATE CHAT ROW
 // ══════════════════════════════════════
 
-function gpmCreateChatRow(chatId, mapping, project, allProjects) {
-  const alias = mapping?.alias || chatId;
+// `project`: the project the row is listed in; null in the Uncategorized section
+// `isRef`: the row lists a chat whose home is another project (see Chat Map refs)
+// `isSmart`: the row is a query match in a smart folder — the chat may not be filed at all
+function gpmCreateChatRow(chatId, mapping, project, allProjects, { isRef = false, isSmart = false } = {}) {
+  const alias = mapping?.alias || gpmChatIndex[chatId]?.title || chatId;
   const pinned = mapping?.pinned || false;
   const currentChatId = gpmGetCurrentChatId();
 
   const row = document.createElement('div');
   row.setAttribute('data-gpm', 'chat');
+  row.dataset.chatId = chatId;
   if (pinned) row.classList.add('gpm-pinned');
   if (chatId === currentChatId) row.classList.add('gpm-active');
   row.draggable = true;
 
   const dot = document.createElement('span');
   dot.setAttribute('data-gpm', 'chat-dot');
-  dot.style.background = project.color;
+  dot.style.background = project?.color;
+  if (isSmart || !project) {
+    const home = allProjects.find(p => p.id === mapping?.projectId);
+    dot.style.background = home?.color || 'transparent';
+    if (!home) dot.classList.add('gpm-unfiled');
+  }
 
   const label = document.createElement('span');
   label.setAttribute('data-gpm', 'chat-label');
-  label.textContent = alias;
+  gpmSetHighlightedText(label, alias);
 
   row.append(dot, label);
+  for (const tag of gpmTags.filter(tag => mapping?.tags?.includes(tag.id))) {
+    const chip = document.createElement('span');
+    chip.setAttribute('data-gpm', 'chat-tag');
+    chip.style.setProperty('--gpm-tag-color', tag.color);
+    gpmSetHighlightedText(chip, tag.name);
+    row.appendChild(chip);
+  }
+  row.title = gpmChatTooltip(chatId, mapping);
+
+  if (isRef) {
+    const home = allProjects.find(p => p.id === mapping.projectId);
+    row.classList.add('gpm-ref');
+    dot.style.background = home?.color || project.color;
+    const ref = document.createElement('span');
+    ref.setAttribute('data-gpm', 'chat-ref');
+    ref.textContent = '↗';
+    ref.title = `${t('homeProject')}: ${home?.name || '—'}`;
+    row.appendChild(ref);
+  }
 
   row.addEventListener('click', (e) => {
     e.stopPropagation();
@@ -846,7 +1184,7 @@ function gpmCreateChatRow(chatId, mapping, project, allProjects) {
     e.dataTransfer.effectAllowed = 'copyMove';
     e.dataTransfer.setData('text/gpm-chat-id', chatId);
     e.dataTransfer.setData('text/plain', chatId);
-    e.dataTransfer.setData('text/gpm-chat-projectid', project.id);
+    if (project) e.dataTransfer.setData('text/gpm-chat-projectid', project.id);
     row.style.opacity = '0.5';
   });
   row.addEventListener('dragend', () => { row.style.opacity = ''; });
@@ -854,7 +1192,8 @@ function gpmCreateChatRow(chatId, mapping, project, allProjects) {
   // Chat reorder: drop on another chat row
   row.addEventListener('dragover', (e) => {
     const draggingChatId = e.dataTransfer.types.includes('text/gpm-chat-id');
-    if (!draggingChatId) return;
+    // Reference rows, smart folder matches and unfiled chats aren't part of a project's own order
+    if (!draggingChatId || isRef || isSmart || !project) return;
     e.preventDefault();
     e.stopPropagation();
     const rect = row.getBoundingClientRect();
@@ -878,128 +1217,566 @@ function gpmCreateChatRow(chatId, mapping, project, allProjects) {
     row.classList.remove('gpm-drag-top', 'gpm-drag-bottom');
     delete row.dataset.dropZone;
 
-    // Reorder chatIds within the same project
-    const projects = await GPMStorage.getProjects();
-    const proj = projects.find(p => p.id === project.id);
-    if (!proj) return;
-
-    const ids = proj.chatIds || [];
-    const fromIdx = ids.indexOf(droppedChatId);
-    const toIdx = ids.indexOf(chatId);
-    if (fromIdx === -1) {
-      // Chat from another project — assign first
-      await GPMStorage.assignChat(droppedChatId, project.id);
-      gpmRenderTree();
-      return;
-    }
-
-    // Reorder within same project
-    ids.splice(fromIdx, 1);
-    const newIdx = ids.indexOf(chatId);
-    ids.splice(zone === 'top' ? newIdx : newIdx + 1, 0, droppedChatId);
-    proj.chatIds = ids;
-    await GPMStorage.saveProjects(projects);
+    // Reorder within the project (a chat from another project is moved here first)
+    await gpmRecord(`${t('reorderChats')}: ${project.name}`,
+      (storage) => storage.reorderChat(project.id, droppedChatId, chatId, zone === 'top' ? 'before' : 'after'));
     gpmRenderTree();
   });
 
   row.addEventListener('contextmenu', (e) => {
     e.preventDefault();
     e.stopPropagation();
-    gpmShowChatContextMenu(e.clientX, e.clientY, chatId, mapping, allProjects);
+    gpmShowChatContextMenu(e.clientX, e.clientY, chatId, mapping, allProjects, { refProjectId: isRef ? project.id : null });
   });
 
   return row;
 }
 
 // ══════════════════════════════════════
-//  CONTEXT MENUS (using Shadow DOM modal host)
+//  UNCATEGORIZED SECTION
 // ══════════════════════════════════════
 
-function gpmShowProjectContextMenu(x, y, project, allProjects) {
-  console.log('[GPM] Showing project context menu for:', project.name);
-  if (!gpmModalRoot) {
-    console.error('[GPM] Modal root not initialized!');
-    return;
-  }
-
-  GPMUI.showContextMenu(gpmModalRoot, {
-    x, y,
-    items: [
-      {
-        icon: '💬', label: t('newChatInProject'), action: () => {
-          console.log('[GPM] New chat in project clicked:', project.name, 'projectId:', project.id);
-          gpmPendingChatAssignment = { projectId: project.id, _ts: Date.now() };
-          console.log('[GPM] Pending assignment set:', gpmPendingChatAssignment);
-          gpmTriggerNewChat();
-        }
-      },
-      {
-        icon: '📂', label: t('createSubfolder'), action: () => {
-          console.log('[GPM] Create subfolder clicked');
-          GPMUI.createProjectModal(gpmModalRoot, {
-            isSubfolder: true,
-            onSave: async ({ name, icon, color }) => { await GPMStorage.createProject({ name, icon, color, parentId: project.id }); gpmRenderTree(); },
-            onCancel: () => { }
-          });
-        }
-      },
-      { divider: true },
-      {
-        icon: '✏️', label: t('rename'), action: () => {
-          console.log('[GPM] Rename clicked');
-          GPMUI.createProjectModal(gpmModalRoot, {
-            existing: project,
-            onSave: async ({ name, icon, color }) => { await GPMStorage.updateProject(project.id, { name, icon, color }); gpmRenderTree(); },
-            onCancel: () => { }
-          });
-        }
-      },
-      { divider: true },
-      {
-        icon: '🗑️', label: t('delete'), danger: true, action: async () => {
-          console.log('[GPM] Delete clicked');
-          if (confirm(t('deleteConfirm'))) { await GPMStorage.deleteProject(project.id); gpmRenderTree(); }
-        }
-      }
-    ]
-  });
+// Chats seen in Gemini's list that have no chat map entry, most recently active first
+function gpmUnfiledChatIds(chatMap, chatIndex) {
+  const active = (chatId) => chatIndex[chatId].lastOpened || chatIndex[chatId].firstSeen || 0;
+  return Object.keys(chatIndex).filter(chatId => !chatMap[chatId]).sort((a, b) => active(b) - active(a));
 }
 
-function gpmShowChatContextMenu(x, y, chatId, mapping, allProjects) {
-  if (!gpmModalRoot) return;
-  const isPinned = mapping?.pinned || false;
+function gpmCreateUnfiledSection(chatIds, allProjects) {
+  const frag = document.createDocumentFragment();
 
-  const moveSubmenu = allProjects.map(p => ({
-    icon: p.icon, label: p.name,
-    action: async () => { await GPMStorage.assignChat(chatId, p.id); gpmRenderTree(); }
-  }));
+  const row = document.createElement('div');
+  row.setAttribute('data-gpm', 'item');
+  row.setAttribute('data-gpm-role', 'unfiled');
 
-  GPMUI.showContextMenu(gpmModalRoot, {
-    x, y,
-    items: [
-      {
-        icon: isPinned ? '📌' : '📍', label: isPinned ? t('unpinChat') : t('pinChat'),
-        action: async () => { await GPMStorage.togglePinChat(chatId); gpmRenderTree(); }
-      },
-      {
-        icon: '✏️', label: t('renameChat'), action: () => {
-          GPMUI.createRenameModal(gpmModalRoot, {
-            currentName: mapping?.alias || chatId,
-            onSave: async (n) => { await GPMStorage.setChatAlias(chatId, n); gpmRenderTree(); },
-            onCancel: () => { }
-          });
-        }
-      },
-      { icon: '📂', label: t('moveToProject'), submenu: moveSubmenu },
-      { divider: true },
+  const icon = document.createElement('span');
+  icon.setAttribute('data-gpm', 'item-icon');
+  icon.textContent = '📥';
+
+  const label = document.createElement('span');
+  label.setAttribute('data-gpm', 'item-label');
+  label.textContent = t('uncategorized');
+
+  // Triage — only visible on row hover, like the header icons
+  const triage = document.createElement('span');
+  triage.textContent = '⌨️';
+  triage.title = t('triage');
+  triage.style.cssText = 'cursor:pointer;font-size:12px;opacity:0;transition:opacity 150ms;padding:0 4px;';
+  triage.addEventListener('click', (e) => { e.stopPropagation(); gpmShowTriageModal(); });
+  row.addEventListener('mouseenter', () => { triage.style.opacity = '0.6'; });
+  row.addEventListener('mouseleave', () => { triage.style.opacity = '0'; });
+
+  const count = document.createElement('span');
+  count.setAttribute('data-gpm', 'item-count');
+  count.textContent = chatIds.length;
+
+  row.append(icon, label, triage, count);
+
+  const subList = document.createElement('div');
+  subList.setAttribute('data-gpm', 'sublist');
+  if (!gpmUnfiledExpanded && !gpmSearchNeedle()) subList.classList.add('gpm-hidden');
+  chatIds.forEach(chatId => subList.appendChild(gpmCreateChatRow(chatId, undefined, null, allProjects)));
+
+  row.addEventListener('click', () => {
+    gpmUnfiledExpanded = !gpmUnfiledExpanded;
+    subList.classList.toggle('gpm-hidden', !gpmUnfiledExpanded);
+  });
+
+  row.addEventListener('contextmenu', (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    if (!gpmModalRoot) return;
+    GPMUI.showContextMenu(gpmModalRoot, {
+      x: e.clientX, y: e.clientY,
+      items: [{ icon: '⌨️', label: t('triage'), action: () => gpmShowTriageModal() }]
+    });
+  });
+
+  frag.append(row, subList);
+  return frag;
+}
+
+// ══════════════════════════════════════
+//  ARCHIVED SECTION
+// ══════════════════════════════════════
+
+function gpmCreateArchiveSection(archived, allProjects, chatMap) {
+  const frag = document.createDocumentFragment();
+
+  const row = document.createElement('div');
+  row.setAttribute('data-gpm', 'item');
+  row.setAttribute('data-gpm-role', 'archive');
+
+  const icon = document.createElement('span');
+  icon.setAttribute('data-gpm', 'item-icon');
+  icon.textContent = '🗄️';
+
+  const label = document.createElement('span');
+  label.setAttribute('data-gpm', 'item-label');
+  label.textContent = t('archived');
+
+  const count = document.createElement('span');
+  count.setAttribute('data-gpm', 'item-count');
+  count.textContent = archived.length;
+
+  row.append(icon, label, count);
+
+  const subList = document.createElement('div');
+  subList.setAttribute('data-gpm', 'sublist');
+  if (!gpmArchiveExpanded) subList.classList.add('gpm-hidden');
+  archived.forEach(project => subList.appendChild(gpmCreateProjectRow(project, allProjects, chatMap, { inArchive: true })));
+
+  row.addEventListener('click', () => {
+    gpmArchiveExpanded = !gpmArchiveExpanded;
+    subList.classList.toggle('gpm-hidden', !gpmArchiveExpanded);
+  });
+
+  frag.append(row, subList);
+  return frag;
+}
+
+// ══════════════════════════════════════
+//  TRASH SECTION
+// ══════════════════════════════════════
+
+function gpmCreateTrashSection(trash, allProjects) {
+  const frag = document.createDocumentFragment();
+
+  const row = document.createElement('div');
+  row.setAttribute('data-gpm', 'item');
+  row.setAttribute('data-gpm-role', 'trash');
+
+  const icon = document.createElement('span');
+  icon.setAttribute('data-gpm', 'item-icon');
+  icon.textContent = '🗑️';
+
+  const label = document.createElement('span');
+  label.setAttribute('data-gpm', 'item-label');
+  label.textContent = t('trash');
+
+  const count = document.createElement('span');
+  count.setAttribute('data-gpm', 'item-count');
+  count.textContent = trash.length;
+
+  row.append(icon, label, count);
+
+  const subList = document.createElement('div');
+  subList.setAttribute('data-gpm', 'sublist');
+  if (!gpmTrashExpanded) subList.classList.add('gpm-hidden');
+  trash.forEach(item => subList.appendChild(gpmCreateTrashItemRow(item, allProjects)));
+
+  row.addEventListener('click', () => {
+    gpmTrashExpanded = !gpmTrashExpanded;
+    subList.classList.toggle('gpm-hidden', !gpmTrashExpanded);
+  });
+
+  row.addEventListener('contextmenu', (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    if (!gpmModalRoot) return;
+    GPMUI.showContextMenu(gpmModalRoot, {
+      x: e.clientX, y: e.clientY,
+      items: [{
+        icon: '🗑️', label: t('emptyTrash'), danger: true, action: async () => {
+          if (!confirm(t('emptyTrashConfirm'))) return;
+          await gpmRecord(t('emptyTrash'), (storage) => storage.emptyTrash());
+          gpmRenderTree();
+        }
+      }]
+    });
+  });
+
+  frag.append(row, subList);
+  return frag;
+}
+
+function gpmCreateTrashItemRow(item, allProjects) {
+  const row = document.createElement('div');
+  row.setAttribute('data-gpm', 'chat');
+  row.setAttribute('data-gpm-role', 'trash-item');
+
+  const dot = document.createElement('span');
+  dot.setAttribute('data-gpm', 'chat-dot');
+
+  const label = document.createElement('span');
+  label.setAttribute('data-gpm', 'chat-label');
+
+  const deleted = `${t('deletedOn')} ${new Date(item.deletedAt).toLocaleString()}`;
+  let name;
+  if (item.type === 'project') {
+    const [root, ...subfolders] = item.projects;
+    const chatCount = Object.keys(item.chatMap).length;
+    name = root.name;
+    dot.style.background = root.color;
+    label.textContent = `${root.icon} ${root.name}${chatCount ? ` · ${chatCount}` : ''}`;
+    // Tooltip shows what comes back on restore: subfolders and chat aliases
+    row.title = [deleted, ...subfolders.map(p => `📂 ${p.name}`), ...Object.entries(item.chatMap).map(([id, m]) => `💬 ${m.alias || id}`)].join('\n');
+  } else {
+    const project = allProjects.find(p => p.id === item.mapping.projectId);
+    name = item.mapping.alias || item.chatId;
+    dot.style.background = project?.color || '#9aa0a6';
+    label.textContent = name;
+    row.title = `${deleted}\n${project ? `${project.icon} ${project.name}` : '—'}`;
+  }
+
+  row.append(dot, label);
+
+  const restore = async () => {
+    const ok = await gpmRecord(`${t('restore')}: ${name}`, (storage) => storage.restoreFromTrash(item.id));
+    if (!ok) alert(t('restoreTargetMissing'));
+    gpmRenderTree();
+  };
+
+  row.addEventListener('contextmenu', (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    if (!gpmModalRoot) return;
+    GPMUI.showContextMenu(gpmModalRoot, {
+      x: e.clientX, y: e.clientY,
+      items: [
+        { icon: '↩️', label: t('restore'), action: restore },
+        { divider: true },
+        {
+          icon: '🗑️', label: t('deletePermanently'), danger: true, action: async () => {
+            if (!confirm(t('deleteConfirm'))) return;
+            await gpmRecord(`${t('deletePermanently')}: ${name}`, (storage) => storage.deleteFromTrash(item.id));
+            gpmRenderTree();
+          }
+        }
+      ]
+    });
+  });
+
+  return row;
+}
+
+// ══════════════════════════════════════
+//  CONTEXT MENUS (using Shadow DOM modal host)
+// ══════════════════════════════════════
+
+function gpmShowProjectContextMenu(x, y, project, allProjects) {
+  console.log('[GPM] Showing project context menu for:', project.name);
+  if (!gpmModalRoot) {
+    console.error('[GPM] Modal root not initialized!');
+    return;
+  }
+
+  GPMUI.showContextMenu(gpmModalRoot, {
+    x, y,
+    items: [
       {
-        icon: '🗑️', label: t('removeFromProject'), danger: true,
-        action: async () => { await GPMStorage.unassignChat(chatId); gpmRenderTree(); }
+        icon: '💬', label: t('newChatInProject'), action: () => gpmStartChatInProject(project)
+      },
+      {
+        icon: '📂', label: t('createSubfolder'), action: () => {
+          console.log('[GPM] Create subfolder clicked');
+          GPMUI.createProjectModal(gpmModalRoot, {
+            isSubfolder: true,
+            onSave: async ({ name, icon, color }) => {
+              await gpmRecord(`${t('createSubfolder')}: ${name}`, (storage) => storage.createProject({ name, icon, color, parentId: project.id }));
+              gpmRenderTree();
+            },
+            onCancel: () => { }
+          });
+        }
+      },
+      { divider: true },
+      {
+        icon: '✏️', label: t('rename'), action: () => {
+          console.log('[GPM] Rename clicked');
+          GPMUI.createProjectModal(gpmModalRoot, {
+            existing: project,
+            onSave: async ({ name, icon, color }) => {
+              await gpmRecord(`${t('rename')}: ${project.name}`, (storage) => storage.updateProject(project.id, { name, icon, color }));
+              gpmRenderTree();
+            },
+            onCancel: () => { }
+          });
+        }
+      },
+      { icon: '📝', label: t('notes'), action: () => gpmShowNotesDrawer({ projectId: project.id }) },
+      {
+        icon: '🧭', label: t('projectContext'), action: () => {
+          GPMUI.createProjectContextModal(gpmModalRoot, {
+            project,
+            inherited: GPMStorage.getProjectContext(allProjects, project.parentId),
+            onSave: async (context) => {
+              await gpmRecord(`${t('projectContext')}: ${project.name}`, (storage) => storage.setProjectContext(project.id, context));
+              gpmRenderTree();
+            }
+          });
+        }
+      },
+      gpmArchiveMenuItem(project, allProjects),
+      { divider: true },
+      {
+        icon: '🗑️', label: t('delete'), danger: true, action: async () => {
+          console.log('[GPM] Delete clicked');
+          if (!confirm(t('deleteConfirm'))) return;
+          await gpmRecord(`${t('delete')}: ${project.name}`, (storage) => storage.deleteProject(project.id), { toast: true });
+          gpmRenderTree();
+        }
+      }
+    ].filter(Boolean)
+  });
+}
+
+// Archive, or Unarchive for an archived project; nothing for the subfolders of one
+function gpmArchiveMenuItem(project, allProjects) {
+  if (project.archivedAt) {
+    return {
+      icon: '📤', label: t('unarchive'), action: async () => {
+        await gpmRecord(`${t('unarchive')}: ${project.name}`, (storage) => storage.unarchiveProject(project.id));
+        gpmRenderTree();
+      }
+    };
+  }
+  if (GPMStorage.isArchived(allProjects, project)) return null;
+  return {
+    icon: '🗄️', label: t('archive'), action: async () => {
+      await gpmRecord(`${t('archive')}: ${project.name}`, (storage) => storage.archiveProject(project.id), { toast: true });
+      gpmRenderTree();
+    }
+  };
+}
+
+function gpmShowSmartFolderContextMenu(x, y, project, allProjects) {
+  if (!gpmModalRoot) return;
+  GPMUI.showContextMenu(gpmModalRoot, {
+    x, y,
+    items: [
+      { icon: '✏️', label: t('editSmartFolder'), action: () => gpmShowSmartFolderModal(project) },
+      gpmArchiveMenuItem(project, allProjects),
+      { divider: true },
+      {
+        icon: '🗑️', label: t('delete'), danger: true, action: async () => {
+          if (!confirm(t('deleteConfirm'))) return;
+          await gpmRecord(`${t('delete')}: ${project.name}`, (storage) => storage.deleteProject(project.id), { toast: true });
+          gpmRenderTree();
+        }
       }
     ]
   });
 }
 
+// `refProjectId`: the menu was opened on the chat's reference row in that project
+// `suggestion`: GPMClassifier.suggest() result for an unfiled chat, offered first
+function gpmShowChatContextMenu(x, y, chatId, mapping, allProjects, { refProjectId = null, suggestion = null } = {}) {
+  if (!gpmModalRoot) return;
+  const isPinned = mapping?.pinned || false;
+  const alias = mapping?.alias || chatId;
+
+  const folders = allProjects.filter(p => !GPMStorage.isSmartFolder(p) && !GPMStorage.isArchived(allProjects, p));
+  const moveSubmenu = folders.map(p => ({
+    icon: p.icon, label: p.name,
+    action: async () => {
+      await gpmRecord(`${t('moveToProject')}: ${p.name}`, (storage) => storage.assignChat(chatId, p.id));
+      gpmRenderTree();
+    }
+  }));
+
+  // Secondary references — only for filed chats, to projects that don't list it yet
+  const refProject = refProjectId && allProjects.find(p => p.id === refProjectId);
+  const refSubmenu = !mapping ? [] : folders
+    .filter(p => p.id !== mapping.projectId && !mapping.refs?.includes(p.id))
+    .map(p => ({
+      icon: p.icon, label: p.name,
+      action: async () => {
+        await gpmRecord(`${t('alsoShowIn')}: ${p.name}`, (storage) => storage.addChatRef(chatId, p.id));
+        gpmRenderTree();
+      }
+    }));
+
+  const suggested = suggestion && folders.find(p => p.id === suggestion.projectId);
+
+  GPMUI.showContextMenu(gpmModalRoot, {
+    x, y,
+    items: [
+      suggested && {
+        icon: '✨', label: `${t('suggested')}: ${suggested.name}`,
+        action: async () => {
+          await gpmRecord(`${t('moveToProject')}: ${suggested.name}`, (storage) => storage.assignChat(chatId, suggested.id));
+          gpmRenderTree();
+        }
+      },
+      suggested && { divider: true },
+      // Pin and alias live in the chat's mapping — unfiled chats have none yet
+      mapping && {
+        icon: isPinned ? '📌' : '📍', label: isPinned ? t('unpinChat') : t('pinChat'),
+        action: async () => {
+          await gpmRecord(isPinned ? t('unpinChat') : t('pinChat'), (storage) => storage.togglePinChat(chatId));
+          gpmRenderTree();
+        }
+      },
+      mapping && {
+        icon: '✏️', label: t('renameChat'), action: () => {
+          GPMUI.createRenameModal(gpmModalRoot, {
+            currentName: mapping.alias || chatId,
+            onSave: async (n) => {
+              await gpmRecord(`${t('renameChat')}: ${n}`, (storage) => storage.setChatAlias(chatId, n));
+              gpmRenderTree();
+            },
+            onCancel: () => { }
+          });
+        }
+      },
+      { icon: '📂', label: t('moveToProject'), submenu: moveSubmenu },
+      mapping && { icon: '🏷️', label: t('tags'), submenu: gpmTagSubmenu(chatId, mapping) },
+      mapping && { icon: '📝', label: t('notes'), action: () => gpmShowNotesDrawer({ chatId }) },
+      refSubmenu.length > 0 && { icon: '🔗', label: t('alsoShowIn'), submenu: refSubmenu },
+      refProject && {
+        icon: '🏠', label: t('makeHomeProject'),
+        action: async () => {
+          await gpmRecord(`${t('makeHomeProject')}: ${refProject.name}`, (storage) => storage.makeChatPrimary(chatId, refProject.id));
+          gpmRenderTree();
+        }
+      },
+      { divider: true },
+      refProject ? {
+        icon: '✖', label: t('removeReference'), danger: true,
+        action: async () => {
+          await gpmRecord(`${t('removeReference')}: ${alias}`, (storage) => storage.removeChatRef(chatId, refProject.id), { toast: true });
+          gpmRenderTree();
+        }
+      } : {
+        icon: '🗑️', label: t('removeFromProject'), danger: true,
+        action: async () => {
+          await gpmRecord(`${t('removeFromProject')}: ${alias}`, (storage) => storage.unassignChat(chatId), { toast: true });
+          gpmRenderTree();
+        }
+      }
+    ].filter(Boolean)
+  });
+}
+
+// ══════════════════════════════════════
+//  NOTES
+// ══════════════════════════════════════
+
+// Open the notes drawer of { projectId } or of a filed { chatId }
+async function gpmShowNotesDrawer(target) {
+  if (!gpmModalRoot) return;
+  let projects = await GPMStorage.getProjects();
+  let chatMap = await GPMStorage.getChatMap();
+  const project = target.projectId && projects.find(p => p.id === target.projectId);
+  const mapping = target.chatId && chatMap[target.chatId];
+  if (!project && !mapping) return;
+  const title = project ? project.name : (mapping.alias || gpmChatIndex[target.chatId]?.title || target.chatId);
+
+  GPMUI.createNotesDrawer(gpmModalRoot, {
+    icon: project ? project.icon : '💬',
+    title,
+    notes: (project || mapping).notes || '',
+    onSave: async (text) => {
+      await gpmRecord(`${t('notes')}: ${title}`, (storage) => project
+        ? storage.setProjectNotes(project.id, text)
+        : storage.setChatNotes(target.chatId, text));
+      projects = await GPMStorage.getProjects();
+      chatMap = await GPMStorage.getChatMap();
+    },
+    searchNotes: (query) => gpmSearchNotes(query, projects, chatMap),
+    onOpenResult: (result) => gpmShowNotesDrawer(result.target)
+  });
+}
+
+// Notes containing `query`, projects first: [{ target, icon, title, snippet }]
+function gpmSearchNotes(query, projects, chatMap) {
+  const needle = query.toLowerCase();
+  const docs = [
+    ...projects.filter(p => p.notes).map(p => ({ target: { projectId: p.id }, icon: p.icon, title: p.name, notes: p.notes })),
+    ...Object.entries(chatMap).filter(([, m]) => m.notes)
+      .map(([chatId, m]) => ({ target: { chatId }, icon: '💬', title: m.alias || chatId, notes: m.notes }))
+  ];
+  return docs.flatMap(({ notes, ...doc }) => {
+    const text = GPMMarkdown.toPlainText(notes);
+    const at = text.toLowerCase().indexOf(needle);
+    if (at < 0) return [];
+    const start = Math.max(0, at - 40);
+    const end = Math.min(text.length, at + needle.length + 80);
+    return [{ ...doc, snippet: `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}` }];
+  });
+}
+
+// ══════════════════════════════════════
+//  UNDO / REDO (in-session history)
+// ══════════════════════════════════════
+
+const GPM_HISTORY_LIMIT = 50;
+
+/**
+ * Run a storage mutation and record the entities it changed, so it can be undone.
+ * `action(storage)` must make its changes through `storage` (GPMStorage, tagged so only
+ * those writes are recorded — see GPMStorage.recordChanges).
+ * `label` names the operation in toasts; `toast` offers an "Undo" button right away.
+ */
+async function gpmRecord(label, action, { toast = false } = {}) {
+  const { result, patch } = await GPMStorage.recordChanges(action);
+  if (patch.length === 0) return result;
+
+  gpmUndoStack.push({ label, patch });
+  if (gpmUndoStack.length > GPM_HISTORY_LIMIT) gpmUndoStack.shift();
+  gpmRedoStack = [];
+  if (toast && gpmModalRoot) {
+    GPMUI.createToast(gpmModalRoot, { message: label, actionLabel: t('undo'), onAction: gpmUndo });
+  }
+  return result;
+}
+
+async function gpmStepHistory(direction) {
+  const [source, target] = direction === 'undo' ? [gpmUndoStack, gpmRedoStack] : [gpmRedoStack, gpmUndoStack];
+  const entry = source.pop();
+  if (!entry) return;
+
+  let outcome;
+  try {
+    outcome = await GPMStorage.applyPatch(entry.patch, direction);
+  } catch (e) {
+    // Nothing was written (and the failure was reported) — keep the step to try again
+    console.warn('[GPM] Could not apply', direction, e);
+    source.push(entry);
+    return;
+  }
+  const { applied, skipped } = outcome;
+  // Fully stale (everything changed since) — drop it instead of bouncing between stacks
+  if (applied > 0) target.push(entry);
+  gpmRenderTree();
+  if (!gpmModalRoot) return;
+
+  const done = direction === 'undo' ? t('undone') : t('redone');
+  const message = applied === 0 ? t('undoConflict')
+    : skipped > 0 ? `${done}: ${entry.label} — ${t('undoConflict')}`
+      : `${done}: ${entry.label}`;
+  GPMUI.createToast(gpmModalRoot, applied === 0 ? { message } : {
+    message,
+    actionLabel: direction === 'undo' ? t('redo') : t('undo'),
+    onAction: direction === 'undo' ? gpmRedo : gpmUndo
+  });
+}
+
+function gpmUndo() { return gpmStepHistory('undo'); }
+function gpmRedo() { return gpmStepHistory('redo'); }
+
+// The Projects section, or the Gemini sidebar around it, holds keyboard focus
+function gpmSidebarHasFocus() {
+  const active = document.activeElement;
+  if (!gpmContainer || !active) return false;
+  if (active.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(active.tagName)) return false;
+  if (gpmContainer.contains(active)) return true;
+  const sidebar = document.querySelector(GPM_SELECTORS.sidebar);
+  return !!sidebar && sidebar.contains(gpmContainer) && sidebar.contains(active);
+}
+
+function gpmBindHistoryKeys() {
+  document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey || e.key.toLowerCase() !== 'z') return;
+    if (!gpmSidebarHasFocus()) return;
+    e.preventDefault();
+    e.stopPropagation();
+    if (e.shiftKey) gpmRedo();
+    else gpmUndo();
+  }, true);
+}
+
 // ══════════════════════════════════════
 //  GEMINI INTERACTION HELPERS
 // ══════════════════════════════════════
@@ -1047,6 +1824,15 @@ function gpmTriggerNewChat() {
   }
 }
 
+// Open a new chat that is filed in `project` once Gemini gives it an ID
+function gpmStartChatInProject(project) {
+  console.log('[GPM] New chat in project:', project.name, 'projectId:', project.id);
+  gpmPendingChatAssignment = { projectId: project.id, _ts: Date.now() };
+  console.log('[GPM] Pending assignment set:', gpmPendingChatAssignment);
+  gpmTriggerNewChat();
+  gpmInsertProjectContext(project.id);
+}
+
 function gpmNavigateToChat(chatId) {
   // Try clicking the sidebar link first
   const links = document.querySelectorAll(GPM_SELECTORS.chatItem);
@@ -1067,6 +1853,10 @@ function gpmGetCurrentChatId() {
   const appMatch = path.match(/^\/app\/([a-zA-Z0-9_-]+)/);
   if (appMatch) return appMatch[1];
 
+  // Chats with a Gem: /gem/<gemId>/<chatId>
+  const gemMatch = path.match(/^\/gem\/[a-zA-Z0-9_-]+\/([a-zA-Z0-9_-]+)/);
+  if (gemMatch) return gemMatch[1];
+
   // Legacy formats
   const legacyMatch = path.match(/\/(?:chat|c)\/([a-zA-Z0-9_-]+)/);
   if (legacyMatch) return legacyMatch[1];
@@ -1074,6 +1864,462 @@ function gpmGetCurrentChatId() {
   return null;
 }
 
+// Name of the Gem the current page belongs to (its ID when the sidebar doesn't list it), or null
+function gpmGetCurrentGem() {
+  const m = window.location.pathname.match(/^\/gem\/([a-zA-Z0-9_-]+)/);
+  if (!m) return null;
+  const link = document.querySelector(GPM_SELECTORS.gemLink.replace('{id}', m[1]));
+  return (link?.textContent || '').trim() || m[1];
+}
+
+// ══════════════════════════════════════
+//  TAGS & REFERENCES
+// ══════════════════════════════════════
+
+// Chats listed in `projectId` as a secondary reference
+function gpmRefChatIds(projectId, chatMap) {
+  return Object.keys(chatMap).filter(chatId => chatMap[chatId].refs?.includes(projectId));
+}
+
+function gpmIsFiltering() {
+  return !!gpmTagFilter || !!gpmSearchNeedle();
+}
+
+// `ignoreSearch`: a project above the chat matched the search, only the tag filter applies
+function gpmChatMatchesFilter(chatId, chatMap, { ignoreSearch = false } = {}) {
+  if (gpmTagFilter && !chatMap[chatId]?.tags?.includes(gpmTagFilter)) return false;
+  return ignoreSearch || gpmChatMatchesSearch(chatId, chatMap);
+}
+
+// Whether the project or anything below it has a chat that passes the filter. A project
+// whose own name or notes match the search passes with all of its (tag-filtered) contents.
+function gpmProjectMatchesFilter(project, allProjects, chatMap, { ignoreSearch = false } = {}) {
+  ignoreSearch ||= gpmProjectMatchesSearch(project);
+  if (!gpmTagFilter && (ignoreSearch || !gpmSearchNeedle())) return true;
+  const matches = (chatId) => gpmChatMatchesFilter(chatId, chatMap, { ignoreSearch });
+  if (GPMStorage.isSmartFolder(project)) {
+    return gpmSmartFolderChatIds(project, allProjects, chatMap).some(matches);
+  }
+  if ((project.chatIds || []).some(matches)) return true;
+  if (gpmRefChatIds(project.id, chatMap).some(matches)) return true;
+  return allProjects.some(p => p.parentId === project.id && !p.archivedAt && gpmProjectMatchesFilter(p, allProjects, chatMap, { ignoreSearch }));
+}
+
+// One chip per tag: click filters the tree by it, right-click edits or deletes it
+function gpmCreateTagBar() {
+  const bar = document.createElement('div');
+  bar.setAttribute('data-gpm', 'tag-bar');
+  for (const tag of gpmTags) {
+    const chip = document.createElement('span');
+    chip.setAttribute('data-gpm', 'tag-chip');
+    chip.style.setProperty('--gpm-tag-color', tag.color);
+    chip.textContent = tag.name;
+    chip.title = t('filterByTag');
+    if (tag.id === gpmTagFilter) chip.classList.add('gpm-active');
+    chip.addEventListener('click', (e) => {
+      e.stopPropagation();
+      gpmTagFilter = gpmTagFilter === tag.id ? null : tag.id;
+      gpmRenderTree();
+    });
+    chip.addEventListener('contextmenu', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      gpmShowTagContextMenu(e.clientX, e.clientY, tag);
+    });
+    bar.appendChild(chip);
+  }
+  return bar;
+}
+
+function gpmShowTagContextMenu(x, y, tag) {
+  if (!gpmModalRoot) return;
+  GPMUI.showContextMenu(gpmModalRoot, {
+    x, y,
+    items: [
+      {
+        icon: '✏️', label: t('editTag'), action: () => {
+          GPMUI.createTagModal(gpmModalRoot, {
+            existing: tag,
+            onSave: async ({ name, color }) => {
+              await gpmRecord(`${t('editTag')}: ${name}`, (storage) => storage.updateTag(tag.id, { name, color }));
+              gpmRenderTree();
+            }
+          });
+        }
+      },
+      { divider: true },
+      {
+        icon: '🗑️', label: t('deleteTag'), danger: true,
+        action: async () => {
+          await gpmRecord(`${t('deleteTag')}: ${tag.name}`, (storage) => storage.deleteTag(tag.id), { toast: true });
+          gpmRenderTree();
+        }
+      }
+    ]
+  });
+}
+
+// "Tags" submenu of a filed chat: toggle each tag, or create one and apply it
+function gpmTagSubmenu(chatId, mapping) {
+  return [
+    ...gpmTags.map(tag => ({
+      icon: mapping.tags?.includes(tag.id) ? '✓' : '', label: tag.name,
+      action: async () => {
+        await gpmRecord(`${t('tags')}: ${tag.name}`, (storage) => storage.toggleChatTag(chatId, tag.id));
+        gpmRenderTree();
+      }
+    })),
+    {
+      icon: '＋', label: t('newTag'), action: () => {
+        GPMUI.createTagModal(gpmModalRoot, {
+          onSave: async ({ name, color }) => {
+            await gpmRecord(`${t('newTag')}: ${name}`, async (storage) => {
+              const tag = await storage.createTag({ name, color });
+              await storage.toggleChatTag(chatId, tag.id);
+            });
+            gpmRenderTree();
+          }
+        });
+      }
+    }
+  ];
+}
+
+// Pinned chats first, then the order picked in Settings; 'manual' keeps the stored order
+function gpmSortChatIds(chatIds, chatMap) {
+  const index = gpmChatIndex;
+  const compare = {
+    lastOpened: (a, b) => (index[b]?.lastOpened || 0) - (index[a]?.lastOpened || 0),
+    assignedAt: (a, b) => (chatMap[b]?.assignedAt || 0) - (chatMap[a]?.assignedAt || 0),
+    title: (a, b) => (chatMap[a]?.alias || a).localeCompare(chatMap[b]?.alias || b)
+  }[gpmChatSort];
+  return [...chatIds].sort((a, b) =>
+    ((chatMap[b]?.pinned ? 1 : 0) - (chatMap[a]?.pinned ? 1 : 0)) || (compare ? compare(a, b) : 0));
+}
+
+function gpmChatTooltip(chatId, mapping) {
+  const entry = gpmChatIndex[chatId] || {};
+  const date = (ts) => new Date(ts).toLocaleString();
+  return [
+    mapping?.alias || chatId,
+    mapping?.assignedAt && `${t('chatAssigned')}: ${date(mapping.assignedAt)}`,
+    entry.lastOpened && `${t('chatLastOpened')}: ${date(entry.lastOpened)}`,
+    entry.firstSeen && `${t('chatFirstSeen')}: ${date(entry.firstSeen)}`
+  ].filter(Boolean).join('\n');
+}
+
+// ══════════════════════════════════════
+//  SIDEBAR SEARCH
+// ══════════════════════════════════════
+
+// The search text, lower-cased; '' while not searching
+function gpmSearchNeedle() {
+  return gpmSearchOpen ? gpmSearchQuery.trim().toLowerCase() : '';
+}
+
+function gpmTextMatches(...texts) {
+  const needle = gpmSearchNeedle();
+  return texts.some(text => !!text && text.toLowerCase().includes(needle));
+}
+
+// Alias, Gemini's title, tag names or notes contain the search text
+function gpmChatMatchesSearch(chatId, chatMap) {
+  if (!gpmSearchNeedle()) return true;
+  const mapping = chatMap[chatId];
+  const tagNames = gpmTags.filter(tag => mapping?.tags?.includes(tag.id)).map(tag => tag.name);
+  return gpmTextMatches(mapping?.alias, gpmChatIndex[chatId]?.title, mapping?.notes, ...tagNames);
+}
+
+function gpmProjectMatchesSearch(project) {
+  return !!gpmSearchNeedle() && gpmTextMatches(project.name, project.notes);
+}
+
+// Sets `text` on `elem`, with every occurrence of the search text wrapped in a <mark>
+function gpmSetHighlightedText(elem, text) {
+  const needle = gpmSearchNeedle();
+  elem.textContent = '';
+  const lower = text.toLowerCase();
+  let from = 0;
+  for (let at = needle ? lower.indexOf(needle) : -1; at >= 0; at = lower.indexOf(needle, from)) {
+    const mark = document.createElement('mark');
+    mark.setAttribute('data-gpm', 'match');
+    mark.textContent = text.slice(at, at + needle.length);
+    elem.append(text.slice(from, at), mark);
+    from = at + needle.length;
+  }
+  elem.append(text.slice(from));
+}
+
+function gpmCreateSearchBar() {
+  const bar = document.createElement('div');
+  bar.setAttribute('data-gpm', 'search-bar');
+
+  const input = document.createElement('input');
+  input.setAttribute('data-gpm', 'search-input');
+  input.type = 'search';
+  input.placeholder = t('search');
+  input.value = gpmSearchQuery;
+
+  // Re-rendering replaces the input, so typing waits for a pause and focus is put back
+  let timer = null;
+  input.addEventListener('input', () => {
+    clearTimeout(timer);
+    timer = setTimeout(async () => {
+      gpmSearchQuery = input.value;
+      await gpmRenderTree();
+      gpmFocusSearch();
+    }, 150);
+  });
+  input.addEventListener('keydown', gpmOnSearchKey);
+
+  const tool = (symbol, label, collapsed) => {
+    const button = document.createElement('span');
+    button.setAttribute('data-gpm', 'search-tool');
+    button.textContent = symbol;
+    button.title = label;
+    button.addEventListener('click', async () => {
+      await GPMStorage.setProjectsCollapsed(collapsed).catch(e => console.warn('[GPM] Could not save folder state:', e));
+      gpmRenderTree();
+    });
+    return button;
+  };
+
+  bar.append(input, tool('⊟', t('collapseAll'), true), tool('⊞', t('expandAll'), false));
+  return bar;
+}
+
+function gpmFocusSearch() {
+  const input = gpmContainer?.querySelector('[data-gpm="search-input"]');
+  if (!input) return;
+  input.focus();
+  input.setSelectionRange(input.value.length, input.value.length);
+}
+
+// ↑ / ↓ walk the visible project and chat rows, Enter opens the chat (or folds the
+// project) under the cursor, Escape clears the search and then closes it
+function gpmOnSearchKey(e) {
+  const rows = [...gpmContainer.querySelectorAll('[data-gpm="chat"][data-chat-id], [data-gpm="item"][data-project-id]')]
+    .filter(row => row.offsetParent !== null);
+  const current = rows.findIndex(row => row.classList.contains('gpm-cursor'));
+
+  if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+    e.preventDefault();
+    if (rows.length === 0) return;
+    const next = e.key === 'ArrowDown'
+      ? (current + 1) % rows.length
+      : (current <= 0 ? rows.length : current) - 1;
+    rows[current]?.classList.remove('gpm-cursor');
+    rows[next].classList.add('gpm-cursor');
+    rows[next].scrollIntoView({ block: 'nearest' });
+  } else if (e.key === 'Enter') {
+    e.preventDefault();
+    const row = rows[current] || (rows.length === 1 ? rows[0] : null);
+    if (!row) return;
+    if (row.dataset.chatId) gpmNavigateToChat(row.dataset.chatId);
+    else row.click();
+  } else if (e.key === 'Escape') {
+    e.preventDefault();
+    if (!gpmSearchQuery) gpmSearchOpen = false;
+    gpmSearchQuery = '';
+    gpmRenderTree().then(gpmFocusSearch);
+  }
+}
+
+// ══════════════════════════════════════
+//  COMMAND PALETTE
+// ══════════════════════════════════════
+
+// Every project, filed chat, chat in Gemini's list and quick prompt, plus a few commands —
+// ranked by GPMPalette with how often and how recently each was picked on this device.
+// `startAt` opens straight at the list of one command ('moveChat', ...).
+async function gpmShowCommandPalette({ startAt = null } = {}) {
+  if (!gpmModalRoot) return;
+  const [projects, chatMap, chatIndex, prompts] = await Promise.all([
+    GPMStorage.getProjects(), GPMStorage.getChatMap(), GPMStorage.getChatIndex(), GPMStorage.getQuickPrompts()
+  ]);
+  let usage = await GPMStorage.getPaletteUsage();
+  const currentChatId = gpmGetCurrentChatId();
+  const folders = projects.filter(p => !GPMStorage.isSmartFolder(p) && !GPMStorage.isArchived(projects, p));
+
+  const parentPath = (project) => {
+    const parent = projects.find(p => p.id === project.parentId);
+    return parent ? GPMUI.projectPath(projects, parent) : '';
+  };
+  const projectItem = (project, run) => ({
+    id: `project:${project.id}`,
+    icon: project.icon,
+    label: project.name,
+    detail: parentPath(project),
+    keywords: GPMUI.projectPath(projects, project),
+    run: () => run(project)
+  });
+  const promptItem = (prompt) => ({
+    id: `prompt:${prompt.id}`, icon: '⚡', label: prompt.title, detail: prompt.category, keywords: prompt.content,
+    run: () => gpmInsertPromptText(prompt.content)
+  });
+  const chatItem = (chatId, title, detail) => ({
+    id: `chat:${chatId}`, icon: '💬', label: title, detail, lastUsed: chatIndex[chatId]?.lastOpened,
+    keywords: chatIndex[chatId]?.title, run: () => gpmNavigateToChat(chatId)
+  });
+
+  const currentTitle = currentChatId && (chatMap[currentChatId]?.alias || chatIndex[currentChatId]?.title || '');
+  const commands = [
+    currentChatId && {
+      id: 'command:moveChat', icon: '📂', label: t('moveCurrentChat'),
+      page: () => ({
+        placeholder: t('chooseProject'),
+        items: folders.filter(p => p.id !== chatMap[currentChatId]?.projectId).map(p => projectItem(p, async (target) => {
+          await gpmRecord(`${t('moveToProject')}: ${target.name}`,
+            (storage) => storage.assignChat(currentChatId, target.id, { alias: currentTitle }), { toast: true });
+          gpmRenderTree();
+        }))
+      })
+    },
+    {
+      id: 'command:newChat', icon: '💬', label: `${t('newChatInProject')}…`,
+      page: () => ({ placeholder: t('chooseProject'), items: folders.map(p => projectItem(p, gpmStartChatInProject)) })
+    },
+    prompts.length > 0 && {
+      id: 'command:insertPrompt', icon: '⚡', label: t('insertPrompt'),
+      page: () => ({ placeholder: t('searchPrompts'), items: prompts.map(promptItem) })
+    },
+    { id: 'command:export', icon: '💾', label: t('exportData'), run: () => gpmExportData() },
+    { id: 'command:settings', icon: '⚙️', label: t('settings'), run: gpmShowSettingsModal }
+  ].filter(Boolean);
+
+  const rank = (list, query) => GPMPalette.rank(list, query, usage);
+  const onPick = (item) => {
+    GPMStorage.recordPaletteUse(item.id)
+      .then(() => GPMStorage.getPaletteUsage())
+      .then(fresh => { usage = fresh; })
+      .catch(e => console.warn('[GPM] Could not record palette use:', e));
+  };
+
+  if (startAt) {
+    const start = commands.find(command => command.id === `command:${startAt}`);
+    if (start) GPMUI.createCommandPalette(gpmModalRoot, { ...start.page(), rank, onPick });
+    return;
+  }
+
+  // Chats in Gemini's list that aren't filed, as titled there
+  const listed = new Map();
+  document.querySelectorAll(GPM_SELECTORS.chatItem).forEach(link => {
+    if (link.closest('[data-gpm]')) return;
+    const m = (link.getAttribute('href') || '').match(/^\/app\/([a-zA-Z0-9_-]+)/);
+    const title = (link.textContent || '').trim();
+    if (m && title && !chatMap[m[1]]) listed.set(m[1], title);
+  });
+
+  const items = [
+    ...commands,
+    ...projects.map(p => ({
+      ...projectItem(p, (project) => gpmRevealProject(project.id)),
+      detail: GPMStorage.isArchived(projects, p) ? t('archived') : parentPath(p)
+    })),
+    ...Object.entries(chatMap).map(([chatId, m]) => chatItem(chatId, m.alias || chatIndex[chatId]?.title || chatId,
+      projects.find(p => p.id === m.projectId)?.name)),
+    ...[...listed].map(([chatId, title]) => chatItem(chatId, title, t('uncategorized'))),
+    ...prompts.map(promptItem)
+  ];
+
+  GPMUI.createCommandPalette(gpmModalRoot, { items, placeholder: t('paletteSearch'), rank, onPick });
+}
+
+// Show a project in the tree: open the folders above it (and the Archived section when it
+// is archived), drop filters that hide it, then scroll to it and mark it for a moment
+async function gpmRevealProject(projectId) {
+  const projects = await GPMStorage.getProjects();
+  const project = projects.find(p => p.id === projectId);
+  if (!project) return;
+  const ancestors = [];
+  for (let node = projects.find(p => p.id === project.parentId); node && !ancestors.includes(node.id);
+    node = projects.find(p => p.id === node.parentId)) {
+    ancestors.push(node.id);
+  }
+  if (GPMStorage.isArchived(projects, project)) gpmArchiveExpanded = true;
+  await GPMStorage.setProjectsCollapsed(false, ancestors).catch(e => console.warn('[GPM] Could not save folder state:', e));
+  gpmTagFilter = null;
+  gpmSearchQuery = '';
+  await gpmRenderTree();
+
+  const row = gpmContainer?.querySelector(`[data-gpm="item"][data-project-id="${CSS.escape(projectId)}"]`);
+  if (!row) return;
+  row.scrollIntoView({ block: 'center' });
+  row.classList.add('gpm-cursor');
+  setTimeout(() => row.classList.remove('gpm-cursor'), 1500);
+}
+
+// ══════════════════════════════════════
+//  KEYBOARD SHORTCUTS
+// ══════════════════════════════════════
+
+const GPM_SHORTCUT_ACTIONS = {
+  commandPalette: () => gpmShowCommandPalette(),
+  toggleQuickPrompts: gpmToggleQuickPrompts,
+  newProject: gpmShowCreateProjectModal,
+  assignChat: () => gpmGetCurrentChatId() ? gpmShowCommandPalette({ startAt: 'moveChat' }) : gpmShortcutNotice('openChatFirst'),
+  pinChat: gpmPinCurrentChat,
+  nextChat: () => gpmStepChat(1),
+  previousChat: () => gpmStepChat(-1),
+  toggleProjects: gpmToggleProjectsSection
+};
+
+// In-page bindings (settings.shortcuts). Capture phase, so they also work in the prompt box
+// and Gemini doesn't see the keys first.
+function gpmBindShortcutKeys() {
+  document.addEventListener('keydown', (e) => {
+    if (e.repeat || !gpmIsContextValid()) return;
+    // A settings field recording a new binding gets the keys itself
+    if (gpmModalRoot?.activeElement?.classList.contains('gpm-shortcut-recording')) return;
+    const action = GPMShortcuts.actionFor(gpmShortcuts, GPMShortcuts.comboFromEvent(e));
+    if (!action) return;
+    e.preventDefault();
+    e.stopPropagation();
+    gpmRunShortcut(action);
+  }, true);
+}
+
+// Also reached from Chrome's own extension shortcuts, via background.js
+function gpmRunShortcut(action) {
+  GPM_SHORTCUT_ACTIONS[action]?.();
+}
+
+function gpmShortcutNotice(key) {
+  if (gpmModalRoot) GPMUI.createToast(gpmModalRoot, { message: t(key), duration: 3000 });
+}
+
+async function gpmPinCurrentChat() {
+  const chatId = gpmGetCurrentChatId();
+  const mapping = chatId && (await GPMStorage.getChatMap())[chatId];
+  if (!mapping) return gpmShortcutNotice(chatId ? 'chatNotFiled' : 'openChatFirst');
+  const label = mapping.pinned ? t('unpinChat') : t('pinChat');
+  await gpmRecord(`${label}: ${mapping.alias || chatId}`, (storage) => storage.togglePinChat(chatId), { toast: true });
+  gpmRenderTree();
+}
+
+// Open the next (1) or previous (-1) chat of the current chat's home project, wrapping
+// around, in tree order — or in filing order while the tree sorts by last opened, since
+// opening a chat would reshuffle that
+async function gpmStepChat(direction) {
+  const chatId = gpmGetCurrentChatId();
+  const [projects, chatMap] = await Promise.all([GPMStorage.getProjects(), GPMStorage.getChatMap()]);
+  const project = chatId && projects.find(p => p.id === chatMap[chatId]?.projectId);
+  if (!project) return gpmShortcutNotice(chatId ? 'chatNotFiled' : 'openChatFirst');
+  const chatIds = gpmChatSort === 'lastOpened' ? project.chatIds || [] : gpmSortChatIds(project.chatIds || [], chatMap);
+  const at = chatIds.indexOf(chatId);
+  const next = chatIds[(at + direction + chatIds.length) % chatIds.length];
+  if (next && next !== chatId) gpmNavigateToChat(next);
+}
+
+function gpmToggleProjectsSection() {
+  gpmSectionCollapsed = !gpmSectionCollapsed;
+  gpmContainer?.querySelector('[data-gpm="list"]')?.classList.toggle('gpm-hidden', gpmSectionCollapsed);
+  const chevron = gpmContainer?.querySelector('[data-gpm="header-chevron"]');
+  if (!chevron) return;
+  chevron.className = gpmSectionCollapsed ? 'gpm-closed' : 'gpm-open';
+  chevron.textContent = gpmSectionCollapsed ? '▸' : '▾';
+}
+
 // ══════════════════════════════════════
 //  SPA NAVIGATION OBSERVER
 // ══════════════════════════════════════
@@ -1109,6 +2355,7 @@ function gpmOnNavigate() {
 function gpmObserveNewChats() {
   let lastChatId = gpmGetCurrentChatId();
   let lastUrl = location.href;
+  if (lastChatId) gpmRecordChatOpened(lastChatId);
 
   // Watch for URL changes — when a new chat is created, URL changes to /chat/xxx
   // This happens AFTER the user sends their first message
@@ -1125,18 +2372,20 @@ function gpmObserveNewChats() {
     if (id && id !== lastChatId) {
       console.log('[GPM] Chat ID changed:', lastChatId, '->', id);
       lastChatId = id;
+      const opened = gpmRecordChatOpened(id);
 
       if (gpmPendingChatAssignment) {
         const { projectId } = gpmPendingChatAssignment;
         gpmPendingChatAssignment = null;
         console.log('[GPM] Auto-assigning chat', id, 'to project:', projectId);
-        GPMStorage.assignChat(id, projectId).then(() => {
+        opened.then(() => GPMStorage.assignChat(id, projectId)).then(() => {
           console.log('[GPM] Chat assigned successfully');
           gpmRenderTree();
-        });
+        }).catch(e => console.warn('[GPM] Auto-assign failed:', e));
       } else {
         // Re-render to update active chat highlight
-        gpmRenderTree();
+        opened.then(() => gpmRenderTree());
+        opened.then(() => gpmCaptureNewChat(id)).catch(e => console.warn('[GPM] Auto-filing failed:', e));
       }
     }
 
@@ -1175,10 +2424,81 @@ function gpmObserveNewChats() {
   }
 }
 
+// Never rejects — a failed write is already reported through onWriteError
+function gpmRecordChatOpened(chatId) {
+  return GPMStorage.recordChatOpened(chatId).catch(e => console.warn('[GPM] Could not record chat open:', e));
+}
+
+// ══════════════════════════════════════
+//  AUTO-FILING
+// ══════════════════════════════════════
+
+// How long after a chat first shows up the filing rules may still file it
+const GPM_NEW_CHAT_WINDOW = 10 * 60 * 1000;
+
+// A chat was opened without a pending "New Chat in Project": if it is new, note its Gem
+// and first prompt for the filing rules, then try them
+async function gpmCaptureNewChat(chatId) {
+  const entry = (await GPMStorage.getChatIndex())[chatId];
+  if (!entry || Date.now() - entry.firstSeen > GPM_NEW_CHAT_WINDOW) return;
+
+  const gem = gpmGetCurrentGem();
+  const query = await gpmWaitForElement(GPM_SELECTORS.userQuery, 5000);
+  // The user may have moved on to another chat while we waited
+  const prompt = gpmGetCurrentChatId() === chatId ? (query?.textContent || '').trim() : '';
+  if (gem || prompt) await GPMStorage.recordChatDetails(chatId, { gem, prompt });
+  await gpmAutoFile([chatId]);
+}
+
+// File chats by the first matching rule. Only chats without a project, first seen within
+// GPM_NEW_CHAT_WINDOW and never filed by a rule before qualify — a chat taken out of its
+// project stays out.
+async function gpmAutoFile(chatIds) {
+  if (!chatIds?.length) return;
+  const { filingRules = [] } = await GPMStorage.getSettings();
+  if (filingRules.length === 0) return;
+
+  const projects = await GPMStorage.getProjects();
+  const chatMap = await GPMStorage.getChatMap();
+  const chatIndex = await GPMStorage.getChatIndex();
+  const filedBefore = new Set((await GPMStorage.getFilingLog()).map(entry => entry.chatId));
+  let filed = false;
+
+  for (const chatId of chatIds) {
+    const entry = chatIndex[chatId];
+    if (!entry || chatMap[chatId] || filedBefore.has(chatId) || Date.now() - entry.firstSeen > GPM_NEW_CHAT_WINDOW) continue;
+    const rule = GPMFiling.findRule(filingRules, entry, projects);
+    if (!rule) continue;
+
+    const project = projects.find(p => p.id === rule.projectId);
+    console.log('[GPM] Rule', rule.name || rule.pattern, 'files chat', chatId, 'into', project.name);
+    // Offer an undo for the chat the user is looking at; background filing stays quiet
+    const done = await gpmRecord(`${t('autoFiled')}: ${entry.title || chatId} → ${project.name}`,
+      (storage) => storage.autoFileChat(chatId, rule, { title: entry.title }),
+      { toast: chatId === gpmGetCurrentChatId() });
+    filed ||= done;
+  }
+  if (filed) gpmRenderTree();
+}
+
 function gpmEnhanceNativeChatItems() {
   // Gemini uses /app/<id> format — find all chat links (exclude /app itself which is "New chat")
   const chatItems = document.querySelectorAll('a[href^="/app/"]');
 
+  // Note every listed chat (and its current title) in the chat index — titles change after
+  // the first reply, so this covers items enhanced earlier too
+  const seen = [];
+  chatItems.forEach(item => {
+    if (item.closest('[data-gpm]')) return;
+    const m = (item.getAttribute('href') || '').match(/^\/app\/([a-zA-Z0-9_-]+)/);
+    if (m) seen.push({ chatId: m[1], title: (item.textContent || '').trim() });
+  });
+  if (seen.length > 0) {
+    GPMStorage.recordSeenChats(seen)
+      .then(changed => gpmAutoFile(changed))
+      .catch(e => console.warn('[GPM] Could not record seen chats:', e));
+  }
+
   chatItems.forEach(item => {
     if (item.dataset.gpmEnhanced) return;
     // Skip items inside our own GPM container
@@ -1221,7 +2541,13 @@ function gpmEnhanceNativeChatItems() {
 
       const projects = await GPMStorage.getProjects();
       const chatMap = await GPMStorage.getChatMap();
-      gpmShowChatContextMenu(e.clientX, e.clientY, chatId, chatMap[chatId], projects);
+      let suggestion = null;
+      if (!chatMap[chatId]) {
+        const chatIndex = await GPMStorage.getChatIndex();
+        const model = GPMClassifier.train({ projects, chatMap, chatIndex });
+        suggestion = GPMClassifier.suggest(model, chatTitle || chatIndex[chatId]?.title);
+      }
+      gpmShowChatContextMenu(e.clientX, e.clientY, chatId, chatMap[chatId], projects, { suggestion });
     });
   });
 }
@@ -1372,16 +2698,11 @@ async function gpmToggleQuickPrompts() {
         onCancel: () => { }
       });
     },
-    onBackup: async () => {
+    onBackup: async ({ encrypt }) => {
       const allPrompts = await GPMStorage.getQuickPrompts();
-      const json = JSON.stringify(allPrompts, null, 2);
-      const blob = new Blob([json], { type: 'application/json' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `gpm-prompts-backup-${Date.now()}.json`;
-      a.click();
-      URL.revokeObjectURL(url);
+      const json = await gpmMaybeEncrypt(JSON.stringify(allPrompts, null, 2), encrypt);
+      if (json === null) return;
+      gpmDownloadFile(json, `gpm-prompts-backup-${Date.now()}${encrypt ? '.encrypted' : ''}.json`);
     },
     onRestore: () => {
       const fileInput = document.createElement('input');
@@ -1394,7 +2715,9 @@ async function gpmToggleQuickPrompts() {
         const reader = new FileReader();
         reader.onload = async (ev) => {
           try {
-            const imported = JSON.parse(ev.target.result);
+            const text = await gpmMaybeDecrypt(ev.target.result);
+            if (text === null) return;
+            const imported = JSON.parse(text);
             if (Array.isArray(imported)) {
               // Merge: add imported prompts
               for (const p of imported) {
@@ -1434,6 +2757,43 @@ function gpmInsertPromptText(text) {
   input.focus();
 }
 
+// Resolves with Gemini's prompt box once the page shows a new chat (no chat ID in the
+// URL), or null after `timeout` — right after gpmTriggerNewChat the old chat is still up
+function gpmWaitForNewChatInput(timeout = 10000) {
+  return new Promise((resolve) => {
+    const started = Date.now();
+    const check = () => {
+      const input = !gpmGetCurrentChatId() && document.querySelector(GPM_SELECTORS.inputArea);
+      if (input) return resolve(input);
+      if (Date.now() - started > timeout) return resolve(null);
+      setTimeout(check, 200);
+    };
+    check();
+  });
+}
+
+// Put the context of `projectId` (with what it inherits from its parents) in front of
+// whatever the new chat's prompt box holds — or offer it in a preview first
+async function gpmInsertProjectContext(projectId) {
+  const projects = await GPMStorage.getProjects();
+  const project = projects.find(p => p.id === projectId);
+  const parts = GPMStorage.getProjectContext(projects, projectId);
+  if (!project || parts.length === 0) return;
+
+  const input = await gpmWaitForNewChatInput();
+  if (!input) return;
+  const draft = (input.tagName === 'TEXTAREA' ? input.value : input.textContent).trim();
+  const insert = (text) => gpmInsertPromptText(draft ? `${text}\n\n${draft}` : `${text}\n\n`);
+  const text = parts.map(part => part.context).join('\n\n');
+
+  const { contextPreview } = await GPMStorage.getSettings();
+  if (contextPreview && gpmModalRoot) {
+    GPMUI.createContextPreviewModal(gpmModalRoot, { project, text, onInsert: (edited) => edited && insert(edited) });
+  } else {
+    insert(text);
+  }
+}
+
 // ══════════════════════════════════════
 //  MODALS
 // ══════════════════════════════════════
@@ -1442,43 +2802,263 @@ function gpmShowCreateProjectModal() {
   if (!gpmModalRoot) return;
   GPMUI.createProjectModal(gpmModalRoot, {
     onSave: async ({ name, icon, color }) => {
-      await GPMStorage.createProject({ name, icon, color });
+      await gpmRecord(`${t('createProject')}: ${name}`, (storage) => storage.createProject({ name, icon, color }));
       gpmRenderTree();
     },
     onCancel: () => { }
   });
 }
 
+// Bulk triage: file the checked chats into their (possibly changed) suggested projects
+function gpmShowSuggestionsModal(suggestions, projects) {
+  if (!gpmModalRoot) return;
+  GPMUI.createSuggestionsModal(gpmModalRoot, {
+    suggestions,
+    projects,
+    onAccept: async (assignments) => {
+      await gpmRecord(`${t('suggestedProjects')}: ${assignments.length} ${t('chats')}`,
+        (storage) => storage.assignChats(assignments), { toast: true });
+      gpmRenderTree();
+    }
+  });
+}
+
+// Keyboard walk through the Uncategorized section, one chat at a time
+async function gpmShowTriageModal() {
+  if (!gpmModalRoot) return;
+  const projects = await GPMStorage.getProjects();
+  const chatMap = await GPMStorage.getChatMap();
+  const chatIndex = await GPMStorage.getChatIndex();
+  const model = GPMClassifier.train({ projects, chatMap, chatIndex });
+  const chats = gpmUnfiledChatIds(chatMap, chatIndex).map(chatId => {
+    const title = chatIndex[chatId].title || chatId;
+    return { chatId, title, suggestion: GPMClassifier.suggest(model, title) };
+  });
+
+  GPMUI.createTriageModal(gpmModalRoot, {
+    chats,
+    projects,
+    onAssign: (chatId, projectId, alias) => gpmRecord(`${t('moveToProject')}: ${alias}`,
+      (storage) => storage.assignChat(chatId, projectId, { alias })),
+    onCreateProject: (name) => gpmRecord(`${t('createProject')}: ${name}`, (storage) => storage.createProject({ name })),
+    onClose: () => gpmRenderTree()
+  });
+}
+
+// Create a smart folder, or edit `existing`
+async function gpmShowSmartFolderModal(existing = null) {
+  if (!gpmModalRoot) return;
+  const projects = await GPMStorage.getProjects();
+  const chatMap = await GPMStorage.getChatMap();
+  GPMUI.createSmartFolderModal(gpmModalRoot, {
+    existing,
+    projects,
+    tags: gpmTags,
+    countMatches: (query) => GPMQuery.run(query, { projects, chatMap, chatIndex: gpmChatIndex }).length,
+    onSave: async ({ name, query }) => {
+      if (existing) {
+        await gpmRecord(`${t('editSmartFolder')}: ${name}`, (storage) => storage.updateProject(existing.id, { name, query }));
+      } else {
+        await gpmRecord(`${t('newSmartFolder')}: ${name}`, (storage) => storage.createProject({ name, icon: '🔎', query }));
+      }
+      gpmRenderTree();
+    }
+  });
+}
+
 async function gpmShowSettingsModal() {
   if (!gpmModalRoot) return;
   const settings = await GPMStorage.getSettings();
-  const backupInfo = await GPMStorage.getBackupInfo();
+  const snapshots = await GPMStorage.getSnapshots();
+  const syncStatus = await GPMSync.getStatus();
+  const backupStatus = await GPMBackup.getStatus();
+  const storageUsage = await GPMStorage.getStorageUsage();
+  const projects = await GPMStorage.getProjects();
+  const chatMap = await GPMStorage.getChatMap();
+  const chatIndex = await GPMStorage.getChatIndex();
+  const filingLog = await GPMStorage.getFilingLog();
+  // Only the service worker can read Chrome's extension shortcuts
+  let chromeCommands = [];
+  try { chromeCommands = (await chrome.runtime.sendMessage({ type: 'GPM_GET_COMMANDS' }))?.commands || []; } catch (_) { }
   GPMUI.createSettingsModal(gpmModalRoot, {
     settings,
-    backupInfo,
-    onSave: async (s) => { await GPMStorage.saveSettings(s); gpmSetLang(s.lang); gpmRenderTree(); },
+    snapshots,
+    syncStatus,
+    backupStatus,
+    storageUsage,
+    projects,
+    filingLog,
+    chromeCommands,
+    previewFiling: (rules) => GPMFiling.preview(rules, { projects, chatMap, chatIndex }),
+    onSave: async (s) => { await GPMStorage.updateSettings(s); gpmSetLang(s.lang); gpmRenderTree(); },
     onCancel: () => { },
-    onExport: async () => {
-      const json = await GPMStorage.exportAll();
-      const blob = new Blob([json], { type: 'application/json' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a'); a.href = url;
-      a.download = `gpm-backup-${Date.now()}.json`; a.click();
-      URL.revokeObjectURL(url);
-    },
-    onImport: async (jsonStr) => {
-      try { await GPMStorage.importAll(jsonStr); const s = await GPMStorage.getSettings(); gpmSetLang(s.lang); gpmRenderTree(); }
-      catch (e) { alert(t('importError')); }
-    },
+    onExport: gpmExportData,
+    onImport: (jsonStr) => gpmShowImportPreview(jsonStr),
     onClear: async () => { await GPMStorage.clearAll(); gpmSetLang('en'); gpmRenderTree(); },
-    onRestoreBackup: async () => {
-      const ok = await GPMStorage.restoreFromBackup();
+    onRestoreSnapshot: async (id) => {
+      const ok = await GPMStorage.restoreSnapshot(id);
       if (ok) { gpmRenderTree(); }
       else { alert(t('noBackupAvailable')); }
+    },
+    onSyncNow: async () => {
+      try { await chrome.runtime.sendMessage({ type: 'GPM_SYNC_NOW' }); } catch (_) { }
+      gpmShowSettingsModal();
+    },
+    onBackupNow: async () => {
+      try { await chrome.runtime.sendMessage({ type: 'GPM_BACKUP_NOW' }); } catch (_) { }
+      gpmShowSettingsModal();
+    },
+    onOpenChromeShortcuts: () => {
+      try { chrome.runtime.sendMessage({ type: 'GPM_OPEN_SHORTCUTS' })?.catch?.(() => { }); } catch (_) { }
+    },
+    onCheckIntegrity: async () => {
+      gpmIntegrityIssues = await GPMStorage.checkIntegrity();
+      gpmShowIntegrityReport(gpmIntegrityIssues);
+      gpmRenderTree();
     }
   });
 }
 
+function gpmShowIntegrityReport(issues) {
+  if (!gpmModalRoot) return;
+  GPMUI.createIntegrityModal(gpmModalRoot, {
+    issues,
+    onRepair: async () => {
+      gpmIntegrityIssues = await GPMStorage.repairIntegrity();
+      gpmRenderTree();
+      if (gpmIntegrityIssues.length) gpmShowIntegrityReport(gpmIntegrityIssues);
+    },
+    onClose: () => { }
+  });
+}
+
+async function gpmShowImportPreview(fileText) {
+  if (!gpmModalRoot) return;
+  let jsonStr;
+  try {
+    jsonStr = await gpmMaybeDecrypt(fileText);
+  } catch (e) {
+    GPMUI.createImportModal(gpmModalRoot, { errors: [e.message] });
+    return;
+  }
+  if (jsonStr === null) return;
+
+  // OPML and bookmarks files only carry projects and chat assignments
+  const { data, errors } = GPMFormats.detect(jsonStr)
+    ? GPMFormats.parse(jsonStr, await GPMStorage.captureState())
+    : GPMStorage.parseImport(jsonStr);
+  if (errors.length) {
+    GPMUI.createImportModal(gpmModalRoot, { errors });
+    return;
+  }
+  const [replace, merge] = await Promise.all([
+    GPMStorage.planImport(data, 'replace'), GPMStorage.planImport(data, 'merge')
+  ]);
+  GPMUI.createImportModal(gpmModalRoot, {
+    plans: { replace, merge },
+    onConfirm: async (options) => {
+      try {
+        await GPMStorage.applyImport(data, options);
+        const s = await GPMStorage.getSettings();
+        gpmSetLang(s.lang);
+        gpmRenderTree();
+      } catch (e) {
+        console.warn('[GPM] Import failed:', e);
+        alert(t('importError'));
+      }
+    },
+    onCancel: () => { }
+  });
+}
+
+// ══════════════════════════════════════
+//  FILE DOWNLOAD & ENCRYPTION
+// ══════════════════════════════════════
+
+// Download a full backup, or the project tree in another format (see formats.js)
+async function gpmExportData({ format = 'json', encrypt = false } = {}) {
+  if (format !== 'json') {
+    const { projects, chatMap } = await GPMStorage.captureState();
+    const { content, ext, type } = GPMFormats.exportAs(format, projects, chatMap);
+    gpmDownloadFile(content, `gpm-projects-${Date.now()}.${ext}`, type);
+    return;
+  }
+  const json = await gpmMaybeEncrypt(await GPMStorage.exportAll(), encrypt);
+  if (json === null) return;
+  gpmDownloadFile(json, `gpm-backup-${Date.now()}${encrypt ? '.encrypted' : ''}.json`);
+}
+
+function gpmDownloadFile(content, filename, type = 'application/json') {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// Resolves to the text to save — encrypted with a passphrase the user picks when
+// `encrypt` is set — or null if they cancel
+function gpmMaybeEncrypt(json, encrypt) {
+  if (!encrypt) return Promise.resolve(json);
+  return new Promise((resolve, reject) => {
+    GPMUI.createPassphraseModal(gpmModalRoot, {
+      confirm: true,
+      onSubmit: (passphrase) => GPMCrypto.encrypt(json, passphrase).then(resolve, reject),
+      onCancel: () => resolve(null)
+    });
+  });
+}
+
+// Plain files pass through; encrypted ones ask for the passphrase (again after a wrong
+// one). Resolves to the decrypted text, or null if the user cancels.
+function gpmMaybeDecrypt(text) {
+  if (!GPMCrypto.isEncrypted(text)) return Promise.resolve(text);
+  return new Promise((resolve, reject) => {
+    const ask = (error) => GPMUI.createPassphraseModal(gpmModalRoot, {
+      error,
+      onSubmit: async (passphrase) => {
+        try {
+          const plain = await GPMCrypto.decrypt(text, passphrase);
+          if (plain === null) ask(t('wrongPassphrase'));
+          else resolve(plain);
+        } catch (e) {
+          reject(e);
+        }
+      },
+      onCancel: () => resolve(null)
+    });
+    ask('');
+  });
+}
+
+// ══════════════════════════════════════
+//  STORAGE HEALTH
+// ══════════════════════════════════════
+
+// chrome.storage rejected a write — nothing was saved, so the user must hear about it
+function gpmShowWriteError(error) {
+  const message = /quota/i.test(error?.message || '') ? t('storageFull') : `${t('saveFailed')}: ${error?.message || error}`;
+  if (!gpmModalRoot) { alert(message); return; }
+  GPMUI.createToast(gpmModalRoot, {
+    message, actionLabel: t('settings'), onAction: gpmShowSettingsModal, duration: 12000
+  });
+}
+
+async function gpmCheckStorageUsage() {
+  try {
+    const usage = await GPMStorage.getStorageUsage();
+    if (!usage.nearLimit || !gpmModalRoot) return;
+    console.warn('[GPM] Storage nearly full:', usage.total, '/', usage.quota, 'bytes');
+    GPMUI.createToast(gpmModalRoot, {
+      message: t('storageNearlyFull'), actionLabel: t('settings'), onAction: gpmShowSettingsModal, duration: 12000
+    });
+  } catch (e) {
+    console.warn('[GPM] Could not read storage usage:', e);
+  }
+}
+
 // ══════════════════════════════════════
 //  CROSS-TAB SYNC & BOOT
 // ══════════════════════════════════════
@@ -1492,6 +3072,8 @@ try {
     if (msg.type === 'GPM_SYNC') {
       clearTimeout(_gpmSyncTimeout);
       _gpmSyncTimeout = setTimeout(() => gpmRenderTree(), 300);
+    } else if (msg.type === 'GPM_COMMAND') {
+      gpmRunShortcut(GPMShortcuts.actionForCommand(msg.command));
     }
   });
 } catch (e) {
@@ -0,0 +1,100 @@
+/**
+ * crypto.js — Passphrase encryption for export files
+ * Wraps an export (full backup or Quick Prompts backup) in a versioned envelope so chat
+ * titles and prompt contents are unreadable without the passphrase. WebCrypto only.
+ *
+ * Envelope (JSON):
+ *   { format: 'gpm-encrypted', version: 1,
+ *     kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt },
+ *     cipher: { name: 'AES-GCM', iv },
+ *     data }  — salt, iv and data are base64; data is the UTF-8 export, AES-256-GCM encrypted
+ */
+
+const GPMCrypto = (() => {
+  const FORMAT = 'gpm-encrypted';
+  const VERSION = 1;
+  const ITERATIONS = 600000;
+  const SALT_BYTES = 16;
+  const IV_BYTES = 12;
+  // Highest iteration count a file may ask for — more only stalls the import
+  const MAX_ITERATIONS = 10 * ITERATIONS;
+  const BASE64 = /^[A-Za-z0-9+/]*={0,2}$/;
+
+  function _toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  function _fromBase64(b64) {
+    return Uint8Array.from(atob(b64), c => c.charCodeAt(0));
+  }
+
+  async function _deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  // Returns the envelope as a JSON string
+  async function encrypt(plaintext, passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const key = await _deriveKey(passphrase, salt, ITERATIONS);
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(plaintext));
+    return JSON.stringify({
+      format: FORMAT,
+      version: VERSION,
+      kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: ITERATIONS, salt: _toBase64(salt) },
+      cipher: { name: 'AES-GCM', iv: _toBase64(iv) },
+      data: _toBase64(new Uint8Array(data))
+    }, null, 2);
+  }
+
+  function isEncrypted(text) {
+    try {
+      return JSON.parse(text)?.format === FORMAT;
+    } catch (_) {
+      return false;
+    }
+  }
+
+  function _isBase64(value) {
+    return typeof value === 'string' && value.length % 4 === 0 && BASE64.test(value);
+  }
+
+  // Returns the plaintext, or null when the passphrase is wrong (AES-GCM authentication
+  // fails). Throws for envelopes this version cannot read or that are malformed.
+  async function decrypt(text, passphrase) {
+    const envelope = JSON.parse(text);
+    if (envelope.format !== FORMAT || envelope.version !== VERSION) {
+      throw new Error(`Unsupported encrypted file (version ${envelope.version})`);
+    }
+    const { kdf, cipher } = envelope;
+    if (!_isBase64(kdf?.salt) || !_isBase64(cipher?.iv) || !_isBase64(envelope.data) ||
+      !Number.isInteger(kdf.iterations) || kdf.iterations < 1 || kdf.iterations > MAX_ITERATIONS) {
+      throw new Error('Not a valid encrypted file');
+    }
+    // A short IV or salt would only surface as a failed decryption, i.e. "wrong passphrase"
+    const salt = _fromBase64(kdf.salt);
+    const iv = _fromBase64(cipher.iv);
+    if (salt.length < SALT_BYTES || iv.length !== IV_BYTES) throw new Error('Not a valid encrypted file');
+    const key = await _deriveKey(passphrase, salt, kdf.iterations);
+    try {
+      const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, _fromBase64(envelope.data));
+      return new TextDecoder().decode(data);
+    } catch (e) {
+      if (e.name === 'OperationError') return null;
+      throw e;
+    }
+  }
+
+  return { encrypt, decrypt, isEncrypted };
+})();
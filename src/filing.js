@@ -0,0 +1,64 @@
+/**
+ * filing.js — Rule-based auto-filing
+ * Matches chats against the user's filing rules (gpm_settings.filingRules). Rules are
+ * checked in order and the first enabled one that matches decides the project; content.js
+ * applies it to chats as they first show up (see gpmAutoFile). Pure functions only.
+ *
+ * FilingRule: { id, name, source: 'title'|'gem'|'prompt', match: 'keywords'|'regex', pattern, projectId, enabled }
+ *   keywords: comma-separated, any one of them anywhere in the text (case-insensitive)
+ *   regex:    a JavaScript regular expression, case-insensitive
+ * Chat: { title, gem, prompt } — as far as known; gem and prompt come from the chat index
+ */
+
+const GPMFiling = (() => {
+  const SOURCES = ['title', 'gem', 'prompt'];
+  const MATCH_TYPES = ['keywords', 'regex'];
+
+  function _keywords(pattern) {
+    return pattern.split(',').map(k => k.trim().toLowerCase()).filter(Boolean);
+  }
+
+  function _regex(pattern) {
+    try {
+      return new RegExp(pattern, 'i');
+    } catch (_) {
+      return null;
+    }
+  }
+
+  function isValidPattern(match, pattern) {
+    if (typeof pattern !== 'string' || !pattern.trim()) return false;
+    return match === 'regex' ? !!_regex(pattern) : _keywords(pattern).length > 0;
+  }
+
+  function createRule({ name = '', source = 'title', match = 'keywords', pattern = '', projectId = null } = {}) {
+    return { id: GPMStorage.uid(), name, source, match, pattern, projectId, enabled: true };
+  }
+
+  function matches(rule, chat) {
+    const text = chat[rule.source];
+    if (!text || !isValidPattern(rule.match, rule.pattern)) return false;
+    if (rule.match === 'regex') return _regex(rule.pattern).test(text);
+    const lower = text.toLowerCase();
+    return _keywords(rule.pattern).some(keyword => lower.includes(keyword));
+  }
+
+  // The first enabled rule that matches and still has a project to file into, or null.
+  // Rules pointing at an archived project rest until it is unarchived.
+  function findRule(rules, chat, projects) {
+    const canHold = (id) => projects.some(p => p.id === id && !p.query && !GPMStorage.isArchived(projects, p));
+    return (rules || []).find(rule => rule.enabled !== false && canHold(rule.projectId) && matches(rule, chat)) || null;
+  }
+
+  // Dry run: which unfiled chats of the chat index the rules would file, newest first.
+  // Returns [{ chatId, title, rule }].
+  function preview(rules, { projects, chatMap, chatIndex }) {
+    return Object.entries(chatIndex)
+      .filter(([chatId]) => !chatMap[chatId])
+      .sort(([, a], [, b]) => (b.firstSeen || 0) - (a.firstSeen || 0))
+      .map(([chatId, entry]) => ({ chatId, title: entry.title || chatId, rule: findRule(rules, entry, projects) }))
+      .filter(result => result.rule);
+  }
+
+  return { SOURCES, MATCH_TYPES, isValidPattern, createRule, matches, findRule, preview };
+})();
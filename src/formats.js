@@ -0,0 +1,293 @@
+/**
+ * formats.js — Workspace export/import in formats other tools understand
+ * Exports the project tree as Markdown, OPML, CSV or a Netscape bookmarks file, and reads
+ * OPML and bookmarks files back into the { projects, chatMap } shape GPMStorage.planImport
+ * and applyImport take. Chats are identified by their gemini.google.com/app/<id> links.
+ * No DOM access, so the parsers work the same in content scripts and the service worker.
+ */
+
+const GPMFormats = (() => {
+  const CHAT_URL = 'https://gemini.google.com/app/';
+  const CHAT_LINK = /^https?:\/\/gemini\.google\.com\/(?:u\/\d+\/)?app\/([a-zA-Z0-9_-]+)/;
+  const TITLE = 'Gemini Projects';
+
+  // ── Tree walk ──
+  // Sidebar order: root projects by `order`, then per project its subfolders and its chats
+  // (pinned first). Smart folders are left out — their contents are a query, not a list.
+  // Returns [{ project, path, children, chats: [{ chatId, alias, url }] }].
+  function _tree(allProjects, chatMap) {
+    const projects = allProjects.filter(p => !p.query);
+    const build = (project, parentPath) => {
+      const path = [...parentPath, project.name];
+      const chatIds = [...(project.chatIds || [])]
+        .filter(id => chatMap[id])
+        .sort((a, b) => (chatMap[b].pinned ? 1 : 0) - (chatMap[a].pinned ? 1 : 0));
+      return {
+        project,
+        path,
+        children: projects.filter(p => p.parentId === project.id).map(child => build(child, path)),
+        chats: chatIds.map(chatId => ({ chatId, alias: chatMap[chatId].alias || chatId, url: CHAT_URL + chatId }))
+      };
+    };
+    return projects
+      .filter(p => !p.parentId)
+      .sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
+      .map(p => build(p, []));
+  }
+
+  function _escapeXml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+  }
+
+  function _escapeMarkdown(text) {
+    return String(text).replace(/[\\[\]*_`]/g, '\\$&');
+  }
+
+  function _escapeCsv(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // ── Export ──
+  function toMarkdown(projects, chatMap) {
+    const lines = [`# ${TITLE}`, ''];
+    const visit = (node, depth) => {
+      const indent = '  '.repeat(depth);
+      lines.push(`${indent}- ${node.project.icon || '📁'} **${_escapeMarkdown(node.project.name)}**`);
+      node.children.forEach(child => visit(child, depth + 1));
+      node.chats.forEach(chat => lines.push(`${indent}  - [${_escapeMarkdown(chat.alias)}](${chat.url})`));
+    };
+    _tree(projects, chatMap).forEach(node => visit(node, 0));
+    return lines.join('\n') + '\n';
+  }
+
+  function toOpml(projects, chatMap) {
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<opml version="2.0">',
+      `  <head><title>${TITLE}</title><dateCreated>${new Date().toUTCString()}</dateCreated></head>`,
+      '  <body>'
+    ];
+    const visit = (node, depth) => {
+      const indent = '  '.repeat(depth + 2);
+      lines.push(`${indent}<outline text="${_escapeXml(node.project.name)}">`);
+      node.children.forEach(child => visit(child, depth + 1));
+      node.chats.forEach(chat => {
+        lines.push(`${indent}  <outline text="${_escapeXml(chat.alias)}" type="link" url="${_escapeXml(chat.url)}"/>`);
+      });
+      lines.push(`${indent}</outline>`);
+    };
+    _tree(projects, chatMap).forEach(node => visit(node, 0));
+    lines.push('  </body>', '</opml>');
+    return lines.join('\n') + '\n';
+  }
+
+  function toCsv(projects, chatMap) {
+    const rows = [['project_path', 'alias', 'chat_url']];
+    const visit = (node) => {
+      node.chats.forEach(chat => rows.push([node.path.join(' / '), chat.alias, chat.url]));
+      node.children.forEach(visit);
+    };
+    _tree(projects, chatMap).forEach(visit);
+    return rows.map(row => row.map(_escapeCsv).join(',')).join('\r\n') + '\r\n';
+  }
+
+  // Everything sits in one top-level folder so a browser import doesn't scatter it
+  function toBookmarks(projects, chatMap) {
+    const now = Math.floor(Date.now() / 1000);
+    const lines = [
+      '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+      '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+      `<TITLE>${TITLE}</TITLE>`,
+      `<H1>${TITLE}</H1>`,
+      '<DL><p>',
+      `    <DT><H3 ADD_DATE="${now}">${TITLE}</H3>`,
+      '    <DL><p>'
+    ];
+    const visit = (node, depth) => {
+      const indent = '    '.repeat(depth + 2);
+      lines.push(`${indent}<DT><H3 ADD_DATE="${now}">${_escapeXml(node.project.name)}</H3>`);
+      lines.push(`${indent}<DL><p>`);
+      node.children.forEach(child => visit(child, depth + 1));
+      node.chats.forEach(chat => lines.push(`${indent}    <DT><A HREF="${_escapeXml(chat.url)}">${_escapeXml(chat.alias)}</A>`));
+      lines.push(`${indent}</DL><p>`);
+    };
+    _tree(projects, chatMap).forEach(node => visit(node, 0));
+    lines.push('    </DL><p>', '</DL><p>');
+    return lines.join('\n') + '\n';
+  }
+
+  const EXPORT_FORMATS = {
+    markdown: { build: toMarkdown, ext: 'md', type: 'text/markdown' },
+    opml: { build: toOpml, ext: 'opml', type: 'text/x-opml' },
+    csv: { build: toCsv, ext: 'csv', type: 'text/csv' },
+    bookmarks: { build: toBookmarks, ext: 'html', type: 'text/html' }
+  };
+
+  // Returns { content, ext, type } for one of EXPORT_FORMATS
+  function exportAs(format, projects, chatMap) {
+    const { build, ext, type } = EXPORT_FORMATS[format];
+    return { content: build(projects, chatMap), ext, type };
+  }
+
+  // ── Markup reading ──
+  // A tolerant tokenizer rather than DOMParser: bookmark files are tag soup (unclosed DT
+  // and p), and the service worker has no DOMParser at all.
+  const TOKEN = /<!--[\s\S]*?-->|<[!?][^>]*>|<(\/?)([a-zA-Z][\w:-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>|([^<]+)/g;
+  const ATTR = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/g;
+  const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+  function _decode(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+      if (entity[0] === '#') {
+        const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+        return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+      }
+      return ENTITIES[entity.toLowerCase()] ?? match;
+    });
+  }
+
+  function* _tokens(text) {
+    for (const m of text.matchAll(TOKEN)) {
+      if (m[4] !== undefined) {
+        yield { type: 'text', text: _decode(m[4]) };
+      } else if (m[2]) {
+        const attrs = {};
+        for (const a of m[3].matchAll(ATTR)) attrs[a[1].toLowerCase()] = _decode(a[2] ?? a[3] ?? a[4]);
+        yield { type: m[1] ? 'close' : 'open', name: m[2].toLowerCase(), attrs, selfClosing: /\/\s*$/.test(m[3]) };
+      }
+    }
+  }
+
+  function _chatId(url) {
+    return url?.match(CHAT_LINK)?.[1] || null;
+  }
+
+  // Both readers produce an outline: { name, children: [outline], links: [{ chatId, title }] }
+  function _outline(name) {
+    return { name, children: [], links: [] };
+  }
+
+  function _readBookmarks(text) {
+    const root = _outline('');
+    const stack = [root];
+    let pending = null;   // folder whose <H3> was read and whose <DL> comes next
+    let capture = null;   // { tag, text, href? } while inside <H3> or <A>
+
+    for (const token of _tokens(text)) {
+      const top = stack[stack.length - 1];
+      if (token.type === 'text') {
+        if (capture) capture.text += token.text;
+      } else if (token.type === 'open' && (token.name === 'h3' || token.name === 'a')) {
+        capture = { tag: token.name, text: '', href: token.attrs.href };
+      } else if (token.type === 'close' && capture?.tag === token.name) {
+        const title = capture.text.trim();
+        if (token.name === 'h3') {
+          pending = _outline(title);
+          top.children.push(pending);
+        } else {
+          const chatId = _chatId(capture.href);
+          if (chatId) top.links.push({ chatId, title });
+        }
+        capture = null;
+      } else if (token.name === 'dl') {
+        if (token.type === 'open') stack.push(pending || top);
+        else if (stack.length > 1) stack.pop();
+        pending = null;
+      }
+    }
+    return root;
+  }
+
+  function _readOpml(text) {
+    const root = _outline('');
+    const stack = [root];
+    for (const token of _tokens(text)) {
+      if (token.name !== 'outline') continue;
+      const top = stack[stack.length - 1];
+      if (token.type === 'close') {
+        if (stack.length > 1) stack.pop();
+        continue;
+      }
+      const title = (token.attrs.text ?? token.attrs.title ?? '').trim();
+      const chatId = _chatId(token.attrs.url || token.attrs.htmlurl);
+      let node = top;
+      if (chatId) {
+        top.links.push({ chatId, title });
+      } else {
+        node = _outline(title);
+        top.children.push(node);
+      }
+      // Outlines nested under a link are read as if they were its siblings
+      if (!token.selfClosing) stack.push(node);
+    }
+    return root;
+  }
+
+  // Drop folders with no chat links anywhere below them; returns whether any remain
+  function _prune(node) {
+    node.children = node.children.filter(_prune);
+    return node.links.length > 0 || node.children.length > 0;
+  }
+
+  // 'opml', 'bookmarks', or null (JSON exports included — a prompt may well contain "<dt>")
+  function detect(text) {
+    if (/^\s*[{[]/.test(text)) return null;
+    if (/<opml[\s>]/i.test(text)) return 'opml';
+    if (/<!DOCTYPE\s+NETSCAPE-Bookmark-file-1>/i.test(text) || /<dt[\s>]/i.test(text)) return 'bookmarks';
+    return null;
+  }
+
+  // Turns an OPML or bookmarks file into import data. Folders become projects and
+  // gemini.google.com/app links become chat assignments; folders already in the tree (same
+  // name under the same parent) and chats already mapped keep their IDs, icon, color and
+  // pin, so importing a file twice or on top of its own export changes nothing.
+  // Returns { data: { projects, chatMap }, errors } like GPMStorage.parseImport.
+  function parse(text, { projects: currentProjects = [], chatMap: currentChatMap = {} } = {}) {
+    const format = detect(text);
+    if (!format) return { data: null, errors: ['Not an OPML or bookmarks file'] };
+
+    let root = format === 'opml' ? _readOpml(text) : _readBookmarks(text);
+    if (!_prune(root)) return { data: null, errors: ['No gemini.google.com/app links found'] };
+    // Unwrap outer folders that only hold one other folder ("Bookmarks bar", the export's own
+    // wrapper) — unless that folder is a project the tree already has
+    const isWrapper = (folder) => folder.links.length === 0 &&
+      !currentProjects.some(p => !p.parentId && p.name === folder.name);
+    while (root.links.length === 0 && root.children.length === 1 && isWrapper(root.children[0])) {
+      root = root.children[0];
+    }
+
+    const projects = [];
+    const chatMap = {};
+    const used = new Set();
+
+    const addLinks = (links, projectId) => {
+      links.forEach(({ chatId, title }) => {
+        if (chatMap[chatId]) return;
+        const current = currentChatMap[chatId];
+        const alias = title && title !== chatId ? title : (current?.alias || '');
+        chatMap[chatId] = { ...current, projectId, alias, pinned: current?.pinned || false };
+      });
+    };
+
+    const addFolder = (folder, parentId, index) => {
+      const name = folder.name || 'Untitled';
+      const match = currentProjects.find(p => !used.has(p.id) && !p.query && p.name === name && (p.parentId || null) === parentId);
+      const project = match
+        ? { ...structuredClone(match), parentId }
+        : { id: GPMStorage.uid(), name, icon: '📁', color: '#8ab4f8', parentId, children: [], chatIds: [], collapsed: false };
+      if (!parentId && !match) project.order = index;
+      used.add(project.id);
+      projects.push(project);
+      folder.children.forEach((child, i) => addFolder(child, project.id, i));
+      addLinks(folder.links, project.id);
+    };
+
+    // Links outside any folder have no project to go to and are left out
+    root.children.forEach((folder, i) => addFolder(folder, null, i));
+    if (projects.length === 0) return { data: null, errors: ['No folders with gemini.google.com/app links found'] };
+    return { data: { projects, chatMap }, errors: [] };
+  }
+
+  return { exportAs, detect, parse, EXPORT_FORMATS: Object.keys(EXPORT_FORMATS) };
+})();
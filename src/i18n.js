@@ -61,7 +61,7 @@ const GPM_STRINGS = {
     restore: 'Restore',
     data: 'Data',
     restoreBackup: 'Restore from Backup',
-    restoreConfirm: 'This will restore your projects and chats from the last backup. Continue?',
+    restoreConfirm: 'This will restore your projects and chats from this backup. Continue?',
     noBackupAvailable: 'No backup available',
     // Category labels
     categoryHomework: 'Homework',
@@ -84,6 +84,223 @@ const GPM_STRINGS = {
     categoryResearch: 'Research',
     categoryCoding: 'Coding',
     categoryDesign: 'Design',
+    backupHistory: 'Backup History',
+    chats: 'chats',
+    changed: 'changed',
+    moved: 'moved',
+    snapshotAuto: 'Auto-backup',
+    snapshotPreRestore: 'Before restore',
+    snapshotVsCurrent: 'vs. current',
+    snapshotSameAsCurrent: 'Same as current data',
+    checkIntegrity: 'Check Data Integrity',
+    integrityReport: 'Data Integrity Report',
+    integrityOk: 'No problems found',
+    integrityIssuesFound: 'Data problems found — click to review',
+    repairData: 'Repair',
+    repairConfirm: 'A snapshot of your current data will be taken before repairing. Continue?',
+    close: 'Close',
+    snapshotRepair: 'Before repair',
+    issueOrphanedChild: 'Subfolder points to a missing parent',
+    issueChildMismatch: 'Subfolder list out of sync',
+    issueCycle: 'Folders nested inside each other',
+    issueDuplicateChat: 'Chat listed in several projects',
+    issueDanglingChat: 'Project lists a chat that belongs elsewhere',
+    issueMissingProject: 'Chat assigned to a missing project',
+    issueUnlistedChat: 'Chat missing from its project\'s list',
+    sync: 'Sync',
+    syncEnabled: 'Sync across devices (Chrome Sync)',
+    syncHint: 'Mirrors projects, chat mappings, quick prompts and settings to your Chrome profile. Limited to about 100 KB.',
+    syncNow: 'Sync Now',
+    syncStatusOff: 'Sync is off',
+    syncStatusSyncing: 'Syncing…',
+    syncStatusOk: 'Last synced',
+    syncStatusError: 'Sync failed',
+    syncQuotaExceeded: 'data exceeds the Chrome Sync quota',
+    snapshotSync: 'Before sync',
+    importPreview: 'Import Preview',
+    importMerge: 'Merge',
+    importReplace: 'Replace',
+    importMergeHint: 'Adds everything new from the file. For items that exist in both, choose which version to keep.',
+    importReplaceHint: 'Replaces your current projects, chats and prompts with the file\'s contents.',
+    importInvalid: 'This file can\'t be imported:',
+    importNothing: 'Nothing to import — the file matches your current data.',
+    added: 'added',
+    dropped: 'dropped',
+    keepCurrent: 'Keep current',
+    useFromFile: 'Use file',
+    snapshotPreImport: 'Before import',
+    undo: 'Undo',
+    redo: 'Redo',
+    undone: 'Undone',
+    redone: 'Redone',
+    undoConflict: 'Some items changed since and were left as they are',
+    moveProject: 'Move Project',
+    reorderChats: 'Reorder Chats',
+    trash: 'Trash',
+    emptyTrash: 'Empty Trash',
+    emptyTrashConfirm: 'Permanently delete everything in the trash?',
+    deletePermanently: 'Delete Permanently',
+    restoreTargetMissing: 'The project this chat belonged to no longer exists. Restore the project first.',
+    trashRetention: 'Keep deleted items',
+    retention7Days: '7 days',
+    retention30Days: '30 days',
+    retention90Days: '90 days',
+    retentionForever: 'Forever',
+    deletedOn: 'Deleted',
+    storageChatMap: 'Chat mappings',
+    storageOther: 'Other',
+    largestProjects: 'Largest projects',
+    storageNearlyFull: 'Storage is almost full. Empty the trash or export and clear old data.',
+    storageFull: 'Storage is full — this change was not saved',
+    saveFailed: 'Could not save changes',
+    ok: 'OK',
+    passphrase: 'Passphrase',
+    repeatPassphrase: 'Repeat passphrase',
+    encryptExport: 'Encrypt Export',
+    enterPassphrase: 'Enter Passphrase',
+    passphraseHint: 'The passphrase cannot be recovered. Without it, the file cannot be opened.',
+    passphraseTooShort: 'Use at least 8 characters',
+    passphraseMismatch: 'The passphrases do not match',
+    wrongPassphrase: 'Wrong passphrase — the file could not be decrypted',
+    encryptWithPassphrase: 'Encrypt export with a passphrase',
+    encryptedBackup: 'Encrypted Backup',
+    autoBackup: 'Backup Files',
+    autoBackupFrequency: 'Save a backup file',
+    autoBackupOff: 'Never',
+    autoBackupDaily: 'Daily',
+    autoBackupWeekly: 'Weekly',
+    autoBackupHint: 'Full exports are saved to Downloads/Gemini Project Manager; the newest 7 are kept. They are not encrypted.',
+    lastBackup: 'Last backup file',
+    autoBackupNever: 'No backup file saved yet',
+    autoBackupFailed: 'Last backup file failed',
+    backupNow: 'Back Up Now',
+    exportFormat: 'Format',
+    formatJson: 'JSON backup',
+    formatBookmarks: 'Bookmarks (HTML)',
+    sortChats: 'Sort chats in projects',
+    sortManual: 'Manual',
+    sortLastOpened: 'Recently opened',
+    sortAssigned: 'Recently filed',
+    sortTitle: 'Title (A–Z)',
+    chatAssigned: 'Filed',
+    chatLastOpened: 'Last opened',
+    chatFirstSeen: 'First seen',
+    tags: 'Tags',
+    newTag: 'New Tag…',
+    editTag: 'Edit Tag',
+    deleteTag: 'Delete Tag',
+    tagName: 'Tag name',
+    filterByTag: 'Show only chats with this tag',
+    alsoShowIn: 'Also Show In',
+    makeHomeProject: 'Make This Its Home',
+    removeReference: 'Remove From This Project',
+    homeProject: 'Home project',
+    smartFolder: 'Smart folder — lists every chat matching its rules',
+    newSmartFolder: 'New Smart Folder',
+    editSmartFolder: 'Edit Smart Folder',
+    smartFolderName: 'Smart folder name',
+    smartFolderHint: 'Lists every matching chat, filed in a project or not. Chats can\'t be dragged into a smart folder.',
+    queryStartFrom: 'Start from',
+    queryMatchAll: 'Match all rules',
+    queryMatchAny: 'Match any rule',
+    addRule: 'Add Rule',
+    queryFieldAlias: 'Chat name',
+    queryFieldPinned: 'Pinned',
+    queryFieldFiled: 'In a project',
+    queryFieldProject: 'Project',
+    queryFieldTag: 'Tag',
+    opContains: 'contains',
+    opNotContains: 'does not contain',
+    opEquals: 'is exactly',
+    opMatches: 'matches pattern',
+    opIs: 'is',
+    opIsNot: 'is not',
+    opWithin: 'is in or under',
+    opHas: 'has',
+    opHasNot: 'does not have',
+    opWithinDays: 'within the last (days)',
+    opOlderThanDays: 'more than (days) ago',
+    yes: 'Yes',
+    no: 'No',
+    presetPinned: 'Pinned anywhere',
+    presetRecent: 'Opened in the last 7 days',
+    presetUnfiled: 'Not in any project',
+    presetAliasContains: 'Name contains…',
+    autoFiling: 'Auto-Filing',
+    autoFilingHint: 'New chats go into the project of the first matching rule, checked top to bottom. Chats you take out of a project are not filed again.',
+    newFilingRule: 'New Rule',
+    editFilingRule: 'Edit Rule',
+    ruleName: 'Rule name (optional)',
+    ruleSource: 'Look at',
+    ruleMatch: 'Match',
+    ruleTarget: 'File into',
+    ruleSourceTitle: 'Chat title',
+    ruleSourceGem: 'Gem',
+    ruleSourcePrompt: 'First prompt',
+    ruleMatchKeywords: 'Any of these keywords',
+    ruleMatchRegex: 'Regular expression',
+    rulePatternInvalid: 'Enter comma-separated keywords or a valid regular expression',
+    ruleEnabled: 'Rule enabled',
+    noRulesYet: 'No rules yet',
+    moveUp: 'Move up',
+    moveDown: 'Move down',
+    filingDryRun: 'Dry Run',
+    filingPreviewEmpty: 'No chats outside projects match these rules',
+    filingLog: 'Filing Log',
+    filingLogEmpty: 'No chats filed by rules yet',
+    autoFiled: 'Filed by rule',
+    suggested: 'Suggested',
+    suggestedProjects: 'Suggested Projects',
+    suggestionsHint: 'Projects guessed from the chats you have already filed. Computed on this device.',
+    fileSelected: 'File Selected',
+    selectAll: 'Select all',
+    triage: 'Triage',
+    triageHint: '1–9 file · Enter take suggestion · S skip · N new project · R rename · Esc close',
+    triageDone: 'That was the last one — every chat is filed.',
+    skip: 'Skip',
+    notes: 'Notes',
+    searchNotes: 'Search all notes...',
+    notesPlaceholder: 'Write notes in Markdown — # heading, **bold**, - list, [link](https://...)',
+    notesEmpty: 'Nothing written yet. The preview appears here as you type.',
+    noMatchingNotes: 'No notes match',
+    discardChanges: 'Discard unsaved changes?',
+    saved: 'Saved',
+    projectContext: 'Project Context',
+    projectContextHint: 'Put into the prompt box when you start a new chat in this project. Subfolders inherit it and add their own below.',
+    projectContextPlaceholder: 'e.g. You are a senior Go reviewer. Keep answers short and cite the standard library.',
+    inheritedFrom: 'Inherited from',
+    contextPreview: 'Preview project context before inserting',
+    insert: 'Insert',
+    archive: 'Archive',
+    unarchive: 'Unarchive',
+    archived: 'Archived',
+    noMatches: 'No matches',
+    moveCurrentChat: 'Move Current Chat to…',
+    insertPrompt: 'Insert Prompt…',
+    chooseProject: 'Choose a project…',
+    paletteSearch: 'Search projects, chats, prompts and commands…',
+    paletteHint: '↑ ↓ to move · Enter to open · Backspace to go back · Esc to close',
+    keyboardShortcuts: 'Keyboard Shortcuts',
+    shortcutsHint: 'Click a shortcut and press the new keys. Backspace clears it, Esc cancels.',
+    pressKeys: 'Press keys…',
+    notSet: 'Not set',
+    shortcutNeedsModifier: 'Use Ctrl, Alt or ⌘ with the key, or a function key',
+    alsoUsedBy: 'Also used by',
+    yourBrowser: 'your browser',
+    resetShortcuts: 'Reset to defaults',
+    chromeShortcuts: 'Chrome Shortcuts',
+    chromeShortcutsHint: 'These also work when the page has no focus. Chrome sets them itself.',
+    changeInChrome: 'Change in Chrome',
+    shortcutCommandPalette: 'Command palette',
+    shortcutToggleQuickPrompts: 'Show or hide Quick Prompts',
+    shortcutNewProject: 'New project',
+    shortcutAssignChat: 'Move current chat to a project',
+    shortcutPinChat: 'Pin or unpin current chat',
+    shortcutNextChat: 'Next chat in project',
+    shortcutPreviousChat: 'Previous chat in project',
+    shortcutToggleProjects: 'Show or hide Projects',
+    chatNotFiled: 'This chat isn\'t in a project',
+    openChatFirst: 'Open a chat first',
   },
   tr: {
     newProject: 'Yeni Proje',
@@ -141,7 +358,7 @@ const GPM_STRINGS = {
     restore: 'Geri Yükle',
     data: 'Veri',
     restoreBackup: 'Yedekten Geri Yükle',
-    restoreConfirm: 'Projeleriniz ve sohbetleriniz son yedekten geri yüklenecek. Devam edilsin mi?',
+    restoreConfirm: 'Projeleriniz ve sohbetleriniz bu yedekten geri yüklenecek. Devam edilsin mi?',
     noBackupAvailable: 'Mevcut yedek bulunamadı',
     // Category labels
     categoryHomework: 'Ödev',
@@ -164,6 +381,223 @@ const GPM_STRINGS = {
     categoryResearch: 'Araştırma',
     categoryCoding: 'Kodlama',
     categoryDesign: 'Tasarım',
+    backupHistory: 'Yedek Geçmişi',
+    chats: 'sohbet',
+    changed: 'değişti',
+    moved: 'taşındı',
+    snapshotAuto: 'Otomatik yedek',
+    snapshotPreRestore: 'Geri yükleme öncesi',
+    snapshotVsCurrent: 'mevcuda göre',
+    snapshotSameAsCurrent: 'Mevcut veriyle aynı',
+    checkIntegrity: 'Veri Bütünlüğünü Denetle',
+    integrityReport: 'Veri Bütünlüğü Raporu',
+    integrityOk: 'Sorun bulunamadı',
+    integrityIssuesFound: 'Veri sorunları bulundu — incelemek için tıklayın',
+    repairData: 'Onar',
+    repairConfirm: 'Onarımdan önce mevcut verinin anlık görüntüsü alınacak. Devam edilsin mi?',
+    close: 'Kapat',
+    snapshotRepair: 'Onarım öncesi',
+    issueOrphanedChild: 'Alt klasörün üst klasörü yok',
+    issueChildMismatch: 'Alt klasör listesi senkron değil',
+    issueCycle: 'Klasörler birbirinin içinde',
+    issueDuplicateChat: 'Sohbet birden fazla projede listeleniyor',
+    issueDanglingChat: 'Proje başka yere ait bir sohbeti listeliyor',
+    issueMissingProject: 'Sohbet var olmayan bir projeye atanmış',
+    issueUnlistedChat: 'Sohbet projesinin listesinde yok',
+    sync: 'Senkronizasyon',
+    syncEnabled: 'Cihazlar arasında senkronize et (Chrome Sync)',
+    syncHint: 'Projeleri, sohbet eşlemelerini, hızlı komutları ve ayarları Chrome profilinize yansıtır. Yaklaşık 100 KB ile sınırlıdır.',
+    syncNow: 'Şimdi Senkronize Et',
+    syncStatusOff: 'Senkronizasyon kapalı',
+    syncStatusSyncing: 'Senkronize ediliyor…',
+    syncStatusOk: 'Son senkronizasyon',
+    syncStatusError: 'Senkronizasyon başarısız',
+    syncQuotaExceeded: 'veriler Chrome Sync kotasını aşıyor',
+    snapshotSync: 'Senkronizasyondan önce',
+    importPreview: 'İçe Aktarma Önizlemesi',
+    importMerge: 'Birleştir',
+    importReplace: 'Değiştir',
+    importMergeHint: 'Dosyadaki tüm yeni öğeleri ekler. Her iki tarafta da bulunan öğeler için hangi sürümün tutulacağını seçin.',
+    importReplaceHint: 'Mevcut projelerinizi, sohbetlerinizi ve komutlarınızı dosyanın içeriğiyle değiştirir.',
+    importInvalid: 'Bu dosya içe aktarılamıyor:',
+    importNothing: 'İçe aktarılacak bir şey yok — dosya mevcut verilerinizle aynı.',
+    added: 'eklendi',
+    dropped: 'kaldırıldı',
+    keepCurrent: 'Mevcudu koru',
+    useFromFile: 'Dosyayı kullan',
+    snapshotPreImport: 'İçe aktarmadan önce',
+    undo: 'Geri Al',
+    redo: 'Yinele',
+    undone: 'Geri alındı',
+    redone: 'Yinelendi',
+    undoConflict: 'Bazı öğeler o zamandan beri değişti ve olduğu gibi bırakıldı',
+    moveProject: 'Projeyi Taşı',
+    reorderChats: 'Sohbetleri Sırala',
+    trash: 'Çöp Kutusu',
+    emptyTrash: 'Çöp Kutusunu Boşalt',
+    emptyTrashConfirm: 'Çöp kutusundaki her şey kalıcı olarak silinsin mi?',
+    deletePermanently: 'Kalıcı Olarak Sil',
+    restoreTargetMissing: 'Bu sohbetin ait olduğu proje artık yok. Önce projeyi geri yükleyin.',
+    trashRetention: 'Silinen öğeleri sakla',
+    retention7Days: '7 gün',
+    retention30Days: '30 gün',
+    retention90Days: '90 gün',
+    retentionForever: 'Süresiz',
+    deletedOn: 'Silinme',
+    storageChatMap: 'Sohbet eşlemeleri',
+    storageOther: 'Diğer',
+    largestProjects: 'En büyük projeler',
+    storageNearlyFull: 'Depolama neredeyse dolu. Çöp kutusunu boşaltın veya eski verileri dışa aktarıp temizleyin.',
+    storageFull: 'Depolama dolu — bu değişiklik kaydedilmedi',
+    saveFailed: 'Değişiklikler kaydedilemedi',
+    ok: 'Tamam',
+    passphrase: 'Parola',
+    repeatPassphrase: 'Parolayı tekrarla',
+    encryptExport: 'Dışa Aktarımı Şifrele',
+    enterPassphrase: 'Parolayı Girin',
+    passphraseHint: 'Parola kurtarılamaz. Parola olmadan dosya açılamaz.',
+    passphraseTooShort: 'En az 8 karakter kullanın',
+    passphraseMismatch: 'Parolalar eşleşmiyor',
+    wrongPassphrase: 'Yanlış parola — dosyanın şifresi çözülemedi',
+    encryptWithPassphrase: 'Dışa aktarımı parolayla şifrele',
+    encryptedBackup: 'Şifreli Yedek',
+    autoBackup: 'Yedek Dosyaları',
+    autoBackupFrequency: 'Yedek dosyası kaydet',
+    autoBackupOff: 'Hiçbir zaman',
+    autoBackupDaily: 'Günlük',
+    autoBackupWeekly: 'Haftalık',
+    autoBackupHint: 'Tam dışa aktarımlar İndirilenler/Gemini Project Manager klasörüne kaydedilir; en yeni 7 dosya tutulur. Şifrelenmezler.',
+    lastBackup: 'Son yedek dosyası',
+    autoBackupNever: 'Henüz yedek dosyası kaydedilmedi',
+    autoBackupFailed: 'Son yedek dosyası başarısız oldu',
+    backupNow: 'Şimdi Yedekle',
+    exportFormat: 'Biçim',
+    formatJson: 'JSON yedeği',
+    formatBookmarks: 'Yer imleri (HTML)',
+    sortChats: 'Projelerdeki sohbetleri sırala',
+    sortManual: 'Elle',
+    sortLastOpened: 'Son açılan',
+    sortAssigned: 'Son eklenen',
+    sortTitle: 'Başlık (A–Z)',
+    chatAssigned: 'Eklendi',
+    chatLastOpened: 'Son açılış',
+    chatFirstSeen: 'İlk görülme',
+    tags: 'Etiketler',
+    newTag: 'Yeni Etiket…',
+    editTag: 'Etiketi Düzenle',
+    deleteTag: 'Etiketi Sil',
+    tagName: 'Etiket adı',
+    filterByTag: 'Yalnızca bu etikete sahip sohbetleri göster',
+    alsoShowIn: 'Şurada da Göster',
+    makeHomeProject: 'Ana Proje Yap',
+    removeReference: 'Bu Projeden Kaldır',
+    homeProject: 'Ana proje',
+    smartFolder: 'Akıllı klasör — kurallarına uyan tüm sohbetleri listeler',
+    newSmartFolder: 'Yeni Akıllı Klasör',
+    editSmartFolder: 'Akıllı Klasörü Düzenle',
+    smartFolderName: 'Akıllı klasör adı',
+    smartFolderHint: 'Bir projede olsun ya da olmasın, eşleşen tüm sohbetleri listeler. Sohbetler akıllı klasöre sürüklenemez.',
+    queryStartFrom: 'Şununla başla',
+    queryMatchAll: 'Tüm kurallara uy',
+    queryMatchAny: 'Herhangi bir kurala uy',
+    addRule: 'Kural Ekle',
+    queryFieldAlias: 'Sohbet adı',
+    queryFieldPinned: 'Sabitlenmiş',
+    queryFieldFiled: 'Bir projede',
+    queryFieldProject: 'Proje',
+    queryFieldTag: 'Etiket',
+    opContains: 'içerir',
+    opNotContains: 'içermez',
+    opEquals: 'tam olarak',
+    opMatches: 'desene uyar',
+    opIs: 'şudur',
+    opIsNot: 'şu değildir',
+    opWithin: 'içinde veya altında',
+    opHas: 'sahip',
+    opHasNot: 'sahip değil',
+    opWithinDays: 'son (gün) içinde',
+    opOlderThanDays: '(gün) önceden eski',
+    yes: 'Evet',
+    no: 'Hayır',
+    presetPinned: 'Her yerde sabitlenmiş',
+    presetRecent: 'Son 7 günde açılan',
+    presetUnfiled: 'Hiçbir projede değil',
+    presetAliasContains: 'Adı şunu içerir…',
+    autoFiling: 'Otomatik Dosyalama',
+    autoFilingHint: 'Yeni sohbetler, yukarıdan aşağıya kontrol edilen ilk eşleşen kuralın projesine eklenir. Bir projeden çıkardığınız sohbetler yeniden dosyalanmaz.',
+    newFilingRule: 'Yeni Kural',
+    editFilingRule: 'Kuralı Düzenle',
+    ruleName: 'Kural adı (isteğe bağlı)',
+    ruleSource: 'Bakılacak yer',
+    ruleMatch: 'Eşleşme',
+    ruleTarget: 'Şuraya dosyala',
+    ruleSourceTitle: 'Sohbet başlığı',
+    ruleSourceGem: 'Gem',
+    ruleSourcePrompt: 'İlk istem',
+    ruleMatchKeywords: 'Bu anahtar kelimelerden biri',
+    ruleMatchRegex: 'Düzenli ifade',
+    rulePatternInvalid: 'Virgülle ayrılmış anahtar kelimeler veya geçerli bir düzenli ifade girin',
+    ruleEnabled: 'Kural etkin',
+    noRulesYet: 'Henüz kural yok',
+    moveUp: 'Yukarı taşı',
+    moveDown: 'Aşağı taşı',
+    filingDryRun: 'Deneme Çalıştır',
+    filingPreviewEmpty: 'Bu kurallara uyan, proje dışında sohbet yok',
+    filingLog: 'Dosyalama Günlüğü',
+    filingLogEmpty: 'Henüz kurallarla dosyalanan sohbet yok',
+    autoFiled: 'Kuralla dosyalandı',
+    suggested: 'Önerilen',
+    suggestedProjects: 'Önerilen Projeler',
+    suggestionsHint: 'Daha önce dosyaladığınız sohbetlerden tahmin edilen projeler. Bu cihazda hesaplanır.',
+    fileSelected: 'Seçilenleri Dosyala',
+    selectAll: 'Tümünü seç',
+    triage: 'Hızlı Sınıflandır',
+    triageHint: '1–9 dosyala · Enter öneriyi al · S atla · N yeni proje · R yeniden adlandır · Esc kapat',
+    triageDone: 'Sonuncusuydu — tüm sohbetler dosyalandı.',
+    skip: 'Atla',
+    notes: 'Notlar',
+    searchNotes: 'Tüm notlarda ara...',
+    notesPlaceholder: 'Markdown ile not yazın — # başlık, **kalın**, - liste, [bağlantı](https://...)',
+    notesEmpty: 'Henüz bir şey yazılmadı. Yazdıkça önizleme burada görünür.',
+    noMatchingNotes: 'Eşleşen not yok',
+    discardChanges: 'Kaydedilmemiş değişiklikler atılsın mı?',
+    saved: 'Kaydedildi',
+    projectContext: 'Proje Bağlamı',
+    projectContextHint: 'Bu projede yeni bir sohbet başlattığınızda istem kutusuna eklenir. Alt klasörler bunu devralır ve kendilerininkini altına ekler.',
+    projectContextPlaceholder: 'ör. Kıdemli bir Go inceleyicisisin. Yanıtları kısa tut ve standart kütüphaneye atıf yap.',
+    inheritedFrom: 'Devralındığı yer',
+    contextPreview: 'Eklemeden önce proje bağlamını önizle',
+    insert: 'Ekle',
+    archive: 'Arşivle',
+    unarchive: 'Arşivden çıkar',
+    archived: 'Arşivlenenler',
+    noMatches: 'Eşleşme yok',
+    moveCurrentChat: 'Geçerli Sohbeti Taşı…',
+    insertPrompt: 'İstem Ekle…',
+    chooseProject: 'Bir proje seçin…',
+    paletteSearch: 'Proje, sohbet, istem ve komut ara…',
+    paletteHint: '↑ ↓ gezin · Enter aç · Backspace geri · Esc kapat',
+    keyboardShortcuts: 'Klavye Kısayolları',
+    shortcutsHint: 'Bir kısayola tıklayın ve yeni tuşlara basın. Backspace temizler, Esc iptal eder.',
+    pressKeys: 'Tuşlara basın…',
+    notSet: 'Atanmadı',
+    shortcutNeedsModifier: 'Tuşla birlikte Ctrl, Alt veya ⌘ kullanın ya da bir işlev tuşu seçin',
+    alsoUsedBy: 'Bunu da kullanıyor',
+    yourBrowser: 'tarayıcınız',
+    resetShortcuts: 'Varsayılanlara sıfırla',
+    chromeShortcuts: 'Chrome Kısayolları',
+    chromeShortcutsHint: 'Bunlar sayfa odakta değilken de çalışır. Chrome bunları kendisi ayarlar.',
+    changeInChrome: 'Chrome\'da değiştir',
+    shortcutCommandPalette: 'Komut paleti',
+    shortcutToggleQuickPrompts: 'Hızlı İstemleri göster veya gizle',
+    shortcutNewProject: 'Yeni proje',
+    shortcutAssignChat: 'Geçerli sohbeti bir projeye taşı',
+    shortcutPinChat: 'Geçerli sohbeti sabitle veya çöz',
+    shortcutNextChat: 'Projedeki sonraki sohbet',
+    shortcutPreviousChat: 'Projedeki önceki sohbet',
+    shortcutToggleProjects: 'Projeleri göster veya gizle',
+    chatNotFiled: 'Bu sohbet bir projede değil',
+    openChatFirst: 'Önce bir sohbet açın',
   },
   de: {
     newProject: 'Neues Projekt',
@@ -221,7 +655,7 @@ const GPM_STRINGS = {
     restore: 'Wiederherstellen',
     data: 'Daten',
     restoreBackup: 'Aus Backup wiederherstellen',
-    restoreConfirm: 'Ihre Projekte und Chats werden aus dem letzten Backup wiederhergestellt. Fortfahren?',
+    restoreConfirm: 'Ihre Projekte und Chats werden aus diesem Backup wiederhergestellt. Fortfahren?',
     noBackupAvailable: 'Kein Backup verfügbar',
     categoryHomework: 'Hausaufgaben',
     categoryWriting: 'Schreiben',
@@ -243,6 +677,223 @@ const GPM_STRINGS = {
     categoryResearch: 'Forschung',
     categoryCoding: 'Programmierung',
     categoryDesign: 'Design',
+    backupHistory: 'Sicherungsverlauf',
+    chats: 'Chats',
+    changed: 'geändert',
+    moved: 'verschoben',
+    snapshotAuto: 'Automatische Sicherung',
+    snapshotPreRestore: 'Vor Wiederherstellung',
+    snapshotVsCurrent: 'ggü. aktuell',
+    snapshotSameAsCurrent: 'Identisch mit aktuellen Daten',
+    checkIntegrity: 'Datenintegrität prüfen',
+    integrityReport: 'Integritätsbericht',
+    integrityOk: 'Keine Probleme gefunden',
+    integrityIssuesFound: 'Datenprobleme gefunden — zum Prüfen klicken',
+    repairData: 'Reparieren',
+    repairConfirm: 'Vor der Reparatur wird ein Snapshot Ihrer aktuellen Daten erstellt. Fortfahren?',
+    close: 'Schließen',
+    snapshotRepair: 'Vor Reparatur',
+    issueOrphanedChild: 'Unterordner verweist auf fehlenden Elternordner',
+    issueChildMismatch: 'Unterordnerliste nicht synchron',
+    issueCycle: 'Ordner ineinander verschachtelt',
+    issueDuplicateChat: 'Chat in mehreren Projekten aufgeführt',
+    issueDanglingChat: 'Projekt führt einen Chat, der woanders hingehört',
+    issueMissingProject: 'Chat einem fehlenden Projekt zugewiesen',
+    issueUnlistedChat: 'Chat fehlt in der Liste seines Projekts',
+    sync: 'Synchronisierung',
+    syncEnabled: 'Geräteübergreifend synchronisieren (Chrome Sync)',
+    syncHint: 'Spiegelt Projekte, Chat-Zuordnungen, Schnell-Prompts und Einstellungen in Ihr Chrome-Profil. Begrenzt auf etwa 100 KB.',
+    syncNow: 'Jetzt synchronisieren',
+    syncStatusOff: 'Synchronisierung ist aus',
+    syncStatusSyncing: 'Wird synchronisiert…',
+    syncStatusOk: 'Zuletzt synchronisiert',
+    syncStatusError: 'Synchronisierung fehlgeschlagen',
+    syncQuotaExceeded: 'Daten überschreiten das Chrome-Sync-Kontingent',
+    snapshotSync: 'Vor Synchronisierung',
+    importPreview: 'Import-Vorschau',
+    importMerge: 'Zusammenführen',
+    importReplace: 'Ersetzen',
+    importMergeHint: 'Fügt alles Neue aus der Datei hinzu. Wählen Sie für Elemente, die auf beiden Seiten existieren, welche Version erhalten bleibt.',
+    importReplaceHint: 'Ersetzt Ihre aktuellen Projekte, Chats und Prompts durch den Inhalt der Datei.',
+    importInvalid: 'Diese Datei kann nicht importiert werden:',
+    importNothing: 'Nichts zu importieren — die Datei entspricht Ihren aktuellen Daten.',
+    added: 'hinzugefügt',
+    dropped: 'entfernt',
+    keepCurrent: 'Aktuelle behalten',
+    useFromFile: 'Datei verwenden',
+    snapshotPreImport: 'Vor Import',
+    undo: 'Rückgängig',
+    redo: 'Wiederholen',
+    undone: 'Rückgängig gemacht',
+    redone: 'Wiederholt',
+    undoConflict: 'Einige Elemente wurden inzwischen geändert und bleiben unverändert',
+    moveProject: 'Projekt verschieben',
+    reorderChats: 'Chats neu anordnen',
+    trash: 'Papierkorb',
+    emptyTrash: 'Papierkorb leeren',
+    emptyTrashConfirm: 'Alles im Papierkorb endgültig löschen?',
+    deletePermanently: 'Endgültig löschen',
+    restoreTargetMissing: 'Das Projekt dieses Chats existiert nicht mehr. Stellen Sie zuerst das Projekt wieder her.',
+    trashRetention: 'Gelöschte Elemente behalten',
+    retention7Days: '7 Tage',
+    retention30Days: '30 Tage',
+    retention90Days: '90 Tage',
+    retentionForever: 'Unbegrenzt',
+    deletedOn: 'Gelöscht',
+    storageChatMap: 'Chat-Zuordnungen',
+    storageOther: 'Sonstiges',
+    largestProjects: 'Größte Projekte',
+    storageNearlyFull: 'Der Speicher ist fast voll. Leeren Sie den Papierkorb oder exportieren und löschen Sie alte Daten.',
+    storageFull: 'Speicher voll — diese Änderung wurde nicht gespeichert',
+    saveFailed: 'Änderungen konnten nicht gespeichert werden',
+    ok: 'OK',
+    passphrase: 'Passphrase',
+    repeatPassphrase: 'Passphrase wiederholen',
+    encryptExport: 'Export verschlüsseln',
+    enterPassphrase: 'Passphrase eingeben',
+    passphraseHint: 'Die Passphrase kann nicht wiederhergestellt werden. Ohne sie lässt sich die Datei nicht öffnen.',
+    passphraseTooShort: 'Mindestens 8 Zeichen verwenden',
+    passphraseMismatch: 'Die Passphrasen stimmen nicht überein',
+    wrongPassphrase: 'Falsche Passphrase — die Datei konnte nicht entschlüsselt werden',
+    encryptWithPassphrase: 'Export mit Passphrase verschlüsseln',
+    encryptedBackup: 'Verschlüsselte Sicherung',
+    autoBackup: 'Sicherungsdateien',
+    autoBackupFrequency: 'Sicherungsdatei speichern',
+    autoBackupOff: 'Nie',
+    autoBackupDaily: 'Täglich',
+    autoBackupWeekly: 'Wöchentlich',
+    autoBackupHint: 'Vollständige Exporte werden unter Downloads/Gemini Project Manager gespeichert; die neuesten 7 bleiben erhalten. Sie sind nicht verschlüsselt.',
+    lastBackup: 'Letzte Sicherungsdatei',
+    autoBackupNever: 'Noch keine Sicherungsdatei gespeichert',
+    autoBackupFailed: 'Letzte Sicherungsdatei fehlgeschlagen',
+    backupNow: 'Jetzt sichern',
+    exportFormat: 'Format',
+    formatJson: 'JSON-Sicherung',
+    formatBookmarks: 'Lesezeichen (HTML)',
+    sortChats: 'Chats in Projekten sortieren',
+    sortManual: 'Manuell',
+    sortLastOpened: 'Zuletzt geöffnet',
+    sortAssigned: 'Zuletzt abgelegt',
+    sortTitle: 'Titel (A–Z)',
+    chatAssigned: 'Abgelegt',
+    chatLastOpened: 'Zuletzt geöffnet',
+    chatFirstSeen: 'Zuerst gesehen',
+    tags: 'Tags',
+    newTag: 'Neuer Tag…',
+    editTag: 'Tag bearbeiten',
+    deleteTag: 'Tag löschen',
+    tagName: 'Tag-Name',
+    filterByTag: 'Nur Chats mit diesem Tag anzeigen',
+    alsoShowIn: 'Auch anzeigen in',
+    makeHomeProject: 'Zum Hauptprojekt machen',
+    removeReference: 'Aus diesem Projekt entfernen',
+    homeProject: 'Hauptprojekt',
+    smartFolder: 'Intelligenter Ordner — zeigt alle Chats, die seinen Regeln entsprechen',
+    newSmartFolder: 'Neuer intelligenter Ordner',
+    editSmartFolder: 'Intelligenten Ordner bearbeiten',
+    smartFolderName: 'Name des intelligenten Ordners',
+    smartFolderHint: 'Zeigt alle passenden Chats, ob in einem Projekt abgelegt oder nicht. Chats können nicht in einen intelligenten Ordner gezogen werden.',
+    queryStartFrom: 'Beginnen mit',
+    queryMatchAll: 'Alle Regeln erfüllen',
+    queryMatchAny: 'Eine beliebige Regel erfüllen',
+    addRule: 'Regel hinzufügen',
+    queryFieldAlias: 'Chatname',
+    queryFieldPinned: 'Angeheftet',
+    queryFieldFiled: 'In einem Projekt',
+    queryFieldProject: 'Projekt',
+    queryFieldTag: 'Tag',
+    opContains: 'enthält',
+    opNotContains: 'enthält nicht',
+    opEquals: 'ist genau',
+    opMatches: 'entspricht Muster',
+    opIs: 'ist',
+    opIsNot: 'ist nicht',
+    opWithin: 'ist in oder unter',
+    opHas: 'hat',
+    opHasNot: 'hat nicht',
+    opWithinDays: 'in den letzten (Tagen)',
+    opOlderThanDays: 'vor mehr als (Tagen)',
+    yes: 'Ja',
+    no: 'Nein',
+    presetPinned: 'Überall angeheftet',
+    presetRecent: 'In den letzten 7 Tagen geöffnet',
+    presetUnfiled: 'In keinem Projekt',
+    presetAliasContains: 'Name enthält…',
+    autoFiling: 'Automatisch ablegen',
+    autoFilingHint: 'Neue Chats landen im Projekt der ersten passenden Regel, geprüft von oben nach unten. Chats, die Sie aus einem Projekt nehmen, werden nicht erneut abgelegt.',
+    newFilingRule: 'Neue Regel',
+    editFilingRule: 'Regel bearbeiten',
+    ruleName: 'Regelname (optional)',
+    ruleSource: 'Prüfen',
+    ruleMatch: 'Treffer',
+    ruleTarget: 'Ablegen in',
+    ruleSourceTitle: 'Chat-Titel',
+    ruleSourceGem: 'Gem',
+    ruleSourcePrompt: 'Erster Prompt',
+    ruleMatchKeywords: 'Eines dieser Stichwörter',
+    ruleMatchRegex: 'Regulärer Ausdruck',
+    rulePatternInvalid: 'Geben Sie kommagetrennte Stichwörter oder einen gültigen regulären Ausdruck ein',
+    ruleEnabled: 'Regel aktiv',
+    noRulesYet: 'Noch keine Regeln',
+    moveUp: 'Nach oben',
+    moveDown: 'Nach unten',
+    filingDryRun: 'Probelauf',
+    filingPreviewEmpty: 'Keine Chats außerhalb von Projekten passen zu diesen Regeln',
+    filingLog: 'Ablageprotokoll',
+    filingLogEmpty: 'Noch keine Chats per Regel abgelegt',
+    autoFiled: 'Per Regel abgelegt',
+    suggested: 'Vorschlag',
+    suggestedProjects: 'Vorgeschlagene Projekte',
+    suggestionsHint: 'Aus bereits abgelegten Chats erratene Projekte. Wird auf diesem Gerät berechnet.',
+    fileSelected: 'Auswahl ablegen',
+    selectAll: 'Alle auswählen',
+    triage: 'Sortieren',
+    triageHint: '1–9 ablegen · Enter Vorschlag übernehmen · S überspringen · N neues Projekt · R umbenennen · Esc schließen',
+    triageDone: 'Das war der letzte — alle Chats sind abgelegt.',
+    skip: 'Überspringen',
+    notes: 'Notizen',
+    searchNotes: 'Alle Notizen durchsuchen...',
+    notesPlaceholder: 'Notizen in Markdown — # Überschrift, **fett**, - Liste, [Link](https://...)',
+    notesEmpty: 'Noch nichts geschrieben. Die Vorschau erscheint hier beim Tippen.',
+    noMatchingNotes: 'Keine passenden Notizen',
+    discardChanges: 'Ungespeicherte Änderungen verwerfen?',
+    saved: 'Gespeichert',
+    projectContext: 'Projektkontext',
+    projectContextHint: 'Wird in das Eingabefeld gesetzt, wenn du in diesem Projekt einen neuen Chat beginnst. Unterordner erben ihn und fügen ihren eigenen darunter an.',
+    projectContextPlaceholder: 'z. B. Du bist ein erfahrener Go-Reviewer. Antworte knapp und verweise auf die Standardbibliothek.',
+    inheritedFrom: 'Geerbt von',
+    contextPreview: 'Projektkontext vor dem Einfügen anzeigen',
+    insert: 'Einfügen',
+    archive: 'Archivieren',
+    unarchive: 'Aus Archiv holen',
+    archived: 'Archiviert',
+    noMatches: 'Keine Treffer',
+    moveCurrentChat: 'Aktuellen Chat verschieben nach…',
+    insertPrompt: 'Prompt einfügen…',
+    chooseProject: 'Projekt wählen…',
+    paletteSearch: 'Projekte, Chats, Prompts und Befehle suchen…',
+    paletteHint: '↑ ↓ bewegen · Enter öffnen · Rücktaste zurück · Esc schließen',
+    keyboardShortcuts: 'Tastenkürzel',
+    shortcutsHint: 'Klicken Sie auf ein Kürzel und drücken Sie die neuen Tasten. Rücktaste löscht es, Esc bricht ab.',
+    pressKeys: 'Tasten drücken…',
+    notSet: 'Nicht belegt',
+    shortcutNeedsModifier: 'Verwenden Sie Strg, Alt oder ⌘ mit der Taste oder eine Funktionstaste',
+    alsoUsedBy: 'Auch belegt von',
+    yourBrowser: 'Ihrem Browser',
+    resetShortcuts: 'Auf Standard zurücksetzen',
+    chromeShortcuts: 'Chrome-Tastenkürzel',
+    chromeShortcutsHint: 'Diese funktionieren auch, wenn die Seite keinen Fokus hat. Chrome legt sie selbst fest.',
+    changeInChrome: 'In Chrome ändern',
+    shortcutCommandPalette: 'Befehlspalette',
+    shortcutToggleQuickPrompts: 'Schnelle Eingaben ein- oder ausblenden',
+    shortcutNewProject: 'Neues Projekt',
+    shortcutAssignChat: 'Aktuellen Chat in ein Projekt verschieben',
+    shortcutPinChat: 'Aktuellen Chat anheften oder lösen',
+    shortcutNextChat: 'Nächster Chat im Projekt',
+    shortcutPreviousChat: 'Vorheriger Chat im Projekt',
+    shortcutToggleProjects: 'Projekte ein- oder ausblenden',
+    chatNotFiled: 'Dieser Chat ist in keinem Projekt',
+    openChatFirst: 'Öffnen Sie zuerst einen Chat',
   },
   fr: {
     newProject: 'Nouveau projet',
@@ -300,7 +951,7 @@ const GPM_STRINGS = {
     restore: 'Restaurer',
     data: 'Données',
     restoreBackup: 'Restaurer depuis la sauvegarde',
-    restoreConfirm: 'Vos projets et chats seront restaurés depuis la dernière sauvegarde. Continuer?',
+    restoreConfirm: 'Vos projets et chats seront restaurés depuis cette sauvegarde. Continuer?',
     noBackupAvailable: 'Aucune sauvegarde disponible',
     categoryHomework: 'Devoirs',
     categoryWriting: 'Écriture',
@@ -322,6 +973,223 @@ const GPM_STRINGS = {
     categoryResearch: 'Recherche',
     categoryCoding: 'Codage',
     categoryDesign: 'Design',
+    backupHistory: 'Historique des sauvegardes',
+    chats: 'discussions',
+    changed: 'modifiés',
+    moved: 'déplacées',
+    snapshotAuto: 'Sauvegarde auto',
+    snapshotPreRestore: 'Avant restauration',
+    snapshotVsCurrent: 'vs. actuel',
+    snapshotSameAsCurrent: 'Identique aux données actuelles',
+    checkIntegrity: 'Vérifier l\'intégrité des données',
+    integrityReport: 'Rapport d\'intégrité',
+    integrityOk: 'Aucun problème détecté',
+    integrityIssuesFound: 'Problèmes de données détectés — cliquez pour voir',
+    repairData: 'Réparer',
+    repairConfirm: 'Un instantané de vos données actuelles sera créé avant la réparation. Continuer?',
+    close: 'Fermer',
+    snapshotRepair: 'Avant réparation',
+    issueOrphanedChild: 'Le sous-dossier pointe vers un parent manquant',
+    issueChildMismatch: 'Liste des sous-dossiers désynchronisée',
+    issueCycle: 'Dossiers imbriqués l\'un dans l\'autre',
+    issueDuplicateChat: 'Discussion listée dans plusieurs projets',
+    issueDanglingChat: 'Le projet liste une discussion appartenant ailleurs',
+    issueMissingProject: 'Discussion assignée à un projet manquant',
+    issueUnlistedChat: 'Discussion absente de la liste de son projet',
+    sync: 'Synchronisation',
+    syncEnabled: 'Synchroniser entre appareils (Chrome Sync)',
+    syncHint: 'Réplique les projets, les associations de chats, les prompts rapides et les paramètres dans votre profil Chrome. Limité à environ 100 Ko.',
+    syncNow: 'Synchroniser maintenant',
+    syncStatusOff: 'Synchronisation désactivée',
+    syncStatusSyncing: 'Synchronisation…',
+    syncStatusOk: 'Dernière synchronisation',
+    syncStatusError: 'Échec de la synchronisation',
+    syncQuotaExceeded: 'les données dépassent le quota de Chrome Sync',
+    snapshotSync: 'Avant synchronisation',
+    importPreview: 'Aperçu de l\'importation',
+    importMerge: 'Fusionner',
+    importReplace: 'Remplacer',
+    importMergeHint: 'Ajoute tout ce qui est nouveau dans le fichier. Pour les éléments présents des deux côtés, choisissez la version à conserver.',
+    importReplaceHint: 'Remplace vos projets, chats et prompts actuels par le contenu du fichier.',
+    importInvalid: 'Ce fichier ne peut pas être importé :',
+    importNothing: 'Rien à importer — le fichier correspond à vos données actuelles.',
+    added: 'ajoutés',
+    dropped: 'supprimés',
+    keepCurrent: 'Garder l\'actuel',
+    useFromFile: 'Utiliser le fichier',
+    snapshotPreImport: 'Avant importation',
+    undo: 'Annuler',
+    redo: 'Rétablir',
+    undone: 'Annulé',
+    redone: 'Rétabli',
+    undoConflict: 'Certains éléments ont changé entre-temps et ont été laissés tels quels',
+    moveProject: 'Déplacer le projet',
+    reorderChats: 'Réordonner les chats',
+    trash: 'Corbeille',
+    emptyTrash: 'Vider la corbeille',
+    emptyTrashConfirm: 'Supprimer définitivement tout le contenu de la corbeille ?',
+    deletePermanently: 'Supprimer définitivement',
+    restoreTargetMissing: 'Le projet de ce chat n\'existe plus. Restaurez d\'abord le projet.',
+    trashRetention: 'Conserver les éléments supprimés',
+    retention7Days: '7 jours',
+    retention30Days: '30 jours',
+    retention90Days: '90 jours',
+    retentionForever: 'Toujours',
+    deletedOn: 'Supprimé le',
+    storageChatMap: 'Associations de chats',
+    storageOther: 'Autre',
+    largestProjects: 'Projets les plus volumineux',
+    storageNearlyFull: 'Le stockage est presque plein. Videz la corbeille ou exportez puis effacez les anciennes données.',
+    storageFull: 'Stockage plein — cette modification n\'a pas été enregistrée',
+    saveFailed: 'Impossible d\'enregistrer les modifications',
+    ok: 'OK',
+    passphrase: 'Phrase secrète',
+    repeatPassphrase: 'Répéter la phrase secrète',
+    encryptExport: 'Chiffrer l\'export',
+    enterPassphrase: 'Saisir la phrase secrète',
+    passphraseHint: 'La phrase secrète ne peut pas être récupérée. Sans elle, le fichier ne peut pas être ouvert.',
+    passphraseTooShort: 'Utilisez au moins 8 caractères',
+    passphraseMismatch: 'Les phrases secrètes ne correspondent pas',
+    wrongPassphrase: 'Phrase secrète incorrecte — le fichier n\'a pas pu être déchiffré',
+    encryptWithPassphrase: 'Chiffrer l\'export avec une phrase secrète',
+    encryptedBackup: 'Sauvegarde chiffrée',
+    autoBackup: 'Fichiers de sauvegarde',
+    autoBackupFrequency: 'Enregistrer un fichier de sauvegarde',
+    autoBackupOff: 'Jamais',
+    autoBackupDaily: 'Chaque jour',
+    autoBackupWeekly: 'Chaque semaine',
+    autoBackupHint: 'Les exports complets sont enregistrés dans Téléchargements/Gemini Project Manager ; les 7 plus récents sont conservés. Ils ne sont pas chiffrés.',
+    lastBackup: 'Dernier fichier de sauvegarde',
+    autoBackupNever: 'Aucun fichier de sauvegarde pour l\'instant',
+    autoBackupFailed: 'Échec du dernier fichier de sauvegarde',
+    backupNow: 'Sauvegarder maintenant',
+    exportFormat: 'Format',
+    formatJson: 'Sauvegarde JSON',
+    formatBookmarks: 'Favoris (HTML)',
+    sortChats: 'Trier les discussions des projets',
+    sortManual: 'Manuel',
+    sortLastOpened: 'Ouvertes récemment',
+    sortAssigned: 'Classées récemment',
+    sortTitle: 'Titre (A–Z)',
+    chatAssigned: 'Classée',
+    chatLastOpened: 'Dernière ouverture',
+    chatFirstSeen: 'Vue pour la première fois',
+    tags: 'Étiquettes',
+    newTag: 'Nouvelle étiquette…',
+    editTag: 'Modifier l\'étiquette',
+    deleteTag: 'Supprimer l\'étiquette',
+    tagName: 'Nom de l\'étiquette',
+    filterByTag: 'Afficher seulement les discussions avec cette étiquette',
+    alsoShowIn: 'Afficher aussi dans',
+    makeHomeProject: 'En faire le projet principal',
+    removeReference: 'Retirer de ce projet',
+    homeProject: 'Projet principal',
+    smartFolder: 'Dossier intelligent — liste toutes les discussions qui respectent ses règles',
+    newSmartFolder: 'Nouveau dossier intelligent',
+    editSmartFolder: 'Modifier le dossier intelligent',
+    smartFolderName: 'Nom du dossier intelligent',
+    smartFolderHint: 'Liste toutes les discussions correspondantes, classées dans un projet ou non. Les discussions ne peuvent pas être glissées dans un dossier intelligent.',
+    queryStartFrom: 'Partir de',
+    queryMatchAll: 'Respecter toutes les règles',
+    queryMatchAny: 'Respecter au moins une règle',
+    addRule: 'Ajouter une règle',
+    queryFieldAlias: 'Nom de la discussion',
+    queryFieldPinned: 'Épinglée',
+    queryFieldFiled: 'Dans un projet',
+    queryFieldProject: 'Projet',
+    queryFieldTag: 'Étiquette',
+    opContains: 'contient',
+    opNotContains: 'ne contient pas',
+    opEquals: 'est exactement',
+    opMatches: 'correspond au motif',
+    opIs: 'est',
+    opIsNot: 'n\'est pas',
+    opWithin: 'est dans ou sous',
+    opHas: 'a',
+    opHasNot: 'n\'a pas',
+    opWithinDays: 'dans les derniers (jours)',
+    opOlderThanDays: 'il y a plus de (jours)',
+    yes: 'Oui',
+    no: 'Non',
+    presetPinned: 'Épinglées partout',
+    presetRecent: 'Ouvertes ces 7 derniers jours',
+    presetUnfiled: 'Dans aucun projet',
+    presetAliasContains: 'Le nom contient…',
+    autoFiling: 'Classement automatique',
+    autoFilingHint: 'Les nouvelles discussions vont dans le projet de la première règle qui correspond, vérifiées de haut en bas. Les discussions que vous retirez d\'un projet ne sont pas reclassées.',
+    newFilingRule: 'Nouvelle règle',
+    editFilingRule: 'Modifier la règle',
+    ruleName: 'Nom de la règle (facultatif)',
+    ruleSource: 'Examiner',
+    ruleMatch: 'Correspondance',
+    ruleTarget: 'Classer dans',
+    ruleSourceTitle: 'Titre de la discussion',
+    ruleSourceGem: 'Gem',
+    ruleSourcePrompt: 'Premier prompt',
+    ruleMatchKeywords: 'L\'un de ces mots-clés',
+    ruleMatchRegex: 'Expression régulière',
+    rulePatternInvalid: 'Saisissez des mots-clés séparés par des virgules ou une expression régulière valide',
+    ruleEnabled: 'Règle activée',
+    noRulesYet: 'Aucune règle pour l\'instant',
+    moveUp: 'Monter',
+    moveDown: 'Descendre',
+    filingDryRun: 'Simulation',
+    filingPreviewEmpty: 'Aucune discussion hors projet ne correspond à ces règles',
+    filingLog: 'Journal de classement',
+    filingLogEmpty: 'Aucune discussion classée par une règle pour l\'instant',
+    autoFiled: 'Classée par règle',
+    suggested: 'Suggéré',
+    suggestedProjects: 'Projets suggérés',
+    suggestionsHint: 'Projets devinés à partir des discussions déjà classées. Calculé sur cet appareil.',
+    fileSelected: 'Classer la sélection',
+    selectAll: 'Tout sélectionner',
+    triage: 'Trier',
+    triageHint: '1–9 classer · Entrée accepter la suggestion · S passer · N nouveau projet · R renommer · Échap fermer',
+    triageDone: 'C\'était la dernière — toutes les discussions sont classées.',
+    skip: 'Passer',
+    notes: 'Notes',
+    searchNotes: 'Rechercher dans toutes les notes...',
+    notesPlaceholder: 'Écrivez en Markdown — # titre, **gras**, - liste, [lien](https://...)',
+    notesEmpty: 'Rien d\'écrit pour l\'instant. L\'aperçu s\'affiche ici pendant la saisie.',
+    noMatchingNotes: 'Aucune note ne correspond',
+    discardChanges: 'Abandonner les modifications non enregistrées ?',
+    saved: 'Enregistré',
+    projectContext: 'Contexte du projet',
+    projectContextHint: 'Placé dans la zone de saisie quand vous démarrez une discussion dans ce projet. Les sous-dossiers en héritent et ajoutent le leur en dessous.',
+    projectContextPlaceholder: 'ex. Tu es un relecteur Go expérimenté. Réponds brièvement et cite la bibliothèque standard.',
+    inheritedFrom: 'Hérité de',
+    contextPreview: 'Prévisualiser le contexte du projet avant de l\'insérer',
+    insert: 'Insérer',
+    archive: 'Archiver',
+    unarchive: 'Désarchiver',
+    archived: 'Archivés',
+    noMatches: 'Aucun résultat',
+    moveCurrentChat: 'Déplacer la discussion actuelle vers…',
+    insertPrompt: 'Insérer un prompt…',
+    chooseProject: 'Choisir un projet…',
+    paletteSearch: 'Rechercher projets, discussions, prompts et commandes…',
+    paletteHint: '↑ ↓ pour naviguer · Entrée pour ouvrir · Retour arrière pour revenir · Échap pour fermer',
+    keyboardShortcuts: 'Raccourcis clavier',
+    shortcutsHint: 'Cliquez sur un raccourci et appuyez sur les nouvelles touches. Retour arrière l\'efface, Échap annule.',
+    pressKeys: 'Appuyez sur les touches…',
+    notSet: 'Non défini',
+    shortcutNeedsModifier: 'Utilisez Ctrl, Alt ou ⌘ avec la touche, ou une touche de fonction',
+    alsoUsedBy: 'Également utilisé par',
+    yourBrowser: 'votre navigateur',
+    resetShortcuts: 'Rétablir les valeurs par défaut',
+    chromeShortcuts: 'Raccourcis Chrome',
+    chromeShortcutsHint: 'Ils fonctionnent aussi quand la page n\'a pas le focus. Chrome les définit lui-même.',
+    changeInChrome: 'Modifier dans Chrome',
+    shortcutCommandPalette: 'Palette de commandes',
+    shortcutToggleQuickPrompts: 'Afficher ou masquer les invites rapides',
+    shortcutNewProject: 'Nouveau projet',
+    shortcutAssignChat: 'Déplacer la discussion actuelle vers un projet',
+    shortcutPinChat: 'Épingler ou désépingler la discussion actuelle',
+    shortcutNextChat: 'Discussion suivante du projet',
+    shortcutPreviousChat: 'Discussion précédente du projet',
+    shortcutToggleProjects: 'Afficher ou masquer les projets',
+    chatNotFiled: 'Cette discussion n\'est dans aucun projet',
+    openChatFirst: 'Ouvrez d\'abord une discussion',
   },
   es: {
     newProject: 'Nuevo proyecto',
@@ -379,7 +1247,7 @@ const GPM_STRINGS = {
     restore: 'Restaurar',
     data: 'Datos',
     restoreBackup: 'Restaurar desde respaldo',
-    restoreConfirm: 'Sus proyectos y chats se restaurarán desde el último respaldo. ¿Continuar?',
+    restoreConfirm: 'Sus proyectos y chats se restaurarán desde este respaldo. ¿Continuar?',
     noBackupAvailable: 'No hay respaldo disponible',
     categoryHomework: 'Tareas',
     categoryWriting: 'Escritura',
@@ -401,6 +1269,223 @@ const GPM_STRINGS = {
     categoryResearch: 'Investigación',
     categoryCoding: 'Programación',
     categoryDesign: 'Diseño',
+    backupHistory: 'Historial de copias',
+    chats: 'chats',
+    changed: 'modificados',
+    moved: 'movidos',
+    snapshotAuto: 'Copia automática',
+    snapshotPreRestore: 'Antes de restaurar',
+    snapshotVsCurrent: 'vs. actual',
+    snapshotSameAsCurrent: 'Igual que los datos actuales',
+    checkIntegrity: 'Comprobar integridad de datos',
+    integrityReport: 'Informe de integridad',
+    integrityOk: 'No se encontraron problemas',
+    integrityIssuesFound: 'Se encontraron problemas — haz clic para revisar',
+    repairData: 'Reparar',
+    repairConfirm: 'Se tomará una instantánea de tus datos actuales antes de reparar. ¿Continuar?',
+    close: 'Cerrar',
+    snapshotRepair: 'Antes de reparar',
+    issueOrphanedChild: 'La subcarpeta apunta a un padre inexistente',
+    issueChildMismatch: 'Lista de subcarpetas desincronizada',
+    issueCycle: 'Carpetas anidadas entre sí',
+    issueDuplicateChat: 'Chat listado en varios proyectos',
+    issueDanglingChat: 'El proyecto lista un chat que pertenece a otro',
+    issueMissingProject: 'Chat asignado a un proyecto inexistente',
+    issueUnlistedChat: 'Chat ausente de la lista de su proyecto',
+    sync: 'Sincronización',
+    syncEnabled: 'Sincronizar entre dispositivos (Chrome Sync)',
+    syncHint: 'Replica proyectos, asignaciones de chats, prompts rápidos y ajustes en tu perfil de Chrome. Limitado a unos 100 KB.',
+    syncNow: 'Sincronizar ahora',
+    syncStatusOff: 'La sincronización está desactivada',
+    syncStatusSyncing: 'Sincronizando…',
+    syncStatusOk: 'Última sincronización',
+    syncStatusError: 'Error de sincronización',
+    syncQuotaExceeded: 'los datos superan la cuota de Chrome Sync',
+    snapshotSync: 'Antes de sincronizar',
+    importPreview: 'Vista previa de importación',
+    importMerge: 'Combinar',
+    importReplace: 'Reemplazar',
+    importMergeHint: 'Añade todo lo nuevo del archivo. Para los elementos que existen en ambos, elige qué versión conservar.',
+    importReplaceHint: 'Reemplaza tus proyectos, chats y prompts actuales con el contenido del archivo.',
+    importInvalid: 'Este archivo no se puede importar:',
+    importNothing: 'Nada que importar: el archivo coincide con tus datos actuales.',
+    added: 'añadidos',
+    dropped: 'eliminados',
+    keepCurrent: 'Mantener actual',
+    useFromFile: 'Usar archivo',
+    snapshotPreImport: 'Antes de importar',
+    undo: 'Deshacer',
+    redo: 'Rehacer',
+    undone: 'Deshecho',
+    redone: 'Rehecho',
+    undoConflict: 'Algunos elementos cambiaron desde entonces y se dejaron como están',
+    moveProject: 'Mover proyecto',
+    reorderChats: 'Reordenar chats',
+    trash: 'Papelera',
+    emptyTrash: 'Vaciar papelera',
+    emptyTrashConfirm: '¿Eliminar definitivamente todo lo que hay en la papelera?',
+    deletePermanently: 'Eliminar definitivamente',
+    restoreTargetMissing: 'El proyecto de este chat ya no existe. Restaura primero el proyecto.',
+    trashRetention: 'Conservar elementos eliminados',
+    retention7Days: '7 días',
+    retention30Days: '30 días',
+    retention90Days: '90 días',
+    retentionForever: 'Siempre',
+    deletedOn: 'Eliminado',
+    storageChatMap: 'Asignaciones de chats',
+    storageOther: 'Otros',
+    largestProjects: 'Proyectos más grandes',
+    storageNearlyFull: 'El almacenamiento está casi lleno. Vacía la papelera o exporta y borra datos antiguos.',
+    storageFull: 'Almacenamiento lleno: este cambio no se guardó',
+    saveFailed: 'No se pudieron guardar los cambios',
+    ok: 'Aceptar',
+    passphrase: 'Frase de contraseña',
+    repeatPassphrase: 'Repetir frase de contraseña',
+    encryptExport: 'Cifrar exportación',
+    enterPassphrase: 'Introducir frase de contraseña',
+    passphraseHint: 'La frase de contraseña no se puede recuperar. Sin ella, el archivo no se puede abrir.',
+    passphraseTooShort: 'Usa al menos 8 caracteres',
+    passphraseMismatch: 'Las frases de contraseña no coinciden',
+    wrongPassphrase: 'Frase de contraseña incorrecta: no se pudo descifrar el archivo',
+    encryptWithPassphrase: 'Cifrar exportación con frase de contraseña',
+    encryptedBackup: 'Copia cifrada',
+    autoBackup: 'Archivos de copia',
+    autoBackupFrequency: 'Guardar un archivo de copia',
+    autoBackupOff: 'Nunca',
+    autoBackupDaily: 'Diario',
+    autoBackupWeekly: 'Semanal',
+    autoBackupHint: 'Las exportaciones completas se guardan en Descargas/Gemini Project Manager; se conservan las 7 más recientes. No están cifradas.',
+    lastBackup: 'Último archivo de copia',
+    autoBackupNever: 'Aún no se ha guardado ningún archivo de copia',
+    autoBackupFailed: 'Falló el último archivo de copia',
+    backupNow: 'Copiar ahora',
+    exportFormat: 'Formato',
+    formatJson: 'Copia JSON',
+    formatBookmarks: 'Marcadores (HTML)',
+    sortChats: 'Ordenar chats en proyectos',
+    sortManual: 'Manual',
+    sortLastOpened: 'Abiertos recientemente',
+    sortAssigned: 'Archivados recientemente',
+    sortTitle: 'Título (A–Z)',
+    chatAssigned: 'Archivado',
+    chatLastOpened: 'Última apertura',
+    chatFirstSeen: 'Visto por primera vez',
+    tags: 'Etiquetas',
+    newTag: 'Nueva etiqueta…',
+    editTag: 'Editar etiqueta',
+    deleteTag: 'Eliminar etiqueta',
+    tagName: 'Nombre de la etiqueta',
+    filterByTag: 'Mostrar solo chats con esta etiqueta',
+    alsoShowIn: 'Mostrar también en',
+    makeHomeProject: 'Convertir en proyecto principal',
+    removeReference: 'Quitar de este proyecto',
+    homeProject: 'Proyecto principal',
+    smartFolder: 'Carpeta inteligente — muestra todos los chats que cumplen sus reglas',
+    newSmartFolder: 'Nueva carpeta inteligente',
+    editSmartFolder: 'Editar carpeta inteligente',
+    smartFolderName: 'Nombre de la carpeta inteligente',
+    smartFolderHint: 'Muestra todos los chats que coinciden, estén o no en un proyecto. Los chats no se pueden arrastrar a una carpeta inteligente.',
+    queryStartFrom: 'Empezar con',
+    queryMatchAll: 'Cumplir todas las reglas',
+    queryMatchAny: 'Cumplir cualquier regla',
+    addRule: 'Añadir regla',
+    queryFieldAlias: 'Nombre del chat',
+    queryFieldPinned: 'Fijado',
+    queryFieldFiled: 'En un proyecto',
+    queryFieldProject: 'Proyecto',
+    queryFieldTag: 'Etiqueta',
+    opContains: 'contiene',
+    opNotContains: 'no contiene',
+    opEquals: 'es exactamente',
+    opMatches: 'coincide con el patrón',
+    opIs: 'es',
+    opIsNot: 'no es',
+    opWithin: 'está en o bajo',
+    opHas: 'tiene',
+    opHasNot: 'no tiene',
+    opWithinDays: 'en los últimos (días)',
+    opOlderThanDays: 'hace más de (días)',
+    yes: 'Sí',
+    no: 'No',
+    presetPinned: 'Fijados en cualquier lugar',
+    presetRecent: 'Abiertos en los últimos 7 días',
+    presetUnfiled: 'En ningún proyecto',
+    presetAliasContains: 'El nombre contiene…',
+    autoFiling: 'Archivado automático',
+    autoFilingHint: 'Los chats nuevos van al proyecto de la primera regla que coincida, revisadas de arriba abajo. Los chats que saques de un proyecto no se vuelven a archivar.',
+    newFilingRule: 'Nueva regla',
+    editFilingRule: 'Editar regla',
+    ruleName: 'Nombre de la regla (opcional)',
+    ruleSource: 'Revisar',
+    ruleMatch: 'Coincidencia',
+    ruleTarget: 'Archivar en',
+    ruleSourceTitle: 'Título del chat',
+    ruleSourceGem: 'Gem',
+    ruleSourcePrompt: 'Primer prompt',
+    ruleMatchKeywords: 'Cualquiera de estas palabras clave',
+    ruleMatchRegex: 'Expresión regular',
+    rulePatternInvalid: 'Introduce palabras clave separadas por comas o una expresión regular válida',
+    ruleEnabled: 'Regla activada',
+    noRulesYet: 'Aún no hay reglas',
+    moveUp: 'Subir',
+    moveDown: 'Bajar',
+    filingDryRun: 'Simulación',
+    filingPreviewEmpty: 'Ningún chat fuera de proyectos coincide con estas reglas',
+    filingLog: 'Registro de archivado',
+    filingLogEmpty: 'Aún no se ha archivado ningún chat por reglas',
+    autoFiled: 'Archivado por regla',
+    suggested: 'Sugerido',
+    suggestedProjects: 'Proyectos sugeridos',
+    suggestionsHint: 'Proyectos deducidos de los chats que ya has archivado. Se calcula en este dispositivo.',
+    fileSelected: 'Archivar selección',
+    selectAll: 'Seleccionar todo',
+    triage: 'Clasificar',
+    triageHint: '1–9 archivar · Intro aceptar sugerencia · S omitir · N nuevo proyecto · R renombrar · Esc cerrar',
+    triageDone: 'Era el último: todos los chats están archivados.',
+    skip: 'Omitir',
+    notes: 'Notas',
+    searchNotes: 'Buscar en todas las notas...',
+    notesPlaceholder: 'Escribe en Markdown — # título, **negrita**, - lista, [enlace](https://...)',
+    notesEmpty: 'Aún no hay nada escrito. La vista previa aparece aquí mientras escribes.',
+    noMatchingNotes: 'Ninguna nota coincide',
+    discardChanges: '¿Descartar los cambios sin guardar?',
+    saved: 'Guardado',
+    projectContext: 'Contexto del proyecto',
+    projectContextHint: 'Se coloca en el cuadro de texto al iniciar un chat nuevo en este proyecto. Las subcarpetas lo heredan y añaden el suyo debajo.',
+    projectContextPlaceholder: 'p. ej. Eres un revisor sénior de Go. Responde de forma breve y cita la biblioteca estándar.',
+    inheritedFrom: 'Heredado de',
+    contextPreview: 'Previsualizar el contexto del proyecto antes de insertarlo',
+    insert: 'Insertar',
+    archive: 'Archivar',
+    unarchive: 'Desarchivar',
+    archived: 'Archivados',
+    noMatches: 'Sin resultados',
+    moveCurrentChat: 'Mover el chat actual a…',
+    insertPrompt: 'Insertar prompt…',
+    chooseProject: 'Elige un proyecto…',
+    paletteSearch: 'Buscar proyectos, chats, prompts y comandos…',
+    paletteHint: '↑ ↓ para moverte · Intro para abrir · Retroceso para volver · Esc para cerrar',
+    keyboardShortcuts: 'Atajos de teclado',
+    shortcutsHint: 'Haz clic en un atajo y pulsa las nuevas teclas. Retroceso lo borra, Esc cancela.',
+    pressKeys: 'Pulsa las teclas…',
+    notSet: 'Sin asignar',
+    shortcutNeedsModifier: 'Usa Ctrl, Alt o ⌘ con la tecla, o una tecla de función',
+    alsoUsedBy: 'También lo usa',
+    yourBrowser: 'tu navegador',
+    resetShortcuts: 'Restablecer valores predeterminados',
+    chromeShortcuts: 'Atajos de Chrome',
+    chromeShortcutsHint: 'Funcionan también cuando la página no tiene el foco. Chrome los configura por su cuenta.',
+    changeInChrome: 'Cambiar en Chrome',
+    shortcutCommandPalette: 'Paleta de comandos',
+    shortcutToggleQuickPrompts: 'Mostrar u ocultar indicaciones rápidas',
+    shortcutNewProject: 'Nuevo proyecto',
+    shortcutAssignChat: 'Mover el chat actual a un proyecto',
+    shortcutPinChat: 'Fijar o desfijar el chat actual',
+    shortcutNextChat: 'Siguiente chat del proyecto',
+    shortcutPreviousChat: 'Chat anterior del proyecto',
+    shortcutToggleProjects: 'Mostrar u ocultar proyectos',
+    chatNotFiled: 'Este chat no está en ningún proyecto',
+    openChatFirst: 'Abre primero un chat',
   },
   it: {
     newProject: 'Nuovo progetto',
@@ -458,7 +1543,7 @@ const GPM_STRINGS = {
     restore: 'Ripristina',
     data: 'Dati',
     restoreBackup: 'Ripristina da backup',
-    restoreConfirm: 'I tuoi progetti e chat verranno ripristinati dall\'ultimo backup. Continuare?',
+    restoreConfirm: 'I tuoi progetti e chat verranno ripristinati da questo backup. Continuare?',
     noBackupAvailable: 'Nessun backup disponibile',
     categoryHomework: 'Compiti',
     categoryWriting: 'Scrittura',
@@ -480,6 +1565,223 @@ const GPM_STRINGS = {
     categoryResearch: 'Ricerca',
     categoryCoding: 'Programmazione',
     categoryDesign: 'Design',
+    backupHistory: 'Cronologia backup',
+    chats: 'chat',
+    changed: 'modificati',
+    moved: 'spostate',
+    snapshotAuto: 'Backup automatico',
+    snapshotPreRestore: 'Prima del ripristino',
+    snapshotVsCurrent: 'rispetto all\'attuale',
+    snapshotSameAsCurrent: 'Uguale ai dati attuali',
+    checkIntegrity: 'Verifica integrità dati',
+    integrityReport: 'Rapporto di integrità',
+    integrityOk: 'Nessun problema trovato',
+    integrityIssuesFound: 'Problemi nei dati — clicca per vedere',
+    repairData: 'Ripara',
+    repairConfirm: 'Prima della riparazione verrà creato uno snapshot dei dati attuali. Continuare?',
+    close: 'Chiudi',
+    snapshotRepair: 'Prima della riparazione',
+    issueOrphanedChild: 'La sottocartella punta a un genitore mancante',
+    issueChildMismatch: 'Elenco sottocartelle non sincronizzato',
+    issueCycle: 'Cartelle annidate l\'una nell\'altra',
+    issueDuplicateChat: 'Chat elencata in più progetti',
+    issueDanglingChat: 'Il progetto elenca una chat che appartiene altrove',
+    issueMissingProject: 'Chat assegnata a un progetto mancante',
+    issueUnlistedChat: 'Chat assente dall\'elenco del suo progetto',
+    sync: 'Sincronizzazione',
+    syncEnabled: 'Sincronizza tra dispositivi (Chrome Sync)',
+    syncHint: 'Replica progetti, associazioni delle chat, prompt rapidi e impostazioni nel tuo profilo Chrome. Limitato a circa 100 KB.',
+    syncNow: 'Sincronizza ora',
+    syncStatusOff: 'Sincronizzazione disattivata',
+    syncStatusSyncing: 'Sincronizzazione…',
+    syncStatusOk: 'Ultima sincronizzazione',
+    syncStatusError: 'Sincronizzazione non riuscita',
+    syncQuotaExceeded: 'i dati superano la quota di Chrome Sync',
+    snapshotSync: 'Prima della sincronizzazione',
+    importPreview: 'Anteprima importazione',
+    importMerge: 'Unisci',
+    importReplace: 'Sostituisci',
+    importMergeHint: 'Aggiunge tutto ciò che è nuovo nel file. Per gli elementi presenti in entrambi, scegli quale versione mantenere.',
+    importReplaceHint: 'Sostituisce progetti, chat e prompt attuali con il contenuto del file.',
+    importInvalid: 'Questo file non può essere importato:',
+    importNothing: 'Niente da importare: il file corrisponde ai dati attuali.',
+    added: 'aggiunti',
+    dropped: 'rimossi',
+    keepCurrent: 'Mantieni attuale',
+    useFromFile: 'Usa file',
+    snapshotPreImport: 'Prima dell\'importazione',
+    undo: 'Annulla',
+    redo: 'Ripeti',
+    undone: 'Annullato',
+    redone: 'Ripetuto',
+    undoConflict: 'Alcuni elementi sono cambiati nel frattempo e sono stati lasciati invariati',
+    moveProject: 'Sposta progetto',
+    reorderChats: 'Riordina chat',
+    trash: 'Cestino',
+    emptyTrash: 'Svuota cestino',
+    emptyTrashConfirm: 'Eliminare definitivamente tutto il contenuto del cestino?',
+    deletePermanently: 'Elimina definitivamente',
+    restoreTargetMissing: 'Il progetto di questa chat non esiste più. Ripristina prima il progetto.',
+    trashRetention: 'Conserva elementi eliminati',
+    retention7Days: '7 giorni',
+    retention30Days: '30 giorni',
+    retention90Days: '90 giorni',
+    retentionForever: 'Per sempre',
+    deletedOn: 'Eliminato',
+    storageChatMap: 'Associazioni chat',
+    storageOther: 'Altro',
+    largestProjects: 'Progetti più grandi',
+    storageNearlyFull: 'Lo spazio è quasi esaurito. Svuota il cestino o esporta e cancella i dati vecchi.',
+    storageFull: 'Spazio esaurito: questa modifica non è stata salvata',
+    saveFailed: 'Impossibile salvare le modifiche',
+    ok: 'OK',
+    passphrase: 'Passphrase',
+    repeatPassphrase: 'Ripeti passphrase',
+    encryptExport: 'Cifra esportazione',
+    enterPassphrase: 'Inserisci passphrase',
+    passphraseHint: 'La passphrase non può essere recuperata. Senza di essa il file non può essere aperto.',
+    passphraseTooShort: 'Usa almeno 8 caratteri',
+    passphraseMismatch: 'Le passphrase non coincidono',
+    wrongPassphrase: 'Passphrase errata: impossibile decifrare il file',
+    encryptWithPassphrase: 'Cifra l\'esportazione con una passphrase',
+    encryptedBackup: 'Backup cifrato',
+    autoBackup: 'File di backup',
+    autoBackupFrequency: 'Salva un file di backup',
+    autoBackupOff: 'Mai',
+    autoBackupDaily: 'Ogni giorno',
+    autoBackupWeekly: 'Ogni settimana',
+    autoBackupHint: 'Le esportazioni complete vengono salvate in Download/Gemini Project Manager; vengono conservate le 7 più recenti. Non sono cifrate.',
+    lastBackup: 'Ultimo file di backup',
+    autoBackupNever: 'Nessun file di backup ancora salvato',
+    autoBackupFailed: 'Ultimo file di backup non riuscito',
+    backupNow: 'Esegui backup ora',
+    exportFormat: 'Formato',
+    formatJson: 'Backup JSON',
+    formatBookmarks: 'Segnalibri (HTML)',
+    sortChats: 'Ordina le chat nei progetti',
+    sortManual: 'Manuale',
+    sortLastOpened: 'Aperte di recente',
+    sortAssigned: 'Archiviate di recente',
+    sortTitle: 'Titolo (A–Z)',
+    chatAssigned: 'Archiviata',
+    chatLastOpened: 'Ultima apertura',
+    chatFirstSeen: 'Vista per la prima volta',
+    tags: 'Tag',
+    newTag: 'Nuovo tag…',
+    editTag: 'Modifica tag',
+    deleteTag: 'Elimina tag',
+    tagName: 'Nome del tag',
+    filterByTag: 'Mostra solo le chat con questo tag',
+    alsoShowIn: 'Mostra anche in',
+    makeHomeProject: 'Rendi progetto principale',
+    removeReference: 'Rimuovi da questo progetto',
+    homeProject: 'Progetto principale',
+    smartFolder: 'Cartella smart — elenca tutte le chat che rispettano le sue regole',
+    newSmartFolder: 'Nuova cartella smart',
+    editSmartFolder: 'Modifica cartella smart',
+    smartFolderName: 'Nome della cartella smart',
+    smartFolderHint: 'Elenca tutte le chat corrispondenti, archiviate in un progetto o no. Le chat non possono essere trascinate in una cartella smart.',
+    queryStartFrom: 'Parti da',
+    queryMatchAll: 'Rispetta tutte le regole',
+    queryMatchAny: 'Rispetta almeno una regola',
+    addRule: 'Aggiungi regola',
+    queryFieldAlias: 'Nome della chat',
+    queryFieldPinned: 'Fissata',
+    queryFieldFiled: 'In un progetto',
+    queryFieldProject: 'Progetto',
+    queryFieldTag: 'Tag',
+    opContains: 'contiene',
+    opNotContains: 'non contiene',
+    opEquals: 'è esattamente',
+    opMatches: 'corrisponde al modello',
+    opIs: 'è',
+    opIsNot: 'non è',
+    opWithin: 'è in o sotto',
+    opHas: 'ha',
+    opHasNot: 'non ha',
+    opWithinDays: 'negli ultimi (giorni)',
+    opOlderThanDays: 'più di (giorni) fa',
+    yes: 'Sì',
+    no: 'No',
+    presetPinned: 'Fissate ovunque',
+    presetRecent: 'Aperte negli ultimi 7 giorni',
+    presetUnfiled: 'In nessun progetto',
+    presetAliasContains: 'Il nome contiene…',
+    autoFiling: 'Archiviazione automatica',
+    autoFilingHint: 'Le nuove chat finiscono nel progetto della prima regola corrispondente, controllate dall\'alto verso il basso. Le chat che togli da un progetto non vengono riarchiviate.',
+    newFilingRule: 'Nuova regola',
+    editFilingRule: 'Modifica regola',
+    ruleName: 'Nome della regola (facoltativo)',
+    ruleSource: 'Controlla',
+    ruleMatch: 'Corrispondenza',
+    ruleTarget: 'Archivia in',
+    ruleSourceTitle: 'Titolo della chat',
+    ruleSourceGem: 'Gem',
+    ruleSourcePrompt: 'Primo prompt',
+    ruleMatchKeywords: 'Una di queste parole chiave',
+    ruleMatchRegex: 'Espressione regolare',
+    rulePatternInvalid: 'Inserisci parole chiave separate da virgole o un\'espressione regolare valida',
+    ruleEnabled: 'Regola attiva',
+    noRulesYet: 'Ancora nessuna regola',
+    moveUp: 'Sposta su',
+    moveDown: 'Sposta giù',
+    filingDryRun: 'Prova',
+    filingPreviewEmpty: 'Nessuna chat fuori dai progetti corrisponde a queste regole',
+    filingLog: 'Registro archiviazioni',
+    filingLogEmpty: 'Nessuna chat ancora archiviata da una regola',
+    autoFiled: 'Archiviata da regola',
+    suggested: 'Suggerito',
+    suggestedProjects: 'Progetti suggeriti',
+    suggestionsHint: 'Progetti dedotti dalle chat già archiviate. Calcolato su questo dispositivo.',
+    fileSelected: 'Archivia selezionate',
+    selectAll: 'Seleziona tutto',
+    triage: 'Smista',
+    triageHint: '1–9 archivia · Invio accetta il suggerimento · S salta · N nuovo progetto · R rinomina · Esc chiudi',
+    triageDone: 'Era l\'ultima: tutte le chat sono archiviate.',
+    skip: 'Salta',
+    notes: 'Note',
+    searchNotes: 'Cerca in tutte le note...',
+    notesPlaceholder: 'Scrivi in Markdown — # titolo, **grassetto**, - elenco, [link](https://...)',
+    notesEmpty: 'Ancora niente. L\'anteprima compare qui mentre scrivi.',
+    noMatchingNotes: 'Nessuna nota corrispondente',
+    discardChanges: 'Annullare le modifiche non salvate?',
+    saved: 'Salvato',
+    projectContext: 'Contesto del progetto',
+    projectContextHint: 'Viene inserito nella casella di testo quando avvii una nuova chat in questo progetto. Le sottocartelle lo ereditano e aggiungono il proprio sotto.',
+    projectContextPlaceholder: 'es. Sei un revisore Go esperto. Rispondi in breve e cita la libreria standard.',
+    inheritedFrom: 'Ereditato da',
+    contextPreview: 'Mostra l\'anteprima del contesto prima di inserirlo',
+    insert: 'Inserisci',
+    archive: 'Archivia',
+    unarchive: 'Ripristina dall\'archivio',
+    archived: 'Archiviati',
+    noMatches: 'Nessun risultato',
+    moveCurrentChat: 'Sposta la chat corrente in…',
+    insertPrompt: 'Inserisci prompt…',
+    chooseProject: 'Scegli un progetto…',
+    paletteSearch: 'Cerca progetti, chat, prompt e comandi…',
+    paletteHint: '↑ ↓ per spostarti · Invio per aprire · Backspace per tornare · Esc per chiudere',
+    keyboardShortcuts: 'Scorciatoie da tastiera',
+    shortcutsHint: 'Fai clic su una scorciatoia e premi i nuovi tasti. Backspace la cancella, Esc annulla.',
+    pressKeys: 'Premi i tasti…',
+    notSet: 'Non impostata',
+    shortcutNeedsModifier: 'Usa Ctrl, Alt o ⌘ con il tasto, oppure un tasto funzione',
+    alsoUsedBy: 'Usata anche da',
+    yourBrowser: 'il tuo browser',
+    resetShortcuts: 'Ripristina predefinite',
+    chromeShortcuts: 'Scorciatoie di Chrome',
+    chromeShortcutsHint: 'Funzionano anche quando la pagina non ha il focus. Le imposta Chrome.',
+    changeInChrome: 'Modifica in Chrome',
+    shortcutCommandPalette: 'Tavolozza comandi',
+    shortcutToggleQuickPrompts: 'Mostra o nascondi i prompt rapidi',
+    shortcutNewProject: 'Nuovo progetto',
+    shortcutAssignChat: 'Sposta la chat corrente in un progetto',
+    shortcutPinChat: 'Fissa o sblocca la chat corrente',
+    shortcutNextChat: 'Chat successiva del progetto',
+    shortcutPreviousChat: 'Chat precedente del progetto',
+    shortcutToggleProjects: 'Mostra o nascondi i progetti',
+    chatNotFiled: 'Questa chat non è in nessun progetto',
+    openChatFirst: 'Apri prima una chat',
   },
   pt: {
     newProject: 'Novo projeto',
@@ -537,7 +1839,7 @@ const GPM_STRINGS = {
     restore: 'Restaurar',
     data: 'Dados',
     restoreBackup: 'Restaurar do backup',
-    restoreConfirm: 'Seus projetos e chats serão restaurados do último backup. Continuar?',
+    restoreConfirm: 'Seus projetos e chats serão restaurados deste backup. Continuar?',
     noBackupAvailable: 'Nenhum backup disponível',
     categoryHomework: 'Lição de casa',
     categoryWriting: 'Escrita',
@@ -559,6 +1861,223 @@ const GPM_STRINGS = {
     categoryResearch: 'Pesquisa',
     categoryCoding: 'Programação',
     categoryDesign: 'Design',
+    backupHistory: 'Histórico de backups',
+    chats: 'conversas',
+    changed: 'alterados',
+    moved: 'movidas',
+    snapshotAuto: 'Backup automático',
+    snapshotPreRestore: 'Antes da restauração',
+    snapshotVsCurrent: 'vs. atual',
+    snapshotSameAsCurrent: 'Igual aos dados atuais',
+    checkIntegrity: 'Verificar integridade dos dados',
+    integrityReport: 'Relatório de integridade',
+    integrityOk: 'Nenhum problema encontrado',
+    integrityIssuesFound: 'Problemas encontrados — clique para revisar',
+    repairData: 'Reparar',
+    repairConfirm: 'Um snapshot dos dados atuais será criado antes do reparo. Continuar?',
+    close: 'Fechar',
+    snapshotRepair: 'Antes do reparo',
+    issueOrphanedChild: 'Subpasta aponta para um pai inexistente',
+    issueChildMismatch: 'Lista de subpastas fora de sincronia',
+    issueCycle: 'Pastas aninhadas uma na outra',
+    issueDuplicateChat: 'Conversa listada em vários projetos',
+    issueDanglingChat: 'Projeto lista uma conversa que pertence a outro',
+    issueMissingProject: 'Conversa atribuída a um projeto inexistente',
+    issueUnlistedChat: 'Conversa ausente da lista do seu projeto',
+    sync: 'Sincronização',
+    syncEnabled: 'Sincronizar entre dispositivos (Chrome Sync)',
+    syncHint: 'Replica projetos, atribuições de chats, prompts rápidos e configurações no seu perfil do Chrome. Limitado a cerca de 100 KB.',
+    syncNow: 'Sincronizar agora',
+    syncStatusOff: 'Sincronização desativada',
+    syncStatusSyncing: 'Sincronizando…',
+    syncStatusOk: 'Última sincronização',
+    syncStatusError: 'Falha na sincronização',
+    syncQuotaExceeded: 'os dados excedem a cota do Chrome Sync',
+    snapshotSync: 'Antes da sincronização',
+    importPreview: 'Pré-visualização da importação',
+    importMerge: 'Mesclar',
+    importReplace: 'Substituir',
+    importMergeHint: 'Adiciona tudo o que é novo no arquivo. Para itens que existem em ambos, escolha qual versão manter.',
+    importReplaceHint: 'Substitui seus projetos, chats e prompts atuais pelo conteúdo do arquivo.',
+    importInvalid: 'Este arquivo não pode ser importado:',
+    importNothing: 'Nada para importar — o arquivo corresponde aos seus dados atuais.',
+    added: 'adicionados',
+    dropped: 'removidos',
+    keepCurrent: 'Manter atual',
+    useFromFile: 'Usar arquivo',
+    snapshotPreImport: 'Antes da importação',
+    undo: 'Desfazer',
+    redo: 'Refazer',
+    undone: 'Desfeito',
+    redone: 'Refeito',
+    undoConflict: 'Alguns itens mudaram desde então e foram mantidos como estão',
+    moveProject: 'Mover projeto',
+    reorderChats: 'Reordenar chats',
+    trash: 'Lixeira',
+    emptyTrash: 'Esvaziar lixeira',
+    emptyTrashConfirm: 'Excluir permanentemente tudo na lixeira?',
+    deletePermanently: 'Excluir permanentemente',
+    restoreTargetMissing: 'O projeto deste chat não existe mais. Restaure o projeto primeiro.',
+    trashRetention: 'Manter itens excluídos',
+    retention7Days: '7 dias',
+    retention30Days: '30 dias',
+    retention90Days: '90 dias',
+    retentionForever: 'Para sempre',
+    deletedOn: 'Excluído',
+    storageChatMap: 'Atribuições de chats',
+    storageOther: 'Outros',
+    largestProjects: 'Maiores projetos',
+    storageNearlyFull: 'O armazenamento está quase cheio. Esvazie a lixeira ou exporte e limpe dados antigos.',
+    storageFull: 'Armazenamento cheio — esta alteração não foi salva',
+    saveFailed: 'Não foi possível salvar as alterações',
+    ok: 'OK',
+    passphrase: 'Frase secreta',
+    repeatPassphrase: 'Repetir frase secreta',
+    encryptExport: 'Criptografar exportação',
+    enterPassphrase: 'Digite a frase secreta',
+    passphraseHint: 'A frase secreta não pode ser recuperada. Sem ela, o arquivo não pode ser aberto.',
+    passphraseTooShort: 'Use pelo menos 8 caracteres',
+    passphraseMismatch: 'As frases secretas não coincidem',
+    wrongPassphrase: 'Frase secreta incorreta — não foi possível descriptografar o arquivo',
+    encryptWithPassphrase: 'Criptografar exportação com frase secreta',
+    encryptedBackup: 'Backup criptografado',
+    autoBackup: 'Arquivos de backup',
+    autoBackupFrequency: 'Salvar um arquivo de backup',
+    autoBackupOff: 'Nunca',
+    autoBackupDaily: 'Diariamente',
+    autoBackupWeekly: 'Semanalmente',
+    autoBackupHint: 'Exportações completas são salvas em Downloads/Gemini Project Manager; as 7 mais recentes são mantidas. Elas não são criptografadas.',
+    lastBackup: 'Último arquivo de backup',
+    autoBackupNever: 'Nenhum arquivo de backup salvo ainda',
+    autoBackupFailed: 'O último arquivo de backup falhou',
+    backupNow: 'Fazer backup agora',
+    exportFormat: 'Formato',
+    formatJson: 'Backup JSON',
+    formatBookmarks: 'Favoritos (HTML)',
+    sortChats: 'Ordenar chats nos projetos',
+    sortManual: 'Manual',
+    sortLastOpened: 'Abertos recentemente',
+    sortAssigned: 'Arquivados recentemente',
+    sortTitle: 'Título (A–Z)',
+    chatAssigned: 'Arquivado',
+    chatLastOpened: 'Última abertura',
+    chatFirstSeen: 'Visto pela primeira vez',
+    tags: 'Tags',
+    newTag: 'Nova tag…',
+    editTag: 'Editar tag',
+    deleteTag: 'Excluir tag',
+    tagName: 'Nome da tag',
+    filterByTag: 'Mostrar apenas chats com esta tag',
+    alsoShowIn: 'Mostrar também em',
+    makeHomeProject: 'Tornar projeto principal',
+    removeReference: 'Remover deste projeto',
+    homeProject: 'Projeto principal',
+    smartFolder: 'Pasta inteligente — lista todas as conversas que seguem suas regras',
+    newSmartFolder: 'Nova pasta inteligente',
+    editSmartFolder: 'Editar pasta inteligente',
+    smartFolderName: 'Nome da pasta inteligente',
+    smartFolderHint: 'Lista todas as conversas correspondentes, arquivadas em um projeto ou não. Conversas não podem ser arrastadas para uma pasta inteligente.',
+    queryStartFrom: 'Começar com',
+    queryMatchAll: 'Atender a todas as regras',
+    queryMatchAny: 'Atender a qualquer regra',
+    addRule: 'Adicionar regra',
+    queryFieldAlias: 'Nome da conversa',
+    queryFieldPinned: 'Fixada',
+    queryFieldFiled: 'Em um projeto',
+    queryFieldProject: 'Projeto',
+    queryFieldTag: 'Etiqueta',
+    opContains: 'contém',
+    opNotContains: 'não contém',
+    opEquals: 'é exatamente',
+    opMatches: 'corresponde ao padrão',
+    opIs: 'é',
+    opIsNot: 'não é',
+    opWithin: 'está em ou abaixo de',
+    opHas: 'tem',
+    opHasNot: 'não tem',
+    opWithinDays: 'nos últimos (dias)',
+    opOlderThanDays: 'há mais de (dias)',
+    yes: 'Sim',
+    no: 'Não',
+    presetPinned: 'Fixadas em qualquer lugar',
+    presetRecent: 'Abertas nos últimos 7 dias',
+    presetUnfiled: 'Em nenhum projeto',
+    presetAliasContains: 'O nome contém…',
+    autoFiling: 'Arquivamento automático',
+    autoFilingHint: 'Conversas novas vão para o projeto da primeira regra correspondente, verificadas de cima para baixo. Conversas que você retirar de um projeto não são arquivadas de novo.',
+    newFilingRule: 'Nova regra',
+    editFilingRule: 'Editar regra',
+    ruleName: 'Nome da regra (opcional)',
+    ruleSource: 'Verificar',
+    ruleMatch: 'Correspondência',
+    ruleTarget: 'Arquivar em',
+    ruleSourceTitle: 'Título da conversa',
+    ruleSourceGem: 'Gem',
+    ruleSourcePrompt: 'Primeiro prompt',
+    ruleMatchKeywords: 'Qualquer uma destas palavras-chave',
+    ruleMatchRegex: 'Expressão regular',
+    rulePatternInvalid: 'Digite palavras-chave separadas por vírgulas ou uma expressão regular válida',
+    ruleEnabled: 'Regra ativada',
+    noRulesYet: 'Nenhuma regra ainda',
+    moveUp: 'Mover para cima',
+    moveDown: 'Mover para baixo',
+    filingDryRun: 'Simulação',
+    filingPreviewEmpty: 'Nenhuma conversa fora de projetos corresponde a estas regras',
+    filingLog: 'Registro de arquivamento',
+    filingLogEmpty: 'Nenhuma conversa arquivada por regras ainda',
+    autoFiled: 'Arquivada por regra',
+    suggested: 'Sugerido',
+    suggestedProjects: 'Projetos sugeridos',
+    suggestionsHint: 'Projetos deduzidos das conversas que já arquivou. Calculado neste dispositivo.',
+    fileSelected: 'Arquivar seleção',
+    selectAll: 'Selecionar tudo',
+    triage: 'Triagem',
+    triageHint: '1–9 arquivar · Enter aceitar sugestão · S pular · N novo projeto · R renomear · Esc fechar',
+    triageDone: 'Era a última — todas as conversas estão arquivadas.',
+    skip: 'Pular',
+    notes: 'Notas',
+    searchNotes: 'Pesquisar em todas as notas...',
+    notesPlaceholder: 'Escreva em Markdown — # título, **negrito**, - lista, [link](https://...)',
+    notesEmpty: 'Nada escrito ainda. A pré-visualização aparece aqui enquanto escreve.',
+    noMatchingNotes: 'Nenhuma nota corresponde',
+    discardChanges: 'Descartar alterações não salvas?',
+    saved: 'Salvo',
+    projectContext: 'Contexto do projeto',
+    projectContextHint: 'Colocado na caixa de texto quando inicia uma nova conversa neste projeto. As subpastas herdam-no e acrescentam o seu por baixo.',
+    projectContextPlaceholder: 'ex. Você é um revisor sênior de Go. Responda de forma breve e cite a biblioteca padrão.',
+    inheritedFrom: 'Herdado de',
+    contextPreview: 'Pré-visualizar o contexto do projeto antes de inserir',
+    insert: 'Inserir',
+    archive: 'Arquivar',
+    unarchive: 'Desarquivar',
+    archived: 'Arquivados',
+    noMatches: 'Sem resultados',
+    moveCurrentChat: 'Mover a conversa atual para…',
+    insertPrompt: 'Inserir prompt…',
+    chooseProject: 'Escolha um projeto…',
+    paletteSearch: 'Pesquisar projetos, conversas, prompts e comandos…',
+    paletteHint: '↑ ↓ para mover · Enter para abrir · Backspace para voltar · Esc para fechar',
+    keyboardShortcuts: 'Atalhos de teclado',
+    shortcutsHint: 'Clique num atalho e pressione as novas teclas. Backspace o apaga, Esc cancela.',
+    pressKeys: 'Pressione as teclas…',
+    notSet: 'Não definido',
+    shortcutNeedsModifier: 'Use Ctrl, Alt ou ⌘ com a tecla, ou uma tecla de função',
+    alsoUsedBy: 'Também usado por',
+    yourBrowser: 'seu navegador',
+    resetShortcuts: 'Restaurar padrões',
+    chromeShortcuts: 'Atalhos do Chrome',
+    chromeShortcutsHint: 'Funcionam mesmo quando a página não está em foco. O próprio Chrome os define.',
+    changeInChrome: 'Alterar no Chrome',
+    shortcutCommandPalette: 'Paleta de comandos',
+    shortcutToggleQuickPrompts: 'Mostrar ou ocultar prompts rápidos',
+    shortcutNewProject: 'Novo projeto',
+    shortcutAssignChat: 'Mover o chat atual para um projeto',
+    shortcutPinChat: 'Fixar ou desafixar o chat atual',
+    shortcutNextChat: 'Próximo chat do projeto',
+    shortcutPreviousChat: 'Chat anterior do projeto',
+    shortcutToggleProjects: 'Mostrar ou ocultar projetos',
+    chatNotFiled: 'Este chat não está em nenhum projeto',
+    openChatFirst: 'Abra um chat primeiro',
   },
   ru: {
     newProject: 'Новый проект',
@@ -616,7 +2135,7 @@ const GPM_STRINGS = {
     restore: 'Восстановить',
     data: 'Данные',
     restoreBackup: 'Восстановить из резервной копии',
-    restoreConfirm: 'Ваши проекты и чаты будут восстановлены из последней резервной копии. Продолжить?',
+    restoreConfirm: 'Ваши проекты и чаты будут восстановлены из этой резервной копии. Продолжить?',
     noBackupAvailable: 'Резервная копия недоступна',
     categoryHomework: 'Домашнее задание',
     categoryWriting: 'Письмо',
@@ -638,6 +2157,223 @@ const GPM_STRINGS = {
     categoryResearch: 'Исследование',
     categoryCoding: 'Программирование',
     categoryDesign: 'Дизайн',
+    backupHistory: 'История резервных копий',
+    chats: 'чатов',
+    changed: 'изменено',
+    moved: 'перемещено',
+    snapshotAuto: 'Автокопия',
+    snapshotPreRestore: 'До восстановления',
+    snapshotVsCurrent: 'отн. текущих',
+    snapshotSameAsCurrent: 'Совпадает с текущими данными',
+    checkIntegrity: 'Проверить целостность данных',
+    integrityReport: 'Отчёт о целостности',
+    integrityOk: 'Проблем не найдено',
+    integrityIssuesFound: 'Найдены проблемы в данных — нажмите, чтобы просмотреть',
+    repairData: 'Исправить',
+    repairConfirm: 'Перед исправлением будет создан снимок текущих данных. Продолжить?',
+    close: 'Закрыть',
+    snapshotRepair: 'До исправления',
+    issueOrphanedChild: 'Подпапка ссылается на несуществующую родительскую',
+    issueChildMismatch: 'Список подпапок рассинхронизирован',
+    issueCycle: 'Папки вложены друг в друга',
+    issueDuplicateChat: 'Чат указан в нескольких проектах',
+    issueDanglingChat: 'Проект содержит чат из другого проекта',
+    issueMissingProject: 'Чат привязан к несуществующему проекту',
+    issueUnlistedChat: 'Чат отсутствует в списке своего проекта',
+    sync: 'Синхронизация',
+    syncEnabled: 'Синхронизировать между устройствами (Chrome Sync)',
+    syncHint: 'Копирует проекты, привязки чатов, быстрые промпты и настройки в ваш профиль Chrome. Ограничение — около 100 КБ.',
+    syncNow: 'Синхронизировать',
+    syncStatusOff: 'Синхронизация выключена',
+    syncStatusSyncing: 'Синхронизация…',
+    syncStatusOk: 'Последняя синхронизация',
+    syncStatusError: 'Ошибка синхронизации',
+    syncQuotaExceeded: 'данные превышают квоту Chrome Sync',
+    snapshotSync: 'Перед синхронизацией',
+    importPreview: 'Предпросмотр импорта',
+    importMerge: 'Объединить',
+    importReplace: 'Заменить',
+    importMergeHint: 'Добавляет всё новое из файла. Для элементов, которые есть в обоих местах, выберите, какую версию оставить.',
+    importReplaceHint: 'Заменяет текущие проекты, чаты и промпты содержимым файла.',
+    importInvalid: 'Этот файл нельзя импортировать:',
+    importNothing: 'Нечего импортировать — файл совпадает с текущими данными.',
+    added: 'добавлено',
+    dropped: 'удалено',
+    keepCurrent: 'Оставить текущее',
+    useFromFile: 'Взять из файла',
+    snapshotPreImport: 'Перед импортом',
+    undo: 'Отменить',
+    redo: 'Повторить',
+    undone: 'Отменено',
+    redone: 'Повторено',
+    undoConflict: 'Некоторые элементы с тех пор изменились и оставлены как есть',
+    moveProject: 'Переместить проект',
+    reorderChats: 'Изменить порядок чатов',
+    trash: 'Корзина',
+    emptyTrash: 'Очистить корзину',
+    emptyTrashConfirm: 'Безвозвратно удалить всё из корзины?',
+    deletePermanently: 'Удалить навсегда',
+    restoreTargetMissing: 'Проекта этого чата больше нет. Сначала восстановите проект.',
+    trashRetention: 'Хранить удалённое',
+    retention7Days: '7 дней',
+    retention30Days: '30 дней',
+    retention90Days: '90 дней',
+    retentionForever: 'Всегда',
+    deletedOn: 'Удалено',
+    storageChatMap: 'Привязки чатов',
+    storageOther: 'Прочее',
+    largestProjects: 'Самые большие проекты',
+    storageNearlyFull: 'Хранилище почти заполнено. Очистите корзину или экспортируйте и удалите старые данные.',
+    storageFull: 'Хранилище заполнено — изменение не сохранено',
+    saveFailed: 'Не удалось сохранить изменения',
+    ok: 'ОК',
+    passphrase: 'Пароль',
+    repeatPassphrase: 'Повторите пароль',
+    encryptExport: 'Зашифровать экспорт',
+    enterPassphrase: 'Введите пароль',
+    passphraseHint: 'Пароль невозможно восстановить. Без него файл не открыть.',
+    passphraseTooShort: 'Используйте не менее 8 символов',
+    passphraseMismatch: 'Пароли не совпадают',
+    wrongPassphrase: 'Неверный пароль — не удалось расшифровать файл',
+    encryptWithPassphrase: 'Шифровать экспорт паролем',
+    encryptedBackup: 'Зашифрованная копия',
+    autoBackup: 'Файлы резервных копий',
+    autoBackupFrequency: 'Сохранять файл копии',
+    autoBackupOff: 'Никогда',
+    autoBackupDaily: 'Ежедневно',
+    autoBackupWeekly: 'Еженедельно',
+    autoBackupHint: 'Полные экспорты сохраняются в Загрузки/Gemini Project Manager; хранятся 7 последних. Они не зашифрованы.',
+    lastBackup: 'Последний файл копии',
+    autoBackupNever: 'Файлы копий ещё не сохранялись',
+    autoBackupFailed: 'Не удалось сохранить последний файл копии',
+    backupNow: 'Создать копию сейчас',
+    exportFormat: 'Формат',
+    formatJson: 'Копия JSON',
+    formatBookmarks: 'Закладки (HTML)',
+    sortChats: 'Сортировка чатов в проектах',
+    sortManual: 'Вручную',
+    sortLastOpened: 'Недавно открытые',
+    sortAssigned: 'Недавно добавленные',
+    sortTitle: 'Название (А–Я)',
+    chatAssigned: 'Добавлен',
+    chatLastOpened: 'Последнее открытие',
+    chatFirstSeen: 'Впервые замечен',
+    tags: 'Теги',
+    newTag: 'Новый тег…',
+    editTag: 'Изменить тег',
+    deleteTag: 'Удалить тег',
+    tagName: 'Название тега',
+    filterByTag: 'Показывать только чаты с этим тегом',
+    alsoShowIn: 'Также показывать в',
+    makeHomeProject: 'Сделать основным проектом',
+    removeReference: 'Убрать из этого проекта',
+    homeProject: 'Основной проект',
+    smartFolder: 'Умная папка — показывает все чаты, подходящие под её правила',
+    newSmartFolder: 'Новая умная папка',
+    editSmartFolder: 'Изменить умную папку',
+    smartFolderName: 'Название умной папки',
+    smartFolderHint: 'Показывает все подходящие чаты — в проектах и вне их. Перетаскивать чаты в умную папку нельзя.',
+    queryStartFrom: 'Начать с',
+    queryMatchAll: 'Все правила',
+    queryMatchAny: 'Любое правило',
+    addRule: 'Добавить правило',
+    queryFieldAlias: 'Название чата',
+    queryFieldPinned: 'Закреплён',
+    queryFieldFiled: 'В проекте',
+    queryFieldProject: 'Проект',
+    queryFieldTag: 'Тег',
+    opContains: 'содержит',
+    opNotContains: 'не содержит',
+    opEquals: 'точно равно',
+    opMatches: 'соответствует шаблону',
+    opIs: 'равно',
+    opIsNot: 'не равно',
+    opWithin: 'в проекте или его подпапках',
+    opHas: 'есть',
+    opHasNot: 'нет',
+    opWithinDays: 'за последние (дней)',
+    opOlderThanDays: 'более (дней) назад',
+    yes: 'Да',
+    no: 'Нет',
+    presetPinned: 'Все закреплённые',
+    presetRecent: 'Открытые за 7 дней',
+    presetUnfiled: 'Вне проектов',
+    presetAliasContains: 'Название содержит…',
+    autoFiling: 'Автосортировка',
+    autoFilingHint: 'Новые чаты попадают в проект первого подходящего правила; правила проверяются сверху вниз. Чаты, убранные из проекта, повторно не сортируются.',
+    newFilingRule: 'Новое правило',
+    editFilingRule: 'Изменить правило',
+    ruleName: 'Название правила (необязательно)',
+    ruleSource: 'Проверять',
+    ruleMatch: 'Совпадение',
+    ruleTarget: 'Помещать в',
+    ruleSourceTitle: 'Название чата',
+    ruleSourceGem: 'Gem',
+    ruleSourcePrompt: 'Первый запрос',
+    ruleMatchKeywords: 'Любое из ключевых слов',
+    ruleMatchRegex: 'Регулярное выражение',
+    rulePatternInvalid: 'Введите ключевые слова через запятую или корректное регулярное выражение',
+    ruleEnabled: 'Правило включено',
+    noRulesYet: 'Правил пока нет',
+    moveUp: 'Выше',
+    moveDown: 'Ниже',
+    filingDryRun: 'Пробный запуск',
+    filingPreviewEmpty: 'Нет чатов вне проектов, подходящих под эти правила',
+    filingLog: 'Журнал сортировки',
+    filingLogEmpty: 'Правила ещё не отсортировали ни одного чата',
+    autoFiled: 'Отсортировано правилом',
+    suggested: 'Предложено',
+    suggestedProjects: 'Предлагаемые проекты',
+    suggestionsHint: 'Проекты, угаданные по уже разложенным чатам. Вычисляется на этом устройстве.',
+    fileSelected: 'Разложить выбранные',
+    selectAll: 'Выбрать все',
+    triage: 'Разбор',
+    triageHint: '1–9 в проект · Enter принять предложение · S пропустить · N новый проект · R переименовать · Esc закрыть',
+    triageDone: 'Это был последний — все чаты разложены.',
+    skip: 'Пропустить',
+    notes: 'Заметки',
+    searchNotes: 'Искать во всех заметках...',
+    notesPlaceholder: 'Пишите в Markdown — # заголовок, **жирный**, - список, [ссылка](https://...)',
+    notesEmpty: 'Пока ничего нет. Предпросмотр появится здесь по мере ввода.',
+    noMatchingNotes: 'Нет подходящих заметок',
+    discardChanges: 'Отменить несохранённые изменения?',
+    saved: 'Сохранено',
+    projectContext: 'Контекст проекта',
+    projectContextHint: 'Вставляется в поле ввода, когда вы начинаете новый чат в этом проекте. Подпапки наследуют его и добавляют свой ниже.',
+    projectContextPlaceholder: 'напр. Ты опытный ревьюер Go. Отвечай кратко и ссылайся на стандартную библиотеку.',
+    inheritedFrom: 'Унаследовано от',
+    contextPreview: 'Показывать контекст проекта перед вставкой',
+    insert: 'Вставить',
+    archive: 'Архивировать',
+    unarchive: 'Вернуть из архива',
+    archived: 'Архив',
+    noMatches: 'Ничего не найдено',
+    moveCurrentChat: 'Переместить текущий чат в…',
+    insertPrompt: 'Вставить промпт…',
+    chooseProject: 'Выберите проект…',
+    paletteSearch: 'Поиск проектов, чатов, промптов и команд…',
+    paletteHint: '↑ ↓ — выбор · Enter — открыть · Backspace — назад · Esc — закрыть',
+    keyboardShortcuts: 'Сочетания клавиш',
+    shortcutsHint: 'Нажмите на сочетание и затем новые клавиши. Backspace очищает, Esc отменяет.',
+    pressKeys: 'Нажмите клавиши…',
+    notSet: 'Не задано',
+    shortcutNeedsModifier: 'Используйте Ctrl, Alt или ⌘ вместе с клавишей либо функциональную клавишу',
+    alsoUsedBy: 'Также используется',
+    yourBrowser: 'браузер',
+    resetShortcuts: 'Сбросить по умолчанию',
+    chromeShortcuts: 'Сочетания Chrome',
+    chromeShortcutsHint: 'Работают, даже когда страница не в фокусе. Их задаёт сам Chrome.',
+    changeInChrome: 'Изменить в Chrome',
+    shortcutCommandPalette: 'Палитра команд',
+    shortcutToggleQuickPrompts: 'Показать или скрыть быстрые подсказки',
+    shortcutNewProject: 'Новый проект',
+    shortcutAssignChat: 'Переместить текущий чат в проект',
+    shortcutPinChat: 'Закрепить или открепить текущий чат',
+    shortcutNextChat: 'Следующий чат проекта',
+    shortcutPreviousChat: 'Предыдущий чат проекта',
+    shortcutToggleProjects: 'Показать или скрыть проекты',
+    chatNotFiled: 'Этот чат не входит ни в один проект',
+    openChatFirst: 'Сначала откройте чат',
   },
   ja: {
     newProject: '新しいプロジェクト',
@@ -695,7 +2431,7 @@ const GPM_STRINGS = {
     restore: '復元',
     data: 'データ',
     restoreBackup: 'バックアップから復元',
-    restoreConfirm: 'プロジェクトとチャットが最後のバックアップから復元されます。続行しますか？',
+    restoreConfirm: 'プロジェクトとチャットがこのバックアップから復元されます。続行しますか？',
     noBackupAvailable: 'バックアップがありません',
     categoryHomework: '宿題',
     categoryWriting: '執筆',
@@ -717,6 +2453,223 @@ const GPM_STRINGS = {
     categoryResearch: '研究',
     categoryCoding: 'コーディング',
     categoryDesign: 'デザイン',
+    backupHistory: 'バックアップ履歴',
+    chats: 'チャット',
+    changed: '変更',
+    moved: '移動',
+    snapshotAuto: '自動バックアップ',
+    snapshotPreRestore: '復元前',
+    snapshotVsCurrent: '現在との差分',
+    snapshotSameAsCurrent: '現在のデータと同じ',
+    checkIntegrity: 'データ整合性をチェック',
+    integrityReport: 'データ整合性レポート',
+    integrityOk: '問題は見つかりませんでした',
+    integrityIssuesFound: 'データの問題が見つかりました — クリックして確認',
+    repairData: '修復',
+    repairConfirm: '修復前に現在のデータのスナップショットを作成します。続行しますか？',
+    close: '閉じる',
+    snapshotRepair: '修復前',
+    issueOrphanedChild: 'サブフォルダーの親が存在しません',
+    issueChildMismatch: 'サブフォルダー一覧が同期していません',
+    issueCycle: 'フォルダーが互いに入れ子になっています',
+    issueDuplicateChat: 'チャットが複数のプロジェクトに含まれています',
+    issueDanglingChat: '別のプロジェクトのチャットが含まれています',
+    issueMissingProject: '存在しないプロジェクトに割り当てられたチャット',
+    issueUnlistedChat: 'チャットがプロジェクトの一覧にありません',
+    sync: '同期',
+    syncEnabled: 'デバイス間で同期 (Chrome Sync)',
+    syncHint: 'プロジェクト、チャットの割り当て、クイックプロンプト、設定を Chrome プロファイルに同期します。上限は約 100 KB です。',
+    syncNow: '今すぐ同期',
+    syncStatusOff: '同期はオフです',
+    syncStatusSyncing: '同期中…',
+    syncStatusOk: '最終同期',
+    syncStatusError: '同期に失敗しました',
+    syncQuotaExceeded: 'データが Chrome Sync の容量を超えています',
+    snapshotSync: '同期前',
+    importPreview: 'インポートのプレビュー',
+    importMerge: '統合',
+    importReplace: '置き換え',
+    importMergeHint: 'ファイルの新しい項目をすべて追加します。両方に存在する項目は、残すバージョンを選択してください。',
+    importReplaceHint: '現在のプロジェクト、チャット、プロンプトをファイルの内容で置き換えます。',
+    importInvalid: 'このファイルはインポートできません:',
+    importNothing: 'インポートするものはありません — ファイルは現在のデータと同じです。',
+    added: '追加',
+    dropped: '削除',
+    keepCurrent: '現在のものを保持',
+    useFromFile: 'ファイルを使用',
+    snapshotPreImport: 'インポート前',
+    undo: '元に戻す',
+    redo: 'やり直す',
+    undone: '元に戻しました',
+    redone: 'やり直しました',
+    undoConflict: 'その後変更された項目はそのまま残しました',
+    moveProject: 'プロジェクトを移動',
+    reorderChats: 'チャットを並べ替え',
+    trash: 'ゴミ箱',
+    emptyTrash: 'ゴミ箱を空にする',
+    emptyTrashConfirm: 'ゴミ箱の中身をすべて完全に削除しますか？',
+    deletePermanently: '完全に削除',
+    restoreTargetMissing: 'このチャットが属していたプロジェクトはもう存在しません。先にプロジェクトを復元してください。',
+    trashRetention: '削除した項目の保持期間',
+    retention7Days: '7 日',
+    retention30Days: '30 日',
+    retention90Days: '90 日',
+    retentionForever: '無期限',
+    deletedOn: '削除日時',
+    storageChatMap: 'チャットの割り当て',
+    storageOther: 'その他',
+    largestProjects: 'サイズの大きいプロジェクト',
+    storageNearlyFull: 'ストレージがほぼいっぱいです。ゴミ箱を空にするか、古いデータをエクスポートして削除してください。',
+    storageFull: 'ストレージがいっぱいです — この変更は保存されませんでした',
+    saveFailed: '変更を保存できませんでした',
+    ok: 'OK',
+    passphrase: 'パスフレーズ',
+    repeatPassphrase: 'パスフレーズを再入力',
+    encryptExport: 'エクスポートを暗号化',
+    enterPassphrase: 'パスフレーズを入力',
+    passphraseHint: 'パスフレーズは復元できません。パスフレーズがないとファイルを開けません。',
+    passphraseTooShort: '8 文字以上にしてください',
+    passphraseMismatch: 'パスフレーズが一致しません',
+    wrongPassphrase: 'パスフレーズが正しくありません — ファイルを復号できませんでした',
+    encryptWithPassphrase: 'パスフレーズでエクスポートを暗号化',
+    encryptedBackup: '暗号化バックアップ',
+    autoBackup: 'バックアップファイル',
+    autoBackupFrequency: 'バックアップファイルを保存',
+    autoBackupOff: 'しない',
+    autoBackupDaily: '毎日',
+    autoBackupWeekly: '毎週',
+    autoBackupHint: '完全なエクスポートが ダウンロード/Gemini Project Manager に保存され、最新の 7 件が保持されます。暗号化はされません。',
+    lastBackup: '最後のバックアップファイル',
+    autoBackupNever: 'バックアップファイルはまだありません',
+    autoBackupFailed: '最後のバックアップファイルの保存に失敗しました',
+    backupNow: '今すぐバックアップ',
+    exportFormat: '形式',
+    formatJson: 'JSON バックアップ',
+    formatBookmarks: 'ブックマーク (HTML)',
+    sortChats: 'プロジェクト内のチャットの並び順',
+    sortManual: '手動',
+    sortLastOpened: '最近開いた順',
+    sortAssigned: '最近追加した順',
+    sortTitle: 'タイトル順',
+    chatAssigned: '追加日時',
+    chatLastOpened: '最終表示',
+    chatFirstSeen: '初回検出',
+    tags: 'タグ',
+    newTag: '新しいタグ…',
+    editTag: 'タグを編集',
+    deleteTag: 'タグを削除',
+    tagName: 'タグ名',
+    filterByTag: 'このタグのチャットだけを表示',
+    alsoShowIn: 'ほかのプロジェクトにも表示',
+    makeHomeProject: 'ここをメインにする',
+    removeReference: 'このプロジェクトから外す',
+    homeProject: 'メインのプロジェクト',
+    smartFolder: 'スマートフォルダ — ルールに一致するすべてのチャットを表示',
+    newSmartFolder: '新しいスマートフォルダ',
+    editSmartFolder: 'スマートフォルダを編集',
+    smartFolderName: 'スマートフォルダ名',
+    smartFolderHint: 'プロジェクトに入っているかどうかに関係なく、一致するすべてのチャットを表示します。スマートフォルダにチャットをドラッグすることはできません。',
+    queryStartFrom: 'テンプレート',
+    queryMatchAll: 'すべてのルールに一致',
+    queryMatchAny: 'いずれかのルールに一致',
+    addRule: 'ルールを追加',
+    queryFieldAlias: 'チャット名',
+    queryFieldPinned: 'ピン留め',
+    queryFieldFiled: 'プロジェクト内',
+    queryFieldProject: 'プロジェクト',
+    queryFieldTag: 'タグ',
+    opContains: 'を含む',
+    opNotContains: 'を含まない',
+    opEquals: 'と完全一致',
+    opMatches: 'がパターンに一致',
+    opIs: 'が',
+    opIsNot: 'が次以外',
+    opWithin: 'がこのフォルダ以下',
+    opHas: 'あり',
+    opHasNot: 'なし',
+    opWithinDays: '過去（日）以内',
+    opOlderThanDays: '（日）以上前',
+    yes: 'はい',
+    no: 'いいえ',
+    presetPinned: 'ピン留めしたチャット',
+    presetRecent: '過去7日間に開いたチャット',
+    presetUnfiled: 'どのプロジェクトにもない',
+    presetAliasContains: '名前に含む…',
+    autoFiling: '自動振り分け',
+    autoFilingHint: '新しいチャットは、上から順に確認して最初に一致したルールのプロジェクトに入ります。プロジェクトから外したチャットは再び振り分けられません。',
+    newFilingRule: '新しいルール',
+    editFilingRule: 'ルールを編集',
+    ruleName: 'ルール名（任意）',
+    ruleSource: '対象',
+    ruleMatch: '一致方法',
+    ruleTarget: '振り分け先',
+    ruleSourceTitle: 'チャットのタイトル',
+    ruleSourceGem: 'Gem',
+    ruleSourcePrompt: '最初のプロンプト',
+    ruleMatchKeywords: 'いずれかのキーワード',
+    ruleMatchRegex: '正規表現',
+    rulePatternInvalid: 'カンマ区切りのキーワードか、有効な正規表現を入力してください',
+    ruleEnabled: 'ルールを有効にする',
+    noRulesYet: 'ルールはまだありません',
+    moveUp: '上へ',
+    moveDown: '下へ',
+    filingDryRun: 'テスト実行',
+    filingPreviewEmpty: 'これらのルールに一致する未分類のチャットはありません',
+    filingLog: '振り分けログ',
+    filingLogEmpty: 'ルールで振り分けたチャットはまだありません',
+    autoFiled: 'ルールで振り分け',
+    suggested: 'おすすめ',
+    suggestedProjects: 'おすすめのプロジェクト',
+    suggestionsHint: '整理済みのチャットから推測したプロジェクトです。この端末上で計算されます。',
+    fileSelected: '選択項目を整理',
+    selectAll: 'すべて選択',
+    triage: '仕分け',
+    triageHint: '1–9 で整理 · Enter 提案を採用 · S スキップ · N 新規プロジェクト · R 名前を変更 · Esc 閉じる',
+    triageDone: 'これで最後です。すべてのチャットが整理されました。',
+    skip: 'スキップ',
+    notes: 'メモ',
+    searchNotes: 'すべてのメモを検索...',
+    notesPlaceholder: 'Markdown で記述 — # 見出し、**太字**、- リスト、[リンク](https://...)',
+    notesEmpty: 'まだ何も書かれていません。入力するとここにプレビューが表示されます。',
+    noMatchingNotes: '一致するメモはありません',
+    discardChanges: '保存していない変更を破棄しますか？',
+    saved: '保存しました',
+    projectContext: 'プロジェクトのコンテキスト',
+    projectContextHint: 'このプロジェクトで新しいチャットを始めると入力欄に挿入されます。サブフォルダーはこれを引き継ぎ、自分のものを下に追加します。',
+    projectContextPlaceholder: '例: あなたは経験豊富な Go のレビュアーです。簡潔に答え、標準ライブラリを引用してください。',
+    inheritedFrom: '継承元',
+    contextPreview: '挿入前にプロジェクトのコンテキストをプレビュー',
+    insert: '挿入',
+    archive: 'アーカイブ',
+    unarchive: 'アーカイブを解除',
+    archived: 'アーカイブ済み',
+    noMatches: '一致する項目はありません',
+    moveCurrentChat: '現在のチャットを移動…',
+    insertPrompt: 'プロンプトを挿入…',
+    chooseProject: 'プロジェクトを選択…',
+    paletteSearch: 'プロジェクト、チャット、プロンプト、コマンドを検索…',
+    paletteHint: '↑ ↓ で移動 · Enter で開く · Backspace で戻る · Esc で閉じる',
+    keyboardShortcuts: 'キーボードショートカット',
+    shortcutsHint: 'ショートカットをクリックして新しいキーを押します。Backspace で解除、Esc でキャンセル。',
+    pressKeys: 'キーを押してください…',
+    notSet: '未設定',
+    shortcutNeedsModifier: 'Ctrl、Alt、⌘ のいずれかと組み合わせるか、ファンクションキーを使ってください',
+    alsoUsedBy: '他でも使用中',
+    yourBrowser: 'ブラウザ',
+    resetShortcuts: 'デフォルトに戻す',
+    chromeShortcuts: 'Chrome のショートカット',
+    chromeShortcutsHint: 'ページにフォーカスがないときも使えます。設定は Chrome で行います。',
+    changeInChrome: 'Chrome で変更',
+    shortcutCommandPalette: 'コマンドパレット',
+    shortcutToggleQuickPrompts: 'クイックプロンプトの表示/非表示',
+    shortcutNewProject: '新しいプロジェクト',
+    shortcutAssignChat: '現在のチャットをプロジェクトへ移動',
+    shortcutPinChat: '現在のチャットを固定/固定解除',
+    shortcutNextChat: 'プロジェクト内の次のチャット',
+    shortcutPreviousChat: 'プロジェクト内の前のチャット',
+    shortcutToggleProjects: 'プロジェクトの表示/非表示',
+    chatNotFiled: 'このチャットはどのプロジェクトにも入っていません',
+    openChatFirst: '先にチャットを開いてください',
   },
   zh: {
     newProject: '新建项目',
@@ -774,7 +2727,7 @@ const GPM_STRINGS = {
     restore: '恢复',
     data: '数据',
     restoreBackup: '从备份恢复',
-    restoreConfirm: '您的项目和聊天将从上次备份中恢复。继续吗？',
+    restoreConfirm: '您的项目和聊天将从此备份中恢复。继续吗？',
     noBackupAvailable: '没有可用的备份',
     categoryHomework: '作业',
     categoryWriting: '写作',
@@ -796,6 +2749,223 @@ const GPM_STRINGS = {
     categoryResearch: '研究',
     categoryCoding: '编程',
     categoryDesign: '设计',
+    backupHistory: '备份历史',
+    chats: '聊天',
+    changed: '已更改',
+    moved: '已移动',
+    snapshotAuto: '自动备份',
+    snapshotPreRestore: '恢复之前',
+    snapshotVsCurrent: '与当前相比',
+    snapshotSameAsCurrent: '与当前数据相同',
+    checkIntegrity: '检查数据完整性',
+    integrityReport: '数据完整性报告',
+    integrityOk: '未发现问题',
+    integrityIssuesFound: '发现数据问题 — 点击查看',
+    repairData: '修复',
+    repairConfirm: '修复前将为当前数据创建快照。继续吗？',
+    close: '关闭',
+    snapshotRepair: '修复之前',
+    issueOrphanedChild: '子文件夹指向不存在的父级',
+    issueChildMismatch: '子文件夹列表不同步',
+    issueCycle: '文件夹相互嵌套',
+    issueDuplicateChat: '聊天出现在多个项目中',
+    issueDanglingChat: '项目列出了属于其他项目的聊天',
+    issueMissingProject: '聊天分配给了不存在的项目',
+    issueUnlistedChat: '聊天不在其项目列表中',
+    sync: '同步',
+    syncEnabled: '跨设备同步 (Chrome Sync)',
+    syncHint: '将项目、对话分配、快捷提示词和设置同步到你的 Chrome 账户。上限约 100 KB。',
+    syncNow: '立即同步',
+    syncStatusOff: '同步已关闭',
+    syncStatusSyncing: '正在同步…',
+    syncStatusOk: '上次同步',
+    syncStatusError: '同步失败',
+    syncQuotaExceeded: '数据超出 Chrome Sync 配额',
+    snapshotSync: '同步前',
+    importPreview: '导入预览',
+    importMerge: '合并',
+    importReplace: '替换',
+    importMergeHint: '添加文件中的所有新内容。对于两边都存在的项目，请选择保留哪个版本。',
+    importReplaceHint: '用文件内容替换当前的项目、对话和提示词。',
+    importInvalid: '无法导入此文件：',
+    importNothing: '没有可导入的内容 — 文件与当前数据一致。',
+    added: '新增',
+    dropped: '删除',
+    keepCurrent: '保留当前',
+    useFromFile: '使用文件',
+    snapshotPreImport: '导入前',
+    undo: '撤销',
+    redo: '重做',
+    undone: '已撤销',
+    redone: '已重做',
+    undoConflict: '部分项目之后已被更改，保持原样',
+    moveProject: '移动项目',
+    reorderChats: '重新排序对话',
+    trash: '回收站',
+    emptyTrash: '清空回收站',
+    emptyTrashConfirm: '永久删除回收站中的所有内容？',
+    deletePermanently: '永久删除',
+    restoreTargetMissing: '此对话所属的项目已不存在。请先恢复该项目。',
+    trashRetention: '已删除项目保留',
+    retention7Days: '7 天',
+    retention30Days: '30 天',
+    retention90Days: '90 天',
+    retentionForever: '永久',
+    deletedOn: '删除于',
+    storageChatMap: '对话分配',
+    storageOther: '其他',
+    largestProjects: '最大的项目',
+    storageNearlyFull: '存储空间即将用尽。请清空回收站，或导出后清除旧数据。',
+    storageFull: '存储空间已满 — 此更改未保存',
+    saveFailed: '无法保存更改',
+    ok: '确定',
+    passphrase: '密码短语',
+    repeatPassphrase: '再次输入密码短语',
+    encryptExport: '加密导出',
+    enterPassphrase: '输入密码短语',
+    passphraseHint: '密码短语无法找回。没有它将无法打开文件。',
+    passphraseTooShort: '至少使用 8 个字符',
+    passphraseMismatch: '两次输入的密码短语不一致',
+    wrongPassphrase: '密码短语错误 — 无法解密文件',
+    encryptWithPassphrase: '使用密码短语加密导出',
+    encryptedBackup: '加密备份',
+    autoBackup: '备份文件',
+    autoBackupFrequency: '保存备份文件',
+    autoBackupOff: '从不',
+    autoBackupDaily: '每天',
+    autoBackupWeekly: '每周',
+    autoBackupHint: '完整导出保存在 下载/Gemini Project Manager 中，保留最新的 7 个。文件未加密。',
+    lastBackup: '上次备份文件',
+    autoBackupNever: '尚未保存备份文件',
+    autoBackupFailed: '上次备份文件保存失败',
+    backupNow: '立即备份',
+    exportFormat: '格式',
+    formatJson: 'JSON 备份',
+    formatBookmarks: '书签 (HTML)',
+    sortChats: '项目内聊天排序',
+    sortManual: '手动',
+    sortLastOpened: '最近打开',
+    sortAssigned: '最近归档',
+    sortTitle: '标题 (A–Z)',
+    chatAssigned: '归档时间',
+    chatLastOpened: '上次打开',
+    chatFirstSeen: '首次发现',
+    tags: '标签',
+    newTag: '新建标签…',
+    editTag: '编辑标签',
+    deleteTag: '删除标签',
+    tagName: '标签名称',
+    filterByTag: '仅显示带有此标签的聊天',
+    alsoShowIn: '同时显示在',
+    makeHomeProject: '设为主项目',
+    removeReference: '从此项目移除',
+    homeProject: '主项目',
+    smartFolder: '智能文件夹 — 列出符合其规则的所有对话',
+    newSmartFolder: '新建智能文件夹',
+    editSmartFolder: '编辑智能文件夹',
+    smartFolderName: '智能文件夹名称',
+    smartFolderHint: '列出所有匹配的对话，无论是否已归入项目。对话不能拖入智能文件夹。',
+    queryStartFrom: '从模板开始',
+    queryMatchAll: '符合所有规则',
+    queryMatchAny: '符合任一规则',
+    addRule: '添加规则',
+    queryFieldAlias: '对话名称',
+    queryFieldPinned: '已置顶',
+    queryFieldFiled: '在项目中',
+    queryFieldProject: '项目',
+    queryFieldTag: '标签',
+    opContains: '包含',
+    opNotContains: '不包含',
+    opEquals: '完全等于',
+    opMatches: '匹配模式',
+    opIs: '是',
+    opIsNot: '不是',
+    opWithin: '位于或其下',
+    opHas: '有',
+    opHasNot: '没有',
+    opWithinDays: '最近（天）内',
+    opOlderThanDays: '超过（天）前',
+    yes: '是',
+    no: '否',
+    presetPinned: '所有置顶对话',
+    presetRecent: '最近 7 天打开过',
+    presetUnfiled: '不在任何项目中',
+    presetAliasContains: '名称包含…',
+    autoFiling: '自动归档',
+    autoFilingHint: '新对话会按从上到下的顺序进入第一条匹配规则的项目。从项目中移出的对话不会被再次归档。',
+    newFilingRule: '新建规则',
+    editFilingRule: '编辑规则',
+    ruleName: '规则名称（可选）',
+    ruleSource: '检查',
+    ruleMatch: '匹配方式',
+    ruleTarget: '归档到',
+    ruleSourceTitle: '对话标题',
+    ruleSourceGem: 'Gem',
+    ruleSourcePrompt: '第一条提示',
+    ruleMatchKeywords: '任一关键词',
+    ruleMatchRegex: '正则表达式',
+    rulePatternInvalid: '请输入以逗号分隔的关键词或有效的正则表达式',
+    ruleEnabled: '启用规则',
+    noRulesYet: '暂无规则',
+    moveUp: '上移',
+    moveDown: '下移',
+    filingDryRun: '试运行',
+    filingPreviewEmpty: '没有项目外的对话符合这些规则',
+    filingLog: '归档日志',
+    filingLogEmpty: '还没有通过规则归档的对话',
+    autoFiled: '按规则归档',
+    suggested: '建议',
+    suggestedProjects: '建议的项目',
+    suggestionsHint: '根据已归档的对话推测的项目。在本设备上计算。',
+    fileSelected: '归档所选',
+    selectAll: '全选',
+    triage: '快速整理',
+    triageHint: '1–9 归档 · Enter 采用建议 · S 跳过 · N 新建项目 · R 重命名 · Esc 关闭',
+    triageDone: '这是最后一个——所有对话都已归档。',
+    skip: '跳过',
+    notes: '笔记',
+    searchNotes: '搜索所有笔记...',
+    notesPlaceholder: '使用 Markdown 书写 — # 标题、**粗体**、- 列表、[链接](https://...)',
+    notesEmpty: '还没有内容。输入时预览会显示在这里。',
+    noMatchingNotes: '没有匹配的笔记',
+    discardChanges: '放弃未保存的更改？',
+    saved: '已保存',
+    projectContext: '项目上下文',
+    projectContextHint: '在此项目中开始新对话时放入输入框。子文件夹会继承它，并在下方追加自己的内容。',
+    projectContextPlaceholder: '例如：你是一名资深 Go 代码审查者。回答要简短，并引用标准库。',
+    inheritedFrom: '继承自',
+    contextPreview: '插入前预览项目上下文',
+    insert: '插入',
+    archive: '归档',
+    unarchive: '取消归档',
+    archived: '已归档',
+    noMatches: '无匹配项',
+    moveCurrentChat: '将当前对话移至…',
+    insertPrompt: '插入提示词…',
+    chooseProject: '选择项目…',
+    paletteSearch: '搜索项目、对话、提示词和命令…',
+    paletteHint: '↑ ↓ 移动 · Enter 打开 · Backspace 返回 · Esc 关闭',
+    keyboardShortcuts: '键盘快捷键',
+    shortcutsHint: '点击一个快捷键，然后按下新的按键。Backspace 清除，Esc 取消。',
+    pressKeys: '请按键…',
+    notSet: '未设置',
+    shortcutNeedsModifier: '请将按键与 Ctrl、Alt 或 ⌘ 组合，或使用功能键',
+    alsoUsedBy: '也被以下使用',
+    yourBrowser: '浏览器',
+    resetShortcuts: '恢复默认',
+    chromeShortcuts: 'Chrome 快捷键',
+    chromeShortcutsHint: '页面没有焦点时也可使用，由 Chrome 自行设置。',
+    changeInChrome: '在 Chrome 中更改',
+    shortcutCommandPalette: '命令面板',
+    shortcutToggleQuickPrompts: '显示或隐藏快速提示',
+    shortcutNewProject: '新建项目',
+    shortcutAssignChat: '将当前对话移至项目',
+    shortcutPinChat: '置顶或取消置顶当前对话',
+    shortcutNextChat: '项目中的下一个对话',
+    shortcutPreviousChat: '项目中的上一个对话',
+    shortcutToggleProjects: '显示或隐藏项目',
+    chatNotFiled: '此对话不在任何项目中',
+    openChatFirst: '请先打开一个对话',
   }
 };
 
@@ -0,0 +1,123 @@
+/**
+ * markdown.js — Markdown rendering for project and chat notes
+ * A small, safe subset: headings, paragraphs, emphasis, inline code, fenced code blocks,
+ * block quotes, bullet / numbered / task lists, horizontal rules and links. All text is
+ * HTML-escaped before any markup is added, and links only keep http(s) and mailto URLs,
+ * so the output can go straight into innerHTML. Pure functions only.
+ */
+
+const GPMMarkdown = (() => {
+  const SAFE_URL = /^(https?:|mailto:)/i;
+
+  function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+  }
+
+  function _emphasis(html) {
+    return html
+      .replace(/\*\*(?=\S)(.+?)\*\*/g, '<strong>$1</strong>')
+      .replace(/__(?=\S)(.+?)__/g, '<strong>$1</strong>')
+      .replace(/\*(?=\S)(.+?)\*/g, '<em>$1</em>')
+      .replace(/(^|\W)_(?=\S)(.+?)_(?=\W|$)/g, '$1<em>$2</em>')
+      .replace(/~~(?=\S)(.+?)~~/g, '<del>$1</del>');
+  }
+
+  // Inline markup of one escaped line. Code spans and links are set aside first, so
+  // nothing inside code and no URL is formatted.
+  function _inline(escaped) {
+    const held = [];
+    const hold = (html) => `\u0000${held.push(html) - 1}\u0000`;
+    const html = escaped
+      .replace(/`([^`]+)`/g, (_, code) => hold(`<code>${code}</code>`))
+      .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => SAFE_URL.test(url)
+        ? hold(`<a href="${url}" target="_blank" rel="noopener noreferrer">${_emphasis(label)}</a>`)
+        : match);
+    return _emphasis(html).replace(/\u0000(\d+)\u0000/g, (_, i) => held[i]);
+  }
+
+  const BLOCK_START = /^(#{1,6}\s|>|```|\s*([-*+]|\d+[.)])\s|\s*([-*_])(\s*\3){2,}\s*$)/;
+
+  /** Markdown source → HTML string */
+  function render(source) {
+    const lines = (source || '').replace(/\r\n?/g, '\n').split('\n');
+    const out = [];
+    let i = 0;
+
+    while (i < lines.length) {
+      const line = lines[i];
+
+      if (!line.trim()) { i++; continue; }
+
+      // Fenced code block — runs to the closing fence or the end of the document
+      if (line.startsWith('```')) {
+        const code = [];
+        for (i++; i < lines.length && !lines[i].startsWith('```'); i++) code.push(lines[i]);
+        i++;
+        out.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+        continue;
+      }
+
+      const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+      if (heading) {
+        const level = heading[1].length;
+        out.push(`<h${level}>${_inline(escapeHtml(heading[2]))}</h${level}>`);
+        i++;
+        continue;
+      }
+
+      if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+        out.push('<hr>');
+        i++;
+        continue;
+      }
+
+      if (line.startsWith('>')) {
+        const quoted = [];
+        for (; i < lines.length && lines[i].startsWith('>'); i++) quoted.push(lines[i].replace(/^>\s?/, ''));
+        out.push(`<blockquote>${render(quoted.join('\n'))}</blockquote>`);
+        continue;
+      }
+
+      const item = line.match(/^\s*([-*+]|\d+[.)])\s+/);
+      if (item) {
+        const ordered = /\d/.test(item[1]);
+        const items = [];
+        for (; i < lines.length; i++) {
+          const m = lines[i].match(/^\s*([-*+]|\d+[.)])\s+(.*)$/);
+          if (m && /\d/.test(m[1]) === ordered) items.push(m[2]);
+          else if (lines[i].trim() && !BLOCK_START.test(lines[i]) && items.length) items[items.length - 1] += ' ' + lines[i].trim();
+          else break;
+        }
+        const tag = ordered ? 'ol' : 'ul';
+        out.push(`<${tag}>${items.map(text => {
+          const task = text.match(/^\[([ xX])\]\s+(.*)$/);
+          if (!task) return `<li>${_inline(escapeHtml(text))}</li>`;
+          const checked = task[1] !== ' ' ? ' checked' : '';
+          return `<li class="gpm-md-task"><input type="checkbox" disabled${checked}> ${_inline(escapeHtml(task[2]))}</li>`;
+        }).join('')}</${tag}>`);
+        continue;
+      }
+
+      // Paragraph — consecutive lines up to a blank line or another block
+      const para = [];
+      for (; i < lines.length && lines[i].trim() && (para.length === 0 || !BLOCK_START.test(lines[i])); i++) {
+        para.push(lines[i].trim());
+      }
+      out.push(`<p>${para.map(text => _inline(escapeHtml(text))).join('<br>')}</p>`);
+    }
+    return out.join('\n');
+  }
+
+  /** Markdown source → readable plain text, for search results */
+  function toPlainText(source) {
+    return (source || '')
+      .replace(/```/g, '')
+      .replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d+[.)])\s+(\[[ xX]\]\s+)?/gm, '')
+      .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+      .replace(/(\*\*|__|~~|\*|`)/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  return { render, toPlainText, escapeHtml };
+})();
@@ -0,0 +1,99 @@
+/**
+ * palette.js — Command palette matching and ranking
+ * Fuzzy-matches what was typed against the palette's entries and orders them by how well
+ * they match, how recently and how often each was picked. Pure functions only; the entries
+ * themselves are put together in content.js.
+ *
+ * Item:  { id, label, keywords?, lastUsed? } — `id` keys gpm_paletteUsage; `keywords` are
+ *        matched too (e.g. a project path or a prompt's text), with less weight than the label;
+ *        `lastUsed` is recency known from elsewhere (a chat's last opening)
+ * Usage: { [id]: { count, lastUsed } }
+ */
+
+const GPMPalette = (() => {
+  const DAY = 24 * 60 * 60 * 1000;
+  const HALF_LIFE_DAYS = 7;      // recency weight halves every week
+  const KEYWORD_WEIGHT = 0.5;    // a match in the keywords counts half as much as one in the label
+  const MAX_RESULTS = 50;
+
+  const isWordStart = (text, i) => i === 0 || !/[\p{L}\p{N}]/u.test(text[i - 1]);
+
+  /**
+   * Characters of `query` found in order in `text`, case-insensitively. Returns
+   * { score, positions } with score in (0, 1] — contiguous runs and word starts count most —
+   * or null when some character is missing. Spaces in the query are ignored.
+   */
+  function fuzzyMatch(query, text) {
+    const needle = query.toLowerCase().replace(/\s+/g, '');
+    const haystack = (text || '').toLowerCase();
+    if (!needle) return { score: 0, positions: [] };
+
+    // An exact substring wins: take its first occurrence at a word start, if any
+    let at = -1;
+    for (let i = haystack.indexOf(needle); i >= 0; i = haystack.indexOf(needle, i + 1)) {
+      if (at < 0) at = i;
+      if (isWordStart(haystack, i)) { at = i; break; }
+    }
+    if (at >= 0) {
+      const positions = Array.from(needle, (_, k) => at + k);
+      return { score: (isWordStart(haystack, at) ? 1 : 0.85) * (at === 0 ? 1 : 0.95), positions };
+    }
+
+    // Otherwise the subsequence — first jumping ahead to word starts before each gap, which
+    // can skip past the only later match, so plain left-to-right as the fallback
+    return _subsequence(needle, haystack, true) || _subsequence(needle, haystack, false);
+  }
+
+  function _subsequence(needle, haystack, preferWordStarts) {
+    const positions = [];
+    let from = 0;
+    let points = 0;
+    for (const ch of needle) {
+      let i = haystack.indexOf(ch, from);
+      if (i < 0) return null;
+      const prev = positions[positions.length - 1];
+      if (preferWordStarts && i !== prev + 1) {
+        for (let j = i; j >= 0; j = haystack.indexOf(ch, j + 1)) {
+          if (isWordStart(haystack, j)) { i = j; break; }
+        }
+      }
+      points += i === prev + 1 ? 3 : isWordStart(haystack, i) ? 2 : 1;
+      positions.push(i);
+      from = i + 1;
+    }
+    return { score: 0.8 * points / (needle.length * 3), positions };
+  }
+
+  // Boost in [0, 1] for an entry picked `count` times, last at `lastUsed`
+  function frecency({ count = 0, lastUsed = 0 } = {}, now = Date.now()) {
+    if (!lastUsed) return 0;
+    const recency = 0.5 ** ((now - lastUsed) / DAY / HALF_LIFE_DAYS);
+    const frequency = 1 - 1 / (1 + count);
+    return 0.6 * recency + 0.4 * frequency;
+  }
+
+  /**
+   * Entries matching `query`, best first, each as { item, positions } — positions index into
+   * item.label and are empty when only the keywords matched. An empty query lists every
+   * entry by frecency alone, keeping the given order among entries never used.
+   */
+  function rank(items, query, usage = {}, now = Date.now()) {
+    const results = [];
+    items.forEach((item, order) => {
+      const use = usage[item.id] || {};
+      const boost = frecency({ count: use.count, lastUsed: Math.max(use.lastUsed || 0, item.lastUsed || 0) }, now);
+      const label = fuzzyMatch(query, item.label);
+      const keywords = !label && item.keywords ? fuzzyMatch(query, item.keywords) : null;
+      if (!label && !keywords) return;
+      const match = label ? label.score : keywords.score * KEYWORD_WEIGHT;
+      // Matching comes first; frecency reorders entries that match about as well
+      results.push({ item, positions: label ? label.positions : [], score: match + 0.5 * boost, order });
+    });
+    return results
+      .sort((a, b) => b.score - a.score || a.order - b.order)
+      .slice(0, MAX_RESULTS)
+      .map(({ item, positions }) => ({ item, positions }));
+  }
+
+  return { fuzzyMatch, frecency, rank };
+})();
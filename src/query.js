@@ -0,0 +1,135 @@
+/**
+ * query.js — Smart folder queries
+ * A smart folder is a project that carries a `query` instead of chats of its own. Its
+ * contents are worked out on every render from the chat map and the chat index, so it
+ * also lists chats that were never filed and never goes stale.
+ *
+ * Query: { match: 'all'|'any', rules: Array<Rule> }
+ * Rule:  { field, op, value } — see FIELDS for the operators each field accepts
+ *   text:    alias                          value: string (a regular expression for 'matches')
+ *   boolean: pinned, filed                  value: true|false
+ *   project: project                        value: project ID ('within' includes its subfolders)
+ *   tag:     tag                            value: tag ID
+ *   days:    lastOpened, firstSeen,         value: number of days; a chat without the
+ *            assignedAt                     timestamp matches neither operator
+ */
+
+const GPMQuery = (() => {
+  const DAY = 24 * 60 * 60 * 1000;
+
+  const FIELDS = {
+    alias: { type: 'text', ops: ['contains', 'notContains', 'equals', 'matches'] },
+    pinned: { type: 'boolean', ops: ['is'] },
+    filed: { type: 'boolean', ops: ['is'] },
+    project: { type: 'project', ops: ['is', 'isNot', 'within'] },
+    tag: { type: 'tag', ops: ['has', 'hasNot'] },
+    lastOpened: { type: 'days', ops: ['withinDays', 'olderThanDays'] },
+    firstSeen: { type: 'days', ops: ['withinDays', 'olderThanDays'] },
+    assignedAt: { type: 'days', ops: ['withinDays', 'olderThanDays'] }
+  };
+
+  // Starting points offered by the query builder
+  const PRESETS = {
+    pinned: { match: 'all', rules: [{ field: 'pinned', op: 'is', value: true }] },
+    recent: { match: 'all', rules: [{ field: 'lastOpened', op: 'withinDays', value: 7 }] },
+    unfiled: { match: 'all', rules: [{ field: 'filed', op: 'is', value: false }] },
+    aliasContains: { match: 'all', rules: [{ field: 'alias', op: 'contains', value: '' }] }
+  };
+
+  function _regex(pattern) {
+    try {
+      return new RegExp(pattern, 'i');
+    } catch (_) {
+      return null;
+    }
+  }
+
+  const OPS = {
+    contains: (actual, value) => actual.toLowerCase().includes(String(value).toLowerCase()),
+    notContains: (actual, value) => !actual.toLowerCase().includes(String(value).toLowerCase()),
+    equals: (actual, value) => actual.toLowerCase() === String(value).toLowerCase(),
+    matches: (actual, value) => !!_regex(value)?.test(actual),
+    is: (actual, value) => actual === value,
+    isNot: (actual, value) => actual !== value,
+    within: (actual, value, ctx) => ctx.subtree(value).has(actual),
+    has: (actual, value) => actual.includes(value),
+    hasNot: (actual, value) => !actual.includes(value),
+    withinDays: (actual, value, ctx) => !!actual && ctx.now - actual <= value * DAY,
+    olderThanDays: (actual, value, ctx) => !!actual && ctx.now - actual > value * DAY
+  };
+
+  // A value the rule can be run with
+  function defaultValue(field) {
+    return { text: '', boolean: true, project: null, tag: null, days: 7 }[FIELDS[field]?.type];
+  }
+
+  // Whether the rule is complete enough to run; incomplete rules are left out of run()
+  function isValidRule(rule) {
+    const field = FIELDS[rule?.field];
+    if (!field || !field.ops.includes(rule.op)) return false;
+    switch (field.type) {
+      case 'text': return typeof rule.value === 'string' && rule.value !== '' && (rule.op !== 'matches' || !!_regex(rule.value));
+      case 'boolean': return typeof rule.value === 'boolean';
+      case 'days': return Number.isFinite(rule.value) && rule.value > 0;
+      default: return typeof rule.value === 'string' && rule.value !== '';
+    }
+  }
+
+  // What the rules see of one chat
+  function _describeChat(chatId, { chatMap, chatIndex }) {
+    const mapping = chatMap[chatId];
+    const seen = chatIndex[chatId] || {};
+    return {
+      alias: mapping?.alias || seen.title || '',
+      pinned: !!mapping?.pinned,
+      filed: !!mapping,
+      project: mapping?.projectId ?? null,
+      tag: mapping?.tags || [],
+      lastOpened: seen.lastOpened,
+      firstSeen: seen.firstSeen,
+      assignedAt: mapping?.assignedAt
+    };
+  }
+
+  /**
+   * IDs of the chats matching `query`, most recently active first. Candidates are every
+   * filed chat plus every chat seen in Gemini's list, minus those filed in archived projects;
+   * a query without a single valid rule matches nothing rather than everything.
+   */
+  function run(query, { projects = [], chatMap = {}, chatIndex = {}, now = Date.now() }) {
+    const rules = (query?.rules || []).filter(isValidRule);
+    if (rules.length === 0) return [];
+
+    const subtrees = new Map();
+    const ctx = {
+      now,
+      subtree(projectId) {
+        if (!subtrees.has(projectId)) {
+          const ids = new Set([projectId]);
+          for (let grew = true; grew;) {
+            grew = false;
+            for (const p of projects) {
+              if (ids.has(p.parentId) && !ids.has(p.id)) { ids.add(p.id); grew = true; }
+            }
+          }
+          subtrees.set(projectId, ids);
+        }
+        return subtrees.get(projectId);
+      }
+    };
+
+    // Chats filed in archived projects are out of sight, smart folders included
+    const archived = new Set(projects.filter(p => GPMStorage.isArchived(projects, p)).map(p => p.id));
+    const test = (chat) => (rule) => OPS[rule.op](chat[rule.field], rule.value, ctx);
+    const matched = [];
+    for (const chatId of new Set([...Object.keys(chatMap), ...Object.keys(chatIndex)])) {
+      if (archived.has(chatMap[chatId]?.projectId)) continue;
+      const chat = _describeChat(chatId, { chatMap, chatIndex });
+      const ok = query.match === 'any' ? rules.some(test(chat)) : rules.every(test(chat));
+      if (ok) matched.push({ chatId, active: chat.lastOpened || chat.assignedAt || chat.firstSeen || 0 });
+    }
+    return matched.sort((a, b) => b.active - a.active).map(m => m.chatId);
+  }
+
+  return { FIELDS, PRESETS, run, isValidRule, defaultValue };
+})();
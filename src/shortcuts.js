@@ -0,0 +1,164 @@
+/**
+ * shortcuts.js — Keyboard shortcuts
+ * Two kinds of binding run the same actions: in-page bindings (gpm_settings.shortcuts),
+ * matched against keydown events by content.js, and the extension commands declared in
+ * manifest.json, which Chrome lets the user bind at chrome://extensions/shortcuts and
+ * background.js forwards to the Gemini tab in front. Pure functions only.
+ *
+ * Combo:    'Mod+Shift+K' — modifiers in the order Mod, Ctrl, Alt, Shift, then one key (see
+ *           KEY_CODES). Mod is ⌘ on a Mac and Ctrl elsewhere, so one default fits both;
+ *           Ctrl as such only appears on a Mac.
+ * Bindings: { [action]: Combo | '' } — '' leaves the action unbound; missing actions get DEFAULTS
+ * Command:  the manifest name of an action, in kebab case ('toggle-quick-prompts')
+ */
+
+const GPMShortcuts = (() => {
+  const IS_MAC = /Mac|iPhone|iPad/.test(globalThis.navigator?.platform || '');
+  const MODIFIERS = ['Mod', 'Ctrl', 'Alt', 'Shift'];
+
+  // Settings list order
+  const ACTIONS = [
+    'commandPalette', 'toggleQuickPrompts', 'newProject', 'assignChat',
+    'pinChat', 'nextChat', 'previousChat', 'toggleProjects'
+  ];
+
+  const DEFAULTS = {
+    commandPalette: 'Mod+K',
+    toggleQuickPrompts: 'Alt+Shift+P',
+    newProject: 'Alt+Shift+N',
+    assignChat: 'Alt+Shift+M',
+    pinChat: 'Alt+Shift+I',
+    nextChat: 'Alt+Shift+ArrowDown',
+    previousChat: 'Alt+Shift+ArrowUp',
+    toggleProjects: 'Alt+Shift+S'
+  };
+
+  // Combos that belong to someone else: Gemini's own, as listed in its shortcut help
+  // (Mod+/), and browser ones a page either can't or shouldn't take over
+  const RESERVED = {
+    'Mod+Shift+O': 'gemini', 'Mod+Shift+S': 'gemini', 'Mod+Shift+Backspace': 'gemini',
+    'Mod+Shift+C': 'gemini', 'Mod+Shift+;': 'gemini', 'Mod+/': 'gemini', 'Shift+Escape': 'gemini',
+    'Mod+C': 'browser', 'Mod+V': 'browser', 'Mod+X': 'browser', 'Mod+A': 'browser',
+    'Mod+Z': 'browser', 'Mod+Shift+Z': 'browser', 'Mod+F': 'browser', 'Mod+L': 'browser',
+    'Mod+N': 'browser', 'Mod+Shift+N': 'browser', 'Mod+T': 'browser', 'Mod+Shift+T': 'browser',
+    'Mod+W': 'browser', 'Mod+Shift+W': 'browser', 'Mod+R': 'browser', 'Mod+P': 'browser', 'Mod+Tab': 'browser'
+  };
+
+  // KeyboardEvent.code → key name, so bindings don't depend on the keyboard layout
+  const KEY_CODES = {
+    Backquote: '`', Minus: '-', Equal: '=', BracketLeft: '[', BracketRight: ']', Backslash: '\\',
+    Semicolon: ';', Quote: "'", Comma: ',', Period: '.', Slash: '/', Space: 'Space'
+  };
+  const NAMED_KEYS = /^(Arrow(Up|Down|Left|Right)|Enter|Escape|Backspace|Delete|Tab|Home|End|Page(Up|Down)|F\d{1,2})$/;
+  const ARROWS = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→' };
+  const MAC_SYMBOLS = { Mod: '⌘', Ctrl: '⌃', Alt: '⌥', Shift: '⇧' };
+
+  function _key(code) {
+    const m = code.match(/^(?:Key([A-Z])|Digit(\d))$/);
+    if (m) return m[1] || m[2];
+    if (KEY_CODES[code]) return KEY_CODES[code];
+    return NAMED_KEYS.test(code) ? code : null;
+  }
+
+  function _join(modifiers, key) {
+    return [...MODIFIERS.filter(mod => modifiers.has(mod)), key].join('+');
+  }
+
+  // The combo a keydown event makes, or null for a lone modifier, an unknown key, or the
+  // Windows / Super key (system shortcuts)
+  function comboFromEvent(e) {
+    const key = _key(e.code || '');
+    if (!key || (e.metaKey && !IS_MAC)) return null;
+    const modifiers = new Set();
+    if (IS_MAC ? e.metaKey : e.ctrlKey) modifiers.add('Mod');
+    if (IS_MAC && e.ctrlKey) modifiers.add('Ctrl');
+    if (e.altKey) modifiers.add('Alt');
+    if (e.shiftKey) modifiers.add('Shift');
+    return _join(modifiers, key);
+  }
+
+  // A binding needs Mod, Ctrl or Alt — or has to be a function key — so it never eats typing
+  function isValidCombo(combo) {
+    if (typeof combo !== 'string' || !combo) return false;
+    const parts = combo.split('+');
+    const key = parts.pop();
+    if (!key || !parts.every(mod => MODIFIERS.includes(mod))) return false;
+    return /^F\d{1,2}$/.test(key) || parts.some(mod => mod !== 'Shift');
+  }
+
+  function format(combo) {
+    if (!combo) return '';
+    const parts = combo.split('+').map(part => ARROWS[part] || part);
+    return IS_MAC ? parts.map(part => MAC_SYMBOLS[part] || part).join('') : parts.map(part => part === 'Mod' ? 'Ctrl' : part).join('+');
+  }
+
+  // Stored bindings over the defaults; invalid entries fall back to the default
+  function resolve(bindings = {}) {
+    const resolved = { ...DEFAULTS };
+    for (const action of ACTIONS) {
+      const combo = bindings?.[action];
+      if (combo === '' || isValidCombo(combo)) resolved[action] = combo;
+    }
+    return resolved;
+  }
+
+  function actionFor(bindings, combo) {
+    return combo ? ACTIONS.find(action => bindings[action] === combo) || null : null;
+  }
+
+  function commandName(action) {
+    return action.replace(/[A-Z]/g, ch => `-${ch.toLowerCase()}`);
+  }
+
+  function actionForCommand(name) {
+    return ACTIONS.find(action => commandName(action) === name) || null;
+  }
+
+  // A shortcut as chrome.commands.getAll() reports it — 'Ctrl+Shift+Y', or '⇧⌘Y' on a Mac — as a combo
+  function fromChromeShortcut(text) {
+    if (!text) return '';
+    const tokens = text.includes('+') ? text.split('+') : [...text.matchAll(/[⌘⌃⌥⇧]|[^⌘⌃⌥⇧]+/g)].map(m => m[0]);
+    const names = {
+      '⌘': 'Mod', Command: 'Mod', Ctrl: 'Mod', MacCtrl: 'Ctrl', '⌃': 'Ctrl',
+      '⌥': 'Alt', Alt: 'Alt', Option: 'Alt', '⇧': 'Shift', Shift: 'Shift'
+    };
+    const keys = { Up: 'ArrowUp', Down: 'ArrowDown', Left: 'ArrowLeft', Right: 'ArrowRight', Comma: ',', Period: '.', '↑': 'ArrowUp', '↓': 'ArrowDown', '←': 'ArrowLeft', '→': 'ArrowRight' };
+    const modifiers = new Set();
+    let key = '';
+    for (const token of tokens.map(tok => tok.trim()).filter(Boolean)) {
+      if (names[token]) modifiers.add(names[token]);
+      else key = keys[token] || (token.length === 1 ? token.toUpperCase() : token);
+    }
+    return key ? _join(modifiers, key) : '';
+  }
+
+  /**
+   * Who else answers to each bound action's combo: another action, Gemini, the browser,
+   * or the Chrome extension shortcut of another action. `chromeCommands` is
+   * chrome.commands.getAll()'s [{ name, shortcut }].
+   * Returns { [action]: Array<{ owner: 'action'|'gemini'|'browser'|'chrome', action? }> }
+   */
+  function findConflicts(bindings, chromeCommands = []) {
+    const commands = chromeCommands
+      .map(command => ({ action: actionForCommand(command.name), combo: fromChromeShortcut(command.shortcut) }))
+      .filter(command => command.combo);
+    const conflicts = {};
+    for (const action of ACTIONS) {
+      const combo = bindings[action];
+      if (!combo) continue;
+      const found = [
+        ...ACTIONS.filter(other => other !== action && bindings[other] === combo).map(other => ({ owner: 'action', action: other })),
+        ...(RESERVED[combo] ? [{ owner: RESERVED[combo] }] : []),
+        ...commands.filter(command => command.combo === combo && command.action !== action).map(command => ({ owner: 'chrome', action: command.action }))
+      ];
+      if (found.length) conflicts[action] = found;
+    }
+    return conflicts;
+  }
+
+  return {
+    IS_MAC, ACTIONS, DEFAULTS,
+    comboFromEvent, isValidCombo, format, resolve, actionFor,
+    commandName, actionForCommand, fromChromeShortcut, findConflicts
+  };
+})();
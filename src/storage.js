@@ -4,12 +4,35 @@
  *
  * Data Schema:
  *   gpm_projects: Array<Project>
- *   Project: { id, name, icon, color, parentId: null|string, children: string[], chatIds: string[], collapsed: bool }
- *   gpm_chatMap: { [chatId]: { projectId, alias, pinned } }
+ *   Project: { id, name, icon, color, parentId: null|string, children: string[], chatIds: string[], collapsed: bool, order?: number, query?: Query, notes?: string, context?: string, archivedAt?: number }
+ *     a project with a query is a smart folder (see query.js): it lists whatever matches and
+ *     never holds chats, references or subfolders of its own. notes: Markdown, see markdown.js.
+ *     context: text put into the prompt box of new chats in the project and its subfolders.
+ *     archivedAt: when the project was archived — it and its subfolders are left out of the tree
+ *   gpm_chatMap: { [chatId]: { projectId, alias, pinned, assignedAt?, tags?: string[], refs?: string[], notes?: string } }
+ *     projectId is the chat's one home; refs lists other projects it also shows up in.
+ *     assignedAt: when it was filed in projectId; tags: tag IDs; notes: Markdown
+ *   gpm_tags: Array<{ id, name, color }>
+ *   gpm_chatIndex: { [chatId]: { title, firstSeen, lastOpened?, gem?, prompt? } } — every chat seen in Gemini's
+ *     list, filed or not; kept apart from gpm_chatMap so opening a chat doesn't cost a snapshot, a sync, an
+ *     undo step or a revision (see _updateLocal). gem / prompt: the Gem and first prompt of chats started on
+ *     this device (for filing rules)
+ *   gpm_filingLog: Array<{ ts, chatId, title, ruleId, ruleName, projectId }> — chats filed by a rule, newest
+ *     first, capped at FILING_LOG_LIMIT; device-local like the chat index
+ *   gpm_paletteUsage: { [itemId]: { count, lastUsed } } — how often and when each command palette entry was
+ *     picked (see palette.js), capped at PALETTE_USAGE_LIMIT; device-local
  *   gpm_quickPrompts: Array<{ id, title, content, category }>
- *   gpm_settings: { lang, theme }
- *   gpm_projects_backup: Array<Project>  — auto-backup before each save
- *   gpm_chatMap_backup: { [chatId]: ... } — auto-backup before each save
+ *   gpm_settings: { lang, theme, chatSort?: 'manual'|'lastOpened'|'assignedAt'|'title', syncEnabled?, trashRetentionDays?, autoBackup?: 'off'|'daily'|'weekly', contextPreview?,
+ *                   filingRules?: Array<FilingRule>, shortcuts?: Bindings } — see filing.js (list order is rule
+ *                   priority) and shortcuts.js
+ *   gpm_trash: Array<TrashItem> — soft-deleted projects and chat assignments, newest first
+ *   TrashItem: { id, deletedAt, type: 'project', projects: Array<Project>, chatMap }  — subtree, root first
+ *            | { id, deletedAt, type: 'chat', chatId, mapping }
+ *   gpm_snapshots: Array<Snapshot> — rolling history, newest first, taken before each transaction
+ *   Snapshot: { id, ts, reason: 'auto'|'pre-restore'|'pre-import'|'repair'|'sync'|'legacy', projects: Array<Project>, chatMap }
+ *   gpm_schema_version: number — version of the layout above, see MIGRATIONS
+ *   gpm_premigration_snapshot: { fromVersion, ts, data } — raw keys as they were before the last migration
+ *   gpm_rev / gpm_modified: number — revision counter and time of the last commit
  */
 
 const GPMStorage = (() => {
@@ -18,10 +41,22 @@ const GPMStorage = (() => {
     return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
   }
 
-  // ── Mutex for serializing writes ──
+  // ── Snapshot history ──
+  const MAX_SNAPSHOTS = 10;
+
+  // ── Write lock ──
+  // Web Locks are shared by every context of one origin, so all Gemini tabs queue on the
+  // same lock. The service worker runs on the extension origin and has its own lock
+  // manager — commits therefore also bump gpm_rev, and a transaction that sees the
+  // revision move underneath it re-runs against fresh data (see transaction()). One that
+  // keeps losing that race fails rather than overwrite the other context's write.
+  const LOCK_NAME = 'gpm-storage-write';
+  const MAX_TX_RETRIES = 3;
   let _writeLock = Promise.resolve();
 
   function _withLock(fn) {
+    if (globalThis.navigator?.locks) return navigator.locks.request(LOCK_NAME, () => fn());
+    // No Web Locks (e.g. a test harness) — serialize within this context only
     const next = _writeLock.then(fn, fn);
     _writeLock = next.catch(() => { });
     return next;
@@ -32,9 +67,120 @@ const GPMStorage = (() => {
     return result[key];
   }
 
-  async function _set(key, value) {
-    await chrome.storage.local.set({ [key]: value });
-    try { chrome.runtime.sendMessage({ type: 'GPM_STORAGE_UPDATED' }); } catch (_) { }
+  function _broadcast() {
+    if (chrome.tabs) {
+      // Service worker — there is no relay to go through, tell the Gemini tabs directly
+      chrome.tabs.query({ url: 'https://gemini.google.com/*' }, (tabs) => {
+        tabs.forEach(tab => chrome.tabs.sendMessage(tab.id, { type: 'GPM_SYNC' })?.catch?.(() => { }));
+      });
+      return;
+    }
+    try { chrome.runtime.sendMessage({ type: 'GPM_STORAGE_UPDATED' })?.catch?.(() => { }); } catch (_) { }
+  }
+
+  // ── Write errors ──
+  const _writeErrorListeners = [];
+
+  // `fn(error)` is called whenever chrome.storage rejects a commit (e.g. quota exceeded)
+  function onWriteError(fn) {
+    _writeErrorListeners.push(fn);
+  }
+
+  function _reportWriteError(e) {
+    console.error('[GPM] Storage write failed:', e);
+    _writeErrorListeners.forEach(fn => { try { fn(e); } catch (_) { } });
+  }
+
+  // Write `updates` with the next revision. Callers must hold the write lock.
+  // A rejected write changes nothing; listeners are told and the error is rethrown.
+  async function _commit(updates, rev) {
+    const nextRev = (rev ?? ((await _get('gpm_rev')) || 0)) + 1;
+    try {
+      await chrome.storage.local.set({ ...updates, gpm_rev: nextRev, gpm_modified: Date.now() });
+    } catch (e) {
+      _reportWriteError(e);
+      throw e;
+    }
+    _broadcast();
+  }
+
+  // ── Transactions ──
+  // Every write goes through transaction(): it reads one consistent view of the data
+  // keys, hands `fn` a draft with one entry per TX_KEYS name to mutate (or reassign),
+  // then commits every key that changed — plus the snapshot taken of the
+  // pre-transaction state — in a single chrome.storage.local.set with one broadcast.
+  // `fn` must not call other GPMStorage mutators (the lock is not re-entrant) and may
+  // run more than once if another context commits concurrently, so keep it pure.
+  const TX_KEYS = {
+    projects: 'gpm_projects',
+    chatMap: 'gpm_chatMap',
+    quickPrompts: 'gpm_quickPrompts',
+    settings: 'gpm_settings',
+    trash: 'gpm_trash',
+    chatIndex: 'gpm_chatIndex',
+    tags: 'gpm_tags',
+    filingLog: 'gpm_filingLog',
+    paletteUsage: 'gpm_paletteUsage'
+  };
+  const TX_DEFAULTS = {
+    projects: [],
+    chatMap: {},
+    quickPrompts: [],
+    settings: { lang: 'en', theme: 'auto' },
+    trash: [],
+    chatIndex: {},
+    tags: [],
+    filingLog: [],
+    paletteUsage: {}
+  };
+
+  // `snapshotReason: null` skips the snapshot, for writes that only change layout (which
+  // folders are open, aliases filled in from Gemini's titles) and would otherwise push
+  // real states out of the history.
+  async function transaction(fn, { snapshotReason = 'auto', forceSnapshot = false } = {}) {
+    // Taken before the first await — see recordChanges()
+    const recording = _recordingFor;
+    return _withLock(async () => {
+      for (let attempt = 1; attempt <= MAX_TX_RETRIES; attempt++) {
+        const outcome = await _attempt(fn, snapshotReason, forceSnapshot, recording);
+        if (!outcome.conflict) return outcome.result;
+        console.warn('[GPM] Storage changed during transaction (attempt', attempt, 'of', MAX_TX_RETRIES, ')');
+      }
+      const error = new Error('storage kept changing in another context, nothing was written');
+      _reportWriteError(error);
+      throw error;
+    });
+  }
+
+  // One read → fn → commit round. Reports a conflict instead of committing when another
+  // context wrote in the meantime.
+  async function _attempt(fn, snapshotReason, forceSnapshot, recording) {
+    const stored = await chrome.storage.local.get([...Object.values(TX_KEYS), 'gpm_snapshots', 'gpm_rev']);
+    const before = {};
+    const draft = {};
+    for (const [name, key] of Object.entries(TX_KEYS)) {
+      before[name] = stored[key] ?? structuredClone(TX_DEFAULTS[name]);
+      draft[name] = structuredClone(before[name]);
+    }
+
+    const result = await fn(draft);
+
+    const updates = {};
+    for (const [name, key] of Object.entries(TX_KEYS)) {
+      if (JSON.stringify(draft[name]) !== JSON.stringify(before[name])) updates[key] = draft[name];
+    }
+    if (Object.keys(updates).length === 0) return { result };
+
+    if (snapshotReason && (updates.gpm_projects || updates.gpm_chatMap)) {
+      const snapshots = _nextSnapshots(stored.gpm_snapshots || [], snapshotReason, before.projects, before.chatMap, forceSnapshot);
+      if (snapshots) updates.gpm_snapshots = snapshots;
+    }
+
+    const rev = (await _get('gpm_rev')) || 0;
+    if (rev !== (stored.gpm_rev || 0)) return { conflict: true };
+    await _commit(updates, rev);
+    if (recording) recording.push(...structuredClone(diffState(before, draft)));
+    return { result };
   }
 
   // ── Projects ──
@@ -43,72 +189,126 @@ const GPMStorage = (() => {
   }
 
   async function saveProjects(projects) {
-    // Auto-backup: save current state before overwriting
-    const current = await _get('gpm_projects');
-    if (current && Array.isArray(current) && current.length > 0) {
-      await chrome.storage.local.set({ gpm_projects_backup: current, gpm_backup_ts: Date.now() });
-    }
-    await _set('gpm_projects', projects);
+    await transaction(tx => { tx.projects = projects; });
   }
 
-  async function createProject({ name, icon = '📁', color = '#8ab4f8', parentId = null }) {
-    const projects = await getProjects();
-    const id = uid();
-    const project = { id, name, icon, color, parentId, children: [], chatIds: [], collapsed: false };
-    projects.push(project);
-
-    if (parentId) {
-      const parent = projects.find(p => p.id === parentId);
-      if (parent) parent.children.push(id);
-    }
+  async function createProject({ name, icon = '📁', color = '#8ab4f8', parentId = null, query = null }) {
+    return transaction(tx => {
+      const projects = tx.projects;
+      const id = uid();
+      const project = { id, name, icon, color, parentId, children: [], chatIds: [], collapsed: false };
+      if (query) project.query = query;
+      if (!parentId) project.order = projects.reduce((max, p) => Math.max(max, p.order ?? -1), -1) + 1;
+      projects.push(project);
 
-    await saveProjects(projects);
-    return project;
+      if (parentId) {
+        const parent = projects.find(p => p.id === parentId);
+        if (parent) parent.children.push(id);
+      }
+      return project;
+    });
   }
 
   async function updateProject(id, updates) {
-    const projects = await getProjects();
-    const idx = projects.findIndex(p => p.id === id);
-    if (idx === -1) return null;
-    Object.assign(projects[idx], updates);
-    await saveProjects(projects);
-    return projects[idx];
+    return transaction(tx => {
+      const project = tx.projects.find(p => p.id === id);
+      if (!project) return null;
+      Object.assign(project, updates);
+      return project;
+    });
   }
 
+  // Moves the project, its subfolders and their chat mappings to the trash
   async function deleteProject(id) {
-    let projects = await getProjects();
-    const chatMap = await getChatMap();
+    await transaction(tx => {
+      const projects = tx.projects;
 
-    // Recursively collect all descendant IDs
-    function collectDescendants(pid) {
-      const node = projects.find(p => p.id === pid);
-      if (!node) return [pid];
-      let ids = [pid];
-      for (const childId of node.children) {
-        ids = ids.concat(collectDescendants(childId));
+      // Recursively collect all descendant IDs
+      function collectDescendants(pid) {
+        const node = projects.find(p => p.id === pid);
+        if (!node) return [pid];
+        let ids = [pid];
+        for (const childId of node.children) {
+          ids = ids.concat(collectDescendants(childId));
+        }
+        return ids;
       }
-      return ids;
-    }
 
-    const toDelete = new Set(collectDescendants(id));
+      const toDelete = new Set(collectDescendants(id));
+      const target = projects.find(p => p.id === id);
+      if (!target) return;
 
-    // Remove chat mappings for deleted projects
-    for (const [chatId, mapping] of Object.entries(chatMap)) {
-      if (toDelete.has(mapping.projectId)) {
-        delete chatMap[chatId];
+      // Chat mappings of deleted projects go to the trash with them; chats living elsewhere
+      // just stop showing up in the deleted projects
+      const trashedChats = {};
+      for (const [chatId, mapping] of Object.entries(tx.chatMap)) {
+        if (toDelete.has(mapping.projectId)) {
+          trashedChats[chatId] = mapping;
+          delete tx.chatMap[chatId];
+        } else if (mapping.refs?.some(pid => toDelete.has(pid))) {
+          mapping.refs = mapping.refs.filter(pid => !toDelete.has(pid));
+        }
       }
-    }
 
-    // Remove from parent's children array
-    const target = projects.find(p => p.id === id);
-    if (target?.parentId) {
-      const parent = projects.find(p => p.id === target.parentId);
-      if (parent) parent.children = parent.children.filter(c => c !== id);
-    }
+      // Remove from parent's children array
+      if (target.parentId) {
+        const parent = projects.find(p => p.id === target.parentId);
+        if (parent) parent.children = parent.children.filter(c => c !== id);
+      }
 
-    projects = projects.filter(p => !toDelete.has(p.id));
-    await saveProjects(projects);
-    await saveChatMap(chatMap);
+      tx.trash.unshift({
+        id: uid(),
+        deletedAt: Date.now(),
+        type: 'project',
+        projects: [target, ...projects.filter(p => toDelete.has(p.id) && p.id !== id)],
+        chatMap: trashedChats
+      });
+      tx.projects = projects.filter(p => !toDelete.has(p.id));
+    });
+  }
+
+  // Move a project relative to `targetId`: 'inside' nests it as the target's last child,
+  // 'before' / 'after' place it next to the target on the target's level.
+  async function moveProject(id, targetId, position) {
+    return transaction(tx => {
+      const projects = tx.projects;
+      const find = (pid) => projects.find(p => p.id === pid);
+      const moving = find(id);
+      const target = find(targetId);
+      if (!moving || !target || id === targetId) return false;
+      if (position === 'inside' && target.query) return false;
+
+      // Refuse to move a project into its own subtree
+      const newParentId = position === 'inside' ? target.id : (target.parentId || null);
+      const seen = new Set();
+      for (let p = find(newParentId); p && !seen.has(p.id); p = find(p.parentId)) {
+        if (p.id === id) return false;
+        seen.add(p.id);
+      }
+
+      if (moving.parentId) {
+        const oldParent = find(moving.parentId);
+        if (oldParent) oldParent.children = oldParent.children.filter(c => c !== id);
+      }
+      moving.parentId = newParentId;
+
+      if (position === 'inside') {
+        if (!target.children.includes(id)) target.children.push(id);
+      } else if (newParentId) {
+        const parent = find(newParentId);
+        const idx = parent.children.indexOf(target.id);
+        parent.children.splice(position === 'before' ? idx : idx + 1, 0, id);
+      } else {
+        // Root level — reorder via order field
+        const roots = projects
+          .filter(p => !p.parentId && p.id !== id)
+          .sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+        const idx = roots.indexOf(target);
+        roots.splice(position === 'before' ? idx : idx + 1, 0, moving);
+        roots.forEach((p, i) => { p.order = i; });
+      }
+      return true;
+    });
   }
 
   function getRootProjects(projects) {
@@ -119,80 +319,327 @@ const GPMStorage = (() => {
     return projects.filter(p => p.parentId === parentId);
   }
 
+  function isSmartFolder(project) {
+    return !!project?.query;
+  }
+
+  // Collapse or expand every project at once, or only those in `ids`
+  async function setProjectsCollapsed(collapsed, ids = null) {
+    await transaction(tx => {
+      tx.projects.forEach(p => { if (!ids || ids.includes(p.id)) p.collapsed = collapsed; });
+    }, { snapshotReason: null });
+  }
+
+  // Whether the project or one of its parents is archived
+  function isArchived(projects, project) {
+    for (let node = project, seen = new Set(); node && !seen.has(node.id); node = projects.find(p => p.id === node.parentId)) {
+      if (node.archivedAt) return true;
+      seen.add(node.id);
+    }
+    return false;
+  }
+
+  // Archiving only sets archivedAt: parent, order and chats stay as they are, so unarchiving
+  // puts the project back exactly where it was
+  async function archiveProject(id) {
+    await transaction(tx => {
+      const project = tx.projects.find(p => p.id === id);
+      if (project && !project.archivedAt) project.archivedAt = Date.now();
+    });
+  }
+
+  async function unarchiveProject(id) {
+    await transaction(tx => {
+      const project = tx.projects.find(p => p.id === id);
+      if (project) delete project.archivedAt;
+    });
+  }
+
   // ── Chat Map ──
   async function getChatMap() {
     return (await _get('gpm_chatMap')) || {};
   }
 
   async function saveChatMap(map) {
-    // Auto-backup: save current chatMap before overwriting
-    const current = await _get('gpm_chatMap');
-    if (current && Object.keys(current).length > 0) {
-      await chrome.storage.local.set({ gpm_chatMap_backup: current });
-    }
-    await _set('gpm_chatMap', map);
+    await transaction(tx => { tx.chatMap = map; });
   }
 
-  // Mutex-protected assignChat — prevents race conditions across tabs
-  async function assignChat(chatId, projectId) {
-    return _withLock(async () => {
-      // Re-read fresh data inside the lock to avoid stale writes
-      const chatMap = await getChatMap();
-      const projects = await getProjects();
+  // Shared by assignChat / reorderChat — operates on a transaction draft
+  function _assignChat(tx, chatId, projectId, alias) {
+    const { chatMap, projects } = tx;
 
-      // Remove from old project's chatIds
-      if (chatMap[chatId]) {
-        const oldProj = projects.find(p => p.id === chatMap[chatId].projectId);
-        if (oldProj) oldProj.chatIds = (oldProj.chatIds || []).filter(c => c !== chatId);
-      }
+    // Remove from old project's chatIds
+    if (chatMap[chatId]) {
+      const oldProj = projects.find(p => p.id === chatMap[chatId].projectId);
+      if (oldProj) oldProj.chatIds = (oldProj.chatIds || []).filter(c => c !== chatId);
+    }
+
+    const previous = chatMap[chatId];
+    chatMap[chatId] = {
+      ...previous,
+      projectId,
+      alias: previous?.alias || alias || '',
+      pinned: previous?.pinned || false,
+      assignedAt: previous?.projectId === projectId && previous.assignedAt ? previous.assignedAt : Date.now()
+    };
+    // A chat's home can't also be one of its references
+    if (previous?.refs) chatMap[chatId].refs = previous.refs.filter(pid => pid !== projectId);
+
+    // Add to new project's chatIds
+    const newProj = projects.find(p => p.id === projectId);
+    if (newProj && !(newProj.chatIds || []).includes(chatId)) {
+      if (!newProj.chatIds) newProj.chatIds = [];
+      newProj.chatIds.push(chatId);
+    }
+  }
 
-      chatMap[chatId] = { projectId, alias: chatMap[chatId]?.alias || '', pinned: chatMap[chatId]?.pinned || false };
+  // `alias` is only used when the chat has none yet (e.g. the title of a dragged native chat)
+  async function assignChat(chatId, projectId, { alias = '' } = {}) {
+    await transaction(tx => {
+      if (isSmartFolder(tx.projects.find(p => p.id === projectId))) return;
+      _assignChat(tx, chatId, projectId, alias);
+    });
+  }
 
-      // Add to new project's chatIds
-      const newProj = projects.find(p => p.id === projectId);
-      if (newProj && !(newProj.chatIds || []).includes(chatId)) {
-        if (!newProj.chatIds) newProj.chatIds = [];
-        newProj.chatIds.push(chatId);
+  // Several assignments in one commit — [{ chatId, projectId, alias? }]
+  async function assignChats(assignments) {
+    await transaction(tx => {
+      for (const { chatId, projectId, alias = '' } of assignments) {
+        const project = tx.projects.find(p => p.id === projectId);
+        if (!project || isSmartFolder(project)) continue;
+        _assignChat(tx, chatId, projectId, alias);
       }
+    });
+  }
+
+  // Place `chatId` before/after `targetChatId` in a project, assigning it there first if needed
+  async function reorderChat(projectId, chatId, targetChatId, position) {
+    await transaction(tx => {
+      const proj = tx.projects.find(p => p.id === projectId);
+      if (!proj || isSmartFolder(proj)) return;
+      if (tx.chatMap[chatId]?.projectId !== projectId) _assignChat(tx, chatId, projectId);
 
-      await saveProjects(projects);
-      await saveChatMap(chatMap);
+      const ids = (proj.chatIds || []).filter(c => c !== chatId);
+      const idx = ids.indexOf(targetChatId);
+      if (idx === -1) ids.push(chatId);
+      else ids.splice(position === 'before' ? idx : idx + 1, 0, chatId);
+      proj.chatIds = ids;
     });
   }
 
-  // Mutex-protected unassignChat
+  // Moves the assignment (project, alias, pin) to the trash
   async function unassignChat(chatId) {
-    return _withLock(async () => {
-      const chatMap = await getChatMap();
-      const projects = await getProjects();
-
-      if (chatMap[chatId]) {
-        const proj = projects.find(p => p.id === chatMap[chatId].projectId);
+    await transaction(tx => {
+      if (tx.chatMap[chatId]) {
+        const proj = tx.projects.find(p => p.id === tx.chatMap[chatId].projectId);
         if (proj) proj.chatIds = (proj.chatIds || []).filter(c => c !== chatId);
-        delete chatMap[chatId];
+        tx.trash.unshift({ id: uid(), deletedAt: Date.now(), type: 'chat', chatId, mapping: tx.chatMap[chatId] });
+        delete tx.chatMap[chatId];
       }
-
-      await saveProjects(projects);
-      await saveChatMap(chatMap);
     });
   }
 
   async function setChatAlias(chatId, alias) {
-    const chatMap = await getChatMap();
-    if (chatMap[chatId]) {
-      chatMap[chatId].alias = alias;
-      await saveChatMap(chatMap);
+    await transaction(tx => {
+      if (tx.chatMap[chatId]) tx.chatMap[chatId].alias = alias;
+    });
+  }
+
+  // ── Notes and project context ── (free text; an empty one removes the field)
+  const MAX_NOTES_CHARS = 20000;
+  const MAX_CONTEXT_CHARS = 4000;
+
+  function _setText(target, field, value, maxChars) {
+    const text = (value || '').slice(0, maxChars);
+    if (text.trim()) target[field] = text;
+    else delete target[field];
+  }
+
+  async function setProjectNotes(projectId, notes) {
+    await transaction(tx => {
+      const project = tx.projects.find(p => p.id === projectId);
+      if (project) _setText(project, 'notes', notes, MAX_NOTES_CHARS);
+    });
+  }
+
+  async function setChatNotes(chatId, notes) {
+    await transaction(tx => {
+      if (tx.chatMap[chatId]) _setText(tx.chatMap[chatId], 'notes', notes, MAX_NOTES_CHARS);
+    });
+  }
+
+  async function setProjectContext(projectId, context) {
+    await transaction(tx => {
+      const project = tx.projects.find(p => p.id === projectId);
+      if (project && !isSmartFolder(project)) _setText(project, 'context', context, MAX_CONTEXT_CHARS);
+    });
+  }
+
+  // The contexts that apply to new chats in `projectId`: the outermost parent's first, its
+  // own last. Returns [{ projectId, name, context }] — empty when none of them has one.
+  function getProjectContext(projects, projectId) {
+    const chain = [];
+    for (let node = projects.find(p => p.id === projectId), seen = new Set(); node && !seen.has(node.id); node = projects.find(p => p.id === node.parentId)) {
+      seen.add(node.id);
+      if (node.context) chain.unshift({ projectId: node.id, name: node.name, context: node.context });
     }
+    return chain;
+  }
+
+  // Fill in aliases for filed chats that have none — { [chatId]: title }
+  async function fillChatAliases(titles) {
+    await transaction(tx => {
+      for (const [chatId, title] of Object.entries(titles)) {
+        if (tx.chatMap[chatId] && !tx.chatMap[chatId].alias) tx.chatMap[chatId].alias = title;
+      }
+    }, { snapshotReason: null });
   }
 
   async function togglePinChat(chatId) {
-    const chatMap = await getChatMap();
-    if (chatMap[chatId]) {
-      chatMap[chatId].pinned = !chatMap[chatId].pinned;
-      await saveChatMap(chatMap);
-      return chatMap[chatId].pinned;
-    }
-    return false;
+    return transaction(tx => {
+      if (!tx.chatMap[chatId]) return false;
+      tx.chatMap[chatId].pinned = !tx.chatMap[chatId].pinned;
+      return tx.chatMap[chatId].pinned;
+    });
+  }
+
+  // ── Secondary references ──
+  // Show a filed chat in another project too, without moving it from its home
+  async function addChatRef(chatId, projectId) {
+    await transaction(tx => {
+      const mapping = tx.chatMap[chatId];
+      const project = tx.projects.find(p => p.id === projectId);
+      if (!mapping || mapping.projectId === projectId || !project || isSmartFolder(project)) return;
+      mapping.refs = [...new Set([...(mapping.refs || []), projectId])];
+    });
+  }
+
+  async function removeChatRef(chatId, projectId) {
+    await transaction(tx => {
+      const mapping = tx.chatMap[chatId];
+      if (mapping?.refs) mapping.refs = mapping.refs.filter(pid => pid !== projectId);
+    });
+  }
+
+  // Swap home and reference: the chat moves to `projectId` and stays listed in its old home
+  async function makeChatPrimary(chatId, projectId) {
+    await transaction(tx => {
+      const mapping = tx.chatMap[chatId];
+      if (!mapping || mapping.projectId === projectId) return;
+      if (isSmartFolder(tx.projects.find(p => p.id === projectId))) return;
+      const oldHome = mapping.projectId;
+      _assignChat(tx, chatId, projectId);
+      tx.chatMap[chatId].refs = [...(tx.chatMap[chatId].refs || []), oldHome];
+    });
+  }
+
+  // ── Tags ──
+  async function getTags() {
+    return (await _get('gpm_tags')) || [];
+  }
+
+  async function createTag({ name, color = '#8ab4f8' }) {
+    return transaction(tx => {
+      const tag = { id: uid(), name, color };
+      tx.tags.push(tag);
+      return tag;
+    });
+  }
+
+  async function updateTag(id, updates) {
+    await transaction(tx => {
+      const tag = tx.tags.find(x => x.id === id);
+      if (tag) Object.assign(tag, updates);
+    });
+  }
+
+  // Also takes the tag off every chat
+  async function deleteTag(id) {
+    await transaction(tx => {
+      tx.tags = tx.tags.filter(x => x.id !== id);
+      for (const mapping of Object.values(tx.chatMap)) {
+        if (mapping.tags?.includes(id)) mapping.tags = mapping.tags.filter(tagId => tagId !== id);
+      }
+    });
+  }
+
+  // Returns whether the chat has the tag afterwards
+  async function toggleChatTag(chatId, tagId) {
+    return transaction(tx => {
+      const mapping = tx.chatMap[chatId];
+      if (!mapping) return false;
+      const tags = mapping.tags || [];
+      mapping.tags = tags.includes(tagId) ? tags.filter(id => id !== tagId) : [...tags, tagId];
+      return mapping.tags.includes(tagId);
+    });
+  }
+
+  // ── Trash ──
+  const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+  async function getTrash() {
+    return (await _get('gpm_trash')) || [];
+  }
+
+  // Puts a trashed item back where it came from. A project whose parent is gone returns
+  // at the top level; a chat whose project is gone cannot be restored (returns false).
+  async function restoreFromTrash(itemId) {
+    return transaction(tx => {
+      const item = tx.trash.find(x => x.id === itemId);
+      if (!item) return false;
+
+      if (item.type === 'chat') {
+        // A chat filed again since it was removed stays as it is now, like in a project restore
+        if (!tx.chatMap[item.chatId]) {
+          if (!tx.projects.some(p => p.id === item.mapping.projectId)) return false;
+          // The whole mapping comes back — tags, references, notes, filing date
+          tx.chatMap[item.chatId] = structuredClone(item.mapping);
+        }
+        const repaired = _repairData(tx.projects, tx.chatMap);
+        tx.projects = repaired.projects;
+        tx.chatMap = repaired.chatMap;
+      } else {
+        const existing = new Set(tx.projects.map(p => p.id));
+        const [root] = item.projects;
+        if (root.parentId && !existing.has(root.parentId)) {
+          root.parentId = null;
+          root.order = tx.projects.reduce((max, p) => Math.max(max, p.order ?? -1), -1) + 1;
+        }
+        tx.projects.push(...item.projects.filter(p => !existing.has(p.id)));
+        // Chats filed somewhere else since the delete stay where they are now
+        for (const [chatId, mapping] of Object.entries(item.chatMap)) {
+          if (!tx.chatMap[chatId]) tx.chatMap[chatId] = mapping;
+        }
+        const repaired = _repairData(tx.projects, tx.chatMap);
+        tx.projects = repaired.projects;
+        tx.chatMap = repaired.chatMap;
+      }
+
+      tx.trash = tx.trash.filter(x => x.id !== itemId);
+      return true;
+    });
+  }
+
+  async function deleteFromTrash(itemId) {
+    await transaction(tx => {
+      tx.trash = tx.trash.filter(x => x.id !== itemId);
+    });
+  }
+
+  async function emptyTrash() {
+    await transaction(tx => { tx.trash = []; });
+  }
+
+  // Drops items older than settings.trashRetentionDays (0 keeps them forever)
+  async function purgeExpiredTrash() {
+    return transaction(tx => {
+      const days = tx.settings.trashRetentionDays ?? DEFAULT_TRASH_RETENTION_DAYS;
+      if (!days) return 0;
+      const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+      const before = tx.trash.length;
+      tx.trash = tx.trash.filter(x => x.deletedAt >= cutoff);
+      return before - tx.trash.length;
+    });
   }
 
   // ── Quick Prompts ──
@@ -201,22 +648,123 @@ const GPMStorage = (() => {
   }
 
   async function saveQuickPrompt({ title, content, category = 'General' }) {
-    const prompts = await getQuickPrompts();
-    prompts.push({ id: uid(), title, content, category });
-    await _set('gpm_quickPrompts', prompts);
+    await transaction(tx => { tx.quickPrompts.push({ id: uid(), title, content, category }); });
   }
 
   async function deleteQuickPrompt(id) {
-    let prompts = await getQuickPrompts();
-    prompts = prompts.filter(p => p.id !== id);
-    await _set('gpm_quickPrompts', prompts);
+    await transaction(tx => { tx.quickPrompts = tx.quickPrompts.filter(p => p.id !== id); });
   }
 
   async function updateQuickPrompt(id, updates) {
-    const prompts = await getQuickPrompts();
-    const idx = prompts.findIndex(p => p.id === id);
-    if (idx !== -1) Object.assign(prompts[idx], updates);
-    await _set('gpm_quickPrompts', prompts);
+    await transaction(tx => {
+      const prompt = tx.quickPrompts.find(p => p.id === id);
+      if (prompt) Object.assign(prompt, updates);
+    });
+  }
+
+  // ── Device-local bookkeeping ──
+  // The chat index and palette usage change on every chat opened or palette pick. They are
+  // written under the lock like everything else but outside transaction(): no revision
+  // bump, modification time or broadcast, which would make other tabs re-render, send
+  // concurrent edits into a retry and make this device look newest to sync.
+  // `fn` mutates a copy of the value stored under `name`; its return value is passed through.
+  async function _updateLocal(name, fn) {
+    return _withLock(async () => {
+      const key = TX_KEYS[name];
+      const before = (await _get(key)) ?? structuredClone(TX_DEFAULTS[name]);
+      const draft = structuredClone(before);
+      const result = await fn(draft);
+      if (JSON.stringify(draft) === JSON.stringify(before)) return result;
+      try {
+        await chrome.storage.local.set({ [key]: draft });
+      } catch (e) {
+        _reportWriteError(e);
+        throw e;
+      }
+      return result;
+    });
+  }
+
+  // ── Chat index (first seen / last opened) ──
+  async function getChatIndex() {
+    return (await _get('gpm_chatIndex')) || {};
+  }
+
+  // Adds chats not seen before and picks up renamed titles; writes nothing when all is known.
+  // Returns the IDs of the chats that were added or renamed.
+  async function recordSeenChats(chats) {
+    return _updateLocal('chatIndex', chatIndex => {
+      const now = Date.now();
+      const changed = [];
+      for (const { chatId, title } of chats) {
+        const entry = chatIndex[chatId];
+        if (!entry) chatIndex[chatId] = { title: title || '', firstSeen: now };
+        else if (title && entry.title !== title) entry.title = title;
+        else continue;
+        changed.push(chatId);
+      }
+      return changed;
+    });
+  }
+
+  const MAX_PROMPT_CHARS = 500;
+
+  // Remember what a chat was started with — { gem?, prompt? } — for filing rules
+  async function recordChatDetails(chatId, details) {
+    await _updateLocal('chatIndex', chatIndex => {
+      const now = Date.now();
+      const entry = { title: '', firstSeen: now, ...chatIndex[chatId] };
+      if (details.gem) entry.gem = details.gem;
+      if (details.prompt) entry.prompt = details.prompt.slice(0, MAX_PROMPT_CHARS);
+      chatIndex[chatId] = entry;
+    });
+  }
+
+  // ── Auto-filing ──
+  const FILING_LOG_LIMIT = 100;
+
+  async function getFilingLog() {
+    return (await _get('gpm_filingLog')) || [];
+  }
+
+  // File a chat that has no project yet on behalf of `rule`, and log it. Returns false when
+  // the chat was filed in the meantime or the rule's project is gone.
+  async function autoFileChat(chatId, rule, { title = '' } = {}) {
+    return transaction(tx => {
+      const project = tx.projects.find(p => p.id === rule.projectId);
+      if (tx.chatMap[chatId] || !project || isSmartFolder(project)) return false;
+      _assignChat(tx, chatId, project.id, title);
+      tx.filingLog.unshift({ ts: Date.now(), chatId, title, ruleId: rule.id, ruleName: rule.name, projectId: project.id });
+      tx.filingLog.length = Math.min(tx.filingLog.length, FILING_LOG_LIMIT);
+      return true;
+    });
+  }
+
+  async function recordChatOpened(chatId) {
+    await _updateLocal('chatIndex', chatIndex => {
+      const now = Date.now();
+      chatIndex[chatId] = { title: '', firstSeen: now, ...chatIndex[chatId], lastOpened: now };
+    });
+  }
+
+  // ── Command palette usage ──
+  const PALETTE_USAGE_LIMIT = 300;
+
+  async function getPaletteUsage() {
+    return (await _get('gpm_paletteUsage')) || {};
+  }
+
+  // Count a pick of palette entry `itemId`; the least recently used entries go past the limit
+  async function recordPaletteUse(itemId) {
+    await _updateLocal('paletteUsage', usage => {
+      const entry = usage[itemId];
+      usage[itemId] = { count: (entry?.count || 0) + 1, lastUsed: Date.now() };
+      const ids = Object.keys(usage);
+      if (ids.length <= PALETTE_USAGE_LIMIT) return;
+      ids.sort((a, b) => usage[b].lastUsed - usage[a].lastUsed)
+        .slice(PALETTE_USAGE_LIMIT)
+        .forEach(id => { delete usage[id]; });
+    });
   }
 
   // ── Settings ──
@@ -225,68 +773,820 @@ const GPMStorage = (() => {
   }
 
   async function saveSettings(settings) {
-    await _set('gpm_settings', settings);
+    await transaction(tx => { tx.settings = settings; });
+  }
+
+  // Merge `updates` into the stored settings, keeping keys the caller doesn't know about
+  async function updateSettings(updates) {
+    return transaction(tx => {
+      tx.settings = { ...tx.settings, ...updates };
+      return tx.settings;
+    });
   }
 
   // ── Import / Export ──
   async function exportAll() {
-    const [projects, chatMap, quickPrompts, settings] = await Promise.all([
-      getProjects(), getChatMap(), getQuickPrompts(), getSettings()
+    const [projects, chatMap, tags, quickPrompts, settings] = await Promise.all([
+      getProjects(), getChatMap(), getTags(), getQuickPrompts(), getSettings()
     ]);
-    return JSON.stringify({ gpm_projects: projects, gpm_chatMap: chatMap, gpm_quickPrompts: quickPrompts, gpm_settings: settings }, null, 2);
+    return JSON.stringify({
+      gpm_schema_version: SCHEMA_VERSION,
+      gpm_projects: projects, gpm_chatMap: chatMap, gpm_tags: tags, gpm_quickPrompts: quickPrompts, gpm_settings: settings
+    }, null, 2);
+  }
+
+  // Export files are { gpm_schema_version?, gpm_projects?, gpm_chatMap?, gpm_tags?,
+  // gpm_quickPrompts?, gpm_settings? } — see "Backup File Format" in the README. Any section may be missing;
+  // files from older schema versions are upgraded in memory before they are compared.
+  const MAX_IMPORT_ERRORS = 20;
+  // Fields that make two versions of the same entity a conflict; the rest (children,
+  // chatIds, order, collapsed) is layout that _repairData rebuilds or the user rarely cares about
+  const IMPORT_FIELDS = {
+    projects: ['name', 'icon', 'color', 'parentId', 'query', 'notes', 'context', 'archivedAt'],
+    chatMap: ['projectId', 'alias', 'pinned', 'tags', 'refs', 'notes'],
+    tags: ['name', 'color'],
+    quickPrompts: ['title', 'content', 'category']
+  };
+  // Sections an export file may carry; the trash stays on this device
+  const IMPORT_SECTIONS = ['projects', 'chatMap', 'tags', 'quickPrompts', 'settings'];
+
+  function _isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  // Returns human-readable problems with the file, empty when it can be imported
+  function _validateImportFile(file) {
+    if (!_isPlainObject(file) || !IMPORT_SECTIONS.some(name => TX_KEYS[name] in file)) {
+      return ['Not a Gemini Project Manager export (no gpm_* sections found)'];
+    }
+    const errors = [];
+    const expect = (ok, path, what) => {
+      if (!ok) errors.push(`${path}: expected ${what}`);
+      return ok;
+    };
+    const optional = (obj, field, type) => obj[field] == null || typeof obj[field] === type;
+
+    const version = file.gpm_schema_version ?? 0;
+    if (expect(Number.isInteger(version) && version >= 0, 'gpm_schema_version', 'a whole number') && version > SCHEMA_VERSION) {
+      errors.push(`gpm_schema_version: file comes from a newer version of the extension (${version} > ${SCHEMA_VERSION})`);
+    }
+
+    if ('gpm_projects' in file && expect(Array.isArray(file.gpm_projects), 'gpm_projects', 'a list')) {
+      const seen = new Set();
+      file.gpm_projects.forEach((p, i) => {
+        const path = `gpm_projects[${i}]`;
+        if (!expect(_isPlainObject(p), path, 'an object')) return;
+        if (expect(typeof p.id === 'string' && p.id !== '', `${path}.id`, 'a non-empty string')) {
+          if (seen.has(p.id)) errors.push(`${path}.id: duplicate id "${p.id}"`);
+          seen.add(p.id);
+        }
+        expect(typeof p.name === 'string', `${path}.name`, 'a string');
+        expect(optional(p, 'parentId', 'string'), `${path}.parentId`, 'a string or null');
+        expect(optional(p, 'notes', 'string'), `${path}.notes`, 'a string');
+        expect(optional(p, 'context', 'string'), `${path}.context`, 'a string');
+        expect(optional(p, 'archivedAt', 'number'), `${path}.archivedAt`, 'a timestamp');
+        if (p.query != null) {
+          expect(_isPlainObject(p.query) && Array.isArray(p.query.rules), `${path}.query`, 'a smart folder query');
+        }
+        for (const field of ['children', 'chatIds']) {
+          if (field in p) {
+            expect(Array.isArray(p[field]) && p[field].every(id => typeof id === 'string'), `${path}.${field}`, 'a list of strings');
+          }
+        }
+      });
+    }
+
+    if ('gpm_chatMap' in file && expect(_isPlainObject(file.gpm_chatMap), 'gpm_chatMap', 'an object')) {
+      for (const [chatId, m] of Object.entries(file.gpm_chatMap)) {
+        const path = `gpm_chatMap["${chatId}"]`;
+        if (!expect(_isPlainObject(m), path, 'an object')) continue;
+        expect(optional(m, 'projectId', 'string'), `${path}.projectId`, 'a string or null');
+        expect(optional(m, 'alias', 'string'), `${path}.alias`, 'a string');
+        expect(optional(m, 'pinned', 'boolean'), `${path}.pinned`, 'true or false');
+        expect(optional(m, 'notes', 'string'), `${path}.notes`, 'a string');
+        for (const field of ['tags', 'refs']) {
+          if (m[field] != null) {
+            expect(Array.isArray(m[field]) && m[field].every(id => typeof id === 'string'), `${path}.${field}`, 'a list of strings');
+          }
+        }
+      }
+    }
+
+    if ('gpm_tags' in file && expect(Array.isArray(file.gpm_tags), 'gpm_tags', 'a list')) {
+      file.gpm_tags.forEach((tag, i) => {
+        const path = `gpm_tags[${i}]`;
+        if (!expect(_isPlainObject(tag), path, 'an object')) return;
+        expect(typeof tag.id === 'string' && tag.id !== '', `${path}.id`, 'a non-empty string');
+        expect(typeof tag.name === 'string', `${path}.name`, 'a string');
+        expect(optional(tag, 'color', 'string'), `${path}.color`, 'a string');
+      });
+    }
+
+    if ('gpm_quickPrompts' in file && expect(Array.isArray(file.gpm_quickPrompts), 'gpm_quickPrompts', 'a list')) {
+      file.gpm_quickPrompts.forEach((qp, i) => {
+        const path = `gpm_quickPrompts[${i}]`;
+        if (!expect(_isPlainObject(qp), path, 'an object')) return;
+        expect(optional(qp, 'id', 'string'), `${path}.id`, 'a string');
+        expect(typeof qp.title === 'string', `${path}.title`, 'a string');
+        expect(typeof qp.content === 'string', `${path}.content`, 'a string');
+        expect(optional(qp, 'category', 'string'), `${path}.category`, 'a string');
+      });
+    }
+
+    if ('gpm_settings' in file && expect(_isPlainObject(file.gpm_settings), 'gpm_settings', 'an object')) {
+      expect(optional(file.gpm_settings, 'lang', 'string'), 'gpm_settings.lang', 'a string');
+      const rules = file.gpm_settings.filingRules;
+      if (rules != null) {
+        expect(Array.isArray(rules) && rules.every(r => _isPlainObject(r) && typeof r.pattern === 'string'), 'gpm_settings.filingRules', 'a list of filing rules');
+      }
+      const shortcuts = file.gpm_settings.shortcuts;
+      if (shortcuts != null) {
+        expect(_isPlainObject(shortcuts) && Object.values(shortcuts).every(combo => typeof combo === 'string'), 'gpm_settings.shortcuts', 'an object of key combinations');
+      }
+    }
+    return errors;
+  }
+
+  // Parses an export file. Returns { data, errors } where `data` holds only the sections
+  // present in the file ({ projects?, chatMap?, quickPrompts?, settings? }), upgraded to
+  // the current schema, and is null when `errors` is not empty.
+  function parseImport(jsonString) {
+    let file;
+    try {
+      file = JSON.parse(jsonString);
+    } catch (e) {
+      return { data: null, errors: [`Not valid JSON: ${e.message}`] };
+    }
+    const errors = _validateImportFile(file);
+    if (errors.length) return { data: null, errors: errors.slice(0, MAX_IMPORT_ERRORS) };
+
+    const upgraded = _migrateData(structuredClone(file), file.gpm_schema_version || 0);
+    const data = {};
+    for (const name of IMPORT_SECTIONS) {
+      if (TX_KEYS[name] in file) data[name] = upgraded[TX_KEYS[name]];
+    }
+    // Prompts are matched by ID like everything else — without one they would all collide
+    data.quickPrompts?.forEach(qp => { if (!qp.id) qp.id = uid(); });
+    return { data, errors: [] };
+  }
+
+  // The same tree exported from another install has other IDs. For a merge, an incoming
+  // project whose ID is unknown here is taken to be the project of the same name (and
+  // kind) under the same parent, if there is one; `data` comes back with those IDs
+  // rewritten everywhere they appear.
+  function _matchProjectsByName(data, projects) {
+    if (!data.projects) return data;
+    const currentIds = new Set(projects.map(p => p.id));
+    const incomingIds = new Set(data.projects.map(p => p.id));
+    const key = (parentId, name, smart) => JSON.stringify([parentId || null, !!smart, name]);
+    const candidates = new Map();
+    for (const p of projects) {
+      const k = key(p.parentId, p.name, isSmartFolder(p));
+      if (!incomingIds.has(p.id) && !candidates.has(k)) candidates.set(k, p.id);
+    }
+
+    // Parents first, so a subfolder is looked for under its parent's match
+    const byId = new Map(data.projects.map(p => [p.id, p]));
+    const remap = new Map();
+    const visited = new Set();
+    const visit = (p) => {
+      if (visited.has(p.id)) return;
+      visited.add(p.id);
+      if (byId.has(p.parentId)) visit(byId.get(p.parentId));
+      if (currentIds.has(p.id)) return;
+      const k = key(remap.get(p.parentId) ?? p.parentId, p.name, isSmartFolder(p));
+      if (!candidates.has(k)) return;
+      remap.set(p.id, candidates.get(k));
+      candidates.delete(k);
+    };
+    data.projects.forEach(visit);
+    if (remap.size === 0) return data;
+
+    const id = (pid) => remap.get(pid) ?? pid;
+    const matched = { ...data };
+    matched.projects = data.projects.map(p => {
+      const copy = { ...p, id: id(p.id), parentId: p.parentId ? id(p.parentId) : p.parentId };
+      if (p.children) copy.children = p.children.map(id);
+      if (p.query) copy.query = { ...p.query, rules: p.query.rules.map(r => r.field === 'project' ? { ...r, value: id(r.value) } : r) };
+      return copy;
+    });
+    if (data.chatMap) {
+      matched.chatMap = Object.fromEntries(Object.entries(data.chatMap).map(([chatId, m]) => {
+        const copy = { ...m, projectId: m.projectId ? id(m.projectId) : m.projectId };
+        if (m.refs) copy.refs = m.refs.map(id);
+        return [chatId, copy];
+      }));
+    }
+    return matched;
+  }
+
+  function _entries(name, value) {
+    return name === 'chatMap' ? Object.entries(value) : value.map(item => [item.id, item]);
   }
 
-  async function importAll(jsonString) {
-    const data = JSON.parse(jsonString);
-    if (data.gpm_projects) await _set('gpm_projects', data.gpm_projects);
-    if (data.gpm_chatMap) await _set('gpm_chatMap', data.gpm_chatMap);
-    if (data.gpm_quickPrompts) await _set('gpm_quickPrompts', data.gpm_quickPrompts);
-    if (data.gpm_settings) await _set('gpm_settings', data.gpm_settings);
+  function _conflicts(name, current, incoming) {
+    return IMPORT_FIELDS[name].some(field => JSON.stringify(current[field]) !== JSON.stringify(incoming[field]));
+  }
+
+  // What applyImport(data, { mode }) would do, per section:
+  //   { projects, chatMap, tags, quickPrompts: { added, changed, removed } }
+  // Each item is { id, current?, incoming? }. In 'merge' mode nothing is removed and every
+  // `changed` item is a conflict the caller resolves (see applyImport) — including projects
+  // matched by name (see _matchProjectsByName). `projectNames` covers both sides so chat
+  // items can be labelled.
+  async function planImport(data, mode = 'replace') {
+    const [projects, chatMap, tags, quickPrompts] = await Promise.all([getProjects(), getChatMap(), getTags(), getQuickPrompts()]);
+    if (mode === 'merge') data = _matchProjectsByName(data, projects);
+    const currentData = { projects, chatMap, tags, quickPrompts };
+    const plan = {
+      mode,
+      projectNames: Object.fromEntries([...projects, ...(data.projects || [])].map(p => [p.id, p.name]))
+    };
+    for (const name of Object.keys(IMPORT_FIELDS)) {
+      const section = { added: [], changed: [], removed: [] };
+      plan[name] = section;
+      if (!data[name]) continue;
+      const current = new Map(_entries(name, currentData[name]));
+      const incoming = new Map(_entries(name, data[name]));
+      for (const [id, item] of incoming) {
+        if (!current.has(id)) section.added.push({ id, incoming: item });
+        else if (_conflicts(name, current.get(id), item)) section.changed.push({ id, current: current.get(id), incoming: item });
+      }
+      if (mode === 'replace') {
+        for (const [id, item] of current) {
+          if (!incoming.has(id)) section.removed.push({ id, current: item });
+        }
+      }
+    }
+    return plan;
+  }
+
+  // Imports parsed data. 'replace' overwrites every section the file contains; 'merge'
+  // adds what is new and, for items present on both sides, keeps the version named in
+  // `resolutions` — { '<section>:<id>': 'current'|'incoming' }, default 'incoming'.
+  // Current settings are kept on merge. A snapshot is always taken first.
+  async function applyImport(data, { mode = 'replace', resolutions = {} } = {}) {
+    return transaction(tx => {
+      if (mode === 'replace') {
+        for (const name of IMPORT_SECTIONS) {
+          if (data[name]) tx[name] = structuredClone(data[name]);
+        }
+      } else {
+        const matched = _matchProjectsByName(data, tx.projects);
+        const keepIncoming = (name, id) => (resolutions[`${name}:${id}`] || 'incoming') === 'incoming';
+        const mergeItem = (name, current, incoming) => {
+          const merged = { ...current };
+          IMPORT_FIELDS[name].forEach(field => { merged[field] = incoming[field]; });
+          return merged;
+        };
+
+        if (matched.projects) {
+          const byId = new Map(tx.projects.map(p => [p.id, p]));
+          let nextOrder = tx.projects.reduce((max, p) => Math.max(max, p.order ?? -1), -1) + 1;
+          for (const p of matched.projects) {
+            if (!byId.has(p.id)) {
+              tx.projects.push(structuredClone({ ...p, order: p.parentId ? p.order : nextOrder++ }));
+            } else if (keepIncoming('projects', p.id)) {
+              Object.assign(byId.get(p.id), mergeItem('projects', byId.get(p.id), p));
+            }
+          }
+        }
+        if (matched.chatMap) {
+          for (const [chatId, m] of Object.entries(matched.chatMap)) {
+            if (!tx.chatMap[chatId]) tx.chatMap[chatId] = structuredClone(m);
+            else if (keepIncoming('chatMap', chatId)) tx.chatMap[chatId] = mergeItem('chatMap', tx.chatMap[chatId], m);
+          }
+        }
+        if (matched.tags) {
+          for (const tag of matched.tags) {
+            const index = tx.tags.findIndex(x => x.id === tag.id);
+            if (index === -1) tx.tags.push(structuredClone(tag));
+            else if (keepIncoming('tags', tag.id)) tx.tags[index] = mergeItem('tags', tx.tags[index], tag);
+          }
+        }
+        if (matched.quickPrompts) {
+          for (const qp of matched.quickPrompts) {
+            const index = tx.quickPrompts.findIndex(x => x.id === qp.id);
+            if (index === -1) tx.quickPrompts.push(structuredClone(qp));
+            else if (keepIncoming('quickPrompts', qp.id)) tx.quickPrompts[index] = mergeItem('quickPrompts', tx.quickPrompts[index], qp);
+          }
+        }
+        if (data.settings) tx.settings = { ...data.settings, ...tx.settings };
+      }
+
+      // chatMap decides where a chat lives; chatIds/children are rebuilt to match
+      const repaired = _repairData(tx.projects, tx.chatMap);
+      tx.projects = repaired.projects;
+      tx.chatMap = repaired.chatMap;
+    }, { snapshotReason: 'pre-import', forceSnapshot: true });
   }
 
   async function clearAll() {
-    await chrome.storage.local.set({
-      gpm_projects: [],
-      gpm_chatMap: {},
-      gpm_quickPrompts: [],
-      gpm_settings: { lang: 'en', theme: 'auto' },
-      gpm_pinnedChats: {}
-    });
-  }
-
-  // ── Backup / Restore ──
-  async function getBackupInfo() {
-    const ts = await _get('gpm_backup_ts');
-    const backup = await _get('gpm_projects_backup');
-    if (!ts || !backup) return null;
-    const totalChats = backup.reduce((sum, p) => sum + (p.chatIds?.length || 0), 0);
-    return { timestamp: ts, projectCount: backup.length, chatCount: totalChats };
-  }
-
-  async function restoreFromBackup() {
-    const backup = await _get('gpm_projects_backup');
-    const chatMapBackup = await _get('gpm_chatMap_backup');
-    if (!backup || !Array.isArray(backup)) return false;
-    // Save current as "pre-restore" in case user wants to undo
-    const current = await _get('gpm_projects');
-    if (current && current.length > 0) {
-      await chrome.storage.local.set({ gpm_projects_pre_restore: current });
-    }
-    await _set('gpm_projects', backup);
-    if (chatMapBackup) {
-      await _set('gpm_chatMap', chatMapBackup);
-    }
-    console.log('[GPM] Restored from backup:', backup.length, 'projects');
+    // Snapshot is forced so a mistaken clear can be undone from Backup History
+    await transaction(tx => {
+      for (const name of Object.keys(TX_KEYS)) tx[name] = structuredClone(TX_DEFAULTS[name]);
+    }, { forceSnapshot: true });
+  }
+
+  // ── Entity patches (undo / redo) ──
+  // A patch records, per entity, its state before and after an operation:
+  //   Array<{ collection: 'projects'|'chatMap'|'trash'|'tags', id, before, after }> — undefined = absent
+  // Layout fields are ignored when checking whether an entity was touched since: children
+  // and chatIds are rebuilt by _repairData, and collapsing a folder shouldn't block an undo.
+  const PATCH_COLLECTIONS = {
+    projects: { ignore: ['children', 'chatIds', 'collapsed'] },
+    chatMap: { ignore: [] },
+    trash: { ignore: [] },
+    tags: { ignore: [] }
+  };
+
+  async function captureState() {
+    const [projects, chatMap, trash, tags] = await Promise.all([getProjects(), getChatMap(), getTrash(), getTags()]);
+    return { projects, chatMap, trash, tags };
+  }
+
+  function diffState(before, after) {
+    const patch = [];
+    for (const collection of Object.keys(PATCH_COLLECTIONS)) {
+      const b = new Map(_entries(collection, before[collection]));
+      const a = new Map(_entries(collection, after[collection]));
+      for (const id of new Set([...b.keys(), ...a.keys()])) {
+        if (JSON.stringify(b.get(id)) !== JSON.stringify(a.get(id))) {
+          patch.push({ collection, id, before: b.get(id), after: a.get(id) });
+        }
+      }
+    }
+    return patch;
+  }
+
+  // The patch the transaction() being started right now records into, if any
+  let _recordingFor = null;
+
+  // Runs `action(storage)` and returns { result, patch }. `storage` is this API with its
+  // calls tagged, and only the transactions those calls start go into the patch — every
+  // mutator starts its transaction before its first await. Each is diffed against its own
+  // draft under the write lock, so neither other tabs' commits nor this tab's background
+  // writes (alias fills, auto-filing, folder toggles) end up in an undo step.
+  async function recordChanges(action) {
+    const recording = [];
+    const storage = new Proxy(_api, {
+      get(api, name) {
+        const value = api[name];
+        if (typeof value !== 'function') return value;
+        return (...args) => {
+          _recordingFor = recording;
+          try { return value(...args); } finally { _recordingFor = null; }
+        };
+      }
+    });
+    const result = await action(storage);
+    return { result, patch: _mergePatch(recording) };
+  }
+
+  // One entry per entity: its state before the first change and after the last
+  function _mergePatch(entries) {
+    const merged = new Map();
+    for (const entry of entries) {
+      const key = `${entry.collection}:${entry.id}`;
+      merged.set(key, merged.has(key) ? { ...merged.get(key), after: entry.after } : entry);
+    }
+    return [...merged.values()].filter(entry => JSON.stringify(entry.before) !== JSON.stringify(entry.after));
+  }
+
+  function _samePatchEntity(collection, x, y) {
+    const strip = (entity) => {
+      if (!entity) return entity;
+      const copy = { ...entity };
+      PATCH_COLLECTIONS[collection].ignore.forEach(field => delete copy[field]);
+      return copy;
+    };
+    return JSON.stringify(strip(x)) === JSON.stringify(strip(y));
+  }
+
+  // Rolls a patch back ('undo') or forward ('redo'). Entries whose entity changed since
+  // the patch was recorded — in this tab or another — are skipped rather than clobbered.
+  async function applyPatch(patch, direction = 'undo') {
+    return transaction(tx => {
+      let applied = 0;
+      let skipped = 0;
+      for (const { collection, id, before, after } of patch) {
+        const [from, to] = direction === 'undo' ? [after, before] : [before, after];
+        const isList = Array.isArray(tx[collection]);
+        const index = isList ? tx[collection].findIndex(x => x.id === id) : -1;
+        const current = isList ? tx[collection][index] : tx[collection][id];
+        if (!_samePatchEntity(collection, current, from)) {
+          skipped++;
+          continue;
+        }
+        applied++;
+        if (!isList) {
+          if (to === undefined) delete tx[collection][id];
+          else tx[collection][id] = structuredClone(to);
+        } else if (to === undefined) {
+          tx[collection].splice(index, 1);
+        } else if (index === -1) {
+          tx[collection].push(structuredClone(to));
+        } else {
+          tx[collection][index] = structuredClone(to);
+        }
+      }
+      const repaired = _repairData(tx.projects, tx.chatMap);
+      tx.projects = repaired.projects;
+      tx.chatMap = repaired.chatMap;
+      return { applied, skipped };
+    });
+  }
+
+  // ── Storage usage ──
+  // Key groups listed in Settings; everything else (revision, schema marker, sync
+  // bookkeeping) is reported as `other`
+  const USAGE_GROUPS = {
+    projects: ['gpm_projects'],
+    chatMap: ['gpm_chatMap', 'gpm_chatIndex', 'gpm_tags', 'gpm_filingLog'],
+    quickPrompts: ['gpm_quickPrompts'],
+    backups: ['gpm_snapshots', 'gpm_premigration_snapshot'],
+    trash: ['gpm_trash']
+  };
+  const USAGE_WARN_RATIO = 0.8;
+  const LARGEST_PROJECTS = 5;
+
+  // { total, quota, nearLimit, groups: { <group>: bytes }, largestProjects: [{ id, name, icon, bytes }] }
+  // A project's size counts the project entry plus the chat mappings filed in it.
+  async function getStorageUsage() {
+    const area = chrome.storage.local;
+    const total = await area.getBytesInUse(null);
+    const groups = {};
+    for (const [name, keys] of Object.entries(USAGE_GROUPS)) {
+      groups[name] = await area.getBytesInUse(keys);
+    }
+    groups.other = Math.max(0, total - Object.values(groups).reduce((sum, n) => sum + n, 0));
+
+    const [projects, chatMap] = await Promise.all([getProjects(), getChatMap()]);
+    const size = (value) => new TextEncoder().encode(JSON.stringify(value)).length;
+    const bytes = new Map(projects.map(p => [p.id, size(p)]));
+    for (const [chatId, m] of Object.entries(chatMap)) {
+      if (bytes.has(m.projectId)) bytes.set(m.projectId, bytes.get(m.projectId) + chatId.length + size(m));
+    }
+    const largestProjects = projects
+      .map(p => ({ id: p.id, name: p.name, icon: p.icon, bytes: bytes.get(p.id) }))
+      .sort((a, b) => b.bytes - a.bytes)
+      .slice(0, LARGEST_PROJECTS);
+
+    const quota = area.QUOTA_BYTES;
+    return { total, quota, nearLimit: total >= quota * USAGE_WARN_RATIO, groups, largestProjects };
+  }
+
+  // ── Snapshots (Backup / Restore) ──
+
+  // Returns the snapshot list with `projects` / `chatMap` recorded as the newest entry,
+  // or null when there is nothing worth keeping (empty data, or same as the latest
+  // snapshot). `force` keeps even a duplicate, for snapshots the user must find again.
+  function _nextSnapshots(snapshots, reason, projects, chatMap, force) {
+    if (projects.length === 0 && Object.keys(chatMap).length === 0) return null;
+
+    const latest = snapshots[0];
+    if (latest && !force &&
+      JSON.stringify(latest.projects) === JSON.stringify(projects) &&
+      JSON.stringify(latest.chatMap) === JSON.stringify(chatMap)) return null;
+
+    return [{ id: uid(), ts: Date.now(), reason, projects, chatMap }, ...snapshots].slice(0, MAX_SNAPSHOTS);
+  }
+
+  // What restoring `snapshot` would change compared to the current data
+  function _diffSnapshot(snapshot, projects, chatMap) {
+    const current = new Map(projects.map(p => [p.id, JSON.stringify(p)]));
+    const saved = new Map(snapshot.projects.map(p => [p.id, JSON.stringify(p)]));
+    const diff = { projectsAdded: 0, projectsRemoved: 0, projectsChanged: 0, chatsAdded: 0, chatsRemoved: 0, chatsMoved: 0 };
+
+    for (const [id, json] of saved) {
+      if (!current.has(id)) diff.projectsAdded++;
+      else if (current.get(id) !== json) diff.projectsChanged++;
+    }
+    for (const id of current.keys()) if (!saved.has(id)) diff.projectsRemoved++;
+
+    for (const [chatId, m] of Object.entries(snapshot.chatMap)) {
+      if (!chatMap[chatId]) diff.chatsAdded++;
+      else if (chatMap[chatId].projectId !== m.projectId) diff.chatsMoved++;
+    }
+    for (const chatId of Object.keys(chatMap)) if (!snapshot.chatMap[chatId]) diff.chatsRemoved++;
+    return diff;
+  }
+
+  // Snapshot metadata for the Settings list — newest first, without the payloads
+  async function getSnapshots() {
+    const [snapshots, projects, chatMap] = await Promise.all([
+      _get('gpm_snapshots'), getProjects(), getChatMap()
+    ]);
+    return (snapshots || []).map(snap => ({
+      id: snap.id,
+      timestamp: snap.ts,
+      reason: snap.reason,
+      projectCount: snap.projects.length,
+      chatCount: Object.keys(snap.chatMap).length,
+      diff: _diffSnapshot(snap, projects, chatMap)
+    }));
+  }
+
+  async function restoreSnapshot(id) {
+    const snapshots = (await _get('gpm_snapshots')) || [];
+    const snap = snapshots.find(s => s.id === id);
+    if (!snap) return false;
+    // Keep the current state as its own generation so the restore can be reverted
+    await transaction(tx => {
+      tx.projects = snap.projects;
+      tx.chatMap = snap.chatMap;
+    }, { snapshotReason: 'pre-restore', forceSnapshot: true });
+    console.log('[GPM] Restored snapshot from', new Date(snap.ts).toISOString(), '—', snap.projects.length, 'projects');
     return true;
   }
 
-  return {
-    getProjects, saveProjects, createProject, updateProject, deleteProject,
-    getRootProjects, getChildren,
-    getChatMap, saveChatMap, assignChat, unassignChat, setChatAlias, togglePinChat,
+  // ── Integrity ──
+  // The tree is stored redundantly: Project.parentId ↔ Project.children and
+  // chatMap[chatId].projectId ↔ Project.chatIds. parentId and chatMap are treated
+  // as the source of truth; children / chatIds are derived lists that can drift.
+
+  function _findCycles(projects) {
+    const byId = new Map(projects.map(p => [p.id, p]));
+    const cycles = [];
+    const settled = new Set();
+    for (const start of projects) {
+      const path = [];
+      let node = start;
+      while (node && !settled.has(node.id) && !path.includes(node.id)) {
+        path.push(node.id);
+        node = byId.get(node.parentId);
+      }
+      if (node && path.includes(node.id)) cycles.push(path.slice(path.indexOf(node.id)));
+      path.forEach(id => settled.add(id));
+    }
+    return cycles;
+  }
+
+  function validateData(projects, chatMap) {
+    const byId = new Map(projects.map(p => [p.id, p]));
+    const nameOf = (id) => byId.get(id)?.name || id;
+    const chatLabel = (chatId) => chatMap[chatId]?.alias || chatId;
+    const issues = [];
+
+    for (const p of projects) {
+      if (p.parentId && !byId.has(p.parentId)) {
+        issues.push({ type: 'orphanedChild', projectId: p.id, detail: p.name });
+      }
+      for (const childId of p.children || []) {
+        if (byId.get(childId)?.parentId !== p.id) {
+          issues.push({ type: 'childMismatch', projectId: p.id, detail: `${p.name} → ${nameOf(childId)}` });
+        }
+      }
+      const parent = byId.get(p.parentId);
+      if (parent && !(parent.children || []).includes(p.id)) {
+        issues.push({ type: 'childMismatch', projectId: parent.id, detail: `${parent.name} → ${p.name}` });
+      }
+    }
+
+    for (const cycle of _findCycles(projects)) {
+      issues.push({ type: 'cycle', projectId: cycle[0], detail: cycle.map(nameOf).join(' → ') });
+    }
+
+    const listedIn = {};
+    for (const p of projects) {
+      for (const chatId of p.chatIds || []) (listedIn[chatId] ||= []).push(p.id);
+    }
+    for (const [chatId, ids] of Object.entries(listedIn)) {
+      const unique = [...new Set(ids)];
+      if (unique.length > 1) {
+        issues.push({ type: 'duplicateChat', chatId, detail: `${chatLabel(chatId)}: ${unique.map(nameOf).join(', ')}` });
+      } else if (chatMap[chatId]?.projectId !== unique[0]) {
+        issues.push({ type: 'danglingChat', chatId, projectId: unique[0], detail: `${nameOf(unique[0])}: ${chatLabel(chatId)}` });
+      }
+    }
+
+    for (const [chatId, m] of Object.entries(chatMap)) {
+      if (!byId.has(m.projectId) || isSmartFolder(byId.get(m.projectId))) {
+        issues.push({ type: 'missingProject', chatId, detail: chatLabel(chatId) });
+      } else if (!(listedIn[chatId] || []).includes(m.projectId)) {
+        issues.push({ type: 'unlistedChat', chatId, projectId: m.projectId, detail: `${nameOf(m.projectId)}: ${chatLabel(chatId)}` });
+      }
+    }
+    return issues;
+  }
+
+  // Pure — returns repaired copies. Prefers recovering data over dropping it:
+  // a chat that only survives in some project's chatIds gets its mapping back.
+  function _repairData(projectsIn, chatMapIn) {
+    const projects = structuredClone(projectsIn);
+    const chatMap = structuredClone(chatMapIn);
+    const byId = new Map(projects.map(p => [p.id, p]));
+    let nextOrder = projects.reduce((max, p) => Math.max(max, p.order ?? -1), -1) + 1;
+    const toRoot = (p) => { p.parentId = null; p.order = nextOrder++; };
+
+    // Smart folders hold nothing of their own
+    const canHold = (pid) => byId.has(pid) && !isSmartFolder(byId.get(pid));
+
+    for (const p of projects) {
+      p.children = Array.isArray(p.children) ? p.children : [];
+      p.chatIds = isSmartFolder(p) ? [] : [...new Set(p.chatIds || [])];
+      if (p.parentId && !canHold(p.parentId)) toRoot(p);
+    }
+    for (const cycle of _findCycles(projects)) toRoot(byId.get(cycle[0]));
+
+    for (const p of projects) {
+      const actual = projects.filter(c => c.parentId === p.id).map(c => c.id);
+      const kept = [...new Set(p.children)].filter(id => actual.includes(id));
+      p.children = kept.concat(actual.filter(id => !kept.includes(id)));
+    }
+
+    const firstListing = {};
+    for (const p of projects) {
+      for (const chatId of p.chatIds) firstListing[chatId] ||= p.id;
+    }
+    for (const [chatId, pid] of Object.entries(firstListing)) {
+      if (!chatMap[chatId]) chatMap[chatId] = { projectId: pid, alias: '', pinned: false };
+    }
+    for (const [chatId, m] of Object.entries(chatMap)) {
+      if (canHold(m.projectId)) continue;
+      if (firstListing[chatId]) m.projectId = firstListing[chatId];
+      else delete chatMap[chatId];
+    }
+
+    for (const p of projects) p.chatIds = p.chatIds.filter(c => chatMap[c].projectId === p.id);
+    for (const [chatId, m] of Object.entries(chatMap)) {
+      const owner = byId.get(m.projectId);
+      if (!owner.chatIds.includes(chatId)) owner.chatIds.push(chatId);
+      if (m.refs) m.refs = [...new Set(m.refs)].filter(pid => pid !== m.projectId && canHold(pid));
+    }
+    return { projects, chatMap };
+  }
+
+  async function checkIntegrity() {
+    const [projects, chatMap] = await Promise.all([getProjects(), getChatMap()]);
+    return validateData(projects, chatMap);
+  }
+
+  async function repairIntegrity() {
+    const remaining = await transaction(tx => {
+      const repaired = _repairData(tx.projects, tx.chatMap);
+      tx.projects = repaired.projects;
+      tx.chatMap = repaired.chatMap;
+      return validateData(repaired.projects, repaired.chatMap);
+    }, { snapshotReason: 'repair', forceSnapshot: true });
+    console.log('[GPM] Integrity repair finished,', remaining.length, 'issues remaining');
+    return remaining;
+  }
+
+  // ── Schema Migrations ──
+  // Ordered list; each entry upgrades the data to `version`. `migrate` receives the raw
+  // keys from MIGRATION_KEYS and returns them upgraded. Migrations must be idempotent —
+  // two tabs (or a tab and the service worker) may run the same step concurrently.
+  const SCHEMA_VERSION = 3;
+  const MIGRATION_KEYS = [
+    'gpm_projects', 'gpm_chatMap', 'gpm_quickPrompts', 'gpm_settings', 'gpm_pinnedChats',
+    'gpm_snapshots', 'gpm_projects_backup', 'gpm_chatMap_backup', 'gpm_backup_ts'
+  ];
+
+  const MIGRATIONS = [
+    {
+      version: 1,
+      description: 'Normalize project/chat fields, give root projects an order, fold gpm_pinnedChats into chatMap',
+      migrate(data) {
+        const projects = (Array.isArray(data.gpm_projects) ? data.gpm_projects : []).map(p => ({
+          ...p,
+          icon: p.icon || '📁',
+          color: p.color || '#8ab4f8',
+          parentId: p.parentId || null,
+          children: Array.isArray(p.children) ? p.children : [],
+          chatIds: Array.isArray(p.chatIds) ? p.chatIds : [],
+          collapsed: !!p.collapsed
+        }));
+
+        // Roots without `order` rendered as order 0 — keep that visual order, then number them
+        const roots = projects.filter(p => !p.parentId);
+        [...roots].sort((a, b) => (a.order ?? 0) - (b.order ?? 0)).forEach((p, i) => { p.order = i; });
+
+        const chatMap = {};
+        for (const [chatId, m] of Object.entries(data.gpm_chatMap || {})) {
+          if (!m || typeof m !== 'object') continue;
+          chatMap[chatId] = { ...m, projectId: m.projectId || null, alias: m.alias || '', pinned: !!m.pinned };
+        }
+        for (const [chatId, pinned] of Object.entries(data.gpm_pinnedChats || {})) {
+          if (pinned && chatMap[chatId]) chatMap[chatId].pinned = true;
+        }
+
+        const quickPrompts = (Array.isArray(data.gpm_quickPrompts) ? data.gpm_quickPrompts : [])
+          .map(p => ({ ...p, id: p.id || uid(), category: p.category || 'General' }));
+
+        return {
+          ...data,
+          gpm_projects: projects,
+          gpm_chatMap: chatMap,
+          gpm_quickPrompts: quickPrompts,
+          gpm_settings: { lang: 'en', theme: 'auto', ...(data.gpm_settings || {}) },
+          gpm_pinnedChats: undefined
+        };
+      }
+    },
+    {
+      version: 2,
+      description: 'Make parentId the source of truth for children, de-duplicate chatIds',
+      migrate(data) {
+        const projects = Array.isArray(data.gpm_projects) ? data.gpm_projects : [];
+        const byId = new Map(projects.map(p => [p.id, p]));
+
+        // A parent that no longer exists would hide the subtree forever — lift it to root
+        let nextOrder = projects.reduce((max, p) => Math.max(max, p.order ?? -1), -1) + 1;
+        for (const p of projects) {
+          if (p.parentId && !byId.has(p.parentId)) {
+            p.parentId = null;
+            p.order = nextOrder++;
+          }
+        }
+
+        for (const p of projects) {
+          const actual = projects.filter(c => c.parentId === p.id).map(c => c.id);
+          const kept = [...new Set(p.children)].filter(id => actual.includes(id));
+          p.children = kept.concat(actual.filter(id => !kept.includes(id)));
+          p.chatIds = [...new Set(p.chatIds)];
+        }
+        return data;
+      }
+    },
+    {
+      version: 3,
+      description: 'Move the single gpm_projects_backup / gpm_chatMap_backup slot into gpm_snapshots',
+      migrate(data) {
+        const snapshots = Array.isArray(data.gpm_snapshots) ? data.gpm_snapshots : [];
+        if (Array.isArray(data.gpm_projects_backup) && !snapshots.some(s => s.reason === 'legacy')) {
+          snapshots.push({
+            id: uid(),
+            ts: data.gpm_backup_ts || 0,
+            reason: 'legacy',
+            projects: data.gpm_projects_backup,
+            chatMap: data.gpm_chatMap_backup || {}
+          });
+        }
+        return {
+          ...data,
+          gpm_snapshots: snapshots.sort((a, b) => b.ts - a.ts).slice(0, MAX_SNAPSHOTS),
+          gpm_projects_backup: undefined,
+          gpm_chatMap_backup: undefined,
+          gpm_backup_ts: undefined
+        };
+      }
+    }
+  ];
+
+  // Runs every migration newer than `fromVersion` over a plain { gpm_*: value } object
+  function _migrateData(data, fromVersion) {
+    return MIGRATIONS.filter(m => m.version > fromVersion).reduce((upgraded, m) => {
+      console.log(`[GPM] Migration v${m.version}: ${m.description}`);
+      return m.migrate(upgraded);
+    }, data);
+  }
+
+  async function runMigrations() {
+    return _withLock(async () => {
+      const stored = await chrome.storage.local.get(['gpm_schema_version', ...MIGRATION_KEYS]);
+      const fromVersion = stored.gpm_schema_version || 0;
+      if (fromVersion >= SCHEMA_VERSION) return false;
+
+      const { gpm_schema_version, ...raw } = stored;
+      if (Object.keys(raw).length > 0) {
+        await chrome.storage.local.set({ gpm_premigration_snapshot: { fromVersion, ts: Date.now(), data: raw } });
+      }
+
+      const data = _migrateData(structuredClone(raw), fromVersion);
+
+      const updates = { gpm_schema_version: SCHEMA_VERSION };
+      const removed = [];
+      for (const key of MIGRATION_KEYS) {
+        if (data[key] === undefined) removed.push(key);
+        else updates[key] = data[key];
+      }
+      await _commit(updates);
+      if (removed.length) await chrome.storage.local.remove(removed);
+      console.log('[GPM] Storage schema upgraded from', fromVersion, 'to', SCHEMA_VERSION);
+      return true;
+    });
+  }
+
+  const _api = {
+    transaction,
+    getProjects, saveProjects, createProject, updateProject, deleteProject, moveProject,
+    getRootProjects, getChildren, isSmartFolder, isArchived, archiveProject, unarchiveProject, setProjectsCollapsed,
+    getChatMap, saveChatMap, assignChat, assignChats, reorderChat, unassignChat, setChatAlias, fillChatAliases, togglePinChat,
+    setProjectNotes, setChatNotes, setProjectContext, getProjectContext,
+    getChatIndex, recordSeenChats, recordChatOpened, recordChatDetails,
+    getFilingLog, autoFileChat,
+    getPaletteUsage, recordPaletteUse,
+    addChatRef, removeChatRef, makeChatPrimary,
+    getTags, createTag, updateTag, deleteTag, toggleChatTag,
+    getTrash, restoreFromTrash, deleteFromTrash, emptyTrash, purgeExpiredTrash,
     getQuickPrompts, saveQuickPrompt, deleteQuickPrompt, updateQuickPrompt,
-    getSettings, saveSettings,
-    exportAll, importAll, clearAll,
-    getBackupInfo, restoreFromBackup
+    getSettings, saveSettings, updateSettings,
+    exportAll, parseImport, planImport, applyImport, clearAll,
+    captureState, diffState, recordChanges, applyPatch,
+    getSnapshots, restoreSnapshot, getStorageUsage, onWriteError,
+    validateData, repairData: _repairData, checkIntegrity, repairIntegrity,
+    runMigrations, SCHEMA_VERSION, uid
   };
+  return _api;
 })();
@@ -0,0 +1,269 @@
+/**
+ * sync.js — Optional chrome.storage.sync backend
+ * Mirrors projects, chat mappings, tags, quick prompts and settings into chrome.storage.sync
+ * so a workspace follows the Chrome profile across devices. Opt-in through
+ * gpm_settings.syncEnabled; the service worker drives it (see background.js), content
+ * scripts only read the status.
+ *
+ * Sync Schema (chrome.storage.sync):
+ *   gpm_sync_meta: { version, deviceId, ts, hash, chunks } — describes the current remote copy
+ *   gpm_sync_chunk_<n>: string — slice of the base64, gzipped payload JSON
+ *
+ * Local bookkeeping (chrome.storage.local):
+ *   gpm_sync_base: Payload — last state both sides agreed on, the base of the three-way merge
+ *   gpm_sync_status: { state: 'off'|'syncing'|'ok'|'error', lastSync, error, bytes, quota }
+ *   gpm_device_id: string
+ *
+ *   Payload: { projects, chatMap, tags, quickPrompts, settings } — settings minus LOCAL_SETTINGS;
+ *     tags is missing from payloads written before tags existed
+ */
+
+const GPMSync = (() => {
+  const META_KEY = 'gpm_sync_meta';
+  const CHUNK_PREFIX = 'gpm_sync_chunk_';
+  const PAYLOAD_VERSION = 1;
+  // QUOTA_BYTES_PER_ITEM (8192) counts the key and the JSON quotes too — keep headroom
+  const CHUNK_CHARS = 7800;
+  const PUSH_DEBOUNCE_MS = 3000;
+  const DATA_KEYS = ['gpm_projects', 'gpm_chatMap', 'gpm_tags', 'gpm_quickPrompts', 'gpm_settings'];
+  // Settings that describe this device rather than the workspace
+  const LOCAL_SETTINGS = ['syncEnabled', 'autoBackup'];
+
+  let _deviceIdCache = null;
+  let _pushTimer = null;
+  let _running = null;
+
+  // ── Encoding ──
+  async function _gzip(text) {
+    const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  async function _gunzip(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+    return new Response(stream).text();
+  }
+
+  function _toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  function _fromBase64(b64) {
+    return Uint8Array.from(atob(b64), c => c.charCodeAt(0));
+  }
+
+  async function _hash(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  function _same(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  // ── Local side ──
+  async function _deviceId() {
+    if (_deviceIdCache) return _deviceIdCache;
+    let { gpm_device_id: id } = await chrome.storage.local.get('gpm_device_id');
+    if (!id) {
+      id = crypto.randomUUID();
+      await chrome.storage.local.set({ gpm_device_id: id });
+    }
+    _deviceIdCache = id;
+    return id;
+  }
+
+  function _sharedSettings(settings) {
+    const shared = { ...settings };
+    LOCAL_SETTINGS.forEach(key => delete shared[key]);
+    return shared;
+  }
+
+  function _localPayload(tx) {
+    const { projects, chatMap, tags, quickPrompts, settings } = tx;
+    return { projects, chatMap, tags, quickPrompts, settings: _sharedSettings(settings) };
+  }
+
+  // Write a merged/remote payload into the transaction draft `tx`; returns what is actually
+  // stored, since the tree is repaired first (a merge can pair a chat with a project
+  // deleted elsewhere).
+  function _applyLocal(tx, payload) {
+    const repaired = GPMStorage.repairData(payload.projects, payload.chatMap);
+    const localOnly = {};
+    LOCAL_SETTINGS.forEach(key => { if (key in tx.settings) localOnly[key] = tx.settings[key]; });
+    tx.projects = repaired.projects;
+    tx.chatMap = repaired.chatMap;
+    if (payload.tags) tx.tags = payload.tags;
+    tx.quickPrompts = payload.quickPrompts;
+    tx.settings = { ...payload.settings, ...localOnly };
+    return { ...payload, projects: repaired.projects, chatMap: repaired.chatMap };
+  }
+
+  // ── Remote side ──
+  async function _readRemote() {
+    const { [META_KEY]: meta } = await chrome.storage.sync.get(META_KEY);
+    if (!meta) return null;
+
+    const keys = Array.from({ length: meta.chunks }, (_, i) => CHUNK_PREFIX + i);
+    const chunks = await chrome.storage.sync.get(keys);
+    const encoded = keys.map(k => chunks[k] || '').join('');
+    const json = await _gunzip(_fromBase64(encoded));
+    // Chunks from two different writes interleaved — caller retries on the next change
+    if (await _hash(json) !== meta.hash) throw new Error('Remote copy is incomplete');
+    return { meta, payload: JSON.parse(json) };
+  }
+
+  async function _writeRemote(payload, ts) {
+    const json = JSON.stringify(payload);
+    const encoded = _toBase64(await _gzip(json));
+    const items = {};
+    let chunks = 0;
+    for (let i = 0; i < encoded.length; i += CHUNK_CHARS) {
+      items[CHUNK_PREFIX + chunks++] = encoded.slice(i, i + CHUNK_CHARS);
+    }
+
+    const meta = { version: PAYLOAD_VERSION, deviceId: await _deviceId(), ts, hash: await _hash(json), chunks };
+    items[META_KEY] = meta;
+
+    const bytes = Object.entries(items).reduce((sum, [k, v]) => sum + k.length + JSON.stringify(v).length, 0);
+    if (bytes > chrome.storage.sync.QUOTA_BYTES || chunks + 1 > chrome.storage.sync.MAX_ITEMS) {
+      throw new Error('quota');
+    }
+
+    const { [META_KEY]: previous } = await chrome.storage.sync.get(META_KEY);
+    // One set() call — counts as a single write operation and lands as one change event
+    await chrome.storage.sync.set(items);
+    if (previous && previous.chunks > chunks) {
+      const stale = Array.from({ length: previous.chunks - chunks }, (_, i) => CHUNK_PREFIX + (chunks + i));
+      await chrome.storage.sync.remove(stale);
+    }
+    return meta;
+  }
+
+  // ── Three-way merge ──
+  // Per entity: unchanged on one side → take the other side (including deletions);
+  // changed on both → the side with the later edit wins, device ID breaks ties, so any
+  // device merging the same pair of states reaches the same result.
+  function _pick(base, local, remote, localWins) {
+    const [b, l, r] = [base, local, remote].map(v => JSON.stringify(v));
+    if (l === r || r === b) return local;
+    if (l === b) return remote;
+    return localWins ? local : remote;
+  }
+
+  function _mergeById(base = [], local = [], remote = [], localWins) {
+    const index = (arr) => new Map(arr.map(x => [x.id, x]));
+    const b = index(base), l = index(local), r = index(remote);
+    const merged = [];
+    for (const id of new Set([...l.keys(), ...r.keys(), ...b.keys()])) {
+      const value = _pick(b.get(id), l.get(id), r.get(id), localWins);
+      if (value !== undefined) merged.push(value);
+    }
+    return merged;
+  }
+
+  function _mergeByKey(base = {}, local = {}, remote = {}, localWins) {
+    const merged = {};
+    for (const key of new Set([...Object.keys(local), ...Object.keys(remote), ...Object.keys(base)])) {
+      const value = _pick(base[key], local[key], remote[key], localWins);
+      if (value !== undefined) merged[key] = value;
+    }
+    return merged;
+  }
+
+  function merge(base, local, remote, localWins) {
+    return {
+      projects: _mergeById(base?.projects, local.projects, remote.projects, localWins),
+      chatMap: _mergeByKey(base?.chatMap, local.chatMap, remote.chatMap, localWins),
+      // A remote copy from before tags existed has none — that is not the same as deleting them all
+      tags: _mergeById(base?.tags, local.tags, remote.tags ?? local.tags, localWins),
+      quickPrompts: _mergeById(base?.quickPrompts, local.quickPrompts, remote.quickPrompts, localWins),
+      settings: _mergeByKey(base?.settings, local.settings, remote.settings, localWins)
+    };
+  }
+
+  // ── Sync cycle ──
+  async function _setStatus(status) {
+    await chrome.storage.local.set({ gpm_sync_status: status });
+  }
+
+  async function _sync() {
+    const settings = await GPMStorage.getSettings();
+    if (!settings.syncEnabled) {
+      await _setStatus({ state: 'off' });
+      return;
+    }
+
+    const previous = await getStatus();
+    await _setStatus({ ...previous, state: 'syncing' });
+    try {
+      const deviceId = await _deviceId();
+      const remote = await _readRemote();
+      const { gpm_sync_base: base = null } = await chrome.storage.local.get('gpm_sync_base');
+
+      // Local data is compared and merged inside the transaction, so a tab edit committed
+      // in the meantime re-runs this against fresh data instead of being overwritten
+      const { result, ts } = await GPMStorage.transaction(async tx => {
+        const { gpm_modified: localTs = 0 } = await chrome.storage.local.get('gpm_modified');
+        const local = _localPayload(tx);
+        if (!remote || _same(remote.payload, local)) return { result: local, ts: localTs };
+        if (base && _same(local, base)) {
+          // Only the other device changed anything
+          return { result: _applyLocal(tx, remote.payload), ts: remote.meta.ts };
+        }
+        // Only this device changed anything
+        if (base && _same(remote.payload, base)) return { result: local, ts: localTs };
+        // Both sides changed since the last agreed state (or this device never synced)
+        const localWins = localTs > remote.meta.ts || (localTs === remote.meta.ts && deviceId > remote.meta.deviceId);
+        return { result: _applyLocal(tx, merge(base, local, remote.payload, localWins)), ts: Math.max(localTs, remote.meta.ts) };
+      }, { snapshotReason: 'sync' });
+
+      if (!remote || !_same(remote.payload, result)) await _writeRemote(result, ts);
+      await chrome.storage.local.set({ gpm_sync_base: result });
+
+      await _setStatus({
+        state: 'ok',
+        lastSync: Date.now(),
+        bytes: await chrome.storage.sync.getBytesInUse(null),
+        quota: chrome.storage.sync.QUOTA_BYTES
+      });
+    } catch (e) {
+      console.warn('[GPM] Sync failed:', e);
+      await _setStatus({ ...previous, state: 'error', error: e.message });
+    }
+  }
+
+  // Coalesces overlapping triggers into the cycle already running
+  function syncNow() {
+    if (!_running) _running = _sync().finally(() => { _running = null; });
+    return _running;
+  }
+
+  function schedulePush() {
+    clearTimeout(_pushTimer);
+    _pushTimer = setTimeout(syncNow, PUSH_DEBOUNCE_MS);
+  }
+
+  async function getStatus() {
+    const { gpm_sync_status: status } = await chrome.storage.local.get('gpm_sync_status');
+    return status || { state: 'off' };
+  }
+
+  // Service worker only — watch both storage areas and sync once on startup
+  function start() {
+    chrome.storage.onChanged.addListener(async (changes, area) => {
+      if (area === 'local' && DATA_KEYS.some(key => key in changes)) {
+        schedulePush();
+      } else if (area === 'sync' && changes[META_KEY]?.newValue) {
+        if (changes[META_KEY].newValue.deviceId !== await _deviceId()) syncNow();
+      }
+    });
+    syncNow();
+  }
+
+  return { start, syncNow, getStatus, merge };
+})();
@@ -242,7 +242,8 @@ const GPMUI = (() => {
 
     const menu = el('div', { className: 'gpm-context-menu', style: { left: x + 'px', top: y + 'px' } });
 
-    items.forEach(item => {
+    // Falsy entries are skipped, so optional items can be written inline
+    items.filter(Boolean).forEach(item => {
       if (item.divider) {
         menu.appendChild(el('div', { className: 'gpm-context-divider' }));
         return;
@@ -573,14 +574,21 @@ const GPMUI = (() => {
     searchInput.addEventListener('input', () => renderPrompts(searchInput.value.trim().toLowerCase()));
     panel.appendChild(listContainer);
 
-    // ── Footer: Backup | Restore | + ──
+    // ── Footer: Backup | Encrypted Backup | Restore | + ──
     const footer = el('div', { className: 'gpm-qp-footer' }, [
       el('button', {
         className: 'gpm-qp-footer-btn',
         type: 'button',
         title: t('backup'),
         innerHTML: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" y1="15" x2="12" y2="3"/></svg>',
-        onClick: onBackup
+        onClick: () => onBackup({ encrypt: false })
+      }),
+      el('button', {
+        className: 'gpm-qp-footer-btn',
+        type: 'button',
+        title: t('encryptedBackup'),
+        innerHTML: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="4" y="11" width="16" height="10" rx="2"/><path d="M8 11V7a4 4 0 0 1 8 0v4"/></svg>',
+        onClick: () => onBackup({ encrypt: true })
       }),
       el('button', {
         className: 'gpm-qp-footer-btn',
@@ -680,8 +688,766 @@ const GPMUI = (() => {
   // ══════════════════════════════════════
   //  SETTINGS MODAL
   // ══════════════════════════════════════
-  function createSettingsModal(shadowRoot, { settings, backupInfo, onSave, onCancel, onExport, onImport, onClear, onRestoreBackup }) {
+  function snapshotReasonLabel(reason) {
+    if (reason === 'pre-restore') return t('snapshotPreRestore');
+    if (reason === 'repair') return t('snapshotRepair');
+    if (reason === 'pre-import') return t('snapshotPreImport');
+    if (reason === 'sync') return t('snapshotSync');
+    if (reason === 'legacy') return t('backup');
+    return t('snapshotAuto');
+  }
+
+  // "+2 −1 projects, 3 changed · +4 −0 chats, 1 moved" relative to the current data
+  function formatSnapshotDiff(diff) {
+    const { projectsAdded, projectsRemoved, projectsChanged, chatsAdded, chatsRemoved, chatsMoved } = diff;
+    if (!projectsAdded && !projectsRemoved && !projectsChanged && !chatsAdded && !chatsRemoved && !chatsMoved) {
+      return t('snapshotSameAsCurrent');
+    }
+    const projectPart = `+${projectsAdded} −${projectsRemoved} ${t('projects').toLowerCase()}, ${projectsChanged} ${t('changed')}`;
+    const chatPart = `+${chatsAdded} −${chatsRemoved} ${t('chats')}, ${chatsMoved} ${t('moved')}`;
+    return `${t('snapshotVsCurrent')}: ${projectPart} · ${chatPart}`;
+  }
+
+  function syncStatusLabel(status) {
+    if (status.state === 'syncing') return t('syncStatusSyncing');
+    if (status.state === 'error') {
+      return `${t('syncStatusError')}: ${status.error === 'quota' ? t('syncQuotaExceeded') : status.error}`;
+    }
+    if (status.state === 'ok') {
+      const usage = status.quota ? ` · ${(status.bytes / 1024).toFixed(1)} / ${Math.round(status.quota / 1024)} KB` : '';
+      return `${t('syncStatusOk')}: ${new Date(status.lastSync).toLocaleString()}${usage}`;
+    }
+    return t('syncStatusOff');
+  }
+
+  function autoBackupStatusLabel(status) {
+    if (status.error && status.lastAttempt > (status.lastBackup || 0)) {
+      return `${t('autoBackupFailed')}: ${status.error}`;
+    }
+    if (status.lastBackup) return `${t('lastBackup')}: ${new Date(status.lastBackup).toLocaleString()}`;
+    return t('autoBackupNever');
+  }
+
+  function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+  }
+
+  const USAGE_LABELS = {
+    projects: 'projects',
+    chatMap: 'storageChatMap',
+    quickPrompts: 'quickPrompts',
+    backups: 'backupHistory',
+    trash: 'trash',
+    other: 'storageOther'
+  };
+
+  // Settings section for GPMStorage.getStorageUsage()
+  function createStorageUsage(usage) {
+    const ratio = usage.quota ? Math.min(1, usage.total / usage.quota) : 0;
+    const rows = Object.entries(usage.groups).map(([group, bytes]) =>
+      el('div', { className: 'gpm-usage-row' }, [
+        el('span', { textContent: t(USAGE_LABELS[group] || group) }),
+        el('span', { className: 'gpm-usage-value', textContent: formatBytes(bytes) })
+      ]));
+
+    const children = [
+      el('div', { className: 'gpm-settings-section-title', textContent: t('storageUsed') }),
+      el('div', { className: 'gpm-usage-summary', textContent: `${formatBytes(usage.total)} / ${formatBytes(usage.quota)} (${Math.round(ratio * 100)}%)` }),
+      el('div', { className: 'gpm-usage-bar' }, [
+        el('div', { className: `gpm-usage-fill${usage.nearLimit ? ' gpm-usage-warn' : ''}`, style: { width: `${ratio * 100}%` } })
+      ])
+    ];
+    if (usage.nearLimit) {
+      children.push(el('div', { className: 'gpm-settings-hint gpm-usage-warn-text', textContent: t('storageNearlyFull') }));
+    }
+    children.push(...rows);
+
+    if (usage.largestProjects.length > 0) {
+      children.push(el('div', { className: 'gpm-settings-hint', textContent: t('largestProjects'), style: { marginTop: '8px' } }));
+      usage.largestProjects.forEach(p => {
+        children.push(el('div', { className: 'gpm-usage-row' }, [
+          el('span', { textContent: `${p.icon} ${p.name}` }),
+          el('span', { className: 'gpm-usage-value', textContent: formatBytes(p.bytes) })
+        ]));
+      });
+    }
+    return el('div', { className: 'gpm-settings-section' }, children);
+  }
+
+  // ══════════════════════════════════════
+  //  SUGGESTIONS MODAL (bulk triage)
+  // ══════════════════════════════════════
+  // `suggestions`: GPMClassifier.suggestUnfiled() results. Every row starts checked with the
+  // suggested project; `onAccept` gets [{ chatId, projectId, alias }] for the checked ones.
+  function createSuggestionsModal(shadowRoot, { suggestions, projects = [], onAccept, onCancel }) {
+    const overlay = el('div', { className: 'gpm-overlay' });
+    const options = folderOptions(projects);
+    const rows = suggestions.map(s => ({ ...s, checked: true }));
+
+    const acceptBtn = el('button', { className: 'gpm-btn gpm-btn-primary', type: 'button' });
+    const updateCount = () => {
+      const n = rows.filter(r => r.checked).length;
+      acceptBtn.textContent = `${t('fileSelected')} (${n})`;
+      acceptBtn.disabled = n === 0;
+    };
+
+    const boxes = [];
+    const list = el('div', { className: 'gpm-suggestion-list' }, rows.map(row => {
+      const box = el('input', { type: 'checkbox' });
+      box.checked = true;
+      box.addEventListener('change', () => { row.checked = box.checked; updateCount(); });
+      boxes.push(box);
+
+      const select = el('select', { className: 'gpm-select' }, options.map(o => el('option', { value: o.value, textContent: o.label })));
+      select.value = row.projectId;
+      select.addEventListener('change', () => { row.projectId = select.value; });
+
+      return el('label', { className: 'gpm-suggestion-row' }, [
+        box,
+        el('div', { className: 'gpm-snapshot-text' }, [
+          el('div', { className: 'gpm-snapshot-title', textContent: row.title }),
+          el('div', { className: 'gpm-snapshot-meta', textContent: `${Math.round(row.confidence * 100)}%` })
+        ]),
+        select
+      ]);
+    }));
+
+    const selectAll = el('input', { type: 'checkbox' });
+    selectAll.checked = true;
+    selectAll.addEventListener('change', () => {
+      rows.forEach((row, i) => { row.checked = selectAll.checked; boxes[i].checked = selectAll.checked; });
+      updateCount();
+    });
+
+    acceptBtn.addEventListener('click', () => {
+      overlay.remove();
+      onAccept(rows.filter(r => r.checked).map(r => ({ chatId: r.chatId, projectId: r.projectId, alias: r.title })));
+    });
+    updateCount();
+
+    const modal = el('div', { className: 'gpm-modal gpm-modal-wide' }, [
+      el('div', { className: 'gpm-modal-title', textContent: t('suggestedProjects') }),
+      el('div', { className: 'gpm-settings-hint', textContent: t('suggestionsHint') }),
+      el('label', { className: 'gpm-settings-row' }, [el('span', { textContent: t('selectAll') }), selectAll]),
+      list,
+      el('div', { className: 'gpm-btn-row' }, [
+        el('button', {
+          className: 'gpm-btn gpm-btn-ghost', textContent: t('cancel'), type: 'button',
+          onClick: () => { overlay.remove(); onCancel?.(); }
+        }),
+        acceptBtn
+      ])
+    ]);
+
+    overlay.appendChild(modal);
+    overlay.addEventListener('click', (e) => { if (e.target === overlay) { overlay.remove(); onCancel?.(); } });
+    shadowRoot.appendChild(overlay);
+    return overlay;
+  }
+
+  // ══════════════════════════════════════
+  //  TRIAGE
+  // ══════════════════════════════════════
+  const TRIAGE_NUMBERED = 9;
+
+  /**
+   * Steps through `chats` ([{ chatId, title, suggestion? }]) one at a time, driven by the keyboard:
+   * 1–9 file into the numbered project, Enter takes the suggestion, S skips, N files into a
+   * new project, R renames the chat before filing, Esc closes.
+   * `onAssign(chatId, projectId, alias)` and `onCreateProject(name)` (resolves to the project)
+   * do the writing; `onClose(filedCount)` runs however the modal is closed.
+   */
+  function createTriageModal(shadowRoot, { chats, projects = [], onAssign, onCreateProject, onClose }) {
+    const overlay = el('div', { className: 'gpm-overlay' });
+    // Alphabetical by path, so a project keeps its number between sessions
+    const folders = folderOptions(projects).sort((a, b) => a.label.localeCompare(b.label));
+    let index = 0;
+    let filed = 0;
+    let alias = '';
+    let mode = null;   // 'rename' | 'create' while the text field is open
+    let busy = false;
+
+    const progress = el('span', { className: 'gpm-triage-progress' });
+    const title = el('div', { className: 'gpm-triage-title' });
+    const field = el('input', { className: 'gpm-input', type: 'text', style: { display: 'none' } });
+    const suggestionRow = el('div', { className: 'gpm-triage-option gpm-triage-suggestion' });
+    const list = el('div', { className: 'gpm-triage-list' });
+    const body = el('div', {}, [title, field, suggestionRow, list]);
+    const done = el('div', { className: 'gpm-settings-hint', textContent: t('triageDone'), style: { display: 'none' } });
+    const show = (elem, visible) => { elem.style.display = visible ? '' : 'none'; };
+
+    const close = () => {
+      overlay.remove();
+      onClose?.(filed);
+    };
+
+    const option = (key, label, projectId) => {
+      const row = el('div', { className: 'gpm-triage-option' }, [
+        el('span', { className: 'gpm-triage-key', textContent: key }),
+        el('span', { textContent: label })
+      ]);
+      row.addEventListener('click', () => assign(projectId));
+      return row;
+    };
+
+    const render = () => {
+      const chat = chats[index];
+      if (!chat) {
+        progress.textContent = '';
+        show(body, false);
+        show(done, true);
+        return;
+      }
+      progress.textContent = `${index + 1} / ${chats.length}`;
+      title.textContent = alias || chat.title;
+      const suggested = chat.suggestion && folders.find(f => f.value === chat.suggestion.projectId);
+      suggestionRow.replaceChildren(...(suggested ? [
+        el('span', { className: 'gpm-triage-key', textContent: '⏎' }),
+        el('span', { textContent: `✨ ${t('suggested')}: ${suggested.label}` })
+      ] : []));
+      show(suggestionRow, !!suggested);
+      suggestionRow.onclick = suggested ? () => assign(suggested.value) : null;
+      list.replaceChildren(...folders.map((f, i) => option(i < TRIAGE_NUMBERED ? String(i + 1) : '', f.label, f.value)));
+    };
+
+    const next = () => {
+      index++;
+      alias = '';
+      render();
+      modal.focus();
+    };
+
+    async function assign(projectId) {
+      const chat = chats[index];
+      if (!chat || !projectId || busy) return;
+      busy = true;
+      try {
+        await onAssign(chat.chatId, projectId, alias || chat.title);
+        filed++;
+        next();
+      } catch (e) {
+        // Already reported through GPMStorage.onWriteError; the chat stays up to retry
+        console.warn('[GPM] Triage filing failed:', e);
+      } finally {
+        busy = false;
+      }
+    }
+
+    const openField = (kind) => {
+      mode = kind;
+      field.placeholder = t(kind === 'rename' ? 'chatAlias' : 'projectName');
+      field.value = kind === 'rename' ? (alias || chats[index].title) : '';
+      show(field, true);
+      field.focus();
+      field.select();
+    };
+
+    const closeField = () => {
+      mode = null;
+      show(field, false);
+      modal.focus();
+    };
+
+    field.addEventListener('keydown', async (e) => {
+      e.stopPropagation();
+      if (e.key === 'Escape') return closeField();
+      if (e.key !== 'Enter') return;
+      const value = field.value.trim();
+      if (!value) return;
+      const kind = mode;
+      closeField();
+      if (kind === 'rename') {
+        alias = value;
+        render();
+      } else {
+        const project = await onCreateProject(value).catch(e => console.warn('[GPM] Could not create project:', e));
+        if (!project) return;
+        folders.push({ value: project.id, label: `${project.icon} ${project.name}` });
+        await assign(project.id);
+      }
+    });
+
+    const modal = el('div', { className: 'gpm-modal gpm-modal-wide gpm-triage', tabIndex: -1 }, [
+      el('div', { className: 'gpm-modal-title gpm-triage-header' }, [
+        el('span', { textContent: `${t('uncategorized')} · ${t('triage')}` }),
+        progress
+      ]),
+      body,
+      done,
+      el('div', { className: 'gpm-settings-hint', textContent: t('triageHint') }),
+      el('div', { className: 'gpm-btn-row' }, [
+        el('button', { className: 'gpm-btn gpm-btn-ghost', textContent: t('skip'), type: 'button', onClick: () => chats[index] && next() }),
+        el('button', { className: 'gpm-btn gpm-btn-primary', textContent: t('close'), type: 'button', onClick: close })
+      ])
+    ]);
+
+    // Keys stay inside the modal, so nothing reaches Gemini's prompt box
+    modal.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      if (e.ctrlKey || e.metaKey || e.altKey) return;
+      if (e.key === 'Escape') return close();
+      const chat = chats[index];
+      if (!chat || e.target !== modal) return;
+      const key = e.key.toLowerCase();
+      if (/^[1-9]$/.test(key)) assign(folders[Number(key) - 1]?.value);
+      else if (key === 'enter' && chat.suggestion) assign(chat.suggestion.projectId);
+      else if (key === 's') next();
+      else if (key === 'n') openField('create');
+      else if (key === 'r') openField('rename');
+      else return;
+      e.preventDefault();
+    });
+
+    overlay.appendChild(modal);
+    overlay.addEventListener('click', (e) => { if (e.target === overlay) close(); });
+    shadowRoot.appendChild(overlay);
+    render();
+    modal.focus();
+    return overlay;
+  }
+
+  // ══════════════════════════════════════
+  //  PROJECT CONTEXT
+  // ══════════════════════════════════════
+  // Read-only blocks for contexts a project inherits, outermost parent first
+  function contextBlocks(parts) {
+    return parts.map(part => el('div', { className: 'gpm-context-block' }, [
+      el('div', { className: 'gpm-label', textContent: `${t('inheritedFrom')}: ${part.name}` }),
+      el('div', { className: 'gpm-context-text', textContent: part.context })
+    ]));
+  }
+
+  // `inherited`: GPMStorage.getProjectContext() of the parent project
+  function createProjectContextModal(shadowRoot, { project, inherited = [], onSave, onCancel }) {
+    const overlay = el('div', { className: 'gpm-overlay' });
+    const input = el('textarea', { className: 'gpm-textarea', rows: 8, placeholder: t('projectContextPlaceholder') });
+    input.value = project.context || '';
+
+    const cancel = () => { overlay.remove(); onCancel?.(); };
+    const modal = el('div', { className: 'gpm-modal gpm-modal-wide' }, [
+      el('div', { className: 'gpm-modal-title', textContent: `${project.icon} ${project.name} · ${t('projectContext')}` }),
+      el('div', { className: 'gpm-settings-hint', textContent: t('projectContextHint') }),
+      ...contextBlocks(inherited),
+      input,
+      el('div', { className: 'gpm-btn-row' }, [
+        el('button', { className: 'gpm-btn gpm-btn-ghost', textContent: t('cancel'), type: 'button', onClick: cancel }),
+        el('button', {
+          className: 'gpm-btn gpm-btn-primary', textContent: t('save'), type: 'button',
+          onClick: () => { overlay.remove(); onSave(input.value.trim()); }
+        })
+      ])
+    ]);
+
+    overlay.appendChild(modal);
+    overlay.addEventListener('click', (e) => { if (e.target === overlay) cancel(); });
+    shadowRoot.appendChild(overlay);
+    input.focus();
+    return overlay;
+  }
+
+  // Shown instead of inserting right away when settings.contextPreview is on. The combined
+  // text can be edited; `onInsert(text)` puts it into the prompt box.
+  function createContextPreviewModal(shadowRoot, { project, text, onInsert, onCancel }) {
+    const overlay = el('div', { className: 'gpm-overlay' });
+    const input = el('textarea', { className: 'gpm-textarea', rows: 10 });
+    input.value = text;
+
+    const cancel = () => { overlay.remove(); onCancel?.(); };
+    const modal = el('div', { className: 'gpm-modal gpm-modal-wide' }, [
+      el('div', { className: 'gpm-modal-title', textContent: `${project.icon} ${project.name} · ${t('projectContext')}` }),
+      input,
+      el('div', { className: 'gpm-btn-row' }, [
+        el('button', { className: 'gpm-btn gpm-btn-ghost', textContent: t('skip'), type: 'button', onClick: cancel }),
+        el('button', {
+          className: 'gpm-btn gpm-btn-primary', textContent: t('insert'), type: 'button',
+          onClick: () => { overlay.remove(); onInsert(input.value.trim()); }
+        })
+      ])
+    ]);
+
+    overlay.appendChild(modal);
+    overlay.addEventListener('click', (e) => { if (e.target === overlay) cancel(); });
+    shadowRoot.appendChild(overlay);
+    return overlay;
+  }
+
+  // ══════════════════════════════════════
+  //  NOTES DRAWER
+  // ══════════════════════════════════════
+  let _closeDrawer = null;   // closes the open drawer; false when the user kept unsaved changes
+
+  /**
+   * Side drawer with a Markdown editor and its live preview. Unlike a modal it leaves the
+   * page usable. `onSave(text)` stores the document; `searchNotes(query)` returns
+   * [{ icon, title, snippet }] across all notes and `onOpenResult(result)` opens one.
+   * Returns null when an open drawer with unsaved changes was kept.
+   */
+  function createNotesDrawer(shadowRoot, { icon, title, notes = '', onSave, searchNotes, onOpenResult }) {
+    if (_closeDrawer && !_closeDrawer()) return null;
+
+    let saved = notes;
+    const editor = el('textarea', { className: 'gpm-textarea gpm-drawer-editor', placeholder: t('notesPlaceholder') });
+    editor.value = notes;
+    const preview = el('div', { className: 'gpm-md gpm-drawer-preview' });
+    const status = el('span', { className: 'gpm-drawer-status' });
+    const saveBtn = el('button', { className: 'gpm-btn gpm-btn-primary', textContent: t('save'), type: 'button' });
+
+    const update = () => {
+      const dirty = editor.value !== saved;
+      saveBtn.disabled = !dirty;
+      if (dirty) status.textContent = '';
+      preview.innerHTML = editor.value.trim()
+        ? GPMMarkdown.render(editor.value)
+        : `<p class="gpm-md-empty">${GPMMarkdown.escapeHtml(t('notesEmpty'))}</p>`;
+    };
+
+    const save = async () => {
+      if (editor.value === saved) return;
+      const text = editor.value;
+      try {
+        await onSave(text);
+      } catch (e) {
+        // Already reported through GPMStorage.onWriteError; the text stays unsaved
+        console.warn('[GPM] Could not save notes:', e);
+        status.textContent = t('saveFailed');
+        return;
+      }
+      saved = text;
+      update();
+      status.textContent = t('saved');
+    };
+
+    const close = () => {
+      if (editor.value !== saved && !confirm(t('discardChanges'))) return false;
+      drawer.remove();
+      _closeDrawer = null;
+      return true;
+    };
+
+    // ── Search across every note ──
+    const search = el('input', { className: 'gpm-input', type: 'text', placeholder: t('searchNotes') });
+    const results = el('div', { className: 'gpm-drawer-results', style: { display: 'none' } });
+    const body = el('div', { className: 'gpm-drawer-body' }, [editor, preview]);
+
+    search.addEventListener('input', () => {
+      const query = search.value.trim();
+      results.style.display = query ? '' : 'none';
+      body.style.display = query ? 'none' : '';
+      if (!query) return;
+      const matches = searchNotes(query);
+      results.replaceChildren(...(matches.length ? matches.map(result => {
+        const row = el('div', { className: 'gpm-drawer-result' }, [
+          el('div', { className: 'gpm-snapshot-title', textContent: `${result.icon} ${result.title}` }),
+          el('div', { className: 'gpm-snapshot-meta', textContent: result.snippet })
+        ]);
+        row.addEventListener('click', () => { if (close()) onOpenResult(result); });
+        return row;
+      }) : [el('div', { className: 'gpm-settings-hint', textContent: t('noMatchingNotes') })]));
+    });
+
+    editor.addEventListener('input', update);
+
+    const drawer = el('div', { className: 'gpm-drawer' }, [
+      el('div', { className: 'gpm-drawer-header' }, [
+        el('span', { className: 'gpm-modal-title', textContent: `${icon} ${title}` }),
+        el('button', { className: 'gpm-btn gpm-btn-ghost', textContent: '✕', type: 'button', title: t('close'), onClick: close })
+      ]),
+      search,
+      results,
+      body,
+      el('div', { className: 'gpm-btn-row' }, [status, saveBtn])
+    ]);
+    saveBtn.addEventListener('click', save);
+
+    // Keys typed here are for the drawer, not for Gemini's page shortcuts
+    drawer.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      if ((e.ctrlKey || e.metaKey) && (e.key.toLowerCase() === 's' || e.key === 'Enter')) {
+        e.preventDefault();
+        save();
+      } else if (e.key === 'Escape') {
+        if (search.value) {
+          search.value = '';
+          search.dispatchEvent(new Event('input'));
+        } else {
+          close();
+        }
+      }
+    });
+
+    _closeDrawer = close;
+    shadowRoot.appendChild(drawer);
+    update();
+    editor.focus();
+    return drawer;
+  }
+
+  // ══════════════════════════════════════
+  //  AUTO-FILING RULES
+  // ══════════════════════════════════════
+  const RULE_SOURCE_LABELS = { title: 'ruleSourceTitle', gem: 'ruleSourceGem', prompt: 'ruleSourcePrompt' };
+  const RULE_MATCH_LABELS = { keywords: 'ruleMatchKeywords', regex: 'ruleMatchRegex' };
+  const RULE_PLACEHOLDERS = { keywords: 'invoice, receipt, tax', regex: '^(invoice|receipt)\\b' };
+  const MAX_RULE_OUTPUT = 50;
+
+  function createFilingRuleModal(shadowRoot, { existing = null, projects = [], onSave, onCancel }) {
+    const rule = existing ? { ...existing } : GPMFiling.createRule();
+    const overlay = el('div', { className: 'gpm-overlay' });
+    const errorLine = el('div', { className: 'gpm-settings-hint gpm-usage-warn-text' });
+
+    const nameInput = el('input', { className: 'gpm-input', type: 'text', placeholder: t('ruleName') });
+    nameInput.value = rule.name;
+
+    const sourceSelect = el('select', { className: 'gpm-select' },
+      GPMFiling.SOURCES.map(source => el('option', { value: source, textContent: t(RULE_SOURCE_LABELS[source]) })));
+    sourceSelect.value = rule.source;
+
+    const patternInput = el('input', { className: 'gpm-input', type: 'text' });
+    patternInput.value = rule.pattern;
+
+    const matchSelect = el('select', { className: 'gpm-select' },
+      GPMFiling.MATCH_TYPES.map(match => el('option', { value: match, textContent: t(RULE_MATCH_LABELS[match]) })));
+    matchSelect.value = rule.match;
+    const updatePlaceholder = () => { patternInput.placeholder = RULE_PLACEHOLDERS[matchSelect.value]; };
+    matchSelect.addEventListener('change', updatePlaceholder);
+    updatePlaceholder();
+
+    const options = folderOptions(projects);
+    const projectSelect = el('select', { className: 'gpm-select' }, options.map(o => el('option', { value: o.value, textContent: o.label })));
+    if (rule.projectId) projectSelect.value = rule.projectId;
+
+    const save = () => {
+      const match = matchSelect.value;
+      const pattern = patternInput.value.trim();
+      if (!GPMFiling.isValidPattern(match, pattern)) { errorLine.textContent = t('rulePatternInvalid'); patternInput.focus(); return; }
+      if (!projectSelect.value) { errorLine.textContent = t('noProjects'); return; }
+      overlay.remove();
+      onSave({ ...rule, name: nameInput.value.trim(), source: sourceSelect.value, match, pattern, projectId: projectSelect.value });
+    };
+    [nameInput, patternInput].forEach(input => input.addEventListener('keydown', (e) => { if (e.key === 'Enter') save(); }));
+
+    const row = (label, control) => el('div', { className: 'gpm-settings-row' }, [el('span', { textContent: label }), control]);
+    const modal = el('div', { className: 'gpm-modal' }, [
+      el('div', { className: 'gpm-modal-title', textContent: existing ? t('editFilingRule') : t('newFilingRule') }),
+      el('div', { className: 'gpm-field' }, [nameInput]),
+      row(t('ruleSource'), sourceSelect),
+      row(t('ruleMatch'), matchSelect),
+      el('div', { className: 'gpm-field' }, [patternInput]),
+      row(t('ruleTarget'), projectSelect),
+      errorLine,
+      el('div', { className: 'gpm-btn-row' }, [
+        el('button', {
+          className: 'gpm-btn gpm-btn-ghost', textContent: t('cancel'), type: 'button',
+          onClick: () => { overlay.remove(); onCancel?.(); }
+        }),
+        el('button', { className: 'gpm-btn gpm-btn-primary', textContent: t('save'), type: 'button', onClick: save })
+      ])
+    ]);
+
+    overlay.appendChild(modal);
+    overlay.addEventListener('click', (e) => { if (e.target === overlay) { overlay.remove(); onCancel?.(); } });
+    shadowRoot.appendChild(overlay);
+    setTimeout(() => patternInput.focus(), 50);
+    return overlay;
+  }
+
+  function describeFilingRule(rule, projects) {
+    const project = projects.find(p => p.id === rule.projectId);
+    return `${t(RULE_SOURCE_LABELS[rule.source])}: ${rule.pattern} → ${project ? `${project.icon} ${project.name}` : '—'}`;
+  }
+
+  // Settings section. Edits `rules` in place — list order is priority. `previewFiling(rules)`
+  // runs the dry run over chats that aren't in a project yet; `log` is GPMStorage.getFilingLog().
+  function createFilingRulesSection(shadowRoot, { rules, projects, log, previewFiling }) {
+    const list = el('div', { className: 'gpm-rule-list' });
+    const output = el('div', { className: 'gpm-rule-output' });
+    const projectLabel = (id) => {
+      const project = projects.find(p => p.id === id);
+      return project ? `${project.icon} ${project.name}` : '—';
+    };
+
+    const editRule = (rule = null) => createFilingRuleModal(shadowRoot, {
+      existing: rule,
+      projects,
+      onSave: (saved) => {
+        if (rule) Object.assign(rule, saved);
+        else rules.push(saved);
+        renderRules();
+      }
+    });
+
+    const ruleButton = (text, title, onClick, visible = true) => el('button', {
+      className: 'gpm-rule-btn', type: 'button', textContent: text, title,
+      style: { visibility: visible ? 'visible' : 'hidden' }, onClick
+    });
+
+    function renderRules() {
+      list.innerHTML = '';
+      output.innerHTML = '';
+      if (rules.length === 0) list.appendChild(el('div', { className: 'gpm-empty', textContent: t('noRulesYet') }));
+      rules.forEach((rule, i) => {
+        const toggle = el('input', { type: 'checkbox', title: t('ruleEnabled') });
+        toggle.checked = rule.enabled !== false;
+        toggle.addEventListener('change', () => { rule.enabled = toggle.checked; renderRules(); });
+        const move = (delta) => { rules.splice(i + delta, 0, ...rules.splice(i, 1)); renderRules(); };
+
+        list.appendChild(el('div', { className: `gpm-rule-row${rule.enabled === false ? ' gpm-rule-disabled' : ''}` }, [
+          toggle,
+          el('div', { className: 'gpm-snapshot-text' }, [
+            el('div', { className: 'gpm-snapshot-title', textContent: rule.name || rule.pattern }),
+            el('div', { className: 'gpm-snapshot-meta', textContent: describeFilingRule(rule, projects) })
+          ]),
+          ruleButton('↑', t('moveUp'), () => move(-1), i > 0),
+          ruleButton('↓', t('moveDown'), () => move(1), i < rules.length - 1),
+          ruleButton('✏️', t('editFilingRule'), () => editRule(rule)),
+          ruleButton('✕', t('delete'), () => { rules.splice(i, 1); renderRules(); })
+        ]));
+      });
+    }
+
+    // Dry run and log share one output area below the buttons
+    function showOutput(title, lines, emptyText) {
+      output.innerHTML = '';
+      output.appendChild(el('div', { className: 'gpm-settings-hint', textContent: title }));
+      if (lines.length === 0) output.appendChild(el('div', { className: 'gpm-empty', textContent: emptyText }));
+      lines.slice(0, MAX_RULE_OUTPUT).forEach(line => output.appendChild(el('div', { className: 'gpm-rule-output-line', textContent: line })));
+    }
+
+    renderRules();
+    return el('div', { className: 'gpm-settings-section' }, [
+      el('div', { className: 'gpm-settings-section-title', textContent: t('autoFiling') }),
+      el('div', { className: 'gpm-settings-hint', textContent: t('autoFilingHint') }),
+      list,
+      el('div', { className: 'gpm-rule-actions' }, [
+        el('button', { className: 'gpm-btn gpm-btn-ghost', type: 'button', textContent: `+ ${t('addRule')}`, onClick: () => editRule() }),
+        el('button', {
+          className: 'gpm-btn gpm-btn-ghost', type: 'button', textContent: t('filingDryRun'),
+          onClick: () => {
+            const results = previewFiling ? previewFiling(rules) : [];
+            showOutput(`${t('filingDryRun')}: ${results.length} ${t('chats')}`,
+              results.map(r => `${r.title} → ${projectLabel(r.rule.projectId)} (${r.rule.name || r.rule.pattern})`),
+              t('filingPreviewEmpty'));
+          }
+        }),
+        el('button', {
+          className: 'gpm-btn gpm-btn-ghost', type: 'button', textContent: t('filingLog'),
+          onClick: () => showOutput(t('filingLog'),
+            log.map(entry => `${new Date(entry.ts).toLocaleString()} · ${entry.title || entry.chatId} → ${projectLabel(entry.projectId)} (${entry.ruleName || '—'})`),
+            t('filingLogEmpty'))
+        })
+      ]),
+      output
+    ]);
+  }
+
+  // ══════════════════════════════════════
+  //  KEYBOARD SHORTCUTS
+  // ══════════════════════════════════════
+  const SHORTCUT_LABELS = {
+    commandPalette: 'shortcutCommandPalette', toggleQuickPrompts: 'shortcutToggleQuickPrompts',
+    newProject: 'shortcutNewProject', assignChat: 'shortcutAssignChat', pinChat: 'shortcutPinChat',
+    nextChat: 'shortcutNextChat', previousChat: 'shortcutPreviousChat', toggleProjects: 'shortcutToggleProjects'
+  };
+
+  function describeShortcutOwner({ owner, action }) {
+    if (owner === 'gemini') return 'Gemini';
+    if (owner === 'browser') return t('yourBrowser');
+    return owner === 'chrome' ? `Chrome: ${t(SHORTCUT_LABELS[action])}` : t(SHORTCUT_LABELS[action]);
+  }
+
+  // Settings section. Edits `bindings` (as GPMShortcuts.resolve() returns them) in place: click a
+  // key to record a new combination. `chromeCommands` (chrome.commands.getAll()) are only listed —
+  // Chrome binds those itself, on the page `onOpenChromeShortcuts` opens.
+  function createShortcutsSection({ bindings, chromeCommands = [], onOpenChromeShortcuts }) {
+    const list = el('div', { className: 'gpm-rule-list' });
+
+    function renderBindings() {
+      const conflicts = GPMShortcuts.findConflicts(bindings, chromeCommands);
+      list.replaceChildren(...GPMShortcuts.ACTIONS.map(action => {
+        const label = () => GPMShortcuts.format(bindings[action]) || t('notSet');
+        const key = el('button', { className: 'gpm-shortcut-key', type: 'button', textContent: label() });
+        const note = el('div', {
+          className: 'gpm-snapshot-meta gpm-usage-warn-text',
+          textContent: conflicts[action] ? `⚠ ${t('alsoUsedBy')}: ${conflicts[action].map(describeShortcutOwner).join(', ')}` : ''
+        });
+
+        key.addEventListener('click', () => {
+          key.classList.add('gpm-shortcut-recording');
+          key.textContent = t('pressKeys');
+        });
+        key.addEventListener('blur', () => {
+          key.classList.remove('gpm-shortcut-recording');
+          key.textContent = label();
+        });
+        key.addEventListener('keydown', (e) => {
+          if (!key.classList.contains('gpm-shortcut-recording')) return;
+          e.preventDefault();
+          e.stopPropagation();
+          const bare = !(e.ctrlKey || e.metaKey || e.altKey || e.shiftKey);
+          if (bare && e.key === 'Escape') return key.blur();
+          if (bare && (e.key === 'Backspace' || e.key === 'Delete')) {
+            bindings[action] = '';
+            return renderBindings();
+          }
+          const combo = GPMShortcuts.comboFromEvent(e);
+          if (!combo) return; // a modifier on its own — wait for the key
+          if (!GPMShortcuts.isValidCombo(combo)) {
+            note.textContent = t('shortcutNeedsModifier');
+            return;
+          }
+          bindings[action] = combo;
+          renderBindings();
+        });
+
+        return el('div', { className: 'gpm-rule-row' }, [
+          el('div', { className: 'gpm-snapshot-text' }, [
+            el('div', { className: 'gpm-snapshot-title', textContent: t(SHORTCUT_LABELS[action]) }),
+            note
+          ]),
+          key
+        ]);
+      }));
+    }
+
+    const commandRows = chromeCommands
+      .filter(command => GPMShortcuts.actionForCommand(command.name))
+      .map(command => el('div', { className: 'gpm-settings-row' }, [
+        el('span', { textContent: t(SHORTCUT_LABELS[GPMShortcuts.actionForCommand(command.name)]) }),
+        el('span', { className: 'gpm-settings-hint', textContent: GPMShortcuts.format(GPMShortcuts.fromChromeShortcut(command.shortcut)) || t('notSet') })
+      ]));
+
+    renderBindings();
+    return el('div', { className: 'gpm-settings-section' }, [
+      el('div', { className: 'gpm-settings-section-title', textContent: t('keyboardShortcuts') }),
+      el('div', { className: 'gpm-settings-hint', textContent: t('shortcutsHint') }),
+      list,
+      el('div', { className: 'gpm-rule-actions' }, [
+        el('button', {
+          className: 'gpm-btn gpm-btn-ghost', type: 'button', textContent: t('resetShortcuts'),
+          onClick: () => { Object.assign(bindings, GPMShortcuts.DEFAULTS); renderBindings(); }
+        })
+      ]),
+      commandRows.length > 0 && el('div', { className: 'gpm-settings-section-title', textContent: t('chromeShortcuts') }),
+      commandRows.length > 0 && el('div', { className: 'gpm-settings-hint', textContent: t('chromeShortcutsHint') }),
+      ...commandRows,
+      commandRows.length > 0 && el('div', { className: 'gpm-rule-actions' }, [
+        el('button', { className: 'gpm-btn gpm-btn-ghost', type: 'button', textContent: t('changeInChrome'), onClick: onOpenChromeShortcuts })
+      ])
+    ]);
+  }
+
+  function createSettingsModal(shadowRoot, { settings, snapshots = [], syncStatus = { state: 'off' }, backupStatus = {}, storageUsage = null, projects = [], filingLog = [], chromeCommands = [], previewFiling, onSave, onCancel, onExport, onImport, onClear, onRestoreSnapshot, onCheckIntegrity, onSyncNow, onBackupNow, onOpenChromeShortcuts }) {
     let lang = settings.lang || 'en';
+    let syncEnabled = !!settings.syncEnabled;
+    let autoBackup = settings.autoBackup || 'off';
+    let chatSort = settings.chatSort || 'manual';
+    let contextPreview = !!settings.contextPreview;
+    let trashRetentionDays = settings.trashRetentionDays ?? 30;
+    const filingRules = structuredClone(settings.filingRules || []);
+    const shortcuts = GPMShortcuts.resolve(settings.shortcuts);
+    let encryptExport = false;
     const overlay = el('div', { className: 'gpm-overlay' });
 
     const langSelect = el('select', { className: 'gpm-select' }, [
@@ -699,8 +1465,57 @@ const GPMUI = (() => {
     langSelect.value = lang;
     langSelect.addEventListener('change', () => { lang = langSelect.value; });
 
+    const chatSortSelect = el('select', { className: 'gpm-select' }, [
+      el('option', { value: 'manual', textContent: t('sortManual') }),
+      el('option', { value: 'lastOpened', textContent: t('sortLastOpened') }),
+      el('option', { value: 'assignedAt', textContent: t('sortAssigned') }),
+      el('option', { value: 'title', textContent: t('sortTitle') })
+    ]);
+    chatSortSelect.value = chatSort;
+    chatSortSelect.addEventListener('change', () => { chatSort = chatSortSelect.value; });
+
+    const contextPreviewToggle = el('input', { type: 'checkbox' });
+    contextPreviewToggle.checked = contextPreview;
+    contextPreviewToggle.addEventListener('change', () => { contextPreview = contextPreviewToggle.checked; });
+
+    const syncToggle = el('input', { type: 'checkbox' });
+    syncToggle.checked = syncEnabled;
+    syncToggle.addEventListener('change', () => { syncEnabled = syncToggle.checked; });
+
+    const autoBackupSelect = el('select', { className: 'gpm-select' }, [
+      el('option', { value: 'off', textContent: t('autoBackupOff') }),
+      el('option', { value: 'daily', textContent: t('autoBackupDaily') }),
+      el('option', { value: 'weekly', textContent: t('autoBackupWeekly') })
+    ]);
+    autoBackupSelect.value = autoBackup;
+    autoBackupSelect.addEventListener('change', () => { autoBackup = autoBackupSelect.value; });
+
+    const retentionSelect = el('select', { className: 'gpm-select' }, [
+      el('option', { value: '7', textContent: t('retention7Days') }),
+      el('option', { value: '30', textContent: t('retention30Days') }),
+      el('option', { value: '90', textContent: t('retention90Days') }),
+      el('option', { value: '0', textContent: t('retentionForever') })
+    ]);
+    retentionSelect.value = String(trashRetentionDays);
+    retentionSelect.addEventListener('change', () => { trashRetentionDays = Number(retentionSelect.value); });
+
+    const encryptToggle = el('input', { type: 'checkbox' });
+    encryptToggle.addEventListener('change', () => { encryptExport = encryptToggle.checked; });
+
+    // Only the JSON backup can be encrypted — the other formats are meant for other apps
+    const formatSelect = el('select', { className: 'gpm-select' }, [
+      el('option', { value: 'json', textContent: t('formatJson') }),
+      el('option', { value: 'markdown', textContent: 'Markdown' }),
+      el('option', { value: 'opml', textContent: 'OPML' }),
+      el('option', { value: 'csv', textContent: 'CSV' }),
+      el('option', { value: 'bookmarks', textContent: t('formatBookmarks') })
+    ]);
+    formatSelect.addEventListener('change', () => {
+      encryptToggle.disabled = formatSelect.value !== 'json';
+    });
+
     // Hidden file input for import
-    const fileInput = el('input', { type: 'file', accept: '.json', style: { display: 'none' } });
+    const fileInput = el('input', { type: 'file', accept: '.json,.opml,.xml,.html,.htm', style: { display: 'none' } });
     fileInput.addEventListener('change', (e) => {
       const file = e.target.files[0];
       if (!file) return;
@@ -709,13 +1524,26 @@ const GPMUI = (() => {
       reader.readAsText(file);
     });
 
-    // Build backup info text
-    let backupLabel = t('noBackupAvailable');
-    if (backupInfo) {
-      const date = new Date(backupInfo.timestamp);
-      const timeStr = date.toLocaleString();
-      backupLabel = `${t('restoreBackup')} (${timeStr} — ${backupInfo.projectCount} ${t('projects').toLowerCase()}, ${backupInfo.chatCount} chats)`;
+    // Snapshot history list
+    const snapshotList = el('div', { className: 'gpm-snapshot-list' });
+    if (snapshots.length === 0) {
+      snapshotList.appendChild(el('div', { className: 'gpm-empty', textContent: t('noBackupAvailable') }));
     }
+    snapshots.forEach(snap => {
+      snapshotList.appendChild(el('div', { className: 'gpm-snapshot-row' }, [
+        el('div', { className: 'gpm-snapshot-text' }, [
+          el('div', { className: 'gpm-snapshot-title', textContent: `${snap.timestamp ? new Date(snap.timestamp).toLocaleString() : '—'} · ${snapshotReasonLabel(snap.reason)}` }),
+          el('div', { className: 'gpm-snapshot-meta', textContent: `${snap.projectCount} ${t('projects').toLowerCase()}, ${snap.chatCount} ${t('chats')}` }),
+          el('div', { className: 'gpm-snapshot-meta', textContent: formatSnapshotDiff(snap.diff) })
+        ]),
+        el('button', {
+          className: 'gpm-btn gpm-btn-ghost', textContent: t('restore'), type: 'button',
+          onClick: () => {
+            if (confirm(t('restoreConfirm'))) { onRestoreSnapshot?.(snap.id); overlay.remove(); }
+          }
+        })
+      ]));
+    });
 
     const modal = el('div', { className: 'gpm-modal' }, [
       el('div', { className: 'gpm-modal-title', textContent: t('settings') }),
@@ -725,16 +1553,75 @@ const GPMUI = (() => {
         el('div', { className: 'gpm-settings-row' }, [
           el('span', { textContent: t('language') }),
           langSelect
+        ]),
+        el('div', { className: 'gpm-settings-row' }, [
+          el('span', { textContent: t('sortChats') }),
+          chatSortSelect
+        ]),
+        el('label', { className: 'gpm-settings-row' }, [
+          el('span', { textContent: t('contextPreview') }),
+          contextPreviewToggle
+        ])
+      ]),
+
+      createFilingRulesSection(shadowRoot, { rules: filingRules, projects, log: filingLog, previewFiling }),
+
+      createShortcutsSection({ bindings: shortcuts, chromeCommands, onOpenChromeShortcuts }),
+
+      el('div', { className: 'gpm-settings-section' }, [
+        el('div', { className: 'gpm-settings-section-title', textContent: t('sync') }),
+        el('label', { className: 'gpm-settings-row' }, [
+          el('span', { textContent: t('syncEnabled') }),
+          syncToggle
+        ]),
+        el('div', { className: 'gpm-settings-hint', textContent: t('syncHint') }),
+        el('div', { className: 'gpm-settings-row' }, [
+          el('span', { className: 'gpm-settings-hint', textContent: syncStatusLabel(syncStatus) }),
+          el('button', {
+            className: 'gpm-btn gpm-btn-ghost', textContent: t('syncNow'), type: 'button',
+            onClick: () => { overlay.remove(); onSyncNow?.(); }
+          })
+        ])
+      ]),
+
+      el('div', { className: 'gpm-settings-section' }, [
+        el('div', { className: 'gpm-settings-section-title', textContent: t('autoBackup') }),
+        el('div', { className: 'gpm-settings-row' }, [
+          el('span', { textContent: t('autoBackupFrequency') }),
+          autoBackupSelect
+        ]),
+        el('div', { className: 'gpm-settings-hint', textContent: t('autoBackupHint') }),
+        el('div', { className: 'gpm-settings-row' }, [
+          el('span', { className: 'gpm-settings-hint', textContent: autoBackupStatusLabel(backupStatus) }),
+          el('button', {
+            className: 'gpm-btn gpm-btn-ghost', textContent: t('backupNow'), type: 'button',
+            onClick: () => { overlay.remove(); onBackupNow?.(); }
+          })
         ])
       ]),
 
       el('div', { className: 'gpm-settings-section' }, [
         el('div', { className: 'gpm-settings-section-title', textContent: t('data') }),
+        el('div', { className: 'gpm-settings-row' }, [
+          el('span', { textContent: t('trashRetention') }),
+          retentionSelect
+        ]),
         el('div', { style: { display: 'flex', flexDirection: 'column', gap: '8px' } }, [
+          el('div', { className: 'gpm-settings-row', style: { padding: '0' } }, [
+            el('span', { textContent: t('exportFormat') }),
+            formatSelect
+          ]),
+          el('label', { className: 'gpm-settings-row', style: { padding: '0' } }, [
+            el('span', { textContent: t('encryptWithPassphrase') }),
+            encryptToggle
+          ]),
           el('button', {
             className: 'gpm-btn gpm-btn-ghost', textContent: t('exportData'), type: 'button',
             style: { justifyContent: 'flex-start' },
-            onClick: () => { onExport(); }
+            onClick: () => {
+              const format = formatSelect.value;
+              onExport({ format, encrypt: format === 'json' && encryptExport });
+            }
           }),
           el('button', {
             className: 'gpm-btn gpm-btn-ghost', textContent: t('importData'), type: 'button',
@@ -743,12 +1630,9 @@ const GPMUI = (() => {
           }),
           fileInput,
           el('button', {
-            className: 'gpm-btn gpm-btn-ghost', textContent: backupLabel, type: 'button',
-            style: { justifyContent: 'flex-start', opacity: backupInfo ? '1' : '0.5' },
-            onClick: () => {
-              if (!backupInfo) { alert(t('noBackupAvailable')); return; }
-              if (confirm(t('restoreConfirm'))) { onRestoreBackup?.(); overlay.remove(); }
-            }
+            className: 'gpm-btn gpm-btn-ghost', textContent: t('checkIntegrity'), type: 'button',
+            style: { justifyContent: 'flex-start' },
+            onClick: () => { overlay.remove(); onCheckIntegrity?.(); }
           }),
           el('button', {
             className: 'gpm-btn gpm-btn-danger', textContent: t('clearData'), type: 'button',
@@ -760,6 +1644,13 @@ const GPMUI = (() => {
         ])
       ]),
 
+      el('div', { className: 'gpm-settings-section' }, [
+        el('div', { className: 'gpm-settings-section-title', textContent: t('backupHistory') }),
+        snapshotList
+      ]),
+
+      storageUsage && createStorageUsage(storageUsage),
+
       el('div', { className: 'gpm-btn-row' }, [
         el('button', {
           className: 'gpm-btn gpm-btn-ghost', textContent: t('cancel'), type: 'button',
@@ -767,7 +1658,7 @@ const GPMUI = (() => {
         }),
         el('button', {
           className: 'gpm-btn gpm-btn-primary', textContent: t('save'), type: 'button',
-          onClick: () => { overlay.remove(); onSave({ lang }); }
+          onClick: () => { overlay.remove(); onSave({ lang, chatSort, contextPreview, syncEnabled, autoBackup, trashRetentionDays, filingRules, shortcuts }); }
         })
       ])
     ]);
@@ -778,6 +1669,191 @@ const GPMUI = (() => {
     return overlay;
   }
 
+  // ══════════════════════════════════════
+  //  INTEGRITY REPORT MODAL
+  // ══════════════════════════════════════
+  const ISSUE_LABELS = {
+    orphanedChild: 'issueOrphanedChild',
+    childMismatch: 'issueChildMismatch',
+    cycle: 'issueCycle',
+    duplicateChat: 'issueDuplicateChat',
+    danglingChat: 'issueDanglingChat',
+    missingProject: 'issueMissingProject',
+    unlistedChat: 'issueUnlistedChat'
+  };
+
+  function createIntegrityModal(shadowRoot, { issues, onRepair, onClose }) {
+    const overlay = el('div', { className: 'gpm-overlay' });
+    const close = () => { overlay.remove(); onClose?.(); };
+
+    const list = el('div', { className: 'gpm-issue-list' });
+    if (issues.length === 0) {
+      list.appendChild(el('div', { className: 'gpm-empty', textContent: t('integrityOk') }));
+    }
+    issues.forEach(issue => {
+      list.appendChild(el('div', { className: 'gpm-issue-row' }, [
+        el('div', { className: 'gpm-snapshot-title', textContent: t(ISSUE_LABELS[issue.type] || issue.type) }),
+        el('div', { className: 'gpm-snapshot-meta', textContent: issue.detail || '' })
+      ]));
+    });
+
+    const buttons = [
+      el('button', { className: 'gpm-btn gpm-btn-ghost', textContent: t('close'), type: 'button', onClick: close })
+    ];
+    if (issues.length > 0) {
+      buttons.push(el('button', {
+        className: 'gpm-btn gpm-btn-primary', textContent: t('repairData'), type: 'button',
+        onClick: () => {
+          if (confirm(t('repairConfirm'))) { overlay.remove(); onRepair(); }
+        }
+      }));
+    }
+
+    const modal = el('div', { className: 'gpm-modal', style: { width: '440px' } }, [
+      el('div', { className: 'gpm-modal-title', textContent: t('integrityReport') }),
+      list,
+      el('div', { className: 'gpm-btn-row' }, buttons)
+    ]);
+
+    overlay.appendChild(modal);
+    overlay.addEventListener('click', (e) => { if (e.target === overlay) close(); });
+    shadowRoot.appendChild(overlay);
+    return overlay;
+  }
+
+  // ══════════════════════════════════════
+  //  IMPORT PREVIEW MODAL
+  // ══════════════════════════════════════
+  const IMPORT_SECTIONS = [
+    { name: 'projects', label: () => t('projects') },
+    { name: 'chatMap', label: () => t('chats') },
+    { name: 'tags', label: () => t('tags') },
+    { name: 'quickPrompts', label: () => t('quickPrompts') }
+  ];
+
+  function describeImportItem(section, id, item, projectNames) {
+    if (section === 'projects') {
+      const parent = item.parentId ? ` (${projectNames[item.parentId] || '?'})` : '';
+      return `${item.icon || '📁'} ${item.name}${parent}`;
+    }
+    if (section === 'chatMap') {
+      return `${item.pinned ? '📌 ' : ''}${item.alias || id} → ${projectNames[item.projectId] || '—'}`;
+    }
+    if (section === 'tags') return `🏷️ ${item.name}`;
+    const preview = item.content.length > 40 ? item.content.slice(0, 40) + '…' : item.content;
+    return `${item.title} · ${preview}`;
+  }
+
+  // `plans` holds GPMStorage.planImport() for both modes; with `errors` the modal only
+  // reports why the file was rejected.
+  function createImportModal(shadowRoot, { plans, errors = [], onConfirm, onCancel }) {
+    const overlay = el('div', { className: 'gpm-overlay' });
+    const close = () => { overlay.remove(); onCancel?.(); };
+
+    if (errors.length > 0) {
+      const list = el('div', { className: 'gpm-issue-list' },
+        errors.map(message => el('div', { className: 'gpm-issue-row' }, [
+          el('div', { className: 'gpm-snapshot-meta', textContent: message, style: { whiteSpace: 'normal' } })
+        ])));
+      overlay.appendChild(el('div', { className: 'gpm-modal', style: { width: '480px' } }, [
+        el('div', { className: 'gpm-modal-title', textContent: t('importError') }),
+        el('div', { className: 'gpm-settings-hint', textContent: t('importInvalid') }),
+        list,
+        el('div', { className: 'gpm-btn-row' }, [
+          el('button', { className: 'gpm-btn gpm-btn-ghost', textContent: t('close'), type: 'button', onClick: close })
+        ])
+      ]));
+      overlay.addEventListener('click', (e) => { if (e.target === overlay) close(); });
+      shadowRoot.appendChild(overlay);
+      return overlay;
+    }
+
+    let mode = 'merge';
+    const resolutions = {};
+    const modeHint = el('div', { className: 'gpm-settings-hint' });
+    const body = el('div', { className: 'gpm-import-preview' });
+    const modeButtons = {};
+
+    function conflictSelect(key) {
+      const select = el('select', { className: 'gpm-select' }, [
+        el('option', { value: 'incoming', textContent: t('useFromFile') }),
+        el('option', { value: 'current', textContent: t('keepCurrent') })
+      ]);
+      select.value = resolutions[key] || 'incoming';
+      select.addEventListener('change', () => { resolutions[key] = select.value; });
+      return select;
+    }
+
+    function itemRow(marker, text, control) {
+      return el('div', { className: `gpm-import-row gpm-import-${marker}` }, [
+        el('span', { className: 'gpm-import-marker', textContent: { added: '+', changed: '~', removed: '−' }[marker] }),
+        el('span', { className: 'gpm-import-label', textContent: text, title: text }),
+        control
+      ]);
+    }
+
+    function render() {
+      const plan = plans[mode];
+      Object.entries(modeButtons).forEach(([m, btn]) => {
+        btn.className = `gpm-btn ${m === mode ? 'gpm-btn-primary' : 'gpm-btn-ghost'}`;
+      });
+      modeHint.textContent = mode === 'merge' ? t('importMergeHint') : t('importReplaceHint');
+      body.innerHTML = '';
+
+      let total = 0;
+      for (const { name, label } of IMPORT_SECTIONS) {
+        const { added, changed, removed } = plan[name];
+        if (!added.length && !changed.length && !removed.length) continue;
+        total += added.length + changed.length + removed.length;
+
+        const describe = (id, item) => describeImportItem(name, id, item, plan.projectNames);
+        const counts = [`+${added.length} ${t('added')}`, `${changed.length} ${t('changed')}`];
+        if (mode === 'replace') counts.push(`−${removed.length} ${t('dropped')}`);
+        const rows = [
+          ...added.map(({ id, incoming }) => itemRow('added', describe(id, incoming))),
+          ...changed.map(({ id, current, incoming }) => itemRow('changed',
+            `${describe(id, current)}  ⇢  ${describe(id, incoming)}`,
+            mode === 'merge' ? conflictSelect(`${name}:${id}`) : null)),
+          ...removed.map(({ id, current }) => itemRow('removed', describe(id, current)))
+        ];
+        body.appendChild(el('div', { className: 'gpm-settings-section' }, [
+          el('div', { className: 'gpm-settings-section-title', textContent: `${label()} · ${counts.join(' · ')}` }),
+          el('div', { className: 'gpm-import-list' }, rows)
+        ]));
+      }
+      if (total === 0) body.appendChild(el('div', { className: 'gpm-empty', textContent: t('importNothing') }));
+    }
+
+    const modeRow = el('div', { className: 'gpm-btn-row', style: { justifyContent: 'flex-start', marginTop: '0' } },
+      ['merge', 'replace'].map(m => {
+        modeButtons[m] = el('button', {
+          textContent: m === 'merge' ? t('importMerge') : t('importReplace'), type: 'button',
+          onClick: () => { mode = m; render(); }
+        });
+        return modeButtons[m];
+      }));
+
+    const modal = el('div', { className: 'gpm-modal', style: { width: '560px' } }, [
+      el('div', { className: 'gpm-modal-title', textContent: t('importPreview') }),
+      modeRow,
+      modeHint,
+      body,
+      el('div', { className: 'gpm-btn-row' }, [
+        el('button', { className: 'gpm-btn gpm-btn-ghost', textContent: t('cancel'), type: 'button', onClick: close }),
+        el('button', {
+          className: 'gpm-btn gpm-btn-primary', textContent: t('importData'), type: 'button',
+          onClick: () => { overlay.remove(); onConfirm({ mode, resolutions: mode === 'merge' ? resolutions : {} }); }
+        })
+      ])
+    ]);
+    render();
+
+    overlay.appendChild(modal);
+    overlay.addEventListener('click', (e) => { if (e.target === overlay) close(); });
+    shadowRoot.appendChild(overlay);
+    return overlay;
+  }
+
   // ══════════════════════════════════════
   //  RENAME CHAT MODAL (simple input)
   // ══════════════════════════════════════
@@ -810,6 +1886,417 @@ const GPMUI = (() => {
     return overlay;
   }
 
+  // ══════════════════════════════════════
+  //  TAG MODAL (create / edit)
+  // ══════════════════════════════════════
+  function createTagModal(shadowRoot, { existing = null, onSave, onCancel }) {
+    let color = existing?.color || COLORS[0];
+    const overlay = el('div', { className: 'gpm-overlay' });
+    const input = el('input', { className: 'gpm-input', type: 'text', placeholder: t('tagName') });
+    input.value = existing?.name || '';
+
+    const swatches = el('div', { className: 'gpm-color-grid' });
+    const renderSwatches = () => {
+      swatches.innerHTML = '';
+      COLORS.forEach(c => swatches.appendChild(el('button', {
+        className: `gpm-color-swatch${c === color ? ' gpm-selected' : ''}`, type: 'button', title: c,
+        style: { background: c },
+        onClick: () => { color = c; renderSwatches(); }
+      })));
+    };
+    renderSwatches();
+
+    const save = () => {
+      const name = input.value.trim();
+      if (!name) { input.focus(); return; }
+      overlay.remove();
+      onSave({ name, color });
+    };
+    input.addEventListener('keydown', (e) => { if (e.key === 'Enter') save(); });
+
+    const modal = el('div', { className: 'gpm-modal' }, [
+      el('div', { className: 'gpm-modal-title', textContent: existing ? t('editTag') : t('newTag') }),
+      el('div', { className: 'gpm-field' }, [input]),
+      swatches,
+      el('div', { className: 'gpm-btn-row' }, [
+        el('button', {
+          className: 'gpm-btn gpm-btn-ghost', textContent: t('cancel'), type: 'button',
+          onClick: () => { overlay.remove(); onCancel?.(); }
+        }),
+        el('button', { className: 'gpm-btn gpm-btn-primary', textContent: t('save'), type: 'button', onClick: save })
+      ])
+    ]);
+
+    overlay.appendChild(modal);
+    overlay.addEventListener('click', (e) => { if (e.target === overlay) { overlay.remove(); onCancel?.(); } });
+    shadowRoot.appendChild(overlay);
+    setTimeout(() => { input.focus(); input.select(); }, 50);
+    return overlay;
+  }
+
+  // ══════════════════════════════════════
+  //  SMART FOLDER MODAL (query builder)
+  // ══════════════════════════════════════
+  const QUERY_FIELD_LABELS = {
+    alias: 'queryFieldAlias', pinned: 'queryFieldPinned', filed: 'queryFieldFiled', project: 'queryFieldProject',
+    tag: 'queryFieldTag', lastOpened: 'chatLastOpened', firstSeen: 'chatFirstSeen', assignedAt: 'chatAssigned'
+  };
+  const QUERY_OP_LABELS = {
+    contains: 'opContains', notContains: 'opNotContains', equals: 'opEquals', matches: 'opMatches',
+    is: 'opIs', isNot: 'opIsNot', within: 'opWithin', has: 'opHas', hasNot: 'opHasNot',
+    withinDays: 'opWithinDays', olderThanDays: 'opOlderThanDays'
+  };
+  const QUERY_PRESET_LABELS = {
+    pinned: 'presetPinned', recent: 'presetRecent', unfiled: 'presetUnfiled', aliasContains: 'presetAliasContains'
+  };
+
+  // "Parent / Child" path of a project
+  function projectPath(projects, project) {
+    const names = [];
+    for (let node = project, seen = new Set(); node && !seen.has(node.id); node = projects.find(p => p.id === node.parentId)) {
+      seen.add(node.id);
+      names.unshift(node.name);
+    }
+    return names.join(' / ');
+  }
+
+  // Projects a chat can be filed in (smart folders can't hold chats, archived projects are
+  // out of sight), for <select> options
+  function folderOptions(projects) {
+    return projects.filter(p => !p.query && !GPMStorage.isArchived(projects, p)).map(p => ({ value: p.id, label: `${p.icon} ${projectPath(projects, p)}` }));
+  }
+
+  // `projects` / `tags` fill the value pickers; `countMatches(query)` previews the result
+  // while the rules are edited
+  function createSmartFolderModal(shadowRoot, { existing = null, projects = [], tags = [], countMatches, onSave, onCancel }) {
+    const query = structuredClone(existing?.query || { match: 'all', rules: [] });
+    const overlay = el('div', { className: 'gpm-overlay' });
+    const nameInput = el('input', { className: 'gpm-input', type: 'text', placeholder: t('smartFolderName') });
+    nameInput.value = existing?.name || '';
+
+    const matchSelect = el('select', { className: 'gpm-select' }, [
+      el('option', { value: 'all', textContent: t('queryMatchAll') }),
+      el('option', { value: 'any', textContent: t('queryMatchAny') })
+    ]);
+    matchSelect.value = query.match;
+    matchSelect.addEventListener('change', () => { query.match = matchSelect.value; updatePreview(); });
+
+    const ruleList = el('div', { className: 'gpm-query-rules' });
+    const preview = el('div', { className: 'gpm-settings-hint' });
+
+    const projectOptions = folderOptions(projects);
+    const tagOptions = tags.map(tag => ({ value: tag.id, label: tag.name }));
+
+    function updatePreview() {
+      const n = countMatches ? countMatches(query) : 0;
+      preview.textContent = `${n} ${t('chats')}`;
+      [...ruleList.children].forEach((row, i) => row.classList.toggle('gpm-query-invalid', !GPMQuery.isValidRule(query.rules[i])));
+    }
+
+    function resetValue(rule) {
+      const type = GPMQuery.FIELDS[rule.field].type;
+      rule.value = type === 'project' ? (projectOptions[0]?.value ?? null)
+        : type === 'tag' ? (tagOptions[0]?.value ?? null)
+          : GPMQuery.defaultValue(rule.field);
+    }
+
+    function valueControl(rule) {
+      const type = GPMQuery.FIELDS[rule.field].type;
+      if (type === 'text' || type === 'days') {
+        const input = el('input', {
+          className: 'gpm-input', type: type === 'days' ? 'number' : 'text',
+          placeholder: rule.op === 'matches' ? '^invoice|receipt' : ''
+        });
+        if (type === 'days') input.min = '1';
+        input.value = rule.value ?? '';
+        input.addEventListener('input', () => {
+          rule.value = type === 'days' ? Number(input.value) : input.value;
+          updatePreview();
+        });
+        return input;
+      }
+      const options = type === 'boolean'
+        ? [{ value: 'true', label: t('yes') }, { value: 'false', label: t('no') }]
+        : type === 'project' ? projectOptions : tagOptions;
+      const select = el('select', { className: 'gpm-select' }, options.map(o => el('option', { value: o.value, textContent: o.label })));
+      select.value = String(rule.value);
+      select.addEventListener('change', () => {
+        rule.value = type === 'boolean' ? select.value === 'true' : select.value;
+        updatePreview();
+      });
+      return select;
+    }
+
+    function renderRules() {
+      ruleList.innerHTML = '';
+      query.rules.forEach((rule, i) => {
+        const fieldSelect = el('select', { className: 'gpm-select' },
+          Object.keys(GPMQuery.FIELDS).map(f => el('option', { value: f, textContent: t(QUERY_FIELD_LABELS[f]) })));
+        fieldSelect.value = rule.field;
+        fieldSelect.addEventListener('change', () => {
+          rule.field = fieldSelect.value;
+          rule.op = GPMQuery.FIELDS[rule.field].ops[0];
+          resetValue(rule);
+          renderRules();
+        });
+
+        const opSelect = el('select', { className: 'gpm-select' },
+          GPMQuery.FIELDS[rule.field].ops.map(op => el('option', { value: op, textContent: t(QUERY_OP_LABELS[op]) })));
+        opSelect.value = rule.op;
+        opSelect.addEventListener('change', () => { rule.op = opSelect.value; renderRules(); });
+
+        ruleList.appendChild(el('div', { className: 'gpm-query-rule' }, [
+          fieldSelect,
+          opSelect,
+          valueControl(rule),
+          el('button', {
+            className: 'gpm-btn gpm-btn-ghost gpm-query-remove', type: 'button', textContent: '✕', title: t('delete'),
+            onClick: () => { query.rules.splice(i, 1); renderRules(); }
+          })
+        ]));
+      });
+      updatePreview();
+    }
+
+    const addRule = () => {
+      const rule = { field: 'alias', op: 'contains', value: '' };
+      query.rules.push(rule);
+      renderRules();
+      ruleList.lastChild?.querySelector('input')?.focus();
+    };
+
+    // Presets replace the rules; only offered while creating
+    const presets = !existing && el('div', { className: 'gpm-query-presets' },
+      Object.keys(GPMQuery.PRESETS).map(key => el('button', {
+        className: 'gpm-query-preset', type: 'button', textContent: t(QUERY_PRESET_LABELS[key]),
+        onClick: () => {
+          Object.assign(query, structuredClone(GPMQuery.PRESETS[key]));
+          matchSelect.value = query.match;
+          if (!nameInput.value.trim()) nameInput.value = t(QUERY_PRESET_LABELS[key]).replace(/…$/, '');
+          renderRules();
+          ruleList.querySelector('input')?.focus();
+        }
+      })));
+
+    const save = () => {
+      const name = nameInput.value.trim();
+      if (!name) { nameInput.focus(); return; }
+      if (query.rules.length === 0 || !query.rules.every(GPMQuery.isValidRule)) { updatePreview(); return; }
+      overlay.remove();
+      onSave({ name, query });
+    };
+    nameInput.addEventListener('keydown', (e) => { if (e.key === 'Enter') save(); });
+
+    const modal = el('div', { className: 'gpm-modal gpm-modal-wide' }, [
+      el('div', { className: 'gpm-modal-title', textContent: existing ? t('editSmartFolder') : t('newSmartFolder') }),
+      el('div', { className: 'gpm-field' }, [nameInput]),
+      presets && el('div', { className: 'gpm-field' }, [el('label', { className: 'gpm-label', textContent: t('queryStartFrom') }), presets]),
+      el('div', { className: 'gpm-field' }, [
+        matchSelect,
+        ruleList,
+        el('button', { className: 'gpm-btn gpm-btn-ghost', type: 'button', textContent: `+ ${t('addRule')}`, onClick: addRule })
+      ]),
+      preview,
+      el('div', { className: 'gpm-settings-hint', textContent: t('smartFolderHint') }),
+      el('div', { className: 'gpm-btn-row' }, [
+        el('button', {
+          className: 'gpm-btn gpm-btn-ghost', textContent: t('cancel'), type: 'button',
+          onClick: () => { overlay.remove(); onCancel?.(); }
+        }),
+        el('button', { className: 'gpm-btn gpm-btn-primary', textContent: existing ? t('save') : t('create'), type: 'button', onClick: save })
+      ])
+    ]);
+
+    overlay.appendChild(modal);
+    overlay.addEventListener('click', (e) => { if (e.target === overlay) { overlay.remove(); onCancel?.(); } });
+    shadowRoot.appendChild(overlay);
+    renderRules();
+    setTimeout(() => nameInput.focus(), 50);
+    return overlay;
+  }
+
+  // ══════════════════════════════════════
+  //  PASSPHRASE MODAL (encrypted export / import)
+  // ══════════════════════════════════════
+  const MIN_PASSPHRASE_LENGTH = 8;
+
+  // `confirm` asks for the passphrase twice (choosing one for an export); `error` is shown
+  // above the field, e.g. after a wrong passphrase on import.
+  function createPassphraseModal(shadowRoot, { confirm = false, error = '', onSubmit, onCancel }) {
+    const overlay = el('div', { className: 'gpm-overlay' });
+    const input = el('input', { className: 'gpm-input', type: 'password', placeholder: t('passphrase'), autocomplete: 'new-password' });
+    const repeat = el('input', { className: 'gpm-input', type: 'password', placeholder: t('repeatPassphrase'), autocomplete: 'new-password' });
+    const errorLine = el('div', { className: 'gpm-settings-hint gpm-usage-warn-text', textContent: error });
+
+    const submit = () => {
+      const passphrase = input.value;
+      if (confirm && passphrase.length < MIN_PASSPHRASE_LENGTH) { errorLine.textContent = t('passphraseTooShort'); return; }
+      if (confirm && passphrase !== repeat.value) { errorLine.textContent = t('passphraseMismatch'); return; }
+      if (!passphrase) return;
+      overlay.remove();
+      onSubmit(passphrase);
+    };
+    [input, repeat].forEach(field => field.addEventListener('keydown', (e) => { if (e.key === 'Enter') submit(); }));
+
+    const modal = el('div', { className: 'gpm-modal' }, [
+      el('div', { className: 'gpm-modal-title', textContent: confirm ? t('encryptExport') : t('enterPassphrase') }),
+      errorLine,
+      el('div', { className: 'gpm-field' }, [input]),
+      confirm && el('div', { className: 'gpm-field' }, [repeat]),
+      confirm && el('div', { className: 'gpm-settings-hint', textContent: t('passphraseHint') }),
+      el('div', { className: 'gpm-btn-row' }, [
+        el('button', {
+          className: 'gpm-btn gpm-btn-ghost', textContent: t('cancel'), type: 'button',
+          onClick: () => { overlay.remove(); onCancel?.(); }
+        }),
+        el('button', { className: 'gpm-btn gpm-btn-primary', textContent: t('ok'), type: 'button', onClick: submit })
+      ])
+    ]);
+
+    overlay.appendChild(modal);
+    overlay.addEventListener('click', (e) => { if (e.target === overlay) { overlay.remove(); onCancel?.(); } });
+    shadowRoot.appendChild(overlay);
+    setTimeout(() => input.focus(), 50);
+    return overlay;
+  }
+
+  // ══════════════════════════════════════
+  //  COMMAND PALETTE
+  // ══════════════════════════════════════
+
+  // `text` with the characters at `positions` in <mark>s
+  function highlighted(text, positions) {
+    const marked = new Set(positions);
+    const parts = [];
+    for (let i = 0; i < text.length;) {
+      const hit = marked.has(i);
+      let j = i;
+      while (j < text.length && marked.has(j) === hit) j++;
+      parts.push(hit ? el('mark', { textContent: text.slice(i, j) }) : text.slice(i, j));
+      i = j;
+    }
+    return parts;
+  }
+
+  /**
+   * Keyboard-driven list of `items` ([{ id, icon, label, detail?, run?, page? }]) filtered
+   * by `rank(items, query)` → [{ item, positions }] as the user types. Picking an item with
+   * a `page()` (resolving to { placeholder, items }) lists those items next — Backspace in
+   * the empty field goes back; any other item is run after the palette closes.
+   * `onPick(item)` is told about every pick. Returns null when a palette is already open
+   * (it is closed instead, so one shortcut toggles it).
+   */
+  function createCommandPalette(shadowRoot, { items, placeholder, rank, onPick }) {
+    const open = shadowRoot.querySelector('.gpm-palette-overlay');
+    if (open) { open.remove(); return null; }
+
+    const overlay = el('div', { className: 'gpm-overlay gpm-palette-overlay' });
+    const input = el('input', { className: 'gpm-input gpm-palette-input', type: 'text', spellcheck: 'false' });
+    const crumbs = el('div', { className: 'gpm-palette-crumbs' });
+    const list = el('div', { className: 'gpm-palette-list' });
+    const pages = [{ placeholder, items }];
+    let results = [];
+    let selected = 0;
+
+    const page = () => pages[pages.length - 1];
+    const close = () => overlay.remove();
+
+    const select = (index) => {
+      list.children[selected]?.classList.remove('gpm-palette-selected');
+      selected = index;
+      const row = list.children[selected];
+      row?.classList.add('gpm-palette-selected');
+      row?.scrollIntoView({ block: 'nearest' });
+    };
+
+    const render = () => {
+      crumbs.replaceChildren(...pages.slice(1).map(p => el('span', { className: 'gpm-palette-crumb', textContent: p.title })));
+      input.placeholder = page().placeholder;
+      results = rank(page().items, input.value);
+      list.replaceChildren(...(results.length ? results.map(({ item, positions }, i) => {
+        const row = el('div', { className: 'gpm-palette-item' }, [
+          el('span', { className: 'gpm-palette-icon', textContent: item.icon || '' }),
+          el('span', { className: 'gpm-palette-label' }, highlighted(item.label, positions)),
+          item.detail && el('span', { className: 'gpm-palette-detail', textContent: item.detail }),
+          item.page && el('span', { className: 'gpm-palette-detail', textContent: '›' })
+        ]);
+        row.addEventListener('mousemove', () => { if (selected !== i) select(i); });
+        row.addEventListener('click', () => pick(item));
+        return row;
+      }) : [el('div', { className: 'gpm-settings-hint', textContent: t('noMatches') })]));
+      selected = 0;
+      if (results.length) select(0);
+    };
+
+    async function pick(item) {
+      if (!item) return;
+      onPick?.(item);
+      if (item.page) {
+        const next = await item.page();
+        pages.push({ title: `${item.icon || ''} ${item.label}`.trim(), ...next });
+        input.value = '';
+        render();
+        input.focus();
+        return;
+      }
+      close();
+      item.run?.();
+    }
+
+    input.addEventListener('input', render);
+
+    // Keys stay inside the palette, so nothing reaches Gemini's prompt box
+    overlay.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      if (e.key === 'Escape') {
+        close();
+      } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        if (results.length) select((selected + (e.key === 'ArrowDown' ? 1 : results.length - 1)) % results.length);
+      } else if (e.key === 'Enter') {
+        pick(results[selected]?.item);
+      } else if (e.key === 'Backspace' && !input.value && pages.length > 1) {
+        pages.pop();
+        render();
+      } else {
+        return;
+      }
+      e.preventDefault();
+    });
+
+    const modal = el('div', { className: 'gpm-modal gpm-modal-wide gpm-palette' }, [
+      crumbs,
+      input,
+      list,
+      el('div', { className: 'gpm-settings-hint', textContent: t('paletteHint') })
+    ]);
+
+    overlay.appendChild(modal);
+    overlay.addEventListener('click', (e) => { if (e.target === overlay) close(); });
+    shadowRoot.appendChild(overlay);
+    render();
+    input.focus();
+    return overlay;
+  }
+
+  // ══════════════════════════════════════
+  //  TOAST (one at a time, bottom of the page)
+  // ══════════════════════════════════════
+  function createToast(shadowRoot, { message, actionLabel, onAction, duration = 6000 }) {
+    shadowRoot.querySelector('.gpm-toast')?.remove();
+    const toast = el('div', { className: 'gpm-toast' }, [
+      el('span', { className: 'gpm-toast-text', textContent: message })
+    ]);
+    if (actionLabel) {
+      toast.appendChild(el('button', {
+        className: 'gpm-toast-action', textContent: actionLabel, type: 'button',
+        onClick: () => { toast.remove(); onAction(); }
+      }));
+    }
+    shadowRoot.appendChild(toast);
+    setTimeout(() => toast.remove(), duration);
+    return toast;
+  }
+
   return {
     createProjectModal,
     showContextMenu,
@@ -819,6 +2306,19 @@ const GPMUI = (() => {
     createQuickPromptModal,
     createSettingsModal,
     createRenameModal,
+    createTagModal,
+    createSmartFolderModal,
+    createSuggestionsModal,
+    createTriageModal,
+    createNotesDrawer,
+    createProjectContextModal,
+    createContextPreviewModal,
+    createIntegrityModal,
+    createImportModal,
+    createPassphraseModal,
+    createCommandPalette,
+    createToast,
+    projectPath,
     COLORS,
     PROJECT_ICONS,
     CATEGORIES